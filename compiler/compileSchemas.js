@@ -2,8 +2,17 @@
 const fs = require('fs');
 const path = require('path');
 const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
 
-const ajv = new Ajv({ allErrors: true, strict: false });
+// Each draft needs its own Ajv class; every other schema goes to the default (draft-07) instance
+const options = { allErrors: true, strict: false };
+const validators = {
+  'https://json-schema.org/draft/2019-09/schema': new Ajv2019(options),
+  'https://json-schema.org/draft/2020-12/schema': new Ajv2020(options)
+};
+const draft07 = new Ajv(options);
+const ajvFor = schema => validators[schema.$schema] || draft07;
 
 function validateSchemas(schemaDir) {
   const files = fs.readdirSync(schemaDir);
@@ -12,11 +21,11 @@ function validateSchemas(schemaDir) {
     const stat = fs.statSync(filePath);
 
     if (stat.isDirectory()) {
-      validateSchemas(filePath);
+      if (file !== 'node_modules' && !file.startsWith('.')) validateSchemas(filePath);
     } else if (file.endsWith('.json')) {
-      const schema = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
       try {
-        ajv.compile(schema);
+        const schema = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        ajvFor(schema).compile(schema);
         console.log(`✅ VALID: ${filePath}`);
       } catch (err) {
         console.error(`❌ INVALID: ${filePath}`);
@@ -26,4 +35,6 @@ function validateSchemas(schemaDir) {
   });
 }
 
-validateSchemas(path.resolve(__dirname, '../'));
\ No newline at end of file
+// Checks the given directory, or the whole repository
+validateSchemas(path.resolve(process.argv[2] || path.join(__dirname, '../')));
+
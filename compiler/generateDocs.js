@@ -0,0 +1,25 @@
+// /compiler/generateDocs.js
+// Usage: node compiler/generateDocs.js <workflow.json> [--language=es] [--format=html] [--detail=detailed] [--audience=technical]
+// Prints the workflow's natural-language documentation.
+const fs = require('fs');
+const path = require('path');
+const { validateWorkflow } = require('../runtime/workflowSchema');
+const { generateDocs } = require('../runtime/nlDocs');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const options = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('=')));
+
+if (!file) {
+  console.error('Usage: npm run generate-docs -- <workflow.json> [--language=en] [--format=markdown|html|plain] [--detail=simple|detailed] [--audience=technical|non_technical]');
+  process.exit(1);
+}
+
+try {
+  const workflow = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  validateWorkflow(workflow);
+  process.stdout.write(generateDocs(workflow, options).content);
+} catch (error) {
+  console.error(`❌ ${file}: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,36 @@
+// /compiler/generateMermaid.js
+// Usage: node compiler/generateMermaid.js [dir|file] [--compile]
+// Writes metadata.mermaid for every workflow; with --compile, writes nothing and fails on stale diagrams.
+const fs = require('fs');
+const path = require('path');
+const { discoverWorkflows, isWorkflow } = require('../runtime/workflowTests');
+const { generateMermaid, isMermaidStale } = require('../runtime/mermaid');
+
+const args = process.argv.slice(2);
+const compile = args.includes('--compile');
+const target = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../schema'));
+
+const workflows = fs.statSync(target).isDirectory()
+  ? discoverWorkflows(target)
+  : [{ file: target, workflow: JSON.parse(fs.readFileSync(target, 'utf-8')) }].filter(w => isWorkflow(w.workflow));
+
+let stale = 0;
+workflows.forEach(({ file, workflow }) => {
+  if (compile) {
+    if (isMermaidStale(workflow)) {
+      stale++;
+      console.error(`❌ STALE: ${file} - metadata.mermaid does not match the workflow steps`);
+    } else {
+      console.log(`✅ CURRENT: ${file}`);
+    }
+    return;
+  }
+  workflow.metadata.mermaid = generateMermaid(workflow);
+  fs.writeFileSync(file, `${JSON.stringify(workflow, null, 2)}\n`);
+  console.log(`✅ Generated: ${file}`);
+});
+
+if (stale) {
+  console.error(`${stale} workflow(s) with a stale diagram; run npm run generate-mermaid`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,30 @@
+// /compiler/signWorkflow.js
+// Usage: WORKFLOW_SIGNING_KEY=<hex private key> node compiler/signWorkflow.js <workflow.json> [--verify]
+const fs = require('fs');
+const path = require('path');
+const { signWorkflow, verifyAttestation } = require('../runtime/attestation');
+
+const [file, flag] = process.argv.slice(2);
+if (!file) {
+  console.error('Usage: node compiler/signWorkflow.js <workflow.json> [--verify]');
+  process.exit(1);
+}
+
+const filePath = path.resolve(file);
+const workflow = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+const trustedSigners = (process.env.WORKFLOW_TRUSTED_SIGNERS || '').split(',').filter(Boolean);
+
+try {
+  if (flag === '--verify') {
+    const result = verifyAttestation(workflow, { trustedSigners });
+    console.log(result ? `✅ VALID: ${filePath} signed by ${result.signers.join(', ')}` : `⚠️ UNSIGNED: ${filePath}`);
+  } else {
+    if (!process.env.WORKFLOW_SIGNING_KEY) throw new Error('WORKFLOW_SIGNING_KEY is not set');
+    const signed = signWorkflow(workflow, process.env.WORKFLOW_SIGNING_KEY);
+    fs.writeFileSync(filePath, `${JSON.stringify(signed, null, 2)}\n`);
+    console.log(`✅ Signed: ${filePath} (${signed.attestation.hash})`);
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
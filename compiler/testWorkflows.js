@@ -0,0 +1,44 @@
+// /compiler/testWorkflows.js
+// Usage: node compiler/testWorkflows.js [dir] [--format json|junit] [--output file] [--seed n] [--fuzz-runs n]
+const fs = require('fs');
+const path = require('path');
+const { WorkflowTestRunner, toJUnit } = require('../runtime/workflowTests');
+
+function parseArgs(argv) {
+  const options = { dir: path.resolve(__dirname, '../schema'), format: 'json', output: null, seed: 1, fuzzRuns: 25 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--output') options.output = argv[++i];
+    else if (arg === '--seed') options.seed = parseInt(argv[++i], 10);
+    else if (arg === '--fuzz-runs') options.fuzzRuns = parseInt(argv[++i], 10);
+    else options.dir = path.resolve(arg);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const runner = new WorkflowTestRunner({ seed: options.seed, fuzzRuns: options.fuzzRuns });
+  const report = await runner.runAll(options.dir);
+
+  report.workflows.forEach(w => w.tests.forEach((t) => {
+    if (t.status === 'passed') console.log(`✅ PASS: ${w.workflow} › ${t.name} (${t.type})`);
+    else t.failures.forEach(f => console.error(`❌ FAIL: ${w.workflow} › ${t.name} (${t.type}) - ${f}`));
+  }));
+  const { workflows, tests, passed, failed } = report.summary;
+  console.log(`${workflows} workflows, ${tests} tests: ${passed} passed, ${failed} failed`);
+
+  if (options.output) {
+    const content = options.format === 'junit' ? toJUnit(report) : JSON.stringify(report, null, 2);
+    fs.writeFileSync(options.output, content);
+    console.log(`✅ Report written to: ${options.output}`);
+  }
+  if (!tests) console.error(`❌ No workflow tests found under ${options.dir}`);
+  process.exitCode = failed || !tests ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
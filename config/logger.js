@@ -1,8 +1,18 @@
 const winston = require('winston');
+const { redact } = require('../runtime/secrets');
+
+// Masks resolved workflow secrets in every log entry
+const redactSecrets = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    info[key] = redact(info[key]);
+  });
+  return info;
+});
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    redactSecrets(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.json()
@@ -0,0 +1,21 @@
+# Local access rules for workflows with access_policy.policy_engine = "opa".
+# Evaluated after the declared roles and permissions have been checked; see runtime/policyRules.js
+# for the supported subset of Rego.
+package jsonflow.authz
+
+default allow = false
+
+# Administrators may run any step
+allow {
+  input.user.roles[_] == "admin"
+}
+
+# Any identified caller who met the declared requirements
+allow {
+  input.user.sub != null
+}
+
+deny["blockchain operations require the signer role"] {
+  input.step.type == "blockchain_operation"
+  not input.user.roles[_] == "signer"
+}
@@ -2,6 +2,7 @@ const Ajv = require('ajv');
 const ajv = new Ajv({ allErrors: true, useDefaults: true });
 const schema = require('./exchange.schema.json'); // Assume schema is imported
 const validate = ajv.compile(schema);
+const { redact } = require('../runtime/secrets');
 
 class ExchangeController {
   constructor() {
@@ -175,7 +176,7 @@ class ExchangeController {
       event,
       timestamp: new Date().toISOString(),
       user: userId,
-      details
+      details: redact(details)
     };
     this.exchangeData.exchange.compliance.auditLog.push(log);
     this.validateData(this.exchangeData);
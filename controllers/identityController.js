@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { verify, checkPublicKey } = require('../runtime/signatures');
+
+const CHALLENGE_TTL_MS = parseInt(process.env.IDENTITY_CHALLENGE_TTL_MS, 10) || 5 * 60 * 1000;
+
+const identityError = (message, status) => Object.assign(new Error(message), { status });
+
+const challengeKey = (username, claims) => JSON.stringify([claims?.sub ?? null, username]);
+
+// Key-based identities: a user registers a public key, requests a one-time challenge and proves
+// possession of the private key by signing it. secp256k1 identities may register an address.
+// Challenges are kept per requester (the JWT `sub`), so one caller cannot replace another's.
+class IdentityController {
+  constructor() {
+    this.identities = new Map();
+    this.challenges = new Map();
+  }
+
+  async register({ username, publicKey, algorithm = 'ed25519' }) {
+    if (this.identities.has(username)) throw identityError(`Username already registered: ${username}`, 409);
+    checkPublicKey(algorithm, publicKey);
+    const identity = { username, algorithm, publicKey, registeredAt: new Date().toISOString() };
+    this.identities.set(username, identity);
+    return identity;
+  }
+
+  // A new challenge replaces any outstanding one the requester holds for the user
+  async challenge({ username }, claims) {
+    if (!this.identities.has(username)) throw identityError(`Unknown identity: ${username}`, 404);
+    const now = Date.now();
+    for (const [key, pending] of this.challenges) {
+      if (Date.parse(pending.expiresAt) < now) this.challenges.delete(key);
+    }
+    const expiresAt = new Date(now + CHALLENGE_TTL_MS).toISOString();
+    const challenge = `JSONFlow authentication for ${username}\nNonce: ${crypto.randomBytes(16).toString('hex')}\nExpires: ${expiresAt}`;
+    this.challenges.set(challengeKey(username, claims), { challenge, expiresAt });
+    return { username, challenge, expiresAt };
+  }
+
+  // The challenge is consumed by the attempt, whether or not the signature verifies
+  async authenticate({ username, signature }, claims) {
+    const identity = this.identities.get(username);
+    if (!identity) throw identityError(`Unknown identity: ${username}`, 404);
+    const key = challengeKey(username, claims);
+    const pending = this.challenges.get(key);
+    this.challenges.delete(key);
+    if (!pending || Date.parse(pending.expiresAt) < Date.now()) throw identityError('No valid challenge; request one from /identity/challenge', 401);
+    const { valid, address } = verify(identity.algorithm, pending.challenge, signature, identity.publicKey);
+    if (!valid) throw identityError('Signature verification failed', 401);
+    return { username, algorithm: identity.algorithm, authenticated: true, ...(address && { address }), authenticatedAt: new Date().toISOString() };
+  }
+}
+
+module.exports = new IdentityController();
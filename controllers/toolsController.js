@@ -1,10 +1,15 @@
 const Ajv = require('ajv');
 const ajv = new Ajv({ allErrors: true, useDefaults: true });
 const toolsSchema = require('../schema/tools.schema.json');
+const ScriptSandbox = require('../runtime/scriptSandbox');
+
+// Editor runs get the same sandbox as workflow `script` steps, with fixed limits
+const EDITOR_LIMITS = { timeoutMs: 1000, memoryKB: 64 * 1024 };
 
 class ToolsController {
-  constructor(exchangeController) {
+  constructor(exchangeController, sandbox = new ScriptSandbox()) {
     this.exchangeController = exchangeController;
+    this.sandbox = sandbox;
     this.validate = ajv.compile(toolsSchema);
     this.toolsData = {
       id: 'sovereign-tools',
@@ -75,7 +80,7 @@ class ToolsController {
       if (expressionPath) editor.expressionPath = expressionPath;
       if (mutationType) editor.mutationType = mutationType;
       if (targetNode) editor.targetNode = targetNode;
-      editor.output = this.executeCode(code, language); // Simulated execution
+      editor.output = await this.executeCode(editor.code, editor.language);
       this.validateData(this.toolsData);
       this.exchangeController.logComplianceEvent('code_editor_updated', userId, JSON.stringify({ language, mode }));
       res.status(200).json(editor);
@@ -84,9 +89,14 @@ class ToolsController {
     }
   }
 
-  executeCode(code, language) {
-    // Simulated execution; replace with actual runtime (e.g., Node.js for JS, Python interpreter)
-    return `Executed ${language} code: ${code.slice(0, 50)}...`;
+  // Returns what the panel shows: captured stdout and stderr, then the result or the error
+  async executeCode(code, language) {
+    try {
+      const { result, stdout, stderr } = await this.sandbox.run({ language, script: code, ...EDITOR_LIMITS });
+      return [stdout, stderr, result === null ? '' : `=> ${JSON.stringify(result)}`].filter(Boolean).join('\n');
+    } catch (error) {
+      return [error.stdout, error.stderr, error.message].filter(Boolean).join('\n');
+    }
   }
 
   async configureDataVisualizer(req, res) {
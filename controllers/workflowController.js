@@ -0,0 +1,253 @@
+const WorkflowRuntime = require('../runtime/workflowRuntime');
+const WorkflowScheduler = require('../runtime/workflowScheduler');
+const WorkflowStore = require('../runtime/workflowStore');
+const FileCheckpointStore = require('../runtime/checkpointStore');
+const WorkflowDebugger = require('../runtime/workflowDebugger');
+const { EventBus } = require('../runtime/eventBus');
+const FileEventStore = require('../runtime/eventStore');
+const EventTriggers = require('../runtime/eventTriggers');
+const { compileUtterance } = require('../runtime/nlCompiler');
+const { generateDocs } = require('../runtime/nlDocs');
+const { graphToWorkflow, workflowToGraph } = require('../runtime/designerGraph');
+
+class WorkflowController {
+  constructor({
+    workflowDebugger = new WorkflowDebugger(),
+    eventBus = new EventBus({ store: process.env.WORKFLOW_EVENT_PERSIST === 'false' ? null : new FileEventStore() }),
+    runtime = new WorkflowRuntime({ checkpoints: new FileCheckpointStore(), workflowDebugger, eventBus }),
+    store = new WorkflowStore()
+  } = {}) {
+    this.runtime = runtime;
+    this.store = store;
+    this.workflowDebugger = workflowDebugger;
+    this.scheduler = new WorkflowScheduler({
+      runtime,
+      maxConcurrent: parseInt(process.env.WORKFLOW_MAX_CONCURRENT, 10) || undefined,
+      maxConcurrentPerOwner: parseInt(process.env.WORKFLOW_MAX_CONCURRENT_PER_OWNER, 10) || undefined,
+      maxRunsPerMinutePerOwner: parseInt(process.env.WORKFLOW_MAX_RUNS_PER_MINUTE_PER_OWNER, 10) || undefined
+    });
+    this.triggers = new EventTriggers({ bus: runtime.eventBus, scheduler: this.scheduler });
+    store.latest().forEach(workflow => this.triggers.register(workflow));
+  }
+
+  // Queues the run and waits for it to finish; `claims` are the caller's JWT claims
+  async run({ workflow, inputs, context, seed }, claims) {
+    return this.scheduler.submit(workflow, { inputs, context, seed, claims }).promise;
+  }
+
+  // Queues the run and returns immediately with its queue position
+  async submit({ workflow, inputs, context, seed }, claims) {
+    const job = this.scheduler.submit(workflow, { inputs, context, seed, claims });
+    return this.scheduler.describe(job.id);
+  }
+
+  async getJob(jobId) {
+    const job = this.scheduler.describe(jobId);
+    if (!job) throw Object.assign(new Error('Workflow job not found'), { status: 404 });
+    return job;
+  }
+
+  async queueMetrics() {
+    return this.scheduler.metrics();
+  }
+
+  // A run started with claims is only inspected and controlled by the same `sub`; queued runs
+  // are looked up in the scheduler
+  async checkRunOwner(runId, claims) {
+    const job = this.scheduler.jobs.get(runId);
+    const owner = job ? job.options.claims?.sub ?? null : await this.runtime.runOwner(runId);
+    if (owner && owner !== claims?.sub) throw Object.assign(new Error(`Workflow run belongs to another user: ${runId}`), { status: 403 });
+  }
+
+  async listRuns(claims) {
+    return (await this.runtime.listRuns()).filter(run => !run.owner || run.owner === claims?.sub);
+  }
+
+  // Finished runs no longer have a checkpoint; the scheduler keeps their outcome
+  async getRun(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    const job = this.scheduler.describe(runId);
+    if (!job?.finishedAt) return this.runtime.getRun(runId);
+    const { id, workflow, status, startedAt, finishedAt, result, error } = job;
+    return { id, workflow, state: status, startedAt, finishedAt, result, error };
+  }
+
+  async pauseRun(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    return this.runtime.pause(runId);
+  }
+
+  // A run interrupted by a restart is queued again rather than started straight away
+  async resumeRun(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    if (this.runtime.describeRun(runId)) return this.runtime.resume(runId);
+    const record = await this.runtime.restorable(runId);
+    this.scheduler.restore(record);
+    return { id: runId, workflow: record.workflow, state: 'running', currentStep: record.currentStep };
+  }
+
+  async cancelRun(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    return this.runtime.cancel(runId);
+  }
+
+  // Called on boot: queues the runs that were interrupted by the previous shutdown
+  async recover() {
+    const interrupted = (await this.runtime.interrupted()).filter(record => !this.scheduler.jobs.has(record.runId));
+    interrupted.forEach(record => this.scheduler.restore(record));
+    return interrupted.map(record => record.runId);
+  }
+
+  // Queues a run with a debug session attached before its first step
+  async startDebugRun({ workflow, inputs, context, breakpoints, watches, stopOnEntry }, claims) {
+    const job = this.scheduler.submit(workflow, { inputs, context, claims });
+    // The run starts on a later tick, so the session is in place before its first step
+    const debug = this.workflowDebugger.attach(job.id, { breakpoints, watches, stopOnEntry });
+    return { job: this.scheduler.describe(job.id), debug };
+  }
+
+  async attachDebugger(runId, { breakpoints, watches, stopOnEntry }, claims) {
+    if (!this.runtime.describeRun(runId)) throw Object.assign(new Error(`Workflow run is not active: ${runId}`), { status: 404 });
+    await this.checkRunOwner(runId, claims);
+    return this.workflowDebugger.attach(runId, { breakpoints, watches, stopOnEntry });
+  }
+
+  async getDebugSession(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    return this.workflowDebugger.describe(runId);
+  }
+
+  async detachDebugger(runId, claims) {
+    await this.checkRunOwner(runId, claims);
+    this.workflowDebugger.detach(runId);
+    return { runId };
+  }
+
+  // Shared by the HTTP routes and the debug socket
+  async debugCommand(runId, { command, expr, breakpoints, watches }, claims) {
+    await this.checkRunOwner(runId, claims);
+    switch (command) {
+      case 'evaluate':
+        return this.workflowDebugger.evaluate(runId, expr);
+      case 'setBreakpoints':
+        return this.workflowDebugger.setBreakpoints(runId, breakpoints || []);
+      case 'setWatches':
+        return this.workflowDebugger.setWatches(runId, watches || []);
+      default:
+        return this.workflowDebugger.command(runId, command);
+    }
+  }
+
+  // The chains behind blockchain_operation steps, for submitting and inspecting transactions directly
+  async submitTransaction(chain, { action, params, gas, replay_protection: replayProtection }) {
+    return this.runtime.chains.execute(chain, action, params, { gas, replayProtection });
+  }
+
+  async describeChain(chain) {
+    return this.runtime.chains.describe(chain);
+  }
+
+  async getBlock(chain, block) {
+    return this.runtime.chains.getBlock(chain, block === 'latest' ? block : parseInt(block, 10));
+  }
+
+  async getTransaction(chain, transactionHash) {
+    return this.runtime.chains.getReceipt(chain, transactionHash);
+  }
+
+  async getAccount(chain, address) {
+    return this.runtime.chains.getAccount(chain, address);
+  }
+
+  async fundAccount(chain, address, { amount, token }) {
+    return this.runtime.chains.fund(chain, address, { amount, token });
+  }
+
+  // Input and peer events for the game steps of an active run
+  async pushGameInput(runId, { events }, claims) {
+    if (!this.runtime.describeRun(runId)) throw Object.assign(new Error(`Workflow run is not active: ${runId}`), { status: 404 });
+    await this.checkRunOwner(runId, claims);
+    return this.runtime.game.pushInput(runId, events);
+  }
+
+  async pushPeerEvents(runId, peer, { events }, claims) {
+    if (!this.runtime.describeRun(runId)) throw Object.assign(new Error(`Workflow run is not active: ${runId}`), { status: 404 });
+    await this.checkRunOwner(runId, claims);
+    return this.runtime.game.pushPeerEvents(runId, peer, events);
+  }
+
+  // The saved version's triggers replace those of the previous version
+  async saveWorkflow({ workflow, summary }, claims) {
+    const saved = this.store.save(workflow, { author: claims.sub, summary, owner: claims.sub });
+    this.triggers.register(saved);
+    return saved;
+  }
+
+  async getWorkflow(name, version) {
+    return this.store.get(name, version);
+  }
+
+  async listVersions(name) {
+    return this.store.versions(name);
+  }
+
+  // Documentation of a saved version, or of the workflow in the request when none is named
+  async describeWorkflow({ name, version, workflow, language, format, detail, audience }) {
+    if (!name) this.runtime.validateWorkflow(workflow);
+    return generateDocs(name ? this.store.get(name, version) : workflow, { language, format, detail, audience });
+  }
+
+  // Compiles a designer graph into the steps of `workflow`, which supplies everything else
+  async compileDesigner({ designer, workflow }) {
+    return graphToWorkflow(designer, workflow);
+  }
+
+  // The designer graph of a saved version, or of the workflow in the request when none is named
+  async layoutWorkflow({ name, version, workflow, canvas }) {
+    if (!name) this.runtime.validateWorkflow(workflow);
+    return workflowToGraph(name ? this.store.get(name, version) : workflow, { canvas });
+  }
+
+  // Signers outside WORKFLOW_TRUSTED_SIGNERS are refused here already
+  async attestWorkflow(name, { version, attestation }, claims) {
+    return this.store.attest(name, version, attestation, { trustedSigners: this.runtime.trustedSigners, owner: claims.sub });
+  }
+
+  async rollbackWorkflow(name, version, claims) {
+    const saved = this.store.rollback(name, version, { author: claims.sub, owner: claims.sub });
+    this.triggers.register(saved);
+    return saved;
+  }
+
+  // Publishes an event from outside a workflow, as the caller
+  async publishEvent({ name, params }, claims) {
+    return this.runtime.eventBus.publish({ name, params, publisher: claims.sub }, { claims });
+  }
+
+  // Only the events the caller published, directly or from their runs
+  async listEvents({ name, after, limit = 100 }, claims) {
+    const events = await this.runtime.eventBus.history({ name, after, limit: Infinity });
+    const own = events.filter(event => event.publisher === claims.sub);
+    return after ? own.slice(0, limit) : own.slice(-limit);
+  }
+
+  async listTriggers() {
+    return this.triggers.describe();
+  }
+
+  // Compiles an utterance against the saved workflows and queues the matching run. A `confirm`
+  // result runs once the caller repeats the utterance with `confirm: true`; a fallbackAction
+  // naming a saved workflow runs that workflow with the utterance as its `utterance` input.
+  async interpret({ utterance, language, confirm = false, execute = true }, claims) {
+    const workflows = this.store.latest();
+    const result = compileUtterance(utterance, workflows, { language });
+    let target = null;
+    if (result.action === 'run' || (confirm && result.action === 'confirm')) target = { name: result.workflow, inputs: result.inputs };
+    if (result.action === 'fallback' && workflows.some(workflow => workflow.function === result.fallbackAction)) target = { name: result.fallbackAction, inputs: { utterance } };
+    if (!target || !execute) return result;
+    const job = this.scheduler.submit(this.store.get(target.name), { inputs: target.inputs, claims });
+    return { ...result, action: result.action === 'fallback' ? 'fallback' : 'run', job: this.scheduler.describe(job.id) };
+  }
+}
+
+module.exports = new WorkflowController();
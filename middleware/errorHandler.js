@@ -4,7 +4,8 @@ const errorHandler = (err, req, res, next) => {
   logger.error(`${err.status || 500} - ${err.message} - ${req.originalUrl} - ${req.method} - ${req.ip}`, { stack: err.stack });
 
   const status = err.status || 500;
-  const message = process.env.NODE_ENV === 'production' ? 'Internal Server Error' : err.message;
+  // Client errors keep their message in production so callers learn why a request was refused
+  const message = process.env.NODE_ENV === 'production' && status >= 500 ? 'Internal Server Error' : err.message;
 
   res.status(status).json({
     status: 'error',
@@ -3,6 +3,7 @@ const ajv = new Ajv({ allErrors: true, useDefaults: true });
 const nodeSchema = require('../schema/nodes/sovereignEntropyNode.schema.json');
 const validate = ajv.compile(nodeSchema);
 const { v4: uuidv4 } = require('uuid');
+const { retry } = require('../runtime/retry');
 
 class SovereignEntropyNodeModel {
   constructor(chainAdapter, exchangeController) {
@@ -60,21 +61,12 @@ class SovereignEntropyNodeModel {
     }
 
     const { contracts, method, format, cacheTTL, retryPolicy, postProcess } = node.entropy_agent;
-    let entropy;
-    let attempts = 0;
-
-    while (attempts < retryPolicy.maxAttempts) {
-      try {
-        entropy = await this.chainAdapter.callContract(contracts[contractIndex], method, format);
-        break;
-      } catch (error) {
-        attempts++;
-        if (attempts >= retryPolicy.maxAttempts) {
-          throw new Error(`Failed to fetch entropy after ${attempts} attempts: ${error.message}`);
-        }
-        await new Promise(resolve => setTimeout(resolve, retryPolicy.backoffMs));
-      }
-    }
+    const entropy = await retry(() => this.chainAdapter.callContract(contracts[contractIndex], method, format), {
+      retries: retryPolicy.maxAttempts - 1,
+      backoffMs: retryPolicy.backoffMs
+    }).catch((error) => {
+      throw new Error(`Failed to fetch entropy after ${error.attempts} attempts: ${error.message}`);
+    });
 
     let processedEntropy = entropy;
     if (postProcess?.type !== 'none') {
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Ajv = require('ajv');
 const jwt = require('jsonwebtoken');
 const path = require('path');
@@ -7,8 +7,14 @@ const fs = require('fs');
 const glob = require('glob');
 const logger = require('../config/logger');
 const errorHandler = require('../middleware/errorHandler');
+const { CHAINS } = require('../runtime/chainAdapter');
+const { ALGORITHMS } = require('../runtime/signatures');
+const { LANGUAGES, FORMATS, DETAILS, AUDIENCES } = require('../runtime/nlDocs');
+const { MAX_NODES, MAX_EDGES } = require('../runtime/designerGraph');
 const router = express.Router();
 const ajv = new Ajv({ allErrors: true, verbose: true });
+const CHAIN_NAMES = Object.keys(CHAINS);
+const DOCS_OPTIONS = [['language', LANGUAGES], ['format', FORMATS], ['detail', DETAILS], ['audience', AUDIENCES]];
 
 const authenticateJWT = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
@@ -51,16 +57,29 @@ const validateRequest = (req, res, next) => {
 router.post('/identity/register',
   body('username').isString().notEmpty(),
   body('publicKey').isString().notEmpty(),
+  body('algorithm').optional().isIn(ALGORITHMS),
   validateRequest,
   validateWith('agent'),
   async (req, res, next) => {
     try {
-      const result = await require('../controllers/agentController').register(req.body);
+      const result = await require('../controllers/identityController').register(req.body);
       res.json({ message: 'User registered', data: result });
     } catch (e) { next(e); }
   }
 );
 
+router.post('/identity/challenge',
+  authenticateJWT,
+  body('username').isString().notEmpty(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/identityController').challenge(req.body, req.user);
+      res.json({ message: 'Challenge issued', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
 router.post('/identity/authenticate',
   authenticateJWT,
   body('username').isString().notEmpty(),
@@ -68,7 +87,7 @@ router.post('/identity/authenticate',
   validateRequest,
   async (req, res, next) => {
     try {
-      const result = await require('../controllers/agentController').authenticate(req.body);
+      const result = await require('../controllers/identityController').authenticate(req.body, req.user);
       res.json({ message: 'User authenticated', data: result });
     } catch (e) { next(e); }
   }
@@ -163,6 +182,479 @@ router.post('/governance/propose',
   }
 );
 
+// 🌊 Workflow
+router.post('/workflow/run',
+  authenticateJWT,
+  body('workflow').isObject(),
+  body('inputs').optional().isObject(),
+  body('context').optional().isObject(),
+  body('seed').optional().isInt({ min: 0, max: 4294967295 }),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').run(req.body, req.user);
+      res.json({ message: 'Workflow executed', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/submit',
+  authenticateJWT,
+  body('workflow').isObject(),
+  body('inputs').optional().isObject(),
+  body('context').optional().isObject(),
+  body('seed').optional().isInt({ min: 0, max: 4294967295 }),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').submit(req.body, req.user);
+      res.status(202).json({ message: 'Workflow queued', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/jobs/:jobId',
+  authenticateJWT,
+  param('jobId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getJob(req.params.jobId);
+      res.json({ message: 'Workflow job', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/queue',
+  authenticateJWT,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').queueMetrics();
+      res.json({ message: 'Workflow queue', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/runs',
+  authenticateJWT,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').listRuns(req.user);
+      res.json({ message: 'Workflow runs', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/runs/:runId',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getRun(req.params.runId, req.user);
+      res.json({ message: 'Workflow run', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/pause',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').pauseRun(req.params.runId, req.user);
+      res.json({ message: 'Workflow run paused', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/resume',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').resumeRun(req.params.runId, req.user);
+      res.json({ message: 'Workflow run resumed', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/cancel',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').cancelRun(req.params.runId, req.user);
+      res.json({ message: 'Workflow run cancelled', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/debug',
+  authenticateJWT,
+  body('workflow').isObject(),
+  body('inputs').optional().isObject(),
+  body('context').optional().isObject(),
+  body('breakpoints').optional().isArray(),
+  body('watches').optional().isArray(),
+  body('stopOnEntry').optional().isBoolean(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').startDebugRun(req.body, req.user);
+      res.status(202).json({ message: 'Workflow debug run queued', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/debug',
+  authenticateJWT,
+  param('runId').isUUID(),
+  body('breakpoints').optional().isArray(),
+  body('watches').optional().isArray(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').attachDebugger(req.params.runId, req.body, req.user);
+      res.json({ message: 'Debugger attached', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/runs/:runId/debug',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getDebugSession(req.params.runId, req.user);
+      res.json({ message: 'Debug session', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/debug/:command',
+  authenticateJWT,
+  param('runId').isUUID(),
+  param('command').isIn(['continue', 'stepOver', 'stepInto', 'stepOut', 'pause', 'evaluate', 'setBreakpoints', 'setWatches']),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').debugCommand(req.params.runId, { ...req.body, command: req.params.command }, req.user);
+      res.json({ message: 'Debugger command applied', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.delete('/workflow/runs/:runId/debug',
+  authenticateJWT,
+  param('runId').isUUID(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').detachDebugger(req.params.runId, req.user);
+      res.json({ message: 'Debugger detached', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/game/input',
+  authenticateJWT,
+  param('runId').isUUID(),
+  body('events').isArray({ min: 1 }),
+  body('events.*.input').isString(),
+  body('events.*.device').optional().isIn(['keyboard', 'mouse', 'controller', 'touch', 'vr', 'ar']),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').pushGameInput(req.params.runId, req.body, req.user);
+      res.status(202).json({ message: 'Input queued', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/runs/:runId/game/peers/:peer',
+  authenticateJWT,
+  param('runId').isUUID(),
+  param('peer').isString().notEmpty(),
+  body('events').isArray({ min: 1 }),
+  body('events.*.op').isIn(['add', 'remove', 'replace']),
+  body('events.*.path').isString(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').pushPeerEvents(req.params.runId, req.params.peer, req.body, req.user);
+      res.status(202).json({ message: 'Peer events queued', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/chains/:chain/transactions',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  body('action').isString(),
+  body('params').isObject(),
+  body('gas').optional().isObject(),
+  body('replay_protection').optional().isObject(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').submitTransaction(req.params.chain, req.body);
+      res.status(201).json({ message: 'Transaction mined', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/chains/:chain',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').describeChain(req.params.chain);
+      res.json({ message: 'Chain status', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/chains/:chain/blocks/:block',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  param('block').matches(/^(latest|\d+)$/),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getBlock(req.params.chain, req.params.block);
+      res.json({ message: 'Block', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/chains/:chain/transactions/:hash',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  param('hash').matches(/^0x[0-9a-fA-F]{64}$/),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getTransaction(req.params.chain, req.params.hash);
+      res.json({ message: 'Transaction receipt', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/chains/:chain/accounts/:address',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getAccount(req.params.chain, req.params.address);
+      res.json({ message: 'Account', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/chains/:chain/accounts/:address/fund',
+  authenticateJWT,
+  param('chain').isIn(CHAIN_NAMES),
+  body('amount').matches(/^\d+$/),
+  body('token').optional().isString(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').fundAccount(req.params.chain, req.params.address, req.body);
+      res.json({ message: 'Account funded', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/events',
+  authenticateJWT,
+  body('name').isString().notEmpty(),
+  body('params').optional().isObject(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').publishEvent(req.body, req.user);
+      res.status(201).json({ message: 'Event published', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/events',
+  authenticateJWT,
+  query('name').optional().isString().notEmpty(),
+  query('after').optional().matches(/^\d{13}-\d{6}$/),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').listEvents(req.query, req.user);
+      res.json({ message: 'Workflow events', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/triggers',
+  authenticateJWT,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').listTriggers();
+      res.json({ message: 'Workflow triggers', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/nl',
+  authenticateJWT,
+  body('utterance').isString().notEmpty(),
+  body('language').optional().matches(/^[a-z]{2}(-[A-Z]{2})?$/),
+  body('confirm').optional().isBoolean(),
+  body('execute').optional().isBoolean(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').interpret(req.body, req.user);
+      res.status(result.job ? 202 : 200).json({ message: 'Utterance interpreted', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/store',
+  authenticateJWT,
+  body('workflow').isObject(),
+  body('summary').optional().isString().notEmpty(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').saveWorkflow(req.body, req.user);
+      res.status(201).json({ message: 'Workflow saved', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/store/:name',
+  authenticateJWT,
+  query('version').optional().matches(/^\d+\.\d+\.\d+$/),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').getWorkflow(req.params.name, req.query.version);
+      res.json({ message: 'Workflow', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/store/:name/docs',
+  authenticateJWT,
+  query('version').optional().matches(/^\d+\.\d+\.\d+$/),
+  ...DOCS_OPTIONS.map(([name, values]) => query(name).optional().isIn(values)),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').describeWorkflow({ ...req.query, name: req.params.name });
+      res.json({ message: 'Workflow documentation', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/docs',
+  authenticateJWT,
+  body('workflow').isObject(),
+  ...DOCS_OPTIONS.map(([name, values]) => body(name).optional().isIn(values)),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { workflow, language, format, detail, audience } = req.body;
+      const result = await require('../controllers/workflowController').describeWorkflow({ workflow, language, format, detail, audience });
+      res.json({ message: 'Workflow documentation', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/store/:name/designer',
+  authenticateJWT,
+  query('version').optional().matches(/^\d+\.\d+\.\d+$/),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').layoutWorkflow({ name: req.params.name, version: req.query.version });
+      res.json({ message: 'Designer graph', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/designer/layout',
+  authenticateJWT,
+  body('workflow').isObject(),
+  body('canvas').optional().isObject(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { workflow, canvas } = req.body;
+      const result = await require('../controllers/workflowController').layoutWorkflow({ workflow, canvas });
+      res.json({ message: 'Designer graph', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/designer/compile',
+  authenticateJWT,
+  body('designer').isObject(),
+  body('designer.nodes').isArray({ max: MAX_NODES }),
+  body('designer.edges').optional().isArray({ max: MAX_EDGES }),
+  body('workflow').isObject(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').compileDesigner(req.body);
+      res.json({ message: 'Designer graph compiled', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.get('/workflow/store/:name/versions',
+  authenticateJWT,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').listVersions(req.params.name);
+      res.json({ message: 'Workflow versions', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/store/:name/attestation',
+  authenticateJWT,
+  body('version').optional().matches(/^\d+\.\d+\.\d+$/),
+  body('attestation').isObject(),
+  body('attestation.signers').isArray({ min: 1 }),
+  body('attestation.signature').isString(),
+  body('attestation.hash').isString(),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').attestWorkflow(req.params.name, req.body, req.user);
+      res.json({ message: 'Workflow attested', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
+router.post('/workflow/store/:name/rollback',
+  authenticateJWT,
+  body('version').matches(/^\d+\.\d+\.\d+$/),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await require('../controllers/workflowController').rollbackWorkflow(req.params.name, req.body.version, req.user);
+      res.json({ message: 'Workflow rolled back', data: result });
+    } catch (e) { next(e); }
+  }
+);
+
 // Error middleware
 router.use(errorHandler);
 
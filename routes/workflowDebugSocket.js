@@ -0,0 +1,67 @@
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer } = require('ws');
+const logger = require('../config/logger');
+
+const PATH = '/api/workflow/debug';
+const EVENTS = ['paused', 'resumed', 'finished', 'detached'];
+
+// Streams a run's debugger state to the tools panel and accepts debugger commands:
+//   ws://<host>/api/workflow/debug?runId=<id>&token=<jwt>  (the token's `sub` must own the run)
+//   -> { "command": "stepOver" } | { "command": "evaluate", "expr": ... } | { "command": "setWatches", "watches": [...] }
+//   <- { "type": "state" | "paused" | "resumed" | "finished" | "detached" | "result" | "error", ... }
+function attachWorkflowDebugSocket(server, controller = require('../controllers/workflowController')) {
+  const wss = new WebSocketServer({ noServer: true });
+  const { workflowDebugger } = controller;
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== PATH) return;
+    let claims;
+    try {
+      claims = jwt.verify(url.searchParams.get('token') || '', process.env.JWT_SECRET || 'default-secret');
+    } catch (error) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    const runId = url.searchParams.get('runId');
+    controller.checkRunOwner(runId, claims).then(
+      () => wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, runId, claims)),
+      (error) => {
+        socket.write(`HTTP/1.1 ${error.status === 403 ? '403 Forbidden' : '404 Not Found'}\r\n\r\n`);
+        socket.destroy();
+      }
+    );
+  });
+
+  wss.on('connection', (ws, runId, claims) => {
+    const send = message => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+    const listeners = EVENTS.map(type => [type, (data) => {
+      if (data.runId === runId) send({ type, data });
+    }]);
+    listeners.forEach(([type, listener]) => workflowDebugger.on(type, listener));
+    ws.on('close', () => listeners.forEach(([type, listener]) => workflowDebugger.off(type, listener)));
+
+    try {
+      send({ type: 'state', data: workflowDebugger.describe(runId) });
+    } catch (error) {
+      send({ type: 'error', message: error.message });
+    }
+
+    ws.on('message', async (raw) => {
+      try {
+        const message = JSON.parse(raw);
+        const data = await controller.debugCommand(runId, message, claims);
+        send({ type: 'result', command: message.command, data });
+      } catch (error) {
+        logger.error(`Workflow debug socket error: ${runId} - ${error.message}`);
+        send({ type: 'error', message: error.message });
+      }
+    });
+  });
+
+  return wss;
+}
+
+module.exports = attachWorkflowDebugSocket;
@@ -0,0 +1,61 @@
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer } = require('ws');
+const logger = require('../config/logger');
+
+const PATH = '/api/workflow/events/stream';
+
+// Streams workflow events to dashboards and agents:
+//   ws://<host>/api/workflow/events/stream?token=<jwt>&name=<pattern>&after=<event id>
+//   <- { "type": "event", "data": { id, name, params, ... } } | { "type": "error", ... }
+// With `after`, the stored events since that id are replayed before live ones. Only the events
+// the token's `sub` published, directly or from its runs, are sent.
+function attachWorkflowEventSocket(server, controller = require('../controllers/workflowController')) {
+  const wss = new WebSocketServer({ noServer: true });
+  const bus = controller.runtime.eventBus;
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== PATH) return;
+    let claims;
+    try {
+      claims = jwt.verify(url.searchParams.get('token') || '', process.env.JWT_SECRET || 'default-secret');
+    } catch (error) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, url.searchParams, claims));
+  });
+
+  wss.on('connection', async (ws, params, claims) => {
+    const send = message => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+    const name = params.get('name') || '*';
+    const after = params.get('after');
+
+    // Live events are held back until the replay is sent, then skipped if already replayed
+    let last = after;
+    let pending = after ? [] : null;
+    const deliver = (event) => {
+      if (event.publisher !== claims.sub || (last && event.id <= last)) return;
+      last = event.id;
+      send({ type: 'event', data: event });
+    };
+    const unsubscribe = bus.subscribe(name, event => (pending ? pending.push(event) : deliver(event)));
+    ws.on('close', unsubscribe);
+
+    if (!after) return;
+    try {
+      (await bus.history({ name, after, limit: Infinity })).forEach(deliver);
+    } catch (error) {
+      logger.error(`Workflow event socket replay failed: ${error.message}`);
+      send({ type: 'error', message: error.message });
+    }
+    pending.forEach(deliver);
+    pending = null;
+  });
+
+  return wss;
+}
+
+module.exports = attachWorkflowEventSocket;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRules, evaluateRules } = require('./policyRules');
+
+// Access denials are fatal: neither try/catch nor on_error may route around them
+const forbidden = (message) => Object.assign(new Error(`Access denied: ${message}`), { status: 403, fatal: true });
+
+// Caller identity from verified JWT claims: roles from `roles` or `role`, permissions from
+// `permissions` or an OAuth-style space-separated `scope`
+function principalFromClaims(claims) {
+  if (!claims) return null;
+  const list = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? [value] : []);
+  return {
+    sub: claims.sub,
+    roles: list(claims.roles).concat(list(claims.role)),
+    permissions: claims.permissions ? list(claims.permissions) : list(claims.scope && claims.scope.split(' ')),
+    claims
+  };
+}
+
+// The built-in evaluator; further checks are plugged in as rules that return a denial reason
+class CustomPolicyEngine {
+  constructor({ rules = [] } = {}) {
+    this.rules = [...rules];
+  }
+
+  addRule(rule) {
+    this.rules.push(rule);
+    return this;
+  }
+
+  async evaluate(input) {
+    for (const rule of this.rules) {
+      const reason = await rule(input);
+      if (reason) return { allow: false, reason };
+    }
+    return { allow: true };
+  }
+}
+
+// Local stand-in for OPA: Rego-style rules read from WORKFLOW_POLICY_FILE, reloaded when the file changes
+class RegoRulesEngine {
+  constructor({ file = process.env.WORKFLOW_POLICY_FILE || path.resolve(__dirname, '../config/policy.rego') } = {}) {
+    this.file = file;
+    this.cache = null;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.file)) throw Object.assign(new Error(`Policy rules file not found: ${this.file}`), { status: 500 });
+    const { mtimeMs } = await fs.promises.stat(this.file);
+    if (!this.cache || this.cache.mtimeMs !== mtimeMs) {
+      this.cache = { mtimeMs, policy: parseRules(await fs.promises.readFile(this.file, 'utf-8')) };
+    }
+    return this.cache.policy;
+  }
+
+  async evaluate(input) {
+    return evaluateRules(await this.load(), input);
+  }
+}
+
+// Enforces access_policy (workflow level), access_control (step level) and require_role.
+// Required roles are alternatives (any one suffices); required permissions must all be held.
+// The engine named by access_policy.policy_engine (default `custom`) then has the final say.
+class AccessControl {
+  constructor({ engines = {} } = {}) {
+    this.engines = new Map(Object.entries({ custom: new CustomPolicyEngine(), opa: new RegoRulesEngine(), ...engines }));
+  }
+
+  registerEngine(name, engine) {
+    this.engines.set(name, engine);
+    return this;
+  }
+
+  async authorize(principal, { workflow, step, requirement = {} }) {
+    const target = step ? `step ${step.id || step.type}` : `workflow ${workflow.function}`;
+    const { roles = [], permissions = [] } = requirement;
+    if (!principal) throw forbidden(`${target} requires an authenticated caller`);
+
+    if (roles.length && !roles.some(role => principal.roles.includes(role))) {
+      throw forbidden(`${target} requires role ${roles.join(' or ')}; caller has ${principal.roles.join(', ') || 'no roles'}`);
+    }
+    const missing = permissions.filter(permission => !principal.permissions.includes(permission));
+    if (missing.length) throw forbidden(`${target} requires permission ${missing.join(', ')}`);
+
+    const engineName = workflow.access_policy?.policy_engine || 'custom';
+    const engine = this.engines.get(engineName);
+    if (!engine) throw Object.assign(new Error(`No policy engine registered: ${engineName}`), { status: 500 });
+    const decision = await engine.evaluate({
+      user: { sub: principal.sub, roles: principal.roles, permissions: principal.permissions, claims: principal.claims },
+      workflow: { function: workflow.function, access_policy: workflow.access_policy },
+      step: step ? { id: step.id, type: step.type, access_control: step.access_control } : null,
+      required: { roles, permissions }
+    });
+    if (!decision.allow) throw forbidden(`${target} denied by ${engineName} policy: ${decision.reason || 'not allowed'}`);
+  }
+}
+
+module.exports = { AccessControl, CustomPolicyEngine, RegoRulesEngine, principalFromClaims };
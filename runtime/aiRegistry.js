@@ -0,0 +1,57 @@
+const { LocalAiProvider } = require('./localAiProvider');
+const HttpAiProvider = require('./httpAiProvider');
+
+// Step type -> provider method
+const OPERATIONS = {
+  ai_infer: 'infer',
+  ai_classify: 'classify',
+  ai_embed: 'embed',
+  ai_explain: 'explain',
+  ai_train: 'train',
+  ai_nlp_process: 'nlp'
+};
+
+// Dispatches the AI steps to providers. Models are registered by name with the provider that
+// serves them and the provider-side model id; an unregistered `provider:model` name (e.g.
+// `local:tickets` or `ollama:llama3:8b`) uses that provider directly. Providers implement any
+// of infer, classify, embed, explain, train and nlp as (model, input, { parameters, task, owner, signal }),
+// where `owner` is the `sub` of the run's claims, for providers that keep state per user.
+class AiRegistry {
+  constructor({ providers = {}, models = {} } = {}) {
+    this.providers = new Map(Object.entries({ local: new LocalAiProvider(), ollama: new HttpAiProvider(), ...providers }));
+    this.models = new Map();
+    for (const [name, options] of Object.entries(models)) this.registerModel(name, options);
+  }
+
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+    return this;
+  }
+
+  registerModel(name, { provider, model = name, ...options }) {
+    if (!this.providers.has(provider)) throw Object.assign(new Error(`Unknown AI provider: ${provider}`), { status: 500 });
+    this.models.set(name, { name, provider, model, options });
+    return this;
+  }
+
+  resolve(name) {
+    if (this.models.has(name)) return this.models.get(name);
+    const separator = name.indexOf(':');
+    const provider = name.slice(0, separator);
+    if (separator > 0 && this.providers.has(provider)) return { name, provider, model: name.slice(separator + 1), options: {} };
+    throw Object.assign(new Error(`Unknown AI model: ${name}; register it or name it as <provider>:<model>`), { status: 422 });
+  }
+
+  async invoke(stepType, name, input, options = {}) {
+    const model = this.resolve(name);
+    const provider = this.providers.get(model.provider);
+    const operation = OPERATIONS[stepType];
+    if (typeof provider[operation] !== 'function') {
+      throw Object.assign(new Error(`AI model ${name} (${model.provider}) does not support ${stepType}`), { status: 422 });
+    }
+    const result = await provider[operation](model, input, options);
+    return { model: name, provider: model.provider, ...result };
+  }
+}
+
+module.exports = AiRegistry;
@@ -0,0 +1,80 @@
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes, utf8ToBytes } = require('@noble/hashes/utils');
+const { canonicalize } = require('./canonicalJson');
+const { personalMessageDigest, addressFromPublicKey } = require('./signatures');
+
+const strip0x = (hex) => (hex.startsWith('0x') ? hex.slice(2) : hex);
+
+// 0x-prefixed keccak256 of the canonical JSON of the workflow without its attestation block
+const attestationHash = (workflow) => {
+  const { attestation, ...document } = workflow;
+  return `0x${bytesToHex(keccak_256(utf8ToBytes(canonicalize(document))))}`;
+};
+
+// EIP-191 personal message digest of a 32-byte hash
+const personalDigest = (hash) => personalMessageDigest(hexToBytes(strip0x(hash)));
+
+const addressFromPrivateKey = (privateKey) => addressFromPublicKey(secp256k1.getPublicKey(hexToBytes(strip0x(privateKey)), false));
+
+// Adds the signer's 65-byte r||s||v signature over the attestation hash. Signatures of
+// several signers are concatenated in the order of `signers`; a stale attestation is replaced.
+function signWorkflow(workflow, privateKey) {
+  const hash = attestationHash(workflow);
+  const signer = addressFromPrivateKey(privateKey);
+  const current = workflow.attestation && workflow.attestation.hash === hash ? workflow.attestation : { signers: [], signature: '0x' };
+  if (current.signers.some(s => s.toLowerCase() === signer)) return workflow;
+
+  const sig = secp256k1.sign(personalDigest(hash), hexToBytes(strip0x(privateKey)));
+  const signature = `${sig.toCompactHex()}${(27 + sig.recovery).toString(16)}`;
+  return {
+    ...workflow,
+    attestation: { signers: [...current.signers, signer], signature: `${current.signature}${signature}`, hash }
+  };
+}
+
+const recoverSigners = (hash, signature) => {
+  const hex = strip0x(signature);
+  if (!hex.length || hex.length % 130 !== 0) throw new Error('Malformed attestation signature');
+  const digest = personalDigest(hash);
+  const signers = [];
+  for (let i = 0; i < hex.length; i += 130) {
+    const chunk = hex.slice(i, i + 130);
+    const v = parseInt(chunk.slice(128), 16);
+    const sig = secp256k1.Signature.fromCompact(chunk.slice(0, 128)).addRecoveryBit(v >= 27 ? v - 27 : v);
+    signers.push(addressFromPublicKey(sig.recoverPublicKey(digest).toRawBytes(false)));
+  }
+  return signers;
+};
+
+const untrusted = (message) => Object.assign(new Error(`Workflow attestation rejected: ${message}`), { status: 403 });
+
+// Verifies hash and signatures of an attestation. With a trust list, an attestation is
+// mandatory and every signer must be on the list.
+function verifyAttestation(workflow, { trustedSigners = [] } = {}) {
+  const trusted = trustedSigners.map(s => s.toLowerCase());
+  const { attestation } = workflow;
+  if (!attestation) {
+    if (trusted.length) throw untrusted('workflow is not attested');
+    return null;
+  }
+
+  const hash = attestationHash(workflow);
+  if (attestation.hash.toLowerCase() !== hash) throw untrusted(`hash mismatch (expected ${hash})`);
+
+  let recovered;
+  try {
+    recovered = recoverSigners(hash, attestation.signature);
+  } catch (error) {
+    throw untrusted(error.message);
+  }
+  const declared = attestation.signers.map(s => s.toLowerCase());
+  if (recovered.length !== declared.length || recovered.some((s, i) => s !== declared[i])) {
+    throw untrusted('signatures do not match the declared signers');
+  }
+  const unknown = declared.filter(s => trusted.length && !trusted.includes(s));
+  if (unknown.length) throw untrusted(`untrusted signers ${unknown.join(', ')}`);
+  return { hash, signers: declared };
+}
+
+module.exports = { attestationHash, signWorkflow, verifyAttestation, addressFromPrivateKey };
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Deterministic JSON serialization: object keys sorted, undefined members dropped
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : canonicalize(v))).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// sha256 of the canonical form, hex encoded (the format of metadata.dependencies[].hash)
+const contentHash = (value) => crypto.createHash('sha256').update(canonicalize(value), 'utf8').digest('hex');
+
+module.exports = { canonicalize, contentHash };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { SimulatedChain, chainError, amountOf } = require('./simulatedChain');
+
+// The chains of blockchain_operation with their native asset
+const CHAINS = {
+  ethereum: { chainId: 1, symbol: 'ETH' },
+  solana: { chainId: 'solana-mainnet', symbol: 'SOL' },
+  starknet: { chainId: 'SN_MAIN', symbol: 'STRK' },
+  cosmos: { chainId: 'cosmoshub-4', symbol: 'ATOM' },
+  polkadot: { chainId: 'polkadot', symbol: 'DOT' },
+  binance: { chainId: 56, symbol: 'BNB' },
+  avalanche: { chainId: 43114, symbol: 'AVAX' }
+};
+
+const loadGenesis = (file) => (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+// Chain-agnostic front for blockchain_operation. A backend implements submit, estimateGas,
+// receiveBridge, describe, getBlock, getReceipt and getAccount (and optionally fund); chains
+// without a registered backend get a SimulatedChain seeded from WORKFLOW_CHAIN_GENESIS.
+class ChainAdapter {
+  constructor({ backends = {}, genesis = loadGenesis(process.env.WORKFLOW_CHAIN_GENESIS) } = {}) {
+    this.backends = new Map(Object.entries(backends));
+    this.genesis = genesis;
+  }
+
+  registerBackend(chain, backend) {
+    this.backends.set(chain, backend);
+    return this;
+  }
+
+  backend(chain) {
+    if (!this.backends.has(chain)) {
+      if (!CHAINS[chain]) throw chainError(`Unsupported chain: ${chain}`, 404);
+      this.backends.set(chain, new SimulatedChain({ name: chain, ...CHAINS[chain], genesis: this.genesis[chain] }));
+    }
+    return this.backends.get(chain);
+  }
+
+  // Returns the receipt; a bridge also returns the receipt of the credit on the destination chain
+  async execute(chain, action, params, { gas, replayProtection = {} } = {}) {
+    // Resolve the destination first so an unsupported one fails before anything is mined
+    if (action === 'bridge' && typeof params.destination_chain === 'string') this.backend(params.destination_chain);
+    const receipt = await this.backend(chain).submit({
+      action,
+      params,
+      gas,
+      nonce: replayProtection.nonce,
+      idempotencyKey: replayProtection.idempotency_key
+    });
+    if (action !== 'bridge') return receipt;
+    const { destinationChain, ...transfer } = receipt.result.bridge;
+    const destination = await this.backend(destinationChain).receiveBridge({
+      ...transfer,
+      amount: amountOf(transfer.amount),
+      sourceChain: chain,
+      sourceTransaction: receipt.transactionHash
+    });
+    return { ...receipt, destination };
+  }
+
+  async estimateGas(chain, action, params) {
+    return { gas: await this.backend(chain).estimateGas(action, params) };
+  }
+
+  async describe(chain) {
+    return this.backend(chain).describe();
+  }
+
+  async getBlock(chain, number) {
+    return this.backend(chain).getBlock(number);
+  }
+
+  async getReceipt(chain, transactionHash) {
+    return this.backend(chain).getReceipt(transactionHash);
+  }
+
+  async getAccount(chain, address) {
+    return this.backend(chain).getAccount(address);
+  }
+
+  async fund(chain, address, { amount, token }) {
+    const backend = this.backend(chain);
+    if (typeof backend.fund !== 'function') throw chainError(`Chain ${chain} does not support funding`, 403);
+    return backend.fund(address, amount, token);
+  }
+}
+
+module.exports = { ChainAdapter, CHAINS };
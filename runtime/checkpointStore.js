@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Two JSON files per workflow run: `<runId>.json` holds what does not change while the run
+// is live (its document, context and claims) and is written once, `<runId>.progress.json`
+// holds the scope and position and is rewritten after each step. Writes for a run happen in
+// call order through a temp file, so a crash leaves either the previous or the new file.
+class FileCheckpointStore {
+  constructor({ dir = process.env.WORKFLOW_CHECKPOINT_DIR || path.resolve(__dirname, '../data/checkpoints') } = {}) {
+    this.dir = dir;
+    this.writes = new Map();
+  }
+
+  file(runId, suffix = '') {
+    if (!/^[\w-]+$/.test(runId)) throw Object.assign(new Error(`Invalid run id: ${runId}`), { status: 400 });
+    return path.join(this.dir, `${runId}${suffix}.json`);
+  }
+
+  // Runs `task` after the run's earlier writes have settled
+  enqueue(runId, task) {
+    const previous = this.writes.get(runId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(task);
+    this.writes.set(runId, write);
+    write.finally(() => {
+      if (this.writes.get(runId) === write) this.writes.delete(runId);
+    }).catch(() => {});
+    return write;
+  }
+
+  write(runId, file, value) {
+    const data = JSON.stringify(value);
+    return this.enqueue(runId, async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, data);
+      await fs.promises.rename(temp, file);
+    });
+  }
+
+  save(record) {
+    return this.write(record.runId, this.file(record.runId), record);
+  }
+
+  saveProgress(runId, progress) {
+    return this.write(runId, this.file(runId, '.progress'), progress);
+  }
+
+  async read(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+  }
+
+  async load(runId) {
+    const record = await this.read(this.file(runId));
+    return record && { ...record, ...await this.read(this.file(runId, '.progress')) };
+  }
+
+  async list() {
+    if (!fs.existsSync(this.dir)) return [];
+    const runIds = (await fs.promises.readdir(this.dir))
+      .filter(name => name.endsWith('.json') && !name.endsWith('.progress.json'))
+      .map(name => name.slice(0, -'.json'.length));
+    return (await Promise.all(runIds.map(runId => this.load(runId)))).filter(Boolean);
+  }
+
+  remove(runId) {
+    const files = [this.file(runId), this.file(runId, '.progress')];
+    return this.enqueue(runId, () => Promise.all(files.map(file => fs.promises.rm(file, { force: true }))));
+  }
+}
+
+module.exports = FileCheckpointStore;
@@ -0,0 +1,384 @@
+const { childBlocks } = require('./stepTree');
+const { validateWorkflow } = require('./workflowSchema');
+const { generateMermaid } = require('./mermaid');
+const workflowSchema = require('../schema/sovereign/jsonflow-workflow.schema.json');
+
+// Converts between workflow steps and the studio designer graph (frontend.schema.json
+// workflows.designer). A node is a step: its id, type and, in `config`, every property except
+// the nested blocks. Blocks are drawn as edges whose `port` says which block they start:
+//   next     - the following step (the default when an edge has no port)
+//   then     - if: the then block; `else` the else block
+//   body     - while/foreach: the loop body, whose last step has an edge back to the loop;
+//              try: the guarded block
+//   catch    - try: the catch block; `finally` the finally block
+//   branch   - parallel: one edge per branch, in order
+//   error    - the on_error body of any step
+// The blocks of an if, parallel or try meet again at the step after it. When a block ends in a
+// return, that step is instead the target of the node's own `next` edge.
+const PORTS = {
+  if: ['then', 'else'],
+  parallel: ['branch'],
+  try: ['body', 'catch', 'finally'],
+  while: ['body'],
+  foreach: ['body']
+};
+const COMMON_PORTS = ['next', 'error'];
+const ALL_PORTS = [...new Set([...COMMON_PORTS, ...Object.values(PORTS).flat()])];
+const LOOPS = ['while', 'foreach'];
+const BRANCHING = ['if', 'parallel', 'try'];
+const BLOCK_FIELDS = ['then', 'else', 'body', 'branches', 'finally'];
+
+// Auto-placement: one column per branch, one row per step, snapped to the canvas grid
+const COLUMN_WIDTH = 240;
+const ROW_HEIGHT = 120;
+const GRID_SIZE = 20;
+
+// Largest graph accepted for conversion
+const MAX_NODES = 2000;
+const MAX_EDGES = 4000;
+
+// Whether each variant of $defs/step is for a given type, to pick the schema errors that apply
+// to a node
+const VARIANTS = workflowSchema.$defs.step.oneOf.map((variant) => {
+  const type = (variant.allOf || []).map(part => part.properties?.type).find(Boolean) || {};
+  return type.const ? value => value === type.const : value => new RegExp(type.pattern).test(value);
+});
+
+const graphError = (message, node) => Object.assign(new Error(message), { status: 400, ...(node && { node }) });
+
+const portOf = (edge) => edge.port || 'next';
+
+// Step properties that stay on the node; nested blocks become edges
+const configOf = (step) => {
+  const { id, type, then, else: otherwise, body, branches, finally: last, ...config } = structuredClone(step);
+  if (config.catch) {
+    const { body: catchBody, ...handler } = config.catch;
+    config.catch = handler;
+  }
+  if (config.on_error?.body) delete config.on_error;
+  return config;
+};
+
+function indexGraph({ nodes = [], edges = [] }) {
+  if (nodes.length > MAX_NODES || edges.length > MAX_EDGES) throw graphError(`The designer graph is limited to ${MAX_NODES} nodes and ${MAX_EDGES} edges`);
+  const byId = new Map();
+  for (const node of nodes) {
+    if (typeof node.id !== 'string' || !node.id) throw graphError('Every designer node needs a string id');
+    if (byId.has(node.id)) throw graphError(`Node id ${node.id} is used by more than one node`, node.id);
+    if (typeof node.type !== 'string' || !node.type) throw graphError(`Node ${node.id} has no type`, node.id);
+    byId.set(node.id, node);
+  }
+  const out = new Map(nodes.map(node => [node.id, []]));
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach((edge, i) => {
+    for (const end of ['from', 'to']) {
+      if (!byId.has(edge[end])) throw graphError(`Edge ${i} ${end} unknown node ${edge[end] === undefined ? '(missing)' : edge[end]}`);
+    }
+    const { type } = byId.get(edge.from);
+    const port = portOf(edge);
+    if (!ALL_PORTS.includes(port)) throw graphError(`Edge ${i} from ${edge.from} has unknown port ${port}; use one of ${ALL_PORTS.join(', ')}`, edge.from);
+    if (!COMMON_PORTS.includes(port) && !(PORTS[type] || []).includes(port)) {
+      throw graphError(`Edge ${i}: a ${type} node has no ${port} port; its ports are ${[...COMMON_PORTS, ...(PORTS[type] || [])].join(', ')}`, edge.from);
+    }
+    if (port !== 'branch' && out.get(edge.from).some(other => portOf(other) === port)) {
+      throw graphError(`Node ${edge.from} has more than one ${port} edge${port === 'next' ? '; fork with a parallel node' : ''}`, edge.from);
+    }
+    out.get(edge.from).push(edge);
+    incoming.get(edge.to).push(edge);
+  });
+  return { nodes: byId, out, incoming };
+}
+
+class GraphWalker {
+  constructor(graph) {
+    this.graph = graph;
+    // Pointer of each node's step, by node id
+    this.placed = new Map();
+    // terminates() results, per set of stops and node id
+    this.terminating = new WeakMap();
+    // Cycles cut by terminates() so far
+    this.cycles = 0;
+  }
+
+  targets(id, port) {
+    return this.graph.out.get(id).filter(edge => portOf(edge) === port).map(edge => edge.to);
+  }
+
+  // Node ids reachable from `start` in breadth-first order, not going past `stops`
+  reach(start, stops) {
+    const seen = new Set([start]);
+    for (const id of seen) {
+      if (stops.has(id)) continue;
+      for (const edge of this.graph.out.get(id)) seen.add(edge.to);
+    }
+    return [...seen];
+  }
+
+  // Whether every path from `id` ends in a return before reaching `stops`
+  terminates(id, stops, visiting = new Set()) {
+    if (stops.has(id)) return false;
+    if (visiting.has(id)) {
+      this.cycles++;
+      return false;
+    }
+    if (!this.terminating.has(stops)) this.terminating.set(stops, new Map());
+    const known = this.terminating.get(stops);
+    if (known.has(id)) return known.get(id);
+    const { type } = this.graph.nodes.get(id);
+    if (type === 'return') return true;
+    const next = LOOPS.includes(type) ? this.targets(id, 'next') : this.graph.out.get(id).map(edge => edge.to);
+    const cycles = this.cycles;
+    visiting.add(id);
+    const result = next.length > 0 && next.every(target => this.terminates(target, stops, visiting));
+    visiting.delete(id);
+    // A false that came from cutting a cycle only holds for this walk
+    if (result || this.cycles === cycles) known.set(id, result);
+    return result;
+  }
+
+  // Where the blocks starting at `starts` meet again: the nearest node all of them reach. Blocks
+  // that only end in returns and share no node with the others are left out.
+  join(starts, stops) {
+    const nearest = (reaches) => {
+      if (reaches.length < 2) return null;
+      const [first, ...rest] = reaches;
+      const others = rest.map(reach => new Set(reach));
+      return first.find(id => others.every(set => set.has(id))) || null;
+    };
+    const reaches = starts.map(start => this.reach(start, stops));
+    const common = nearest(reaches);
+    if (common) return common;
+    const sets = reaches.map(reach => new Set(reach));
+    const shared = reaches.filter((reach, i) => !this.terminates(starts[i], stops) || sets.some((other, j) => j !== i && reach.some(id => other.has(id))));
+    return shared.length < reaches.length ? nearest(shared) : null;
+  }
+
+  sequence(start, stops, pointer) {
+    const steps = [];
+    let id = start;
+    while (id && !stops.has(id)) {
+      const stepPointer = `${pointer}/${steps.length}`;
+      if (this.placed.has(id)) {
+        throw graphError(`Node ${id} is reached both as ${this.placed.get(id)} and as ${stepPointer}; the blocks of an if, parallel or try have to meet again at one node`, id);
+      }
+      this.placed.set(id, stepPointer);
+      const { step, next } = this.step(id, stops, stepPointer);
+      steps.push(step);
+      id = next;
+    }
+    return steps;
+  }
+
+  step(id, stops, pointer) {
+    const { type, config = {} } = this.graph.nodes.get(id);
+    for (const field of BLOCK_FIELDS) {
+      if (field in config) throw graphError(`Node ${id}: config.${field} is drawn as ${field === 'branches' ? 'branch' : field} edges, not set in config`, id);
+    }
+    if (config.catch?.body || config.on_error?.body) throw graphError(`Node ${id}: ${config.catch?.body ? 'config.catch.body is drawn as a catch edge' : 'config.on_error.body is drawn as an error edge'}, not set in config`, id);
+    const { id: ignoredId, type: ignoredType, ...rest } = config;
+    const step = { id, type, ...structuredClone(rest) };
+    const [errorStart] = this.targets(id, 'error');
+    if (errorStart && config.on_error) throw graphError(`Node ${id} has both an error edge and config.on_error`, id);
+
+    let next = this.targets(id, 'next')[0] || null;
+    if (BRANCHING.includes(type)) {
+      const starts = [...this.targets(id, 'then'), ...this.targets(id, 'else'), ...this.targets(id, 'branch'),
+        ...this.targets(id, 'body'), ...this.targets(id, 'catch'), ...this.targets(id, 'finally'), ...(errorStart ? [errorStart] : [])];
+      next = next || this.join(starts, stops);
+    }
+    const inner = new Set([...stops, ...(next ? [next] : [])]);
+    const block = (start, path, port, blockStops = inner) => {
+      if (start === next) throw graphError(`Node ${id}: its ${port} edge goes straight to ${next}, leaving the block empty`, id);
+      return this.sequence(start, blockStops, `${pointer}/${path}`);
+    };
+    const required = (port) => {
+      const [start] = this.targets(id, port);
+      if (!start) throw graphError(`Node ${id}: a ${type} node needs a ${port} edge`, id);
+      return start;
+    };
+
+    switch (type) {
+      case 'if': {
+        step.then = block(required('then'), 'then', 'then');
+        const [otherwise] = this.targets(id, 'else');
+        if (otherwise && otherwise !== next) step.else = block(otherwise, 'else', 'else');
+        break;
+      }
+      case 'parallel':
+        required('branch');
+        step.branches = this.targets(id, 'branch').map((start, i) => block(start, `branches/${i}`, 'branch'));
+        break;
+      case 'try': {
+        step.body = block(required('body'), 'body', 'body');
+        const [handler] = this.targets(id, 'catch');
+        if (handler) step.catch = { ...step.catch, body: block(handler, 'catch/body', 'catch') };
+        else if (step.catch) throw graphError(`Node ${id}: config.catch needs a catch edge`, id);
+        const [last] = this.targets(id, 'finally');
+        if (last) step.finally = block(last, 'finally', 'finally');
+        break;
+      }
+      case 'while':
+      case 'foreach': {
+        const body = required('body');
+        if (body === id) throw graphError(`Node ${id}: its body edge loops straight back, leaving the body empty`, id);
+        // The body ends where an edge leads back to the loop
+        step.body = block(body, 'body', 'body', new Set([...stops, id]));
+        break;
+      }
+      default:
+        break;
+    }
+    if (errorStart) step.on_error = { body: block(errorStart, 'on_error/body', 'error') };
+    return { step, next };
+  }
+}
+
+// Loops are entered again by the edge back from their body; every other node with no incoming
+// edge starts the workflow, and there has to be exactly one
+function findEntry(graph, walker) {
+  const back = new Set();
+  for (const [id, node] of graph.nodes) {
+    if (!LOOPS.includes(node.type)) continue;
+    const [body] = walker.targets(id, 'body');
+    if (!body) continue;
+    const inside = new Set(walker.reach(body, new Set([id])));
+    graph.incoming.get(id).filter(edge => inside.has(edge.from) && portOf(edge) !== 'body').forEach(edge => back.add(edge));
+  }
+  const entries = [...graph.nodes.keys()].filter(id => graph.incoming.get(id).every(edge => back.has(edge)));
+  if (!entries.length) throw graphError(graph.nodes.size ? 'The designer graph has no entry node: every node has an incoming edge' : 'The designer graph has no nodes');
+  if (entries.length > 1) throw graphError(`The designer graph has ${entries.length} entry nodes (${entries.join(', ')}); connect them into one flow`, entries[1]);
+  return entries[0];
+}
+
+// Steps from a designer graph, with the pointer of each node's step
+function graphToSteps(designer) {
+  const graph = indexGraph(designer || {});
+  const walker = new GraphWalker(graph);
+  const entry = findEntry(graph, walker);
+  const steps = walker.sequence(entry, new Set(), '/steps');
+  const unplaced = [...graph.nodes.keys()].filter(id => !walker.placed.has(id));
+  if (unplaced.length) throw graphError(`Nodes not reachable from the entry node ${entry}: ${unplaced.join(', ')}`, unplaced[0]);
+  return { steps, pointers: walker.placed };
+}
+
+// Schema errors of $defs/step list every step variant; keep those of the node's own type
+function nodeErrors(errors, steps, pointers) {
+  const nodeAt = new Map([...pointers].map(([id, pointer]) => [pointer, id]));
+  const stepAt = pointer => pointer.split('/').slice(1).reduce((value, key) => value?.[key], { steps });
+  const messages = errors.flatMap((error) => {
+    if (error.keyword === 'oneOf') return [];
+    const owner = [...nodeAt.keys()].filter(pointer => error.instancePath === pointer || error.instancePath.startsWith(`${pointer}/`)).sort((a, b) => b.length - a.length)[0];
+    if (!owner) return [`${error.instancePath || '/'} ${error.message}`];
+    const within = error.instancePath.slice(owner.length);
+    const variant = /^#\/oneOf\/(\d+)\//.exec(error.schemaPath);
+    if (variant && ['', '/type'].includes(within) && !VARIANTS[variant[1]](stepAt(owner).type)) return [];
+    return [`node ${nodeAt.get(owner)}${within ? ` (${within.slice(1).replace(/\//g, '.')})` : ''} ${error.message}`];
+  });
+  return [...new Set(messages)];
+}
+
+// Replaces the workflow's steps with those drawn in the designer graph and validates the result
+function graphToWorkflow(designer, workflow) {
+  const { steps, pointers } = graphToSteps(designer);
+  const compiled = { ...workflow, steps };
+  try {
+    validateWorkflow(compiled);
+  } catch (error) {
+    if (!error.errors) throw error;
+    throw Object.assign(new Error(`Designer graph is not a valid workflow: ${nodeErrors(error.errors, steps, pointers).join('; ')}`), { status: 400, errors: error.errors });
+  }
+  if (compiled.metadata?.mermaid) compiled.metadata = { ...compiled.metadata, mermaid: generateMermaid(compiled) };
+  return compiled;
+}
+
+// Node positions: a step sits above its blocks, which are laid out side by side
+function layout(steps, canvas) {
+  const positions = new Map();
+  const grid = canvas.gridSize || GRID_SIZE;
+  const snap = value => (canvas.snap === false ? value : Math.round(value / grid) * grid);
+  const placeBlock = (blockSteps, column, row) => {
+    let width = 1;
+    let height = 0;
+    for (const step of blockSteps) {
+      const size = placeStep(step, column, row + height);
+      width = Math.max(width, size.width);
+      height += size.height;
+    }
+    return { width, height };
+  };
+  const placeStep = (step, column, row) => {
+    let width = 0;
+    let height = 0;
+    for (const block of childBlocks(step)) {
+      const size = placeBlock(block.steps, column + width, row + 1);
+      width += size.width;
+      height = Math.max(height, size.height);
+    }
+    width = Math.max(width, 1);
+    positions.set(step.id, { x: snap((column + (width - 1) / 2) * COLUMN_WIDTH), y: snap(row * ROW_HEIGHT) });
+    return { width, height: height + 1 };
+  };
+  placeBlock(steps, 0, 0);
+  return positions;
+}
+
+// A designer graph of the workflow's steps, laid out top-down. `canvas` is ui.studio.canvas.
+function workflowToGraph(workflow, { canvas = {} } = {}) {
+  const nodes = [];
+  const edges = [];
+  const link = (from, port, to) => to && edges.push({ from, to, ...(port !== 'next' && { port }) });
+
+  // Each block is wired to `next`; the result says whether its flow reaches it
+  const block = (steps, next) => {
+    let falls = true;
+    steps.forEach((step, i) => {
+      falls = emit(step, i + 1 < steps.length ? steps[i + 1].id : next, i + 1 < steps.length);
+    });
+    return { first: steps[0]?.id ?? next, falls };
+  };
+
+  function emit(step, next, sibling) {
+    if (nodes.some(node => node.id === step.id)) throw graphError(`Step id ${step.id} is used more than once; designer nodes need unique ids`, step.id);
+    nodes.push({ id: step.id, type: step.type, config: configOf(step) });
+    const errorBlock = step.on_error?.body && block(step.on_error.body, next);
+    if (errorBlock) link(step.id, 'error', errorBlock.first);
+
+    if (LOOPS.includes(step.type)) {
+      link(step.id, 'body', block(step.body, step.id).first);
+      link(step.id, 'next', next);
+      return true;
+    }
+    if (step.type === 'return') {
+      // Only steps left after a return in the same block get an edge
+      if (sibling) link(step.id, 'next', next);
+      return false;
+    }
+    if (!BRANCHING.includes(step.type)) {
+      link(step.id, 'next', next);
+      return true;
+    }
+
+    const blocks = childBlocks(step).filter(({ path }) => path !== 'on_error/body').map(({ path, steps }) => {
+      const port = path.startsWith('branches/') ? 'branch' : path.split('/')[0];
+      const { first, falls } = block(steps, next);
+      link(step.id, port, first);
+      return falls;
+    });
+    // An if without else goes on to the next step
+    if (step.type === 'if' && !step.else) {
+      link(step.id, 'else', next);
+      blocks.push(true);
+    }
+    if (errorBlock) blocks.push(errorBlock.falls);
+    // The next step is found where the blocks meet, unless fewer than two of them get there
+    const meet = blocks.length >= 2 && blocks.every(Boolean);
+    if (!meet) link(step.id, 'next', next);
+    return !meet || blocks.some(Boolean);
+  }
+
+  block(workflow.steps, null);
+  const positions = layout(workflow.steps, canvas);
+  return { nodes: nodes.map(node => ({ id: node.id, type: node.type, ...positions.get(node.id), config: node.config })), edges };
+}
+
+module.exports = { graphToSteps, graphToWorkflow, workflowToGraph, PORTS, MAX_NODES, MAX_EDGES };
@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+const { parseDuration } = require('./retry');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const eventError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Name patterns: `*` matches any run of characters, so "order.*" matches "order.created"
+// and "order.item.added", and "*" matches every event
+const patternRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+const matches = (pattern, name) => patternRegExp(pattern).test(name);
+
+// Ids sort in publication order: milliseconds since the epoch, then a counter within the millisecond
+const idTime = (id) => Number(id.split('-')[0]);
+
+// In-process pub/sub for workflow `event` steps and externally published events. Recent events
+// are kept in memory for replay; with a store, every event is persisted and history reaches back
+// to the retention window. Subscribers are called in subscription order and cannot fail a publish.
+class EventBus extends EventEmitter {
+  constructor({ store = null, retention = process.env.WORKFLOW_EVENT_RETENTION || '30d', buffer = 1000 } = {}) {
+    super();
+    this.store = store;
+    this.retentionMs = parseDuration(retention);
+    this.bufferSize = buffer;
+    this.recent = [];
+    this.subscriptions = new Set();
+    this.last = { time: 0, counter: 0 };
+    this.nextPrune = 0;
+  }
+
+  nextId(now) {
+    this.last = now > this.last.time ? { time: now, counter: 0 } : { time: this.last.time, counter: this.last.counter + 1 };
+    return `${String(this.last.time).padStart(13, '0')}-${String(this.last.counter).padStart(6, '0')}`;
+  }
+
+  // Returns the published event with its id and publication timestamp. `claims` are the
+  // publisher's, passed to subscribers but never stored with the event.
+  publish({ name, params = {}, ...rest }, { claims = null } = {}) {
+    if (typeof name !== 'string' || !name) throw eventError('Events need a name');
+    if (!params || typeof params !== 'object' || Array.isArray(params)) throw eventError('Event params must be an object');
+    const now = Date.now();
+    const event = { ...rest, id: this.nextId(now), name, params, timestamp: new Date(now).toISOString() };
+
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) this.recent.splice(0, this.recent.length - this.bufferSize);
+    if (this.store) this.store.append(event).catch(error => logger.error(`Event persistence failed: ${event.name} (${event.id}) - ${error.message}`));
+    if (now >= this.nextPrune) {
+      this.nextPrune = now + PRUNE_INTERVAL_MS;
+      this.prune(now).catch(error => logger.error(`Event retention pruning failed: ${error.message}`));
+    }
+
+    this.emit('event', event);
+    for (const subscription of [...this.subscriptions]) {
+      if (!matches(subscription.pattern, name)) continue;
+      Promise.resolve()
+        .then(() => subscription.listener(event, { claims }))
+        .catch(error => logger.error(`Event subscriber failed: ${subscription.pattern} on ${event.name} (${event.id}) - ${error.message}`));
+    }
+    return event;
+  }
+
+  // Returns the unsubscribe function
+  subscribe(pattern, listener) {
+    const subscription = { pattern, listener };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  // Events matching `name` (a pattern), oldest first: those published after the event id `after`,
+  // or otherwise the latest `limit`
+  async history({ name = '*', after, limit = 100 } = {}) {
+    const since = after && new Date(idTime(after)).toISOString();
+    const events = (this.store ? await this.store.list({ since }) : this.recent)
+      .filter(event => (!after || event.id > after) && matches(name, event.name));
+    return after ? events.slice(0, limit) : events.slice(-limit);
+  }
+
+  async prune(now = Date.now()) {
+    const cutoff = new Date(now - this.retentionMs).toISOString();
+    this.recent = this.recent.filter(event => event.timestamp >= cutoff);
+    return this.store ? this.store.prune(cutoff) : 0;
+  }
+}
+
+module.exports = { EventBus, matches };
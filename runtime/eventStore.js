@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_FILE = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Published events as JSON lines, one file per UTC day, so retention drops whole files.
+// Appends are written in call order.
+class FileEventStore {
+  constructor({ dir = process.env.WORKFLOW_EVENT_DIR || path.resolve(__dirname, '../data/events') } = {}) {
+    this.dir = dir;
+    this.writes = Promise.resolve();
+  }
+
+  file(day) {
+    return path.join(this.dir, `events-${day}.jsonl`);
+  }
+
+  append(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    const write = this.writes.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.appendFile(this.file(event.timestamp.slice(0, 10)), line);
+    });
+    this.writes = write;
+    return write;
+  }
+
+  async days() {
+    if (!fs.existsSync(this.dir)) return [];
+    return (await fs.promises.readdir(this.dir)).map(name => DAY_FILE.exec(name)?.[1]).filter(Boolean).sort();
+  }
+
+  // Events published at or after `since` (an ISO timestamp), oldest first
+  async list({ since } = {}) {
+    await this.writes.catch(() => {});
+    const events = [];
+    for (const day of await this.days()) {
+      if (since && day < since.slice(0, 10)) continue;
+      const lines = (await fs.promises.readFile(this.file(day), 'utf-8')).split('\n').filter(Boolean);
+      for (const line of lines) {
+        const event = JSON.parse(line);
+        if (!since || event.timestamp >= since) events.push(event);
+      }
+    }
+    return events;
+  }
+
+  // Removes the day files that end before `cutoff`
+  async prune(cutoff) {
+    await this.writes.catch(() => {});
+    const removed = (await this.days()).filter(day => day < cutoff.slice(0, 10));
+    await Promise.all(removed.map(day => fs.promises.rm(this.file(day), { force: true })));
+    return removed.length;
+  }
+}
+
+module.exports = FileEventStore;
@@ -0,0 +1,69 @@
+const logger = require('../config/logger');
+const { evaluate, isExpr, escapePointer } = require('./expressions');
+
+const MAX_DEPTH = parseInt(process.env.WORKFLOW_TRIGGER_MAX_DEPTH, 10) || 8;
+
+// Starts saved workflows when events matching their `triggers` are published. Trigger
+// expressions see the event as `event` ({ get: "event.params.order_id" }); literal inputs pass
+// as they are, and without `inputs` the event params are the inputs. Triggered runs are queued
+// with the claims of whoever published the event, so a trigger never grants its workflow's
+// access to another user; events published without claims start nothing. A chain of runs
+// triggering each other stops at WORKFLOW_TRIGGER_MAX_DEPTH.
+class EventTriggers {
+  constructor({ bus, scheduler, maxDepth = MAX_DEPTH }) {
+    this.bus = bus;
+    this.scheduler = scheduler;
+    this.maxDepth = maxDepth;
+    this.registrations = new Map();
+    // Trigger depth of the runs started here, by run id, while they run
+    this.depths = new Map();
+    scheduler.on('finished', job => this.depths.delete(job.id));
+  }
+
+  // Replaces the workflow's previous triggers with those of this version
+  register(workflow) {
+    this.unregister(workflow.function);
+    const triggers = workflow.triggers || [];
+    const unsubscribe = triggers.map((trigger, index) => this.bus.subscribe(trigger.event, (event, { claims }) => this.fire(workflow, claims, trigger, index, event)));
+    if (unsubscribe.length) this.registrations.set(workflow.function, { version: workflow.metadata.version, triggers, unsubscribe });
+  }
+
+  unregister(name) {
+    const registration = this.registrations.get(name);
+    if (!registration) return;
+    registration.unsubscribe.forEach(fn => fn());
+    this.registrations.delete(name);
+  }
+
+  describe() {
+    return [...this.registrations].map(([workflow, { version, triggers }]) => ({ workflow, version, triggers }));
+  }
+
+  fire(workflow, claims, trigger, index, event) {
+    const depth = (this.depths.get(event.rootRunId || event.runId) || 0) + 1;
+    if (depth > this.maxDepth) {
+      logger.warn(`Workflow trigger skipped: ${workflow.function} on ${event.name} (${event.id}) exceeds trigger depth ${this.maxDepth}`);
+      return null;
+    }
+    if (!claims) {
+      logger.warn(`Workflow trigger skipped: ${workflow.function} on ${event.name} (${event.id}) has no publisher claims`);
+      return null;
+    }
+    const scope = { event };
+    const pointer = `/triggers/${index}`;
+    if (trigger.condition && !evaluate(trigger.condition, scope, `${pointer}/condition`)) return null;
+    let inputs = event.params;
+    if (trigger.inputs) {
+      inputs = {};
+      for (const [name, value] of Object.entries(trigger.inputs)) {
+        inputs[name] = isExpr(value) ? evaluate(value, scope, `${pointer}/inputs/${escapePointer(name)}`) : value;
+      }
+    }
+    const job = this.scheduler.submit(workflow, { inputs, claims });
+    this.depths.set(job.id, depth);
+    logger.info(`Workflow triggered: ${workflow.function} (${job.id}) by ${event.name} (${event.id})`);
+    return job;
+  }
+}
+
+module.exports = EventTriggers;
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { sha3_256, keccak_256 } = require('@noble/hashes/sha3');
+const { blake2b } = require('@noble/hashes/blake2b');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+
+// Evaluator for the `$defs/expr` mini-language of jsonflow-workflow.schema.json.
+// Evaluation never mutates the scope or the expression; every error carries the
+// JSON pointer of the node that failed.
+
+const OPERATORS = ['get', 'value', 'add', 'subtract', 'multiply', 'divide', 'compare', 'not', 'and', 'or', 'concat', 'hash', 'regex', 'map', 'filter'];
+// In the schema but not evaluated here: classifying needs an AI model, and evaluation is synchronous.
+// They are still recognised, so a valueOrExpr operand using one is rejected rather than taken as a literal.
+const UNSUPPORTED_OPERATORS = {
+  nlp_intent: 'classify the input with an ai_nlp_process step (task "intent_classification") and read its target'
+};
+const COMPARISON_OPERATORS = ['<', '>', '===', '<=', '>=', '!=='];
+
+// All digests are 32 bytes, hex encoded without a 0x prefix
+const HASHES = {
+  sha256: input => crypto.createHash('sha256').update(input, 'utf8').digest('hex'),
+  sha3: input => bytesToHex(sha3_256(utf8ToBytes(input))),
+  keccak256: input => bytesToHex(keccak_256(utf8ToBytes(input))),
+  blake2b: input => bytesToHex(blake2b(utf8ToBytes(input), { dkLen: 32 }))
+};
+
+// `regex` runs on the main thread, so patterns that can backtrack catastrophically are refused
+// up front: backreferences, and repeated groups that themselves repeat or alternate (`(a+)+`, `(a|a)*`)
+const MAX_REGEX_PATTERN_LENGTH = 256;
+const MAX_REGEX_INPUT_LENGTH = 10000;
+
+const unsafeRegex = (source) => {
+  const groups = [];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      if (/[1-9k]/.test(source[i + 1])) return 'backreferences are not allowed';
+      i++;
+    } else if (c === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')') {
+      const varies = groups.pop();
+      const repeated = /^(?:[*+]|\{\d)/.test(source.slice(i + 1));
+      if (varies && repeated) return 'repeated groups cannot contain quantifiers or alternation';
+      if (groups.length && (varies || repeated)) groups[groups.length - 1] = true;
+    } else if ((c === '|' || c === '*' || c === '+' || (c === '{' && /^\d/.test(source[i + 1]))) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+};
+
+const escapePointer = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const expressionError = (pointer, message) =>
+  Object.assign(new Error(`${message} at ${pointer || '/'}`), { status: 422, pointer });
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const isExpr = (node) => node !== null && typeof node === 'object' && !Array.isArray(node) &&
+  Object.keys(node).length === 1 && (OPERATORS.includes(Object.keys(node)[0]) || Object.hasOwn(UNSUPPORTED_OPERATORS, Object.keys(node)[0]));
+
+const hasPath = (scope, path) => {
+  let obj = scope;
+  for (const key of path.split('.')) {
+    if (obj === null || typeof obj !== 'object' || !Object.prototype.hasOwnProperty.call(obj, key)) return false;
+    obj = obj[key];
+  }
+  return true;
+};
+
+const getPath = (scope, path) => path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), scope);
+
+// Segments that would reach Object.prototype through a plain object
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const setPath = (scope, path, value) => {
+  const keys = path.split('.');
+  const unsafe = keys.find(key => UNSAFE_KEYS.includes(key));
+  if (unsafe) throw Object.assign(new Error(`Invalid path "${path}": "${unsafe}" cannot be assigned`), { status: 400 });
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (!Object.hasOwn(obj, key) || obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, scope);
+  parent[last] = value;
+  return scope;
+};
+
+const expectType = (value, types, pointer, what) => {
+  const actual = typeOf(value);
+  if (actual === 'number' && !Number.isFinite(value)) throw expressionError(pointer, `${what} must be a finite number`);
+  if (!types.includes(actual)) throw expressionError(pointer, `${what} must be ${types.join(' or ')}, got ${actual}`);
+  return value;
+};
+
+// valueOrExpr operands are literals unless they are a single-operator expression object
+const operand = (node, scope, pointer) => (isExpr(node) ? evaluate(node, scope, pointer) : node);
+
+const operands = (args, scope, pointer, op) => {
+  if (!Array.isArray(args) || args.length < 2) throw expressionError(pointer, `${op} requires an array of at least two operands`);
+  return args.map((arg, i) => operand(arg, scope, `${pointer}/${i}`));
+};
+
+const arithmetic = (args, scope, pointer, op, fn) => {
+  const values = operands(args, scope, pointer, op);
+  values.forEach((v, i) => expectType(v, ['number'], `${pointer}/${i}`, `${op} operand`));
+  return values.reduce((acc, v, i) => fn(acc, v, `${pointer}/${i}`));
+};
+
+const collection = (expr, scope, pointer, op) => {
+  const items = evaluate(expr, scope, `${pointer}/collection`);
+  return expectType(items, ['array'], `${pointer}/collection`, `${op} collection`);
+};
+
+// map/filter bodies see the current element as `item` and its position as `index`
+const itemScope = (scope, item, index) => ({ ...scope, item, index });
+
+function evaluate(expr, scope = {}, pointer = '') {
+  if (!isExpr(expr)) {
+    throw expressionError(pointer, `Invalid expression: expected an object with exactly one of ${OPERATORS.join(', ')}`);
+  }
+  const [op] = Object.keys(expr);
+  const arg = expr[op];
+  const at = `${pointer}/${op}`;
+
+  switch (op) {
+    case 'get': {
+      expectType(arg, ['string'], at, 'get path');
+      if (!/^[a-zA-Z0-9_.]+$/.test(arg)) throw expressionError(at, `Invalid get path "${arg}"`);
+      if (!hasPath(scope, arg)) throw expressionError(at, `Unresolved path "${arg}"`);
+      return getPath(scope, arg);
+    }
+    case 'value':
+      return arg !== null && typeof arg === 'object' ? structuredClone(arg) : arg;
+    case 'add':
+      return arithmetic(arg, scope, at, op, (a, b) => a + b);
+    case 'subtract':
+      return arithmetic(arg, scope, at, op, (a, b) => a - b);
+    case 'multiply':
+      return arithmetic(arg, scope, at, op, (a, b) => a * b);
+    case 'divide':
+      return arithmetic(arg, scope, at, op, (a, b, p) => {
+        if (b === 0) throw expressionError(p, 'Division by zero');
+        return a / b;
+      });
+    case 'compare': {
+      expectType(arg, ['object'], at, 'compare');
+      if (!COMPARISON_OPERATORS.includes(arg.op)) throw expressionError(`${at}/op`, `Unknown comparison operator "${arg.op}"`);
+      const left = operand(arg.left, scope, `${at}/left`);
+      const right = operand(arg.right, scope, `${at}/right`);
+      if (arg.op === '===') return left === right;
+      if (arg.op === '!==') return left !== right;
+      expectType(left, ['number', 'string'], `${at}/left`, `${arg.op} operand`);
+      expectType(right, [typeOf(left)], `${at}/right`, `${arg.op} operand`);
+      switch (arg.op) {
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        default: return left >= right;
+      }
+    }
+    case 'not':
+      return !expectType(evaluate(arg, scope, at), ['boolean'], at, 'not operand');
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(arg) || arg.length < 2) throw expressionError(at, `${op} requires an array of at least two expressions`);
+      for (let i = 0; i < arg.length; i++) {
+        const value = expectType(evaluate(arg[i], scope, `${at}/${i}`), ['boolean'], `${at}/${i}`, `${op} operand`);
+        if (op === 'and' && !value) return false;
+        if (op === 'or' && value) return true;
+      }
+      return op === 'and';
+    }
+    case 'concat': {
+      const values = operands(arg, scope, at, op);
+      values.forEach((v, i) => expectType(v, ['string', 'number'], `${at}/${i}`, 'concat operand'));
+      return values.join('');
+    }
+    case 'hash': {
+      expectType(arg, ['object'], at, 'hash');
+      const fn = HASHES[arg.algorithm];
+      if (!fn) throw expressionError(`${at}/algorithm`, `Unsupported hash algorithm "${arg.algorithm}"`);
+      return fn(expectType(operand(arg.input, scope, `${at}/input`), ['string'], `${at}/input`, 'hash input'));
+    }
+    case 'regex': {
+      expectType(arg, ['object'], at, 'regex');
+      const source = expectType(arg.pattern, ['string'], `${at}/pattern`, 'regex pattern');
+      if (source.length > MAX_REGEX_PATTERN_LENGTH) throw expressionError(`${at}/pattern`, `Regex pattern longer than ${MAX_REGEX_PATTERN_LENGTH} characters`);
+      const unsafe = unsafeRegex(source);
+      if (unsafe) throw expressionError(`${at}/pattern`, `Unsafe regex pattern: ${unsafe}`);
+      let pattern;
+      try {
+        pattern = new RegExp(source);
+      } catch (error) {
+        throw expressionError(`${at}/pattern`, `Invalid regex pattern: ${error.message}`);
+      }
+      const input = expectType(operand(arg.input, scope, `${at}/input`), ['string'], `${at}/input`, 'regex input');
+      if (input.length > MAX_REGEX_INPUT_LENGTH) throw expressionError(`${at}/input`, `Regex input longer than ${MAX_REGEX_INPUT_LENGTH} characters`);
+      return pattern.test(input);
+    }
+    case 'map':
+      return collection(arg.collection, scope, at, op)
+        .map((item, index) => evaluate(arg.operation, itemScope(scope, item, index), `${at}/operation`));
+    case 'filter':
+      return collection(arg.collection, scope, at, op).filter((item, index) =>
+        expectType(evaluate(arg.condition, itemScope(scope, item, index), `${at}/condition`), ['boolean'], `${at}/condition`, 'filter condition'));
+    default:
+      throw expressionError(at, `Unsupported expression operator "${op}"${UNSUPPORTED_OPERATORS[op] ? `: ${UNSUPPORTED_OPERATORS[op]}` : ''}`);
+  }
+}
+
+module.exports = { evaluate, isExpr, hasPath, getPath, setPath, escapePointer, HASHES };
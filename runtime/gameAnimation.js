@@ -0,0 +1,161 @@
+const { getPath, setPath } = require('./expressions');
+
+// Animation for game_animation steps. Property paths are dot paths into the target object
+// ("position", "position.1", "material.opacity"); numbers and numeric arrays interpolate,
+// other values hold until the next keyframe.
+const MAX_FRAMES = 10000;
+
+const animationError = (message) => Object.assign(new Error(message), { status: 422 });
+
+const EASINGS = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  ease_in: t => t * t,
+  ease_out: t => t * (2 - t),
+  ease_in_out: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t)
+};
+
+const WAVES = {
+  sine: x => Math.sin(2 * Math.PI * x),
+  square: x => (x - Math.floor(x) < 0.5 ? 1 : -1),
+  triangle: x => 1 - 4 * Math.abs(x - Math.floor(x + 0.5)),
+  sawtooth: x => 2 * (x - Math.floor(x + 0.5)),
+  linear: x => x
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isNumeric = (value) => Number.isFinite(value) || (Array.isArray(value) && value.length > 0 && value.every(Number.isFinite));
+
+// Shortest-arc spherical interpolation of [x, y, z, w] quaternions
+function slerp(a, b, t) {
+  let cos = a.reduce((sum, v, i) => sum + v * b[i], 0);
+  const end = cos < 0 ? b.map(v => -v) : b;
+  cos = Math.abs(cos);
+  if (cos > 0.9995) {
+    const mixed = a.map((v, i) => v + (end[i] - v) * t);
+    const norm = Math.hypot(...mixed);
+    return mixed.map(v => v / norm);
+  }
+  const theta = Math.acos(cos);
+  const [wa, wb] = [Math.sin((1 - t) * theta) / Math.sin(theta), Math.sin(t * theta) / Math.sin(theta)];
+  return a.map((v, i) => v * wa + end[i] * wb);
+}
+
+function interpolate(path, from, to, t) {
+  if (!isNumeric(from) || !isNumeric(to) || Array.isArray(from) !== Array.isArray(to) || (Array.isArray(from) && from.length !== to.length)) {
+    return t < 1 ? from : to;
+  }
+  if (!Array.isArray(from)) return from + (to - from) * t;
+  if (/quaternion$/i.test(path) && from.length === 4) return slerp(from, to, t);
+  return from.map((v, i) => v + (to[i] - v) * t);
+}
+
+// Keyframes are { time, values: { path: value } }; each path interpolates between the
+// keyframes that set it, and holds its first/last value outside them
+function sampleKeyframes(keyframes, time, easing) {
+  const values = {};
+  const paths = new Set(keyframes.flatMap(frame => Object.keys(frame.values)));
+  for (const path of paths) {
+    const frames = keyframes.filter(frame => path in frame.values);
+    const next = frames.findIndex(frame => frame.time > time);
+    if (next === 0) values[path] = frames[0].values[path];
+    else if (next === -1) values[path] = frames[frames.length - 1].values[path];
+    else {
+      const [a, b] = [frames[next - 1], frames[next]];
+      values[path] = interpolate(path, a.values[path], b.values[path], easing((time - a.time) / (b.time - a.time)));
+    }
+  }
+  return values;
+}
+
+const KINDS = {
+  // parameters: { keyframes: [{ time, values }], easing?, loop? }
+  keyframe(object, { keyframes, easing = 'linear', loop = false }, duration) {
+    if (!Array.isArray(keyframes) || !keyframes.length) throw animationError('keyframe animation needs parameters.keyframes');
+    if (!EASINGS[easing]) throw animationError(`Unknown easing: ${easing}; use one of ${Object.keys(EASINGS).join(', ')}`);
+    keyframes.forEach((frame, i) => {
+      if (!Number.isFinite(frame?.time) || frame.time < 0 || !frame.values || typeof frame.values !== 'object') {
+        throw animationError(`Keyframe ${i} needs a non-negative time and a values object`);
+      }
+    });
+    const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+    const length = duration ?? sorted[sorted.length - 1].time;
+    const cycle = sorted[sorted.length - 1].time;
+    return {
+      duration: length,
+      at: time => sampleKeyframes(sorted, loop && cycle > 0 && time > cycle ? time % cycle : time, EASINGS[easing])
+    };
+  },
+
+  // parameters: { channels: { path: { wave, amplitude?, frequency?, phase?, offset? } } }; the
+  // offset defaults to the property's current value
+  procedural(object, { channels }, duration) {
+    if (!channels || typeof channels !== 'object' || !Object.keys(channels).length) throw animationError('procedural animation needs parameters.channels');
+    const specs = Object.entries(channels).map(([path, { wave = 'sine', amplitude = 1, frequency = 1, phase = 0, offset }]) => {
+      if (!WAVES[wave]) throw animationError(`Unknown wave for ${path}: ${wave}; use one of ${Object.keys(WAVES).join(', ')}`);
+      const base = offset ?? getPath(object, path) ?? 0;
+      if (!Number.isFinite(base)) throw animationError(`Channel ${path} must animate a number`);
+      return { path, wave: WAVES[wave], amplitude, frequency, phase, base };
+    });
+    return {
+      duration: duration ?? 1,
+      at: time => Object.fromEntries(specs.map(s => [s.path, s.base + s.amplitude * s.wave(s.frequency * time + s.phase)]))
+    };
+  },
+
+  // Planar forward kinematics. parameters: { origin?, bones: [{ name, parent?, length, rotation?,
+  // keyframes?: [{ time, rotation }] }] } with rotations in radians relative to the parent bone;
+  // writes `skeleton.<bone>` = { start, end, angle }
+  skeletal(object, { bones, origin = [0, 0], easing = 'linear' }, duration) {
+    if (!Array.isArray(bones) || !bones.length) throw animationError('skeletal animation needs parameters.bones');
+    if (!EASINGS[easing]) throw animationError(`Unknown easing: ${easing}`);
+    const byName = new Map();
+    for (const bone of bones) {
+      if (typeof bone?.name !== 'string' || !Number.isFinite(bone.length)) throw animationError('Each bone needs a name and a numeric length');
+      if (bone.parent !== undefined && !byName.has(bone.parent)) throw animationError(`Bone ${bone.name} must come after its parent ${bone.parent}`);
+      byName.set(bone.name, bone);
+    }
+    const last = Math.max(0, ...bones.flatMap(bone => (bone.keyframes || []).map(frame => frame.time)));
+    return {
+      duration: duration ?? last,
+      at(time) {
+        const joints = new Map();
+        const values = {};
+        for (const bone of bones) {
+          const frames = (bone.keyframes || []).map(frame => ({ time: frame.time, values: { rotation: frame.rotation } }));
+          const local = frames.length ? sampleKeyframes(frames, time, EASINGS[easing]).rotation : bone.rotation ?? 0;
+          const parent = bone.parent === undefined ? { end: origin, angle: 0 } : joints.get(bone.parent);
+          const angle = parent.angle + local;
+          const end = [parent.end[0] + bone.length * Math.cos(angle), parent.end[1] + bone.length * Math.sin(angle)];
+          joints.set(bone.name, { end, angle });
+          values[`skeleton.${bone.name}`] = { start: parent.end, end, angle };
+        }
+        return values;
+      }
+    };
+  }
+};
+
+const apply = (object, values) => {
+  const result = clone(object);
+  for (const [path, value] of Object.entries(values)) setPath(result, path, value);
+  return result;
+};
+
+// Returns the object posed at parameters.time (default: the end) and the frames sampled at
+// parameters.fps (default 30) over the duration
+function animate(object, { type, parameters = {}, duration }) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) throw animationError('game_animation target_object must be an object');
+  if (!KINDS[type]) throw animationError(`Unsupported animation type: ${type}`);
+  const { at, duration: length } = KINDS[type](object, parameters, duration);
+  const fps = parameters.fps ?? 30;
+  if (!(fps > 0)) throw animationError('parameters.fps must be positive');
+  const count = Math.floor(length * fps + 1e-9) + 1;
+  if (count > MAX_FRAMES) throw animationError(`Animation would produce ${count} frames; the limit is ${MAX_FRAMES}`);
+  const frames = Array.from({ length: count }, (_, i) => ({ time: Number((i / fps).toFixed(6)), values: at(i / fps) }));
+  const time = parameters.time ?? length;
+  return { duration: length, time, object: apply(object, at(time)), frames };
+}
+
+module.exports = { animate, EASINGS };
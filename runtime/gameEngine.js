@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { canonicalize } = require('./canonicalJson');
+const { diff } = require('./jsonDiff');
+const { simulate } = require('./gamePhysics');
+const { animate } = require('./gameAnimation');
+
+// The headless "custom" engine behind the game steps. Input queues, held inputs and sync
+// sessions live per run and are released when the run ends.
+const gameError = (message, status = 422) => Object.assign(new Error(message), { status });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const checksum = (value) => crypto.createHash('sha256').update(canonicalize(value ?? null)).digest('hex').slice(0, 16);
+
+const unescapePointer = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+// Applies jsonDiff-style add/remove/replace operations to a document
+function applyOps(document, ops) {
+  let root = document;
+  for (const { op, path, value } of ops) {
+    if (!['add', 'remove', 'replace'].includes(op) || typeof path !== 'string') throw gameError(`Invalid sync operation: ${JSON.stringify({ op, path })}`);
+    if (path === '') {
+      root = op === 'remove' ? null : clone(value);
+      continue;
+    }
+    const keys = path.split('/').slice(1).map(unescapePointer);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (node === null || typeof node !== 'object') throw gameError(`Sync path not found: ${path}`);
+      if (node[key] === undefined) node[key] = {};
+      return node[key];
+    }, root);
+    if (parent === null || typeof parent !== 'object') throw gameError(`Sync path not found: ${path}`);
+    if (op === 'remove') {
+      if (Array.isArray(parent)) parent.splice(Number(last), 1);
+      else delete parent[last];
+    } else if (Array.isArray(parent) && op === 'add') {
+      parent.splice(last === '-' ? parent.length : Number(last), 0, clone(value));
+    } else {
+      parent[last] = clone(value);
+    }
+  }
+  return root;
+}
+
+// Deterministic lockstep between in-process peers: every tick each peer's replica applies the
+// same payload, and with event sync the same operations from every peer in peer-id order
+class LockstepSession {
+  constructor(peers) {
+    this.peers = [...peers].sort();
+    this.tick = 0;
+    this.authority = {};
+    this.replicas = new Map(this.peers.map(peer => [peer, {}]));
+    this.queued = new Map(this.peers.map(peer => [peer, []]));
+  }
+
+  advance(syncType, state) {
+    let payload;
+    if (syncType === 'state') {
+      payload = [{ op: 'replace', path: '', value: state }];
+    } else if (syncType === 'delta') {
+      payload = this.tick === 0 ? [{ op: 'replace', path: '', value: state }] : diff(this.authority, state).map(({ op, path, value }) => ({ op, path, value }));
+    } else {
+      if (!Array.isArray(state)) throw gameError('Event sync state must be an array of add/remove/replace operations');
+      payload = [...state];
+      for (const peer of this.peers) payload.push(...this.queued.get(peer).splice(0));
+    }
+    this.authority = applyOps(clone(this.authority), payload);
+    for (const peer of this.peers) this.replicas.set(peer, applyOps(clone(this.replicas.get(peer)), payload));
+    this.tick++;
+
+    const expected = checksum(this.authority);
+    const peers = Object.fromEntries(this.peers.map(peer => [peer, checksum(this.replicas.get(peer))]));
+    const desynced = this.peers.filter(peer => peers[peer] !== expected);
+    return {
+      tick: this.tick,
+      state: clone(this.authority),
+      checksum: expected,
+      peers,
+      inSync: desynced.length === 0,
+      ...(desynced.length && { desynced }),
+      operations: payload.length,
+      bytes: Buffer.byteLength(JSON.stringify(payload))
+    };
+  }
+}
+
+class GameEngine {
+  constructor() {
+    this.runs = new Map();
+  }
+
+  runState(runId) {
+    if (!this.runs.has(runId)) this.runs.set(runId, { input: [], held: new Map(), actions: new Map(), sessions: new Map() });
+    return this.runs.get(runId);
+  }
+
+  release(runId) {
+    this.runs.delete(runId);
+  }
+
+  // The custom engine serves workflows that list no engines or list "custom"
+  checkEngine(workflow) {
+    const engines = workflow.metadata?.game_engines;
+    if (engines && !engines.includes('custom')) {
+      throw gameError(`This runtime provides the custom game engine only; the workflow targets ${engines.join(', ')}`);
+    }
+  }
+
+  physics(objects, simulation) {
+    if (simulation.type !== 'rigid_body') throw gameError(`Unsupported simulation type: ${simulation.type}; the custom engine simulates rigid_body`);
+    return simulate(objects, simulation);
+  }
+
+  animate(object, animation) {
+    return animate(object, animation);
+  }
+
+  // Events are { input, value, device? }: value true/false for buttons and keys, a number for axes
+  pushInput(runId, events) {
+    if (!Array.isArray(events)) throw gameError('Input events must be an array');
+    for (const event of events) {
+      if (typeof event?.input !== 'string' || !(typeof event.value === 'boolean' || Number.isFinite(event.value))) {
+        throw gameError('Each input event needs an input name and a boolean or numeric value');
+      }
+    }
+    const { input } = this.runState(runId);
+    input.push(...events);
+    return { runId, queued: input.length };
+  }
+
+  // Consumes the queued events for this device type and maps the held inputs to actions.
+  // Several inputs bound to one action combine: any pressed button, or the largest axis value.
+  mapInput(runId, inputType, bindings) {
+    const state = this.runState(runId);
+    const held = state.held.get(inputType) || new Map();
+    const events = state.input.filter(event => !event.device || event.device === inputType);
+    state.input = state.input.filter(event => event.device && event.device !== inputType);
+    for (const event of events) held.set(event.input, event.value);
+    state.held.set(inputType, held);
+
+    const actions = {};
+    for (const [input, action] of Object.entries(bindings)) {
+      const value = held.get(input) ?? false;
+      const current = actions[action] ?? false;
+      if (typeof value === 'number' || typeof current === 'number') {
+        const [a, b] = [Number(value), Number(current)];
+        actions[action] = Math.abs(a) >= Math.abs(b) ? a : b;
+      } else {
+        actions[action] = current || value;
+      }
+    }
+    const previous = state.actions.get(inputType) || {};
+    state.actions.set(inputType, actions);
+    const active = (value) => value === true || (typeof value === 'number' && value !== 0);
+    return {
+      actions,
+      pressed: Object.keys(actions).filter(action => active(actions[action]) && !active(previous[action])),
+      released: Object.keys(actions).filter(action => !active(actions[action]) && active(previous[action])),
+      events: events.length
+    };
+  }
+
+  // Operations a peer contributes to the next event-sync tick of the run's session with it
+  pushPeerEvents(runId, peer, events) {
+    if (!Array.isArray(events)) throw gameError('Peer events must be an array of add/remove/replace operations');
+    const sessions = [...this.runState(runId).sessions.values()].filter(session => session.peers.includes(peer));
+    if (!sessions.length) throw gameError(`No sync session with peer ${peer} in run ${runId}`, 404);
+    for (const session of sessions) session.queued.get(peer).push(...events);
+    return { runId, peer, queued: sessions.map(session => session.queued.get(peer).length) };
+  }
+
+  sync(runId, { state, syncType, peers }) {
+    const { sessions } = this.runState(runId);
+    const key = [...new Set(peers)].sort().join('\u0000');
+    if (!sessions.has(key)) sessions.set(key, new LockstepSession(new Set(peers)));
+    return sessions.get(key).advance(syncType, state);
+  }
+}
+
+module.exports = { GameEngine, LockstepSession, applyOps };
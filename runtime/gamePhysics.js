@@ -0,0 +1,172 @@
+// Fixed-timestep rigid-body simulation for game_physics steps: semi-implicit Euler integration,
+// sweep-and-prune broadphase, sphere/box (axis-aligned, non-rotating) contacts resolved with
+// impulses. Works in 2D or 3D depending on the length of the position vectors.
+const MAX_OBJECTS = 1000;
+const MAX_STEPS = 100000;
+const SOLVER_ITERATIONS = 4;
+const CORRECTION_PERCENT = 0.8;
+const CORRECTION_SLOP = 0.001;
+
+const physicsError = (message) => Object.assign(new Error(message), { status: 422 });
+
+const vector = (value, dim, what) => {
+  if (value === undefined) return new Array(dim).fill(0);
+  if (!Array.isArray(value) || value.length !== dim || !value.every(Number.isFinite)) throw physicsError(`${what} must be ${dim} finite numbers`);
+  return [...value];
+};
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+function createBody(object, dim, index) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) throw physicsError(`Object ${index} must be an object`);
+  const id = object.id ?? String(index);
+  const shape = object.shape ?? 'sphere';
+  if (!['sphere', 'box'].includes(shape)) throw physicsError(`Object ${id}: shape must be sphere or box`);
+  const mass = object.static ? 0 : object.mass ?? 1;
+  if (!Number.isFinite(mass) || mass < 0) throw physicsError(`Object ${id}: mass must be a non-negative number`);
+  const radius = object.radius ?? 0.5;
+  const half = shape === 'box' ? vector(object.size ?? new Array(dim).fill(1), dim, `Object ${id} size`).map(s => s / 2) : null;
+  if (shape === 'sphere' && !(radius > 0)) throw physicsError(`Object ${id}: radius must be positive`);
+  if (half && !half.every(h => h > 0)) throw physicsError(`Object ${id}: size must be positive`);
+  return {
+    source: object,
+    id: String(id),
+    shape,
+    position: vector(object.position, dim, `Object ${id} position`),
+    velocity: vector(object.velocity, dim, `Object ${id} velocity`),
+    force: vector(object.force, dim, `Object ${id} force`),
+    invMass: mass === 0 ? 0 : 1 / mass,
+    restitution: object.restitution ?? 0.5,
+    radius,
+    half
+  };
+}
+
+const extents = (body) => (body.shape === 'sphere' ? body.position.map(() => body.radius) : body.half);
+
+// Contact from a to b: normal points from a towards b
+function collide(a, b) {
+  const dim = a.position.length;
+  const delta = b.position.map((v, i) => v - a.position[i]);
+  if (a.shape === 'sphere' && b.shape === 'sphere') {
+    const distance = Math.sqrt(dot(delta, delta));
+    const depth = a.radius + b.radius - distance;
+    if (depth <= 0) return null;
+    return { normal: distance > 0 ? delta.map(v => v / distance) : [1, ...new Array(dim - 1).fill(0)], depth };
+  }
+  if (a.shape === 'box' && b.shape === 'box') {
+    let best = null;
+    for (let i = 0; i < dim; i++) {
+      const overlap = a.half[i] + b.half[i] - Math.abs(delta[i]);
+      if (overlap <= 0) return null;
+      if (!best || overlap < best.depth) best = { axis: i, depth: overlap };
+    }
+    const normal = new Array(dim).fill(0);
+    normal[best.axis] = delta[best.axis] < 0 ? -1 : 1;
+    return { normal, depth: best.depth };
+  }
+  // Sphere against box: solve as box -> sphere and flip when the sphere is `a`
+  const [box, sphere, flip] = a.shape === 'box' ? [a, b, 1] : [b, a, -1];
+  const local = sphere.position.map((v, i) => v - box.position[i]);
+  const closest = local.map((v, i) => Math.max(-box.half[i], Math.min(box.half[i], v)));
+  const offset = local.map((v, i) => v - closest[i]);
+  const distance = Math.sqrt(dot(offset, offset));
+  let normal;
+  let depth;
+  if (distance > 0) {
+    if (distance >= sphere.radius) return null;
+    normal = offset.map(v => v / distance);
+    depth = sphere.radius - distance;
+  } else {
+    // Centre inside the box: push out along the axis of least penetration
+    let axis = 0;
+    let least = Infinity;
+    local.forEach((v, i) => {
+      const gap = box.half[i] - Math.abs(v);
+      if (gap < least) [axis, least] = [i, gap];
+    });
+    normal = new Array(dim).fill(0);
+    normal[axis] = local[axis] < 0 ? -1 : 1;
+    depth = least + sphere.radius;
+  }
+  return { normal: normal.map(v => v * flip), depth };
+}
+
+// Pairs whose bounding boxes overlap, found by sorting along the first axis
+function broadphase(bodies) {
+  const sorted = bodies.map((body) => {
+    const ext = extents(body);
+    return { body, min: body.position.map((v, i) => v - ext[i]), max: body.position.map((v, i) => v + ext[i]) };
+  }).sort((p, q) => p.min[0] - q.min[0]);
+  const pairs = [];
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length && sorted[j].min[0] <= sorted[i].max[0]; j++) {
+      const [p, q] = [sorted[i], sorted[j]];
+      if (p.body.invMass === 0 && q.body.invMass === 0) continue;
+      if (p.min.every((v, k) => v <= q.max[k] && q.min[k] <= p.max[k])) pairs.push([p.body, q.body]);
+    }
+  }
+  return pairs;
+}
+
+function resolve({ a, b, normal, depth }) {
+  const invMass = a.invMass + b.invMass;
+  const approach = dot(b.velocity.map((v, i) => v - a.velocity[i]), normal);
+  if (approach < 0) {
+    const impulse = (-(1 + Math.min(a.restitution, b.restitution)) * approach) / invMass;
+    normal.forEach((n, i) => {
+      a.velocity[i] -= impulse * n * a.invMass;
+      b.velocity[i] += impulse * n * b.invMass;
+    });
+  }
+  return { a, b, normal, depth };
+}
+
+// Advances the objects `steps` fixed steps of `timeStep` seconds. Objects keep their other
+// properties; position and velocity are updated. `collisions` lists each pair that touched,
+// with the time of first contact and the number of steps spent in contact.
+function simulate(objects, { gravity = [0, -9.81, 0], time_step: timeStep = 1 / 60, steps = 1 } = {}) {
+  if (objects.length > MAX_OBJECTS) throw physicsError(`At most ${MAX_OBJECTS} objects can be simulated`);
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS) throw physicsError(`simulation.steps must be an integer from 1 to ${MAX_STEPS}`);
+  if (!(timeStep > 0)) throw physicsError('simulation.time_step must be positive');
+  const dim = objects[0]?.position?.length ?? 3;
+  if (dim !== 2 && dim !== 3) throw physicsError('Positions must have 2 or 3 components');
+  const bodies = objects.map((object, i) => createBody(object, dim, i));
+  const g = gravity.slice(0, dim);
+  const collisions = new Map();
+
+  for (let step = 0; step < steps; step++) {
+    for (const body of bodies) {
+      if (body.invMass === 0) continue;
+      body.velocity = body.velocity.map((v, i) => v + (g[i] + body.force[i] * body.invMass) * timeStep);
+      body.position = body.position.map((p, i) => p + body.velocity[i] * timeStep);
+    }
+    const contacts = [];
+    for (const [a, b] of broadphase(bodies)) {
+      const contact = collide(a, b);
+      if (contact) contacts.push({ a, b, ...contact });
+    }
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) contacts.forEach(resolve);
+    for (const { a, b, normal, depth } of contacts) {
+      const correction = (Math.max(depth - CORRECTION_SLOP, 0) / (a.invMass + b.invMass)) * CORRECTION_PERCENT;
+      normal.forEach((n, i) => {
+        a.position[i] -= correction * n * a.invMass;
+        b.position[i] += correction * n * b.invMass;
+      });
+      const [first, second] = [a.id, b.id].sort();
+      const key = `${first}\u0000${second}`;
+      const seen = collisions.get(key) || { a: first, b: second, time: Number(((step + 1) * timeStep).toFixed(9)), steps: 0 };
+      seen.steps++;
+      collisions.set(key, seen);
+    }
+  }
+
+  return {
+    time: Number((steps * timeStep).toFixed(9)),
+    steps,
+    objects: bodies.map(body => ({ ...body.source, position: body.position, velocity: body.velocity })),
+    collisions: [...collisions.values()]
+  };
+}
+
+module.exports = { simulate, physicsError };
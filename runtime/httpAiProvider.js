@@ -0,0 +1,91 @@
+// Provider for models served over an Ollama-style HTTP API (`services.ollama` in the frontend
+// schema): POST /api/generate for text and POST /api/embeddings for vectors. Classification,
+// explanation and the NLP tasks are prompts; structured answers are requested as JSON.
+const providerError = (message, status = 502) => Object.assign(new Error(message), { status });
+
+const NLP_PROMPTS = {
+  entity_recognition: 'List the named entities in the text as JSON {"entities":[{"text":"...","type":"..."}]}.',
+  sentiment_analysis: 'Rate the sentiment of the text as JSON {"label":"positive|negative|neutral","score":-1..1}.',
+  intent_classification: 'State the intent of the text as JSON {"intent":"...","confidence":0..1}.',
+  summarization: 'Summarize the text as JSON {"summary":"..."}.',
+  translation: 'Translate the text as JSON {"translation":"..."}.'
+};
+
+class HttpAiProvider {
+  constructor({ baseUrl = process.env.OLLAMA_URL || 'http://127.0.0.1:11434', timeoutMs = 60000, headers = {} } = {}) {
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+  }
+
+  async request(path, body, signal) {
+    const url = new URL(path, this.baseUrl);
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(body),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      throw providerError(`AI provider unreachable at ${url.origin}: ${error.cause?.message || error.message}`);
+    }
+    if (!response.ok) throw providerError(`AI provider ${url.origin} returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    return response.json();
+  }
+
+  async generate(model, prompt, { parameters = {}, format, signal } = {}) {
+    const options = { temperature: parameters.temperature, top_p: parameters.top_p, num_predict: parameters.max_tokens };
+    const data = await this.request('/api/generate', { model: model.model, prompt, format, stream: false, options }, signal);
+    if (typeof data.response !== 'string') throw providerError(`AI provider returned no response for model ${model.name}`);
+    return data.response;
+  }
+
+  async generateJson(model, prompt, options) {
+    const text = await this.generate(model, prompt, { ...options, format: 'json' });
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw providerError(`Model ${model.name} did not return JSON: ${text.slice(0, 200)}`);
+    }
+  }
+
+  async infer(model, input, { parameters, signal } = {}) {
+    const prompt = typeof input === 'string' ? input : JSON.stringify(input);
+    return { output: await this.generate(model, prompt, { parameters, signal }) };
+  }
+
+  async embed(model, input, { signal } = {}) {
+    const data = await this.request('/api/embeddings', { model: model.model, prompt: String(input) }, signal);
+    if (!Array.isArray(data.embedding)) throw providerError(`AI provider returned no embedding for model ${model.name}`);
+    return { embedding: data.embedding, dimension: data.embedding.length };
+  }
+
+  async classify(model, input, { parameters = {}, signal } = {}) {
+    const { labels, confidence_threshold: threshold = 0 } = parameters;
+    const choices = labels ? ` Choose one of: ${labels.join(', ')}.` : '';
+    const result = await this.generateJson(model, `Classify the text.${choices} Answer as JSON {"label":"...","confidence":0..1}.\n\nText: ${input}`, { signal });
+    const confidence = typeof result.confidence === 'number' ? result.confidence : null;
+    const valid = !labels || labels.includes(result.label);
+    return { label: valid && (confidence === null || confidence >= threshold) ? result.label : null, confidence };
+  }
+
+  async explain(model, input, { parameters = {}, signal } = {}) {
+    const level = parameters.explanation_level === 'detailed' ? 'in detail' : 'briefly';
+    const audience = parameters.target_audience === 'technical' ? 'a technical reader' : 'a non-technical reader';
+    const text = typeof input === 'string' ? input : JSON.stringify(input);
+    return { explanation: await this.generate(model, `Explain ${level}, for ${audience}:\n\n${text}`, { signal }) };
+  }
+
+  async nlp(model, input, { task, parameters = {}, signal } = {}) {
+    if (!NLP_PROMPTS[task]) throw providerError(`Unknown NLP task: ${task}`, 422);
+    const language = parameters.language ? ` Use language code ${parameters.language}.` : '';
+    const length = parameters.max_length ? ` Use at most ${parameters.max_length} words.` : '';
+    return this.generateJson(model, `${NLP_PROMPTS[task]}${language}${length}\n\nText: ${input}`, { signal });
+  }
+}
+
+module.exports = HttpAiProvider;
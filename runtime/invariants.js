@@ -0,0 +1,74 @@
+const { evaluate } = require('./expressions');
+
+// Steps that can change state and are therefore guarded by workflow invariants
+const MUTATING_STEPS = ['set', 'call', 'script', 'blockchain_operation'];
+
+// Evaluates every invariant against the scope. Conditions that cannot be evaluated yet
+// (e.g. a path that is not set) are reported as inconclusive rather than violated.
+function checkInvariants(invariants = [], scope) {
+  return invariants.map((invariant, i) => {
+    const result = { index: i, message: invariant.message, severity: invariant.severity || 'error' };
+    try {
+      return { ...result, status: evaluate(invariant.condition, scope, `/invariants/${i}/condition`) === true ? 'held' : 'violated' };
+    } catch (error) {
+      return { ...result, status: 'inconclusive', error: error.message };
+    }
+  });
+}
+
+const BINARY = { add: '+', subtract: '-', multiply: '*', divide: '/' };
+const LOGICAL = { and: '&&', or: '||' };
+const SOLIDITY_HASHES = { keccak256: 'keccak256', sha256: 'sha256' };
+
+const literal = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  throw new Error(`Cannot export literal ${JSON.stringify(value)}`);
+};
+
+// Translates an expr into a Solidity-style boolean/arithmetic expression. `getter` turns a
+// dotted scope path into the source-level accessor used by the target tool.
+function toSolidityExpr(expr, getter = path => path) {
+  const operand = node => (node !== null && typeof node === 'object' && !Array.isArray(node) ? toSolidityExpr(node, getter) : literal(node));
+  const [op] = Object.keys(expr);
+  const arg = expr[op];
+  if (op === 'get') return getter(arg);
+  if (op === 'value') return literal(arg);
+  if (BINARY[op]) return `(${arg.map(operand).join(` ${BINARY[op]} `)})`;
+  if (LOGICAL[op]) return `(${arg.map(a => toSolidityExpr(a, getter)).join(` ${LOGICAL[op]} `)})`;
+  if (op === 'not') return `!${toSolidityExpr(arg, getter)}`;
+  if (op === 'compare') {
+    const sol = { '===': '==', '!==': '!=' }[arg.op] || arg.op;
+    return `(${operand(arg.left)} ${sol} ${operand(arg.right)})`;
+  }
+  if (op === 'concat') return `string.concat(${arg.map(operand).join(', ')})`;
+  if (op === 'hash' && SOLIDITY_HASHES[arg.algorithm]) return `${SOLIDITY_HASHES[arg.algorithm]}(abi.encodePacked(${operand(arg.input)}))`;
+  throw new Error(`Expression operator "${op}" cannot be exported to Solidity`);
+}
+
+const EXPORTERS = {
+  // Scribble contract-level annotations
+  scribble: invariants => invariants
+    .map(inv => `/// #invariant {:msg ${JSON.stringify(inv.message)}} ${toSolidityExpr(inv.condition)};`)
+    .join('\n'),
+  // Certora CVL invariants; state is read through public getters
+  certora: invariants => invariants
+    .map((inv, i) => `// ${inv.message}\ninvariant invariant_${i}()\n    ${toSolidityExpr(inv.condition, path => path.split('.').map((p, j) => (j ? p : `${p}()`)).join('.'))};`)
+    .join('\n\n'),
+  // Mythril reports reachable assertion failures, so invariants become asserts
+  mythril: invariants => [
+    'function checkInvariants() public view {',
+    ...invariants.map(inv => `    assert(${toSolidityExpr(inv.condition)}); // ${inv.message}`),
+    '}'
+  ].join('\n')
+};
+
+// Exports the workflow invariants meant for `tool` (or not bound to any tool)
+function exportInvariants(workflow, tool) {
+  const exporter = EXPORTERS[tool];
+  if (!exporter) throw new Error(`Unsupported verification tool: ${tool}`);
+  const invariants = (workflow.invariants || []).filter(inv => !inv.verification_tool || inv.verification_tool === tool);
+  return exporter(invariants);
+}
+
+module.exports = { MUTATING_STEPS, checkInvariants, exportInvariants, toSolidityExpr };
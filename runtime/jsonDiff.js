@@ -0,0 +1,32 @@
+const { escapePointer } = require('./expressions');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Structural diff between two JSON values as a list of add/remove/replace operations
+// keyed by JSON pointer, in the spirit of RFC 6902
+function diff(before, after, path = '') {
+  if (isObject(before) && isObject(after)) {
+    const ops = [];
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const at = `${path}/${escapePointer(key)}`;
+      if (!(key in after)) ops.push({ op: 'remove', path: at, oldValue: before[key] });
+      else if (!(key in before)) ops.push({ op: 'add', path: at, value: after[key] });
+      else ops.push(...diff(before[key], after[key], at));
+    }
+    return ops;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const ops = [];
+    const shared = Math.min(before.length, after.length);
+    for (let i = 0; i < shared; i++) ops.push(...diff(before[i], after[i], `${path}/${i}`));
+    for (let i = shared; i < after.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+    for (let i = before.length - 1; i >= shared; i--) ops.push({ op: 'remove', path: `${path}/${i}`, oldValue: before[i] });
+    return ops;
+  }
+  if (before === after || (Number.isNaN(before) && Number.isNaN(after))) return [];
+  return [{ op: 'replace', path, oldValue: before, value: after }];
+}
+
+const isEqual = (a, b) => diff(a, b).length === 0;
+
+module.exports = { diff, isEqual };
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+
+// Deterministic, dependency-free models for the AI steps: a multinomial naive Bayes
+// (bag-of-words) classifier trained by ai_train, a feature-hashing embedder, an extractive
+// summarizer, and lexicon/rule-based sentiment, intent and entity recognition. The same
+// input always gives the same output, so workflows using them can be tested offline.
+const aiError = (message, status = 422) => Object.assign(new Error(message), { status });
+
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+
+const STOPWORDS = new Set(('a an and are as at be been but by for from has have i if in into is it its me my no not of on or so ' +
+  'that the their then there these they this to was we were what when which who will with you your').split(' '));
+
+const round = (value) => Number(value.toFixed(6));
+
+const MAX_DIMENSION = 4096;
+
+const POSITIVE = new Set(('good great excellent amazing awesome love loved like liked happy glad pleased fantastic wonderful best ' +
+  'nice helpful fast easy perfect thanks thank recommend satisfied smooth reliable secure success successful win').split(' '));
+const NEGATIVE = new Set(('bad terrible awful horrible hate hated dislike sad angry upset poor worst slow broken bug buggy error ' +
+  'fail failed failure problem issue scam lost stolen hard difficult useless refund complaint annoying insecure').split(' '));
+const NEGATIONS = new Set(["not", "no", "never", "don't", "doesn't", "didn't", "isn't", "wasn't", "can't", "won't", 'hardly']);
+const INTENSIFIERS = new Set(['very', 'really', 'extremely', 'so', 'super', 'totally']);
+
+// Built-in intents for ai_nlp_process when the model has not been trained
+const INTENT_RULES = [
+  { intent: 'greeting', pattern: /^(hi|hello|hey|good (morning|afternoon|evening))\b/i },
+  { intent: 'transaction', pattern: /\b(send|transfer|pay|swap|mint|burn|stake|withdraw|deposit|buy|sell)\b/i },
+  { intent: 'cancellation', pattern: /\b(cancel|stop|unsubscribe|refund|revoke)\b/i },
+  { intent: 'support', pattern: /\b(help|problem|issue|error|broken|support|not working)\b/i },
+  { intent: 'question', pattern: /\?\s*$|^(what|why|how|when|where|who|which|can|could|is|are|do|does)\b/i }
+];
+
+const ENTITY_PATTERNS = [
+  { type: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g },
+  { type: 'URL', pattern: /\bhttps?:\/\/[^\s]+/g },
+  { type: 'ADDRESS', pattern: /\b0x[a-fA-F0-9]{40}\b/g },
+  { type: 'HASH', pattern: /\b0x[a-fA-F0-9]{64}\b/g },
+  { type: 'MONEY', pattern: /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?|\b\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|ETH|BTC|SOL|USDC|DAI)\b)/g },
+  { type: 'DATE', pattern: /\b(?:\d{4}-\d{2}-\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2}(?:, \d{4})?)\b/g },
+  { type: 'PERCENT', pattern: /\b\d+(?:\.\d+)?%/g },
+  // Runs of capitalized words; a single one opening a sentence is just a capitalized word
+  {
+    type: 'NAME',
+    pattern: /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g,
+    accept: (match, text) => match[0].includes(' ') || !/(^|[.!?]\s+)$/.test(text.slice(0, match.index))
+  }
+];
+
+const sentencesOf = (text) => String(text).match(/[^.!?]+[.!?]*/g)?.map(s => s.trim()).filter(Boolean) || [];
+
+function summarize(text, maxLength) {
+  const sentences = sentencesOf(text);
+  const frequency = new Map();
+  for (const token of tokenize(text)) if (!STOPWORDS.has(token)) frequency.set(token, (frequency.get(token) || 0) + 1);
+  const top = Math.max(1, ...frequency.values());
+  const scored = sentences.map((sentence, index) => {
+    const tokens = tokenize(sentence).filter(t => !STOPWORDS.has(t));
+    const score = tokens.reduce((sum, t) => sum + frequency.get(t) / top, 0) / Math.max(1, tokens.length);
+    return { sentence, index, score };
+  });
+  const budget = maxLength || Math.max(1, Math.ceil(tokenize(text).length / 3));
+  const chosen = [];
+  let words = 0;
+  for (const entry of [...scored].sort((a, b) => b.score - a.score || a.index - b.index)) {
+    const length = tokenize(entry.sentence).length;
+    if (chosen.length && words + length > budget) continue;
+    chosen.push(entry);
+    words += length;
+  }
+  const summary = chosen.sort((a, b) => a.index - b.index).map(entry => entry.sentence).join(' ');
+  return { summary: truncateWords(summary, budget), sentences: chosen.length };
+}
+
+// Cuts text to its first `max` words, keeping the original spacing and punctuation
+const truncateWords = (text, max) => {
+  if (!max) return text;
+  const words = [...text.matchAll(/\S+/g)];
+  return words.length <= max ? text : text.slice(0, words[max - 1].index + words[max - 1][0].length);
+};
+
+function sentiment(text) {
+  let score = 0;
+  let hits = 0;
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    const polarity = POSITIVE.has(token) ? 1 : NEGATIVE.has(token) ? -1 : 0;
+    if (!polarity) return;
+    const window = tokens.slice(Math.max(0, i - 3), i);
+    const negated = window.some(t => NEGATIONS.has(t));
+    const weight = INTENSIFIERS.has(tokens[i - 1]) ? 1.5 : 1;
+    score += polarity * weight * (negated ? -1 : 1);
+    hits++;
+  });
+  const normalized = hits ? Math.max(-1, Math.min(1, score / hits)) : 0;
+  const label = normalized > 0.05 ? 'positive' : normalized < -0.05 ? 'negative' : 'neutral';
+  return { label, score: round(normalized), confidence: round(hits ? Math.abs(normalized) : 1 - Math.min(1, tokens.length / 50)) };
+}
+
+function entities(text) {
+  const found = [];
+  for (const { type, pattern, accept } of ENTITY_PATTERNS) {
+    for (const match of String(text).matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(e => start < e.end && end > e.start) || (accept && !accept(match, String(text)))) continue;
+      found.push({ text: match[0], type, start, end, confidence: type === 'NAME' ? 0.6 : 0.95 });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Trained classifiers are kept per owner (the `sub` of the run's claims), so one user's
+// training data never reaches another user's runs
+const modelKey = (model, owner) => JSON.stringify([owner ?? null, model.model]);
+
+class LocalAiProvider {
+  constructor() {
+    // Trained classifiers by owner and model name
+    this.models = new Map();
+  }
+
+  trained(model, owner) {
+    return this.models.get(modelKey(model, owner));
+  }
+
+  // Examples are { text, label } (or { input, label }); training again adds to the counts.
+  // Naive Bayes is fitted in closed form, so epochs, batch size and learning rate do not apply.
+  async train(model, data, { owner } = {}) {
+    if (!Array.isArray(data) || !data.length) throw aiError('ai_train data must be a non-empty array of { text, label } examples');
+    const state = this.trained(model, owner) || { labels: new Map(), vocabulary: new Set(), examples: 0 };
+    for (const example of data) {
+      const text = example?.text ?? example?.input;
+      if (typeof text !== 'string' || typeof example.label !== 'string') throw aiError('Each training example needs a string text and label');
+      const entry = state.labels.get(example.label) || { documents: 0, tokens: 0, counts: new Map() };
+      entry.documents++;
+      for (const token of tokenize(text)) {
+        entry.counts.set(token, (entry.counts.get(token) || 0) + 1);
+        entry.tokens++;
+        state.vocabulary.add(token);
+      }
+      state.labels.set(example.label, entry);
+      state.examples++;
+    }
+    this.models.set(modelKey(model, owner), state);
+    return {
+      model: model.name,
+      examples: state.examples,
+      labels: [...state.labels.keys()],
+      vocabulary: state.vocabulary.size
+    };
+  }
+
+  // Log-probability of each label for `text`, restricted to `labels` when given
+  logProbabilities(state, text, labels) {
+    const candidates = labels ? labels.filter(label => state.labels.has(label)) : [...state.labels.keys()];
+    if (!candidates.length) throw aiError(`None of the labels ${labels.join(', ')} were seen in training`);
+    const total = candidates.reduce((sum, label) => sum + state.labels.get(label).documents, 0);
+    const tokens = tokenize(text);
+    return candidates.map((label) => {
+      const entry = state.labels.get(label);
+      let logp = Math.log(entry.documents / total);
+      for (const token of tokens) logp += Math.log(((entry.counts.get(token) || 0) + 1) / (entry.tokens + state.vocabulary.size));
+      return { label, logp };
+    });
+  }
+
+  async classify(model, input, { parameters = {}, owner } = {}) {
+    const text = String(input);
+    const { labels, confidence_threshold: threshold = 0 } = parameters;
+    const state = this.trained(model, owner);
+    let scores;
+    if (state) {
+      const logps = this.logProbabilities(state, text, labels);
+      const max = Math.max(...logps.map(s => s.logp));
+      const sum = logps.reduce((acc, s) => acc + Math.exp(s.logp - max), 0);
+      scores = Object.fromEntries(logps.map(s => [s.label, Math.exp(s.logp - max) / sum]));
+    } else {
+      // Untrained: share of each label's words that occur in the text, smoothed so scores sum to 1
+      if (!labels) throw aiError(`Model ${model.name} is not trained; pass parameters.labels or run ai_train first`);
+      const tokens = new Set(tokenize(text));
+      const overlap = labels.map(label => tokenize(label).filter(t => tokens.has(t)).length + 0.1);
+      const sum = overlap.reduce((a, b) => a + b, 0);
+      scores = Object.fromEntries(labels.map((label, i) => [label, overlap[i] / sum]));
+    }
+    const [label, confidence] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return {
+      label: confidence >= threshold ? label : null,
+      confidence: round(confidence),
+      scores: Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, round(v)]))
+    };
+  }
+
+  // Feature hashing of word unigrams and bigrams into `dimension` signed buckets, L2-normalized
+  async embed(model, input, { parameters = {} } = {}) {
+    const dimension = parameters.dimension ?? 256;
+    if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_DIMENSION) {
+      throw aiError(`parameters.dimension must be an integer between 1 and ${MAX_DIMENSION}`);
+    }
+    const vector = new Array(dimension).fill(0);
+    const tokens = tokenize(input);
+    const features = [...tokens, ...tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`)];
+    for (const feature of features) {
+      const digest = crypto.createHash('sha256').update(feature).digest();
+      vector[digest.readUInt32BE(0) % dimension] += digest[4] & 1 ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return { embedding: vector.map(v => round(v / norm)), dimension };
+  }
+
+  // Trained models explain their prediction by the words that favour it most; untrained
+  // models describe the text by its key terms and summary
+  async explain(model, input, { parameters = {}, owner } = {}) {
+    const text = typeof input === 'string' ? input : JSON.stringify(input);
+    const detailed = parameters.explanation_level === 'detailed';
+    const technical = parameters.target_audience === 'technical';
+    const state = this.trained(model, owner);
+    const limit = detailed ? 10 : 3;
+
+    if (state && state.labels.size > 1) {
+      const { label, confidence } = await this.classify(model, text, { owner });
+      const others = [...state.labels.keys()].filter(l => l !== label);
+      const weight = (token, l) => {
+        const entry = state.labels.get(l);
+        return Math.log(((entry.counts.get(token) || 0) + 1) / (entry.tokens + state.vocabulary.size));
+      };
+      const features = [...new Set(tokenize(text))]
+        .map(token => ({ token, weight: round(weight(token, label) - Math.max(...others.map(l => weight(token, l)))) }))
+        .filter(f => f.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+      const words = features.map(f => (technical ? `"${f.token}" (+${f.weight} log-odds)` : `"${f.token}"`)).join(', ');
+      const explanation = features.length
+        ? `Classified as "${label}"${technical ? ` with p=${confidence}` : ''} mainly because of ${words}.`
+        : `Classified as "${label}" from the label frequencies; no word in the text favours it strongly.`;
+      return { label, confidence, explanation, features };
+    }
+
+    const frequency = new Map();
+    for (const token of tokenize(text)) if (!STOPWORDS.has(token)) frequency.set(token, (frequency.get(token) || 0) + 1);
+    const features = [...frequency.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, limit)
+      .map(([token, count]) => ({ token, weight: count }));
+    const { summary } = summarize(text, detailed ? 60 : 20);
+    const terms = features.map(f => (technical ? `${f.token} (${f.weight}x)` : f.token)).join(', ');
+    return { explanation: `${summary}${terms ? ` Key terms: ${terms}.` : ''}`, features };
+  }
+
+  // Text in, text out: a trained model returns its label, otherwise the model's task
+  // (summarization unless registered with another) is applied
+  async infer(model, input, { parameters = {}, owner } = {}) {
+    const text = typeof input === 'string' ? input : JSON.stringify(input);
+    if (this.trained(model, owner)) {
+      const result = await this.classify(model, text, { owner });
+      return { output: result.label, ...result };
+    }
+    const task = model.options.task || 'summarization';
+    const result = await this.nlp(model, text, { task, parameters: { max_length: parameters.max_tokens } });
+    const output = task === 'summarization' ? result.summary : JSON.stringify(result);
+    return { output: truncateWords(output, parameters.max_tokens), task };
+  }
+
+  async nlp(model, input, { task, parameters = {}, owner } = {}) {
+    const text = String(input);
+    const { language = 'en', confidence_threshold: threshold = 0, max_length: maxLength } = parameters;
+    const englishOnly = () => {
+      if (language !== 'en') throw aiError(`The local provider's ${task} supports English only, not ${language}`);
+    };
+    switch (task) {
+      case 'entity_recognition':
+        return { entities: entities(text).filter(e => e.confidence >= threshold) };
+      case 'sentiment_analysis': {
+        englishOnly();
+        const result = sentiment(text);
+        return result.confidence >= threshold ? result : { ...result, label: null };
+      }
+      case 'intent_classification': {
+        if (this.trained(model, owner)) {
+          const { label, confidence, scores } = await this.classify(model, text, { parameters: { confidence_threshold: threshold }, owner });
+          return { intent: label, confidence, scores };
+        }
+        englishOnly();
+        const matched = INTENT_RULES.filter(rule => rule.pattern.test(text)).map(rule => rule.intent);
+        const intent = matched[0] || 'statement';
+        const confidence = round(matched.length ? 1 / matched.length : 0.5);
+        return { intent: confidence >= threshold ? intent : null, confidence, matched };
+      }
+      case 'summarization':
+        return summarize(text, maxLength);
+      case 'translation':
+        throw aiError(`The local provider cannot translate; register model ${model.name} with an HTTP provider`);
+      default:
+        throw aiError(`Unknown NLP task: ${task}`);
+    }
+  }
+}
+
+module.exports = { LocalAiProvider, tokenize, summarize, sentiment, entities };
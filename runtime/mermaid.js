@@ -0,0 +1,138 @@
+const { walkSteps } = require('./stepTree');
+
+// Node ids follow the step's JSON pointer, so they are stable for an unchanged workflow
+const nodeId = (pointer) => pointer.replace(/^\//, '').replace(/[^a-zA-Z0-9]+/g, '_');
+
+const escapeLabel = (text) => String(text).replace(/"/g, '#quot;');
+
+const SHAPES = {
+  if: (label) => `{"${label}"}`,
+  while: (label) => `{{"${label}"}}`,
+  foreach: (label) => `{{"${label}"}}`,
+  parallel: (label) => `[/"${label}"\\]`,
+  call_workflow: (label) => `[["${label}"]]`,
+  return: (label) => `(["${label}"])`
+};
+
+const shape = (step) => {
+  const label = escapeLabel(step.id ? `${step.id}<br/>${step.type}` : step.type);
+  return (SHAPES[step.type] || ((text) => `["${text}"]`))(label);
+};
+
+// Renders a workflow's steps as a top-down Mermaid flowchart. Control flow (if/else, loops,
+// try/catch/finally, parallel branches) becomes edges between step nodes; call_workflow and
+// on_error jumps are dotted edges.
+function generateMermaid(workflow) {
+  const lines = ['flowchart TD', '  start((Start))'];
+  const edges = [];
+  const externals = new Map();
+  const ids = new Map();
+  walkSteps(workflow.steps, (step, pointer) => {
+    if (step.id) ids.set(step.id, nodeId(pointer));
+  });
+
+  const node = (id, definition) => lines.push(`  ${id}${definition}`);
+  const edge = (from, to, label, dotted = false) => {
+    const arrow = dotted ? '-.->' : '-->';
+    edges.push(`  ${from} ${arrow}${label ? `|${escapeLabel(label)}|` : ''} ${to}`);
+  };
+  const connect = (exits, to) => exits.forEach(exit => edge(exit.from, to, exit.label));
+
+  // Renders a block and returns its entry node (null when empty) and the exits leaving it
+  const renderBlock = (steps, pointer, incoming) => {
+    let exits = incoming;
+    let entry = null;
+    steps.forEach((step, i) => {
+      const rendered = renderStep(step, `${pointer}/${i}`);
+      connect(exits, rendered.entry);
+      entry = entry || rendered.entry;
+      exits = rendered.exits;
+    });
+    return { entry, exits };
+  };
+
+  const renderStep = (step, pointer) => {
+    const id = nodeId(pointer);
+    node(id, shape(step));
+    let exits;
+
+    switch (step.type) {
+      case 'if': {
+        const then = renderBlock(step.then, `${pointer}/then`, [{ from: id, label: 'then' }]);
+        const otherwise = renderBlock(step.else || [], `${pointer}/else`, [{ from: id, label: 'else' }]);
+        exits = [...then.exits, ...otherwise.exits];
+        break;
+      }
+      case 'while':
+      case 'foreach': {
+        const body = renderBlock(step.body, `${pointer}/body`, [{ from: id, label: step.type === 'while' ? 'loop' : 'each' }]);
+        if (body.entry) connect(body.exits, id);
+        exits = [{ from: id, label: 'done' }];
+        break;
+      }
+      case 'try': {
+        const body = renderBlock(step.body, `${pointer}/body`, [{ from: id }]);
+        exits = body.exits;
+        if (step.catch) {
+          const handler = renderBlock(step.catch.body, `${pointer}/catch/body`, []);
+          if (handler.entry) {
+            edge(id, handler.entry, 'catch', true);
+            exits = [...exits, ...handler.exits];
+          }
+        }
+        if (step.finally) exits = renderBlock(step.finally, `${pointer}/finally`, exits).exits;
+        break;
+      }
+      case 'parallel': {
+        const join = `${id}_join`;
+        node(join, '(("join"))');
+        step.branches.forEach((branch, i) => {
+          connect(renderBlock(branch, `${pointer}/branches/${i}`, [{ from: id, label: `branch ${i + 1}` }]).exits, join);
+        });
+        exits = [{ from: join }];
+        break;
+      }
+      case 'return':
+        edge(id, 'done');
+        exits = [];
+        break;
+      case 'call_workflow': {
+        if (!externals.has(step.workflow)) externals.set(step.workflow, `wf${externals.size}`);
+        edge(id, externals.get(step.workflow), 'calls', true);
+        exits = [{ from: id }];
+        break;
+      }
+      default:
+        exits = [{ from: id }];
+    }
+
+    if (step.on_error) {
+      if (step.on_error.body) {
+        const handler = renderBlock(step.on_error.body, `${pointer}/on_error/body`, []);
+        if (handler.entry) {
+          edge(id, handler.entry, 'on_error', true);
+          exits = [...exits, ...handler.exits];
+        }
+      } else if (ids.has(step.on_error.step_id)) {
+        edge(id, ids.get(step.on_error.step_id), 'on_error', true);
+      }
+    }
+    return { entry: id, exits };
+  };
+
+  const { exits } = renderBlock(workflow.steps, '/steps', [{ from: 'start' }]);
+  lines.push('  done((End))');
+  for (const [uri, id] of externals) node(id, `[/"${escapeLabel(uri)}"/]`);
+  connect(exits, 'done');
+  return [...lines, ...edges].join('\n');
+}
+
+// Compares ignoring indentation and blank lines, which carry no meaning in Mermaid
+const normalize = (diagram) => diagram.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+const isMermaidStale = (workflow) => {
+  const stored = workflow.metadata?.mermaid;
+  return stored !== undefined && normalize(stored) !== normalize(generateMermaid(workflow));
+};
+
+module.exports = { generateMermaid, isMermaidStale };
@@ -0,0 +1,212 @@
+const { walkSteps } = require('./stepTree');
+
+// Rule-based compiler from a user utterance to a workflow run. Each workflow is described by
+// the `nl_phrase` of its steps and the keys of `nlp.nl.mapIntent`; phrases may hold `{input}`
+// slots that capture schema.inputs. Scores are the share of a phrase's words found in the
+// utterance, weighed by how much of the utterance the phrase explains.
+const CONFIRM_FLOOR = 0.3;
+const DEFAULT_NORMALIZATION = ['lowercase', 'stopwords', 'stemming'];
+
+const STOPWORDS = new Set(('a an the and or but of to in on at for from by with about into please can could would ' +
+  'will shall should me my i you your we our us it its this that these those is are was were be been am do does did ' +
+  'some any all just now then so').split(' '));
+
+const SLOT = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+const nlError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Light suffix stripping, enough for "transfers", "transferring" and "transferred" to meet
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  for (const suffix of ['ing', 'ed', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const root = word.slice(0, -suffix.length);
+      return /(.)\1$/.test(root) && !/(ll|ss)$/.test(root) ? root.slice(0, -1) : root;
+    }
+  }
+  return word;
+};
+
+const tokenize = (text, normalization, language) => {
+  let words = (normalization.includes('lowercase') ? text.toLowerCase() : text).split(/[^\p{L}\p{N}_']+/u).filter(Boolean);
+  // The stopword list and stemmer are English; other languages are only lowercased
+  if (!language.startsWith('en')) return words;
+  if (normalization.includes('stopwords')) words = words.filter(word => !STOPWORDS.has(word.toLowerCase()));
+  if (normalization.includes('stemming') || normalization.includes('lemmatization')) words = words.map(stem);
+  return words;
+};
+
+// The phrase for `language` from a string or a per-language map ("es-MX" falls back to "es")
+const phraseFor = (nlPhrase, language, defaultLanguage) => {
+  if (typeof nlPhrase === 'string') return language.split('-')[0] === defaultLanguage.split('-')[0] ? nlPhrase : null;
+  return nlPhrase[language] ?? nlPhrase[language.split('-')[0]] ?? null;
+};
+
+// Every phrase a workflow answers to, with the intent it stands for
+function phrasesOf(workflow, language) {
+  const nl = workflow.nlp.nl;
+  const defaultLanguage = nl.language || 'en';
+  const phrases = [];
+  walkSteps(workflow.steps, (step) => {
+    const text = step.nl_phrase && phraseFor(step.nl_phrase, language, defaultLanguage);
+    if (text) phrases.push({ text, intent: step.id, step: step.id });
+  });
+  for (const [text, intent] of Object.entries(nl.mapIntent || {})) phrases.push({ text, intent });
+  return phrases;
+}
+
+const coerce = (raw, def) => {
+  const value = raw.trim().replace(/^(["'])(.*)\1$/, '$2');
+  switch (def.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value.replace(/,/g, ''));
+      return Number.isFinite(number) && (def.type === 'number' || Number.isInteger(number)) ? number : undefined;
+    }
+    case 'boolean':
+      if (/^(true|yes|on)$/i.test(value)) return true;
+      if (/^(false|no|off)$/i.test(value)) return false;
+      return undefined;
+    case 'object':
+    case 'array':
+      try {
+        const parsed = JSON.parse(value);
+        return (def.type === 'array') === Array.isArray(parsed) && typeof parsed === 'object' ? parsed : undefined;
+      } catch {
+        return undefined;
+      }
+    default:
+      return value || undefined;
+  }
+};
+
+// Slot values from a phrase template, e.g. "send {amount} to {recipient}"
+function fillSlots(template, utterance, inputs) {
+  const names = [...template.matchAll(SLOT)].map(match => match[1]);
+  if (!names.length) return { values: {}, spans: [] };
+  const pattern = template.split(SLOT).map((part, i) => (i % 2 ? '(.+?)' : escapeRegExp(part.trim()).replace(/\s+/g, '\\s+'))).filter(Boolean).join('\\s*');
+  const match = new RegExp(`${pattern}(?=\\s*[.!?]?\\s*$)`, 'i').exec(utterance) || new RegExp(pattern.replace(/\(\.\+\?\)$/, '(\\S+)'), 'i').exec(utterance);
+  if (!match) return { values: {}, spans: [] };
+  const values = {};
+  const spans = [];
+  names.forEach((name, i) => {
+    if (!inputs[name]) return;
+    const value = coerce(match[i + 1], inputs[name]);
+    if (value === undefined) return;
+    values[name] = value;
+    spans.push(match[i + 1]);
+  });
+  return { values, spans };
+}
+
+// Inputs named in the utterance ("amount 5", "amount: 5", "amount is 5"), then a lone number
+// for a lone numeric input
+function namedInputs(utterance, inputs, filled) {
+  const values = {};
+  for (const [name, def] of Object.entries(inputs)) {
+    if (filled[name] !== undefined) continue;
+    const label = name.replace(/_/g, '[ _]');
+    const match = new RegExp(`\\b${label}\\s*(?:=|:|\\bis\\b|\\bof\\b)?\\s*("[^"]*"|'[^']*'|\\S+)`, 'i').exec(utterance);
+    const value = match && coerce(match[1].replace(/[.,!?]$/, ''), def);
+    if (value !== undefined && value !== null) values[name] = value;
+  }
+  const numeric = Object.keys(inputs).filter(name => ['integer', 'number'].includes(inputs[name].type) && filled[name] === undefined && values[name] === undefined);
+  const numbers = utterance.match(/-?\d+(?:\.\d+)?/g) || [];
+  const unused = numbers.filter(number => ![...Object.values(filled), ...Object.values(values)].includes(Number(number)));
+  if (numeric.length === 1 && unused.length === 1) {
+    const value = coerce(unused[0], inputs[numeric[0]]);
+    if (value !== undefined) values[numeric[0]] = value;
+  }
+  return values;
+}
+
+function scorePhrase(phrase, utterance, { normalization, language }) {
+  const literal = phrase.text.replace(SLOT, ' ');
+  const phraseWords = new Set(tokenize(literal, normalization, language));
+  if (!phraseWords.size) return 0;
+  const words = tokenize(utterance, normalization, language);
+  const found = [...phraseWords].filter(word => words.includes(word)).length;
+  const coverage = found / phraseWords.size;
+  const precision = words.length ? Math.min(1, found / words.length) : 0;
+  return coverage * (0.8 + 0.2 * precision);
+}
+
+// Utterance variants with each analogy's source concept replaced by its target, and the weight
+// the variant's score carries
+const variants = (utterance, analogyMap = []) => [
+  { text: utterance, weight: 1 },
+  ...analogyMap
+    .filter(({ sourceConcept }) => new RegExp(`\\b${escapeRegExp(sourceConcept)}\\b`, 'i').test(utterance))
+    .map(({ sourceConcept, targetConcept, weight = 0.9 }) => ({
+      text: utterance.replace(new RegExp(`\\b${escapeRegExp(sourceConcept)}\\b`, 'gi'), targetConcept),
+      weight,
+      analogy: { sourceConcept, targetConcept }
+    }))
+];
+
+function matchWorkflow(workflow, utterance, language) {
+  const nl = workflow.nlp.nl;
+  const options = { normalization: nl.preprocessing?.normalization || DEFAULT_NORMALIZATION, language };
+  let best = null;
+  for (const variant of variants(utterance, nl.analogyMap)) {
+    for (const phrase of phrasesOf(workflow, language)) {
+      const { values, spans } = fillSlots(phrase.text, variant.text, workflow.schema.inputs);
+      // Slot values are arguments, not words the phrase has to explain
+      const rest = spans.reduce((text, span) => text.replace(span, ' '), variant.text);
+      const confidence = Number((scorePhrase(phrase, rest, options) * variant.weight).toFixed(4));
+      if (!best || confidence > best.confidence) best = { confidence, phrase, variant, values };
+    }
+  }
+  return best && { workflow, ...best };
+}
+
+// Compiles `utterance` against the workflows. The result's action is
+//   run      - confidence reached the workflow's confidenceThreshold (default 0.7) and every
+//              required input was found
+//   clarify  - the workflow matched but required inputs are missing
+//   confirm  - confidence is below the threshold; `prompt` asks the user to confirm
+//   fallback - nothing matched well enough; carries the fallbackAction of the closest workflow
+//              that has one
+//   none     - nothing matched and there is no fallbackAction
+function compileUtterance(utterance, workflows, { language } = {}) {
+  if (typeof utterance !== 'string' || !utterance.trim()) throw nlError('utterance must be a non-empty string');
+  const matches = workflows
+    .map(workflow => matchWorkflow(workflow, utterance.trim(), language || workflow.nlp.nl.language || 'en'))
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence);
+  const candidates = matches.slice(0, 3).map(match => ({ workflow: match.workflow.function, confidence: match.confidence }));
+  const best = matches[0];
+  if (!best || best.confidence < CONFIRM_FLOOR) {
+    const fallbackAction = matches.map(match => match.workflow.nlp.nl.fallbackAction).find(Boolean);
+    return { utterance, action: fallbackAction ? 'fallback' : 'none', confidence: best?.confidence || 0, ...(fallbackAction && { fallbackAction }), candidates };
+  }
+
+  const { workflow, phrase, variant, confidence } = best;
+  const inputs = workflow.schema.inputs;
+  const values = { ...best.values, ...namedInputs(variant.text, inputs, best.values) };
+  const missing = Object.keys(inputs).filter(name => values[name] === undefined && inputs[name].default === undefined);
+  const threshold = workflow.nlp.nl.confidenceThreshold ?? 0.7;
+  const result = {
+    utterance,
+    workflow: workflow.function,
+    version: workflow.metadata.version,
+    intent: phrase.intent,
+    ...(phrase.step && { step: phrase.step }),
+    matchedPhrase: phrase.text,
+    ...(variant.analogy && { analogy: variant.analogy }),
+    confidence,
+    threshold,
+    inputs: values,
+    missing,
+    candidates
+  };
+  const summary = Object.entries(values).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ');
+  if (missing.length) return { ...result, action: 'clarify', prompt: `To run ${workflow.function}, please provide ${missing.join(', ')}.` };
+  if (confidence < threshold) return { ...result, action: 'confirm', prompt: `Did you mean to run ${workflow.function}${summary ? ` with ${summary}` : ''}?` };
+  return { ...result, action: 'run' };
+}
+
+module.exports = { compileUtterance, tokenize, stem };
@@ -0,0 +1,281 @@
+const PHRASES = require('./nlDocsPhrases');
+
+// Renders a workflow as natural-language documentation. Names come from the nl_noun and
+// nl_description of inputs, context and outputs, steps from their nl_phrase; anything without
+// text for the language gets the phrasebook's template for its type.
+const LANGUAGES = Object.keys(PHRASES);
+const FORMATS = ['markdown', 'html', 'plain'];
+const DETAILS = ['simple', 'detailed'];
+const AUDIENCES = ['technical', 'non_technical'];
+
+const SLOT = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+const COMPARISONS = { '===': '=', '!==': '≠', '<=': '≤', '>=': '≥', '<': '<', '>': '>' };
+const ARITHMETIC = { add: '+', subtract: '−', multiply: '×', divide: '÷' };
+
+const docsError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const humanize = (name) => String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+
+const FORMATTERS = {
+  markdown: {
+    text: value => String(value).replace(/([\\`*_[\]<>])/g, '\\$1'),
+    code: value => (String(value).includes('`') ? `\`\` ${value} \`\`` : `\`${value}\``)
+  },
+  html: {
+    text: value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+    code: value => `<code>${FORMATTERS.html.text(value)}</code>`
+  },
+  plain: {
+    text: value => String(value),
+    code: value => String(value)
+  }
+};
+
+class DocWriter {
+  constructor(workflow, { language, format, detail, audience }) {
+    this.workflow = workflow;
+    this.language = language;
+    this.defaultLanguage = (workflow.nlp?.nl?.language || 'en').split('-')[0];
+    this.phrases = PHRASES[language];
+    this.format = FORMATTERS[format];
+    this.detailed = detail === 'detailed';
+    this.technical = audience === 'technical';
+  }
+
+  // Text for this language from a string (written in the workflow's language) or a language map.
+  // Nouns may fall back to a string in another language, since any noun reads better than an id.
+  localized(value, { loose = false } = {}) {
+    if (!value) return null;
+    if (typeof value === 'string') return loose || this.language === this.defaultLanguage ? value : null;
+    return value[this.language] ?? null;
+  }
+
+  fill(template, vars) {
+    return template.split(/(\{\w+\})/).map((part) => {
+      const key = /^\{(\w+)\}$/.exec(part)?.[1];
+      return key && key in vars ? vars[key] : this.format.text(part);
+    }).join('');
+  }
+
+  label(key, vars = {}) {
+    return this.fill(this.phrases.labels[key], vars);
+  }
+
+  term(value) {
+    return this.technical ? this.format.code(value) : this.format.text(value);
+  }
+
+  definition(name) {
+    const { inputs, context, outputs } = this.workflow.schema;
+    return inputs[name] || context[name] || outputs[name] || null;
+  }
+
+  nounText(name) {
+    return this.localized(this.definition(name)?.nl_noun, { loose: true }) || humanize(name);
+  }
+
+  // A scope path: the code path for technical readers, else the noun of its first segment
+  name(path) {
+    if (this.technical) return this.format.code(path);
+    const [first, ...rest] = String(path).split('.');
+    return this.format.text([this.nounText(first), ...rest.map(humanize)].join(' › '));
+  }
+
+  exprText(expr) {
+    if (expr === null || typeof expr !== 'object' || Array.isArray(expr)) return JSON.stringify(expr);
+    const [op] = Object.keys(expr);
+    const arg = expr[op];
+    const { labels } = this.phrases;
+    const nested = value => (value !== null && typeof value === 'object' && !Array.isArray(value) ? this.exprText(value) : JSON.stringify(value));
+    switch (op) {
+      case 'get':
+        return this.technical ? arg : [this.nounText(arg.split('.')[0]), ...arg.split('.').slice(1).map(humanize)].join(' › ');
+      case 'value':
+        return JSON.stringify(arg);
+      case 'add':
+      case 'subtract':
+      case 'multiply':
+      case 'divide':
+        return arg.map(nested).join(` ${ARITHMETIC[op]} `);
+      case 'compare':
+        return `${nested(arg.left)} ${COMPARISONS[arg.op] || arg.op} ${nested(arg.right)}`;
+      case 'not':
+        return `${labels.not} (${this.exprText(arg)})`;
+      case 'and':
+      case 'or':
+        return arg.map(item => `(${this.exprText(item)})`).join(` ${labels[op]} `);
+      case 'concat':
+        return arg.map(nested).join(' + ');
+      default:
+        return this.technical ? JSON.stringify(expr) : labels.computed;
+    }
+  }
+
+  expr(expr) {
+    const text = this.exprText(expr);
+    return this.technical ? this.format.code(text) : this.format.text(text);
+  }
+
+  templateVars(step) {
+    const { separator } = this.phrases;
+    const vars = {
+      target: step.target !== undefined && this.name(step.target),
+      value: step.value !== undefined && this.expr(step.value),
+      condition: step.condition !== undefined && this.expr(step.condition),
+      collection: step.collection !== undefined && this.expr(step.collection),
+      iterator: step.iterator && this.term(step.iterator),
+      message: step.message && this.format.text(step.message),
+      qubits: step.qubits !== undefined && this.format.text([].concat(step.qubits).join(separator)),
+      peers: step.peers && step.peers.map(peer => this.term(peer)).join(separator),
+      simulation: step.simulation && this.term(step.simulation.type),
+      animation: step.animation && this.term(step.animation.type),
+      type: this.term(step.type)
+    };
+    for (const key of ['function', 'name', 'role', 'model', 'task', 'algorithm', 'action', 'chain', 'workflow', 'render_target', 'input_type', 'language']) {
+      if (typeof step[key] === 'string') vars[key] = this.term(step[key]);
+    }
+    return Object.fromEntries(Object.entries(vars).filter(([, value]) => value !== undefined && value !== false));
+  }
+
+  stepText(step) {
+    const phrase = this.localized(step.nl_phrase);
+    let text;
+    if (phrase) {
+      text = phrase.split(SLOT).map((part, i) => (i % 2 ? this.name(part) : this.format.text(part))).join('');
+    } else {
+      const template = this.phrases.steps[step.type] || this.phrases.steps.custom;
+      text = this.fill(template, this.templateVars(step));
+    }
+    return this.technical ? `${this.format.code(step.id)} ${text}` : text;
+  }
+
+  stepItem(step) {
+    const block = (key, steps, vars) => ({ text: this.label(key, vars), children: this.stepItems(steps) });
+    let children = [];
+    switch (step.type) {
+      case 'if':
+        children = this.stepItems(step.then);
+        if (step.else?.length) children.push(block('else', step.else));
+        break;
+      case 'while':
+      case 'foreach':
+        children = this.stepItems(step.body);
+        break;
+      case 'try':
+        children = this.stepItems(step.body);
+        if (step.catch) children.push(block('catch', step.catch.body));
+        if (step.finally) children.push(block('finally', step.finally));
+        break;
+      case 'parallel':
+        children = step.branches.map((branch, i) => block('branch', branch, { n: this.format.text(i + 1) }));
+        break;
+      default:
+        break;
+    }
+    if (step.on_error?.step_id) children.push({ text: this.label('onErrorJump', { step: this.term(step.on_error.step_id) }), children: [] });
+    if (step.on_error?.body) children.push(block('onError', step.on_error.body));
+    if (this.detailed && step.timeout) children.push({ text: this.label('timeout', { duration: this.format.text(step.timeout.duration) }), children: [] });
+    if (this.detailed && step.access_control?.roles) {
+      children.push({ text: this.label('roles', { roles: step.access_control.roles.map(role => this.term(role)).join(this.phrases.separator) }), children: [] });
+    }
+    return { text: this.stepText(step), children };
+  }
+
+  stepItems(steps = []) {
+    return steps.map(step => this.stepItem(step));
+  }
+
+  // One list item per input, context value or output
+  fieldItems(fields, kind) {
+    return Object.entries(fields).map(([name, def]) => {
+      const noun = this.technical ? this.format.code(name) : this.format.text(this.nounText(name));
+      const description = this.localized(def.nl_description) || (this.language === 'en' && def.description) || null;
+      const notes = [];
+      if (this.detailed || this.technical) notes.push(this.term(def.type));
+      if (this.detailed && kind === 'inputs') {
+        notes.push(def.default === undefined ? this.label('required') : this.label('default', { value: this.format.code(JSON.stringify(def.default)) }));
+      }
+      if (this.detailed && this.technical && def.constraints) notes.push(this.format.code(JSON.stringify(def.constraints)));
+      if (this.detailed && kind === 'context') notes.push(this.label('source', { source: this.term(def.source) }));
+      const text = `${noun}${notes.length ? ` (${notes.join(this.phrases.separator)})` : ''}${description ? ` — ${this.format.text(description)}` : ''}`;
+      return { text, children: [] };
+    });
+  }
+
+  document() {
+    const { workflow } = this;
+    const { metadata, schema } = workflow;
+    const sections = [
+      { heading: this.label('inputs'), items: this.fieldItems(schema.inputs, 'inputs') },
+      ...(Object.keys(schema.context).length ? [{ heading: this.label('context'), items: this.fieldItems(schema.context, 'context') }] : []),
+      { heading: this.label('outputs'), items: this.fieldItems(schema.outputs, 'outputs') },
+      { heading: this.label('steps'), items: this.stepItems(workflow.steps), ordered: true }
+    ];
+    const paragraphs = [];
+    if (this.language === 'en' && metadata.description) paragraphs.push(this.format.text(metadata.description));
+    paragraphs.push(this.label('version', { version: this.format.text(metadata.version), author: this.format.text(metadata.author) }));
+    return {
+      title: this.technical ? this.format.code(workflow.function) : this.format.text(humanize(workflow.function).replace(/^./, c => c.toUpperCase())),
+      paragraphs,
+      sections
+    };
+  }
+}
+
+const RENDERERS = {
+  markdown({ title, paragraphs, sections }, { labels }) {
+    const list = (items, ordered, depth = 0) => items.flatMap((item, i) => [
+      `${'   '.repeat(depth)}${ordered && depth === 0 ? `${i + 1}.` : '-'} ${item.text}`,
+      ...list(item.children, ordered, depth + 1)
+    ]);
+    const blocks = [`# ${title}`, ...paragraphs];
+    for (const section of sections) {
+      blocks.push(`## ${section.heading}`, section.items.length ? list(section.items, section.ordered).join('\n') : labels.none);
+    }
+    return `${blocks.join('\n\n')}\n`;
+  },
+
+  html({ title, paragraphs, sections }, { labels, dir }, language) {
+    const list = (items, ordered) => {
+      const tag = ordered ? 'ol' : 'ul';
+      return `<${tag}>${items.map(item => `<li>${item.text}${item.children.length ? list(item.children, false) : ''}</li>`).join('')}</${tag}>`;
+    };
+    const body = sections.map(section => `<section><h2>${section.heading}</h2>${section.items.length ? list(section.items, section.ordered) : `<p>${labels.none}</p>`}</section>`);
+    return `<article lang="${language}" dir="${dir}"><h1>${title}</h1>${paragraphs.map(p => `<p>${p}</p>`).join('')}${body.join('')}</article>\n`;
+  },
+
+  plain({ title, paragraphs, sections }, { labels }) {
+    const list = (items, ordered, depth = 0) => items.flatMap((item, i) => [
+      `${'  '.repeat(depth)}${ordered && depth === 0 ? `${i + 1}.` : '-'} ${item.text}`,
+      ...list(item.children, ordered, depth + 1)
+    ]);
+    const blocks = [`${title}\n${'='.repeat(title.length)}`, ...paragraphs];
+    for (const section of sections) {
+      blocks.push(`${section.heading}\n${'-'.repeat(section.heading.length)}\n${section.items.length ? list(section.items, section.ordered).join('\n') : labels.none}`);
+    }
+    return `${blocks.join('\n\n')}\n`;
+  }
+};
+
+// Options: language (en, es, zh, fr, de, ja, ru, ar; default the workflow's nlp language, else
+// en), format (markdown, html, plain), detail (simple, detailed), audience (technical, non_technical)
+function generateDocs(workflow, { language, format = 'markdown', detail = 'simple', audience = 'non_technical' } = {}) {
+  const preferred = (workflow.nlp?.nl?.language || 'en').split('-')[0];
+  language = language || (LANGUAGES.includes(preferred) ? preferred : 'en');
+  if (!LANGUAGES.includes(language)) throw docsError(`Unsupported documentation language: ${language}; use one of ${LANGUAGES.join(', ')}`);
+  if (!FORMATS.includes(format)) throw docsError(`Unsupported documentation format: ${format}; use one of ${FORMATS.join(', ')}`);
+  if (!DETAILS.includes(detail)) throw docsError(`detail must be one of ${DETAILS.join(', ')}`);
+  if (!AUDIENCES.includes(audience)) throw docsError(`audience must be one of ${AUDIENCES.join(', ')}`);
+  const writer = new DocWriter(workflow, { language, format, detail, audience });
+  return {
+    workflow: workflow.function,
+    version: workflow.metadata.version,
+    language,
+    format,
+    detail,
+    audience,
+    content: RENDERERS[format](writer.document(), PHRASES[language], language)
+  };
+}
+
+module.exports = { generateDocs, LANGUAGES, FORMATS, DETAILS, AUDIENCES };
@@ -0,0 +1,507 @@
+// Phrasebook for runtime/nlDocs.js: section labels and the templated description of each step
+// type, per output language. Placeholders are filled with rendered names and expressions.
+module.exports = {
+  en: {
+    dir: 'ltr',
+    separator: ', ',
+    labels: {
+      version: 'Version {version}, by {author}.',
+      inputs: 'Inputs',
+      context: 'Context',
+      outputs: 'Outputs',
+      steps: 'Steps',
+      none: 'None.',
+      required: 'required',
+      default: 'default {value}',
+      source: 'from {source}',
+      onErrorJump: 'On error, continue at step {step}.',
+      onError: 'On error:',
+      timeout: 'Time limit: {duration}.',
+      roles: 'Allowed roles: {roles}.',
+      else: 'Otherwise:',
+      catch: 'If an error occurs:',
+      finally: 'In every case, finally:',
+      branch: 'Branch {n}:',
+      computed: 'a computed value',
+      not: 'not',
+      and: 'and',
+      or: 'or'
+    },
+    steps: {
+      set: 'Set {target} to {value}.',
+      if: 'If {condition}:',
+      return: 'Finish and return {value}.',
+      call: 'Call the function {function} and store the result in {target}.',
+      try: 'Try the following:',
+      while: 'While {condition}, repeat:',
+      foreach: 'For each {iterator} in {collection}:',
+      parallel: 'Run these branches at the same time:',
+      assert: 'Check that {condition}; otherwise stop with “{message}”.',
+      event: 'Announce the event {name}.',
+      require_role: 'Continue only for users with the role {role}.',
+      ai_infer: 'Ask the AI model {model} for a prediction and store it in {target}.',
+      ai_train: 'Train the AI model {model} and store the result in {target}.',
+      ai_classify: 'Classify the input with the AI model {model} and store the label in {target}.',
+      ai_embed: 'Compute an embedding with the AI model {model} and store it in {target}.',
+      ai_explain: 'Ask the AI model {model} to explain the input and store the explanation in {target}.',
+      ai_nlp_process: 'Process the text with the AI model {model} ({task}) and store the result in {target}.',
+      quantum_circuit: 'Build a quantum circuit on {qubits} qubits and store it in {target}.',
+      quantum_measure: 'Measure the quantum circuit and store the outcome in {target}.',
+      quantum_algorithm: 'Run the quantum algorithm {algorithm} and store the result in {target}.',
+      blockchain_operation: 'Submit a {action} transaction on {chain} and store the receipt in {target}.',
+      crypto_sign: 'Sign the data with {algorithm} and store the signature in {target}.',
+      crypto_verify: 'Verify a {algorithm} signature and store the result in {target}.',
+      regex_match: 'Match the text against a pattern and store the match in {target}.',
+      audit_log: 'Record in the audit log: “{message}”.',
+      call_workflow: 'Run the workflow {workflow} and store its outputs in {target}.',
+      game_render: 'Render the game scene to {render_target}.',
+      game_physics: 'Simulate {simulation} physics and store the result in {target}.',
+      game_multiplayer_sync: 'Synchronize the game state with {peers} and store the result in {target}.',
+      game_input: 'Read {input_type} input and store the actions in {target}.',
+      game_animation: 'Play a {animation} animation and store the result in {target}.',
+      script: 'Run a {language} script and store the result in {target}.',
+      custom: 'Run the custom step {type}.'
+    }
+  },
+
+  es: {
+    dir: 'ltr',
+    separator: ', ',
+    labels: {
+      version: 'Versión {version}, de {author}.',
+      inputs: 'Entradas',
+      context: 'Contexto',
+      outputs: 'Salidas',
+      steps: 'Pasos',
+      none: 'Ninguno.',
+      required: 'obligatorio',
+      default: 'por defecto {value}',
+      source: 'desde {source}',
+      onErrorJump: 'En caso de error, continuar en el paso {step}.',
+      onError: 'En caso de error:',
+      timeout: 'Límite de tiempo: {duration}.',
+      roles: 'Roles permitidos: {roles}.',
+      else: 'En caso contrario:',
+      catch: 'Si ocurre un error:',
+      finally: 'En todos los casos, al final:',
+      branch: 'Rama {n}:',
+      computed: 'un valor calculado',
+      not: 'no',
+      and: 'y',
+      or: 'o'
+    },
+    steps: {
+      set: 'Asignar {value} a {target}.',
+      if: 'Si {condition}:',
+      return: 'Terminar y devolver {value}.',
+      call: 'Llamar a la función {function} y guardar el resultado en {target}.',
+      try: 'Intentar lo siguiente:',
+      while: 'Mientras {condition}, repetir:',
+      foreach: 'Para cada {iterator} en {collection}:',
+      parallel: 'Ejecutar estas ramas al mismo tiempo:',
+      assert: 'Comprobar que {condition}; si no, detenerse con «{message}».',
+      event: 'Anunciar el evento {name}.',
+      require_role: 'Continuar solo para usuarios con el rol {role}.',
+      ai_infer: 'Pedir una predicción al modelo de IA {model} y guardarla en {target}.',
+      ai_train: 'Entrenar el modelo de IA {model} y guardar el resultado en {target}.',
+      ai_classify: 'Clasificar la entrada con el modelo de IA {model} y guardar la etiqueta en {target}.',
+      ai_embed: 'Calcular un embedding con el modelo de IA {model} y guardarlo en {target}.',
+      ai_explain: 'Pedir al modelo de IA {model} que explique la entrada y guardar la explicación en {target}.',
+      ai_nlp_process: 'Procesar el texto con el modelo de IA {model} ({task}) y guardar el resultado en {target}.',
+      quantum_circuit: 'Construir un circuito cuántico de {qubits} cúbits y guardarlo en {target}.',
+      quantum_measure: 'Medir el circuito cuántico y guardar el resultado en {target}.',
+      quantum_algorithm: 'Ejecutar el algoritmo cuántico {algorithm} y guardar el resultado en {target}.',
+      blockchain_operation: 'Enviar una transacción {action} en {chain} y guardar el recibo en {target}.',
+      crypto_sign: 'Firmar los datos con {algorithm} y guardar la firma en {target}.',
+      crypto_verify: 'Verificar una firma {algorithm} y guardar el resultado en {target}.',
+      regex_match: 'Comparar el texto con un patrón y guardar la coincidencia en {target}.',
+      audit_log: 'Registrar en el log de auditoría: «{message}».',
+      call_workflow: 'Ejecutar el flujo de trabajo {workflow} y guardar sus salidas en {target}.',
+      game_render: 'Renderizar la escena del juego en {render_target}.',
+      game_physics: 'Simular física {simulation} y guardar el resultado en {target}.',
+      game_multiplayer_sync: 'Sincronizar el estado del juego con {peers} y guardar el resultado en {target}.',
+      game_input: 'Leer la entrada de {input_type} y guardar las acciones en {target}.',
+      game_animation: 'Reproducir una animación {animation} y guardar el resultado en {target}.',
+      script: 'Ejecutar un script {language} y guardar el resultado en {target}.',
+      custom: 'Ejecutar el paso personalizado {type}.'
+    }
+  },
+
+  zh: {
+    dir: 'ltr',
+    separator: '、',
+    labels: {
+      version: '版本 {version}，作者 {author}。',
+      inputs: '输入',
+      context: '上下文',
+      outputs: '输出',
+      steps: '步骤',
+      none: '无。',
+      required: '必填',
+      default: '默认 {value}',
+      source: '来自 {source}',
+      onErrorJump: '出错时，转到步骤 {step}。',
+      onError: '出错时：',
+      timeout: '时限：{duration}。',
+      roles: '允许的角色：{roles}。',
+      else: '否则：',
+      catch: '如果发生错误：',
+      finally: '无论如何，最后：',
+      branch: '分支 {n}：',
+      computed: '计算值',
+      not: '非',
+      and: '且',
+      or: '或'
+    },
+    steps: {
+      set: '将 {target} 设为 {value}。',
+      if: '如果 {condition}：',
+      return: '结束并返回 {value}。',
+      call: '调用函数 {function}，并将结果存入 {target}。',
+      try: '尝试执行以下内容：',
+      while: '当 {condition} 时，重复：',
+      foreach: '对 {collection} 中的每个 {iterator}：',
+      parallel: '同时运行以下分支：',
+      assert: '检查 {condition}；否则以“{message}”停止。',
+      event: '发布事件 {name}。',
+      require_role: '仅允许具有角色 {role} 的用户继续。',
+      ai_infer: '请求 AI 模型 {model} 进行预测，并将结果存入 {target}。',
+      ai_train: '训练 AI 模型 {model}，并将结果存入 {target}。',
+      ai_classify: '使用 AI 模型 {model} 对输入分类，并将标签存入 {target}。',
+      ai_embed: '使用 AI 模型 {model} 计算嵌入向量，并存入 {target}。',
+      ai_explain: '请求 AI 模型 {model} 解释输入，并将解释存入 {target}。',
+      ai_nlp_process: '使用 AI 模型 {model} 处理文本（{task}），并将结果存入 {target}。',
+      quantum_circuit: '构建一个 {qubits} 量子比特的量子电路，并存入 {target}。',
+      quantum_measure: '测量量子电路，并将结果存入 {target}。',
+      quantum_algorithm: '运行量子算法 {algorithm}，并将结果存入 {target}。',
+      blockchain_operation: '在 {chain} 上提交 {action} 交易，并将收据存入 {target}。',
+      crypto_sign: '使用 {algorithm} 对数据签名，并将签名存入 {target}。',
+      crypto_verify: '验证 {algorithm} 签名，并将结果存入 {target}。',
+      regex_match: '将文本与模式匹配，并将匹配结果存入 {target}。',
+      audit_log: '写入审计日志：“{message}”。',
+      call_workflow: '运行工作流 {workflow}，并将其输出存入 {target}。',
+      game_render: '将游戏场景渲染到 {render_target}。',
+      game_physics: '模拟 {simulation} 物理，并将结果存入 {target}。',
+      game_multiplayer_sync: '与 {peers} 同步游戏状态，并将结果存入 {target}。',
+      game_input: '读取 {input_type} 输入，并将动作存入 {target}。',
+      game_animation: '播放 {animation} 动画，并将结果存入 {target}。',
+      script: '运行 {language} 脚本，并将结果存入 {target}。',
+      custom: '运行自定义步骤 {type}。'
+    }
+  },
+
+  fr: {
+    dir: 'ltr',
+    separator: ', ',
+    labels: {
+      version: 'Version {version}, par {author}.',
+      inputs: 'Entrées',
+      context: 'Contexte',
+      outputs: 'Sorties',
+      steps: 'Étapes',
+      none: 'Aucun.',
+      required: 'obligatoire',
+      default: 'par défaut {value}',
+      source: 'depuis {source}',
+      onErrorJump: 'En cas d’erreur, reprendre à l’étape {step}.',
+      onError: 'En cas d’échec de l’étape :',
+      timeout: 'Délai maximal : {duration}.',
+      roles: 'Rôles autorisés : {roles}.',
+      else: 'Sinon :',
+      catch: 'En cas d’erreur :',
+      finally: 'Dans tous les cas, pour finir :',
+      branch: 'Branche {n} :',
+      computed: 'une valeur calculée',
+      not: 'non',
+      and: 'et',
+      or: 'ou'
+    },
+    steps: {
+      set: 'Affecter {value} à {target}.',
+      if: 'Si {condition} :',
+      return: 'Terminer et renvoyer {value}.',
+      call: 'Appeler la fonction {function} et enregistrer le résultat dans {target}.',
+      try: 'Essayer ce qui suit :',
+      while: 'Tant que {condition}, répéter :',
+      foreach: 'Pour chaque {iterator} de {collection} :',
+      parallel: 'Exécuter ces branches en même temps :',
+      assert: 'Vérifier que {condition} ; sinon arrêter avec « {message} ».',
+      event: 'Annoncer l’événement {name}.',
+      require_role: 'Continuer uniquement pour les utilisateurs ayant le rôle {role}.',
+      ai_infer: 'Demander une prédiction au modèle d’IA {model} et l’enregistrer dans {target}.',
+      ai_train: 'Entraîner le modèle d’IA {model} et enregistrer le résultat dans {target}.',
+      ai_classify: 'Classer l’entrée avec le modèle d’IA {model} et enregistrer l’étiquette dans {target}.',
+      ai_embed: 'Calculer un plongement avec le modèle d’IA {model} et l’enregistrer dans {target}.',
+      ai_explain: 'Demander au modèle d’IA {model} d’expliquer l’entrée et enregistrer l’explication dans {target}.',
+      ai_nlp_process: 'Traiter le texte avec le modèle d’IA {model} ({task}) et enregistrer le résultat dans {target}.',
+      quantum_circuit: 'Construire un circuit quantique de {qubits} qubits et l’enregistrer dans {target}.',
+      quantum_measure: 'Mesurer le circuit quantique et enregistrer le résultat dans {target}.',
+      quantum_algorithm: 'Exécuter l’algorithme quantique {algorithm} et enregistrer le résultat dans {target}.',
+      blockchain_operation: 'Soumettre une transaction {action} sur {chain} et enregistrer le reçu dans {target}.',
+      crypto_sign: 'Signer les données avec {algorithm} et enregistrer la signature dans {target}.',
+      crypto_verify: 'Vérifier une signature {algorithm} et enregistrer le résultat dans {target}.',
+      regex_match: 'Comparer le texte à un motif et enregistrer la correspondance dans {target}.',
+      audit_log: 'Consigner dans le journal d’audit : « {message} ».',
+      call_workflow: 'Exécuter le workflow {workflow} et enregistrer ses sorties dans {target}.',
+      game_render: 'Afficher la scène du jeu dans {render_target}.',
+      game_physics: 'Simuler la physique {simulation} et enregistrer le résultat dans {target}.',
+      game_multiplayer_sync: 'Synchroniser l’état du jeu avec {peers} et enregistrer le résultat dans {target}.',
+      game_input: 'Lire les entrées {input_type} et enregistrer les actions dans {target}.',
+      game_animation: 'Jouer une animation {animation} et enregistrer le résultat dans {target}.',
+      script: 'Exécuter un script {language} et enregistrer le résultat dans {target}.',
+      custom: 'Exécuter l’étape personnalisée {type}.'
+    }
+  },
+
+  de: {
+    dir: 'ltr',
+    separator: ', ',
+    labels: {
+      version: 'Version {version}, von {author}.',
+      inputs: 'Eingaben',
+      context: 'Kontext',
+      outputs: 'Ausgaben',
+      steps: 'Schritte',
+      none: 'Keine.',
+      required: 'erforderlich',
+      default: 'Standard {value}',
+      source: 'aus {source}',
+      onErrorJump: 'Bei Fehler mit Schritt {step} fortfahren.',
+      onError: 'Bei Fehler:',
+      timeout: 'Zeitlimit: {duration}.',
+      roles: 'Erlaubte Rollen: {roles}.',
+      else: 'Andernfalls:',
+      catch: 'Wenn ein Fehler auftritt:',
+      finally: 'In jedem Fall abschließend:',
+      branch: 'Zweig {n}:',
+      computed: 'ein berechneter Wert',
+      not: 'nicht',
+      and: 'und',
+      or: 'oder'
+    },
+    steps: {
+      set: '{target} auf {value} setzen.',
+      if: 'Wenn {condition}:',
+      return: 'Beenden und {value} zurückgeben.',
+      call: 'Die Funktion {function} aufrufen und das Ergebnis in {target} speichern.',
+      try: 'Folgendes versuchen:',
+      while: 'Solange {condition}, wiederholen:',
+      foreach: 'Für jedes {iterator} in {collection}:',
+      parallel: 'Diese Zweige gleichzeitig ausführen:',
+      assert: 'Prüfen, dass {condition}; sonst mit „{message}“ abbrechen.',
+      event: 'Das Ereignis {name} melden.',
+      require_role: 'Nur für Benutzer mit der Rolle {role} fortfahren.',
+      ai_infer: 'Das KI-Modell {model} um eine Vorhersage bitten und sie in {target} speichern.',
+      ai_train: 'Das KI-Modell {model} trainieren und das Ergebnis in {target} speichern.',
+      ai_classify: 'Die Eingabe mit dem KI-Modell {model} klassifizieren und das Label in {target} speichern.',
+      ai_embed: 'Mit dem KI-Modell {model} ein Embedding berechnen und in {target} speichern.',
+      ai_explain: 'Das KI-Modell {model} die Eingabe erklären lassen und die Erklärung in {target} speichern.',
+      ai_nlp_process: 'Den Text mit dem KI-Modell {model} verarbeiten ({task}) und das Ergebnis in {target} speichern.',
+      quantum_circuit: 'Einen Quantenschaltkreis mit {qubits} Qubits aufbauen und in {target} speichern.',
+      quantum_measure: 'Den Quantenschaltkreis messen und das Ergebnis in {target} speichern.',
+      quantum_algorithm: 'Den Quantenalgorithmus {algorithm} ausführen und das Ergebnis in {target} speichern.',
+      blockchain_operation: 'Eine {action}-Transaktion auf {chain} senden und den Beleg in {target} speichern.',
+      crypto_sign: 'Die Daten mit {algorithm} signieren und die Signatur in {target} speichern.',
+      crypto_verify: 'Eine {algorithm}-Signatur prüfen und das Ergebnis in {target} speichern.',
+      regex_match: 'Den Text mit einem Muster abgleichen und den Treffer in {target} speichern.',
+      audit_log: 'Im Audit-Log festhalten: „{message}“.',
+      call_workflow: 'Den Workflow {workflow} ausführen und seine Ausgaben in {target} speichern.',
+      game_render: 'Die Spielszene nach {render_target} rendern.',
+      game_physics: '{simulation}-Physik simulieren und das Ergebnis in {target} speichern.',
+      game_multiplayer_sync: 'Den Spielzustand mit {peers} synchronisieren und das Ergebnis in {target} speichern.',
+      game_input: '{input_type}-Eingaben lesen und die Aktionen in {target} speichern.',
+      game_animation: 'Eine {animation}-Animation abspielen und das Ergebnis in {target} speichern.',
+      script: 'Ein {language}-Skript ausführen und das Ergebnis in {target} speichern.',
+      custom: 'Den benutzerdefinierten Schritt {type} ausführen.'
+    }
+  },
+
+  ja: {
+    dir: 'ltr',
+    separator: '、',
+    labels: {
+      version: 'バージョン {version}、作成者 {author}。',
+      inputs: '入力',
+      context: 'コンテキスト',
+      outputs: '出力',
+      steps: '手順',
+      none: 'なし。',
+      required: '必須',
+      default: '既定値 {value}',
+      source: '{source} から',
+      onErrorJump: 'エラー時はステップ {step} から続行する。',
+      onError: 'エラー時:',
+      timeout: '制限時間: {duration}。',
+      roles: '許可されたロール: {roles}。',
+      else: 'それ以外の場合:',
+      catch: 'エラーが発生した場合:',
+      finally: 'いずれの場合も最後に:',
+      branch: 'ブランチ {n}:',
+      computed: '計算値',
+      not: '否定',
+      and: 'かつ',
+      or: 'または'
+    },
+    steps: {
+      set: '{target} を {value} に設定する。',
+      if: '{condition} の場合:',
+      return: '終了して {value} を返す。',
+      call: '関数 {function} を呼び出し、結果を {target} に保存する。',
+      try: '次を試行する:',
+      while: '{condition} の間、繰り返す:',
+      foreach: '{collection} の各 {iterator} について:',
+      parallel: '次のブランチを同時に実行する:',
+      assert: '{condition} を確認する。満たさない場合は「{message}」で停止する。',
+      event: 'イベント {name} を通知する。',
+      require_role: 'ロール {role} を持つユーザーのみ続行する。',
+      ai_infer: 'AI モデル {model} に予測を依頼し、{target} に保存する。',
+      ai_train: 'AI モデル {model} を学習させ、結果を {target} に保存する。',
+      ai_classify: 'AI モデル {model} で入力を分類し、ラベルを {target} に保存する。',
+      ai_embed: 'AI モデル {model} で埋め込みを計算し、{target} に保存する。',
+      ai_explain: 'AI モデル {model} に入力を説明させ、説明を {target} に保存する。',
+      ai_nlp_process: 'AI モデル {model} でテキストを処理し（{task}）、結果を {target} に保存する。',
+      quantum_circuit: '{qubits} 量子ビットの量子回路を構築し、{target} に保存する。',
+      quantum_measure: '量子回路を測定し、結果を {target} に保存する。',
+      quantum_algorithm: '量子アルゴリズム {algorithm} を実行し、結果を {target} に保存する。',
+      blockchain_operation: '{chain} で {action} トランザクションを送信し、レシートを {target} に保存する。',
+      crypto_sign: '{algorithm} でデータに署名し、署名を {target} に保存する。',
+      crypto_verify: '{algorithm} 署名を検証し、結果を {target} に保存する。',
+      regex_match: 'テキストをパターンと照合し、一致を {target} に保存する。',
+      audit_log: '監査ログに記録する:「{message}」。',
+      call_workflow: 'ワークフロー {workflow} を実行し、出力を {target} に保存する。',
+      game_render: 'ゲームシーンを {render_target} にレンダリングする。',
+      game_physics: '{simulation} の物理をシミュレートし、結果を {target} に保存する。',
+      game_multiplayer_sync: 'ゲーム状態を {peers} と同期し、結果を {target} に保存する。',
+      game_input: '{input_type} の入力を読み取り、アクションを {target} に保存する。',
+      game_animation: '{animation} アニメーションを再生し、結果を {target} に保存する。',
+      script: '{language} スクリプトを実行し、結果を {target} に保存する。',
+      custom: 'カスタムステップ {type} を実行する。'
+    }
+  },
+
+  ru: {
+    dir: 'ltr',
+    separator: ', ',
+    labels: {
+      version: 'Версия {version}, автор {author}.',
+      inputs: 'Входные данные',
+      context: 'Контекст',
+      outputs: 'Выходные данные',
+      steps: 'Шаги',
+      none: 'Нет.',
+      required: 'обязательно',
+      default: 'по умолчанию {value}',
+      source: 'из {source}',
+      onErrorJump: 'При ошибке перейти к шагу {step}.',
+      onError: 'При ошибке:',
+      timeout: 'Ограничение времени: {duration}.',
+      roles: 'Разрешённые роли: {roles}.',
+      else: 'Иначе:',
+      catch: 'Если возникает ошибка:',
+      finally: 'В любом случае в конце:',
+      branch: 'Ветвь {n}:',
+      computed: 'вычисленное значение',
+      not: 'не',
+      and: 'и',
+      or: 'или'
+    },
+    steps: {
+      set: 'Присвоить {target} значение {value}.',
+      if: 'Если {condition}:',
+      return: 'Завершить и вернуть {value}.',
+      call: 'Вызвать функцию {function} и сохранить результат в {target}.',
+      try: 'Попытаться выполнить следующее:',
+      while: 'Пока {condition}, повторять:',
+      foreach: 'Для каждого {iterator} из {collection}:',
+      parallel: 'Выполнить эти ветви одновременно:',
+      assert: 'Проверить, что {condition}; иначе остановиться с сообщением «{message}».',
+      event: 'Сообщить о событии {name}.',
+      require_role: 'Продолжить только для пользователей с ролью {role}.',
+      ai_infer: 'Запросить прогноз у модели ИИ {model} и сохранить его в {target}.',
+      ai_train: 'Обучить модель ИИ {model} и сохранить результат в {target}.',
+      ai_classify: 'Классифицировать входные данные моделью ИИ {model} и сохранить метку в {target}.',
+      ai_embed: 'Вычислить эмбеддинг моделью ИИ {model} и сохранить его в {target}.',
+      ai_explain: 'Попросить модель ИИ {model} объяснить входные данные и сохранить объяснение в {target}.',
+      ai_nlp_process: 'Обработать текст моделью ИИ {model} ({task}) и сохранить результат в {target}.',
+      quantum_circuit: 'Построить квантовую схему на {qubits} кубитах и сохранить её в {target}.',
+      quantum_measure: 'Измерить квантовую схему и сохранить результат в {target}.',
+      quantum_algorithm: 'Выполнить квантовый алгоритм {algorithm} и сохранить результат в {target}.',
+      blockchain_operation: 'Отправить транзакцию {action} в {chain} и сохранить квитанцию в {target}.',
+      crypto_sign: 'Подписать данные алгоритмом {algorithm} и сохранить подпись в {target}.',
+      crypto_verify: 'Проверить подпись {algorithm} и сохранить результат в {target}.',
+      regex_match: 'Сопоставить текст с шаблоном и сохранить совпадение в {target}.',
+      audit_log: 'Записать в журнал аудита: «{message}».',
+      call_workflow: 'Запустить процесс {workflow} и сохранить его результаты в {target}.',
+      game_render: 'Отрисовать игровую сцену в {render_target}.',
+      game_physics: 'Смоделировать физику {simulation} и сохранить результат в {target}.',
+      game_multiplayer_sync: 'Синхронизировать состояние игры с {peers} и сохранить результат в {target}.',
+      game_input: 'Считать ввод {input_type} и сохранить действия в {target}.',
+      game_animation: 'Воспроизвести анимацию {animation} и сохранить результат в {target}.',
+      script: 'Выполнить скрипт {language} и сохранить результат в {target}.',
+      custom: 'Выполнить пользовательский шаг {type}.'
+    }
+  },
+
+  ar: {
+    dir: 'rtl',
+    separator: '، ',
+    labels: {
+      version: 'الإصدار {version}، المؤلف {author}.',
+      inputs: 'المدخلات',
+      context: 'السياق',
+      outputs: 'المخرجات',
+      steps: 'الخطوات',
+      none: 'لا يوجد.',
+      required: 'مطلوب',
+      default: 'القيمة الافتراضية {value}',
+      source: 'من {source}',
+      onErrorJump: 'عند حدوث خطأ، المتابعة من الخطوة {step}.',
+      onError: 'عند حدوث خطأ:',
+      timeout: 'المهلة: {duration}.',
+      roles: 'الأدوار المسموح بها: {roles}.',
+      else: 'وإلا:',
+      catch: 'إذا حدث خطأ:',
+      finally: 'في جميع الحالات، أخيرًا:',
+      branch: 'الفرع {n}:',
+      computed: 'قيمة محسوبة',
+      not: 'ليس',
+      and: 'و',
+      or: 'أو'
+    },
+    steps: {
+      set: 'تعيين {target} إلى {value}.',
+      if: 'إذا {condition}:',
+      return: 'إنهاء وإرجاع {value}.',
+      call: 'استدعاء الدالة {function} وحفظ النتيجة في {target}.',
+      try: 'محاولة ما يلي:',
+      while: 'طالما {condition}، كرّر:',
+      foreach: 'لكل {iterator} في {collection}:',
+      parallel: 'تشغيل هذه الفروع في الوقت نفسه:',
+      assert: 'التحقق من أن {condition}؛ وإلا التوقف مع «{message}».',
+      event: 'الإعلان عن الحدث {name}.',
+      require_role: 'المتابعة فقط للمستخدمين الذين لديهم الدور {role}.',
+      ai_infer: 'طلب تنبؤ من نموذج الذكاء الاصطناعي {model} وحفظه في {target}.',
+      ai_train: 'تدريب نموذج الذكاء الاصطناعي {model} وحفظ النتيجة في {target}.',
+      ai_classify: 'تصنيف المدخل بنموذج الذكاء الاصطناعي {model} وحفظ التصنيف في {target}.',
+      ai_embed: 'حساب تضمين بنموذج الذكاء الاصطناعي {model} وحفظه في {target}.',
+      ai_explain: 'طلب شرح المدخل من نموذج الذكاء الاصطناعي {model} وحفظ الشرح في {target}.',
+      ai_nlp_process: 'معالجة النص بنموذج الذكاء الاصطناعي {model} ({task}) وحفظ النتيجة في {target}.',
+      quantum_circuit: 'بناء دارة كمومية من {qubits} كيوبت وحفظها في {target}.',
+      quantum_measure: 'قياس الدارة الكمومية وحفظ النتيجة في {target}.',
+      quantum_algorithm: 'تشغيل الخوارزمية الكمومية {algorithm} وحفظ النتيجة في {target}.',
+      blockchain_operation: 'إرسال معاملة {action} على {chain} وحفظ الإيصال في {target}.',
+      crypto_sign: 'توقيع البيانات باستخدام {algorithm} وحفظ التوقيع في {target}.',
+      crypto_verify: 'التحقق من توقيع {algorithm} وحفظ النتيجة في {target}.',
+      regex_match: 'مطابقة النص مع نمط وحفظ التطابق في {target}.',
+      audit_log: 'التسجيل في سجل التدقيق: «{message}».',
+      call_workflow: 'تشغيل سير العمل {workflow} وحفظ مخرجاته في {target}.',
+      game_render: 'عرض مشهد اللعبة في {render_target}.',
+      game_physics: 'محاكاة فيزياء {simulation} وحفظ النتيجة في {target}.',
+      game_multiplayer_sync: 'مزامنة حالة اللعبة مع {peers} وحفظ النتيجة في {target}.',
+      game_input: 'قراءة مدخلات {input_type} وحفظ الإجراءات في {target}.',
+      game_animation: 'تشغيل رسوم متحركة {animation} وحفظ النتيجة في {target}.',
+      script: 'تشغيل نص برمجي {language} وحفظ النتيجة في {target}.',
+      custom: 'تشغيل الخطوة المخصصة {type}.'
+    }
+  }
+};
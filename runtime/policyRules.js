@@ -0,0 +1,124 @@
+// A small Rego-style rules language for local access policies, evaluated against an `input`
+// document. Supported: `package`, `default allow = <bool>`, `allow { ... }` and
+// `deny["reason"] { ... }` rules whose bodies are expressions joined by newlines or `;`.
+// An expression is `ref`, `not expr` or `term <op> term` (==, !=, <, <=, >, >=); terms are
+// string, number, boolean and null literals or `input` references, where `[_]` iterates
+// (an expression holds if any element satisfies it).
+const policyError = (message, line) => Object.assign(new Error(`Policy rules error${line ? ` at line ${line}` : ''}: ${message}`), { status: 500 });
+
+const stripComment = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== '\\') quoted = !quoted;
+    else if (line[i] === '#' && !quoted) return line.slice(0, i);
+  }
+  return line;
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const parseTerm = (text, line) => {
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return { literal: JSON.parse(text) };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: Number(text) };
+  if (['true', 'false', 'null'].includes(text)) return { literal: JSON.parse(text) };
+  if (!/^input\b/.test(text)) throw policyError(`unsupported term ${text}`, line);
+
+  const path = [];
+  const pattern = /\.([a-zA-Z_][a-zA-Z0-9_]*)|\[(_|"(?:[^"\\]|\\.)*"|\d+)\]/g;
+  let rest = text.slice('input'.length);
+  let match;
+  while (rest.length && (match = pattern.exec(rest)) && match.index === 0) {
+    if (match[1]) path.push(match[1]);
+    else if (match[2] === '_') path.push({ each: true });
+    else path.push(match[2].startsWith('"') ? JSON.parse(match[2]) : Number(match[2]));
+    rest = rest.slice(match[0].length);
+    pattern.lastIndex = 0;
+  }
+  if (rest.length) throw policyError(`invalid reference ${text}`, line);
+  return { path };
+};
+
+const parseExpression = (text, line) => {
+  if (text.startsWith('not ')) return { not: parseExpression(text.slice(4).trim(), line) };
+  for (const op of OPERATORS) {
+    const index = text.indexOf(` ${op} `);
+    if (index !== -1) {
+      return { op, left: parseTerm(text.slice(0, index).trim(), line), right: parseTerm(text.slice(index + op.length + 2).trim(), line) };
+    }
+  }
+  return { truthy: parseTerm(text, line) };
+};
+
+function parseRules(source) {
+  const policy = { package: null, defaultAllow: false, allow: [], deny: [] };
+  let rule = null;
+
+  source.split('\n').forEach((raw, i) => {
+    const line = i + 1;
+    let text = stripComment(raw).trim();
+    if (!text) return;
+
+    if (!rule) {
+      let match;
+      if ((match = /^package\s+([\w.]+)$/.exec(text))) {
+        policy.package = match[1];
+        return;
+      }
+      if ((match = /^default\s+allow\s*:?=\s*(true|false)$/.exec(text))) {
+        policy.defaultAllow = match[1] === 'true';
+        return;
+      }
+      match = /^(allow|deny\[("(?:[^"\\]|\\.)*")\])\s*(?:if\s*)?\{(.*)$/.exec(text);
+      if (!match) throw policyError(`expected a rule, got "${text}"`, line);
+      rule = { kind: match[2] ? 'deny' : 'allow', reason: match[2] && JSON.parse(match[2]), body: [], line };
+      text = match[3].trim();
+    }
+
+    const closed = text.endsWith('}');
+    if (closed) text = text.slice(0, -1).trim();
+    text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => rule.body.push(parseExpression(part, line)));
+    if (closed) {
+      policy[rule.kind].push(rule);
+      rule = null;
+    }
+  });
+
+  if (rule) throw policyError('unterminated rule', rule.line);
+  return policy;
+}
+
+// Every value a reference resolves to; `[_]` fans out over array elements and object values
+const resolve = (input, path) => path.reduce((values, key) => values.flatMap((value) => {
+  if (value === null || typeof value !== 'object') return [];
+  if (key.each) return Object.values(value);
+  return value[key] === undefined ? [] : [value[key]];
+}), [input]);
+
+const values = (term, input) => ('literal' in term ? [term.literal] : resolve(input, term.path));
+
+const COMPARE = {
+  '==': (a, b) => JSON.stringify(a) === JSON.stringify(b),
+  '!=': (a, b) => JSON.stringify(a) !== JSON.stringify(b),
+  '<': (a, b) => typeof a === typeof b && a < b,
+  '<=': (a, b) => typeof a === typeof b && a <= b,
+  '>': (a, b) => typeof a === typeof b && a > b,
+  '>=': (a, b) => typeof a === typeof b && a >= b
+};
+
+const holds = (expr, input) => {
+  if (expr.not) return !holds(expr.not, input);
+  if (expr.truthy) return values(expr.truthy, input).some(v => v !== false && v !== null);
+  const right = values(expr.right, input);
+  return values(expr.left, input).some(a => right.some(b => COMPARE[expr.op](a, b)));
+};
+
+// `deny` rules win over `allow`; without a matching `allow` rule the default applies
+function evaluateRules(policy, input) {
+  const denied = policy.deny.find(rule => rule.body.every(expr => holds(expr, input)));
+  if (denied) return { allow: false, reason: denied.reason };
+  const allowed = policy.allow.some(rule => rule.body.every(expr => holds(expr, input)));
+  if (allowed || policy.defaultAllow) return { allow: true };
+  return { allow: false, reason: `no allow rule matched in policy ${policy.package || ''}`.trim() };
+}
+
+module.exports = { parseRules, evaluateRules };
@@ -0,0 +1,246 @@
+// CPU state-vector simulator for quantum_circuit and quantum_measure steps. Basis state i holds
+// qubit q in bit q of i; bitstrings list qubits in the order given, so a full register reads
+// qubit 0 first. Memory is 16 bytes per amplitude, 2^qubits amplitudes.
+const MAX_QUBITS = parseInt(process.env.WORKFLOW_QUANTUM_MAX_QUBITS, 10) || 20;
+// Simulation runs on the event loop, so each step is capped: amplitude updates across all its
+// state vectors (one gate on 20 qubits is about a million), measurement shots, and optimizer
+// iterations or Grover rounds
+const MAX_OPERATIONS = parseInt(process.env.WORKFLOW_QUANTUM_MAX_OPERATIONS, 10) || 3e8;
+const MAX_SHOTS = parseInt(process.env.WORKFLOW_QUANTUM_MAX_SHOTS, 10) || 10000;
+const MAX_ITERATIONS = parseInt(process.env.WORKFLOW_QUANTUM_MAX_ITERATIONS, 10) || 1000;
+
+const quantumError = (message) => Object.assign(new Error(message), { status: 422 });
+
+// Amplitude updates left to a step; state vectors sharing a budget draw from the same total
+class WorkBudget {
+  constructor(limit = MAX_OPERATIONS) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  charge(operations) {
+    this.used += operations;
+    if (this.used > this.limit) throw quantumError(`Simulation exceeds the limit of ${this.limit} amplitude operations (WORKFLOW_QUANTUM_MAX_OPERATIONS)`);
+  }
+}
+
+// 2x2 unitaries as [[a, b], [c, d]] of [re, im] entries
+const MATRICES = {
+  H: () => [[[Math.SQRT1_2, 0], [Math.SQRT1_2, 0]], [[Math.SQRT1_2, 0], [-Math.SQRT1_2, 0]]],
+  X: () => [[[0, 0], [1, 0]], [[1, 0], [0, 0]]],
+  Y: () => [[[0, 0], [0, -1]], [[0, 1], [0, 0]]],
+  Z: () => [[[1, 0], [0, 0]], [[0, 0], [-1, 0]]],
+  S: () => [[[1, 0], [0, 0]], [[0, 0], [0, 1]]],
+  T: () => [[[1, 0], [0, 0]], [[0, 0], [Math.SQRT1_2, Math.SQRT1_2]]],
+  RX: (theta) => [[[Math.cos(theta / 2), 0], [0, -Math.sin(theta / 2)]], [[0, -Math.sin(theta / 2)], [Math.cos(theta / 2), 0]]],
+  RY: (theta) => [[[Math.cos(theta / 2), 0], [-Math.sin(theta / 2), 0]], [[Math.sin(theta / 2), 0], [Math.cos(theta / 2), 0]]],
+  RZ: (theta) => [[[Math.cos(theta / 2), -Math.sin(theta / 2)], [0, 0]], [[0, 0], [Math.cos(theta / 2), Math.sin(theta / 2)]]],
+  // Phase shift; not in the workflow gate set, used by the reference algorithms (controlled-phase in QFT)
+  P: (theta) => [[[1, 0], [0, 0]], [[0, 0], [Math.cos(theta), Math.sin(theta)]]]
+};
+
+const ROTATIONS = ['RX', 'RY', 'RZ', 'P'];
+
+class StateVector {
+  constructor(qubits, budget = new WorkBudget()) {
+    if (!Number.isInteger(qubits) || qubits < 1) throw quantumError(`Invalid qubit count: ${qubits}`);
+    if (qubits > MAX_QUBITS) throw quantumError(`${qubits} qubits exceed the simulator limit of ${MAX_QUBITS} (WORKFLOW_QUANTUM_MAX_QUBITS)`);
+    this.qubits = qubits;
+    this.size = 2 ** qubits;
+    this.budget = budget;
+    budget.charge(this.size);
+    this.re = new Float64Array(this.size);
+    this.im = new Float64Array(this.size);
+    this.re[0] = 1;
+  }
+
+  clone() {
+    this.budget.charge(this.size);
+    const copy = Object.create(StateVector.prototype);
+    return Object.assign(copy, { qubits: this.qubits, size: this.size, budget: this.budget, re: this.re.slice(), im: this.im.slice() });
+  }
+
+  checkQubits(qubits) {
+    for (const q of qubits) {
+      if (!Number.isInteger(q) || q < 0 || q >= this.qubits) throw quantumError(`Qubit ${q} is out of range for a ${this.qubits}-qubit register`);
+    }
+    if (new Set(qubits).size !== qubits.length) throw quantumError(`Qubits must be distinct: ${qubits.join(', ')}`);
+  }
+
+  // Applies a 2x2 unitary to `target` on the basis states where every control qubit is 1
+  apply(matrix, target, controls = []) {
+    this.checkQubits([target, ...controls]);
+    this.budget.charge(this.size);
+    const [[a, b], [c, d]] = matrix;
+    const bit = 2 ** target;
+    const mask = controls.reduce((m, q) => m | (2 ** q), 0);
+    const { re, im } = this;
+    for (let i = 0; i < this.size; i++) {
+      if (i & bit || (i & mask) !== mask) continue;
+      const j = i | bit;
+      const r0 = re[i];
+      const i0 = im[i];
+      const r1 = re[j];
+      const i1 = im[j];
+      re[i] = a[0] * r0 - a[1] * i0 + b[0] * r1 - b[1] * i1;
+      im[i] = a[0] * i0 + a[1] * r0 + b[0] * i1 + b[1] * r1;
+      re[j] = c[0] * r0 - c[1] * i0 + d[0] * r1 - d[1] * i1;
+      im[j] = c[0] * i0 + c[1] * r0 + d[0] * i1 + d[1] * r1;
+    }
+    return this;
+  }
+
+  swap(a, b, controls = []) {
+    this.checkQubits([a, b, ...controls]);
+    this.budget.charge(this.size);
+    const mask = controls.reduce((m, q) => m | (2 ** q), 0);
+    for (let i = 0; i < this.size; i++) {
+      if (!(i & (2 ** a)) || i & (2 ** b) || (i & mask) !== mask) continue;
+      const j = i ^ (2 ** a) ^ (2 ** b);
+      [this.re[i], this.re[j]] = [this.re[j], this.re[i]];
+      [this.im[i], this.im[j]] = [this.im[j], this.im[i]];
+    }
+    return this;
+  }
+
+  // Maps basis state i to map(i); map must be a bijection (an oracle or a modular multiplication)
+  permute(map) {
+    this.budget.charge(this.size);
+    const re = new Float64Array(this.size);
+    const im = new Float64Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      const j = map(i);
+      re[j] = this.re[i];
+      im[j] = this.im[i];
+    }
+    Object.assign(this, { re, im });
+    return this;
+  }
+
+  // Multiplies each amplitude by e^(i * phase(i)), i.e. applies a diagonal unitary
+  phase(phase) {
+    this.budget.charge(this.size);
+    for (let i = 0; i < this.size; i++) {
+      const angle = phase(i);
+      if (!angle) continue;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const r = this.re[i];
+      this.re[i] = r * cos - this.im[i] * sin;
+      this.im[i] = r * sin + this.im[i] * cos;
+    }
+    return this;
+  }
+
+  probability(i) {
+    return this.re[i] ** 2 + this.im[i] ** 2;
+  }
+
+  // Real part of <this|other>
+  overlap(other) {
+    this.budget.charge(this.size);
+    let sum = 0;
+    for (let i = 0; i < this.size; i++) sum += this.re[i] * other.re[i] + this.im[i] * other.im[i];
+    return sum;
+  }
+
+  // Marginal probabilities of the outcomes of `qubits`; outcome bit k is qubits[k]
+  distribution(qubits = [...Array(this.qubits).keys()]) {
+    this.checkQubits(qubits);
+    this.budget.charge(this.size);
+    const outcomes = new Float64Array(2 ** qubits.length);
+    for (let i = 0; i < this.size; i++) outcomes[outcomeOf(i, qubits)] += this.probability(i);
+    return outcomes;
+  }
+
+  // Draws an outcome for `qubits` without disturbing the state
+  sample(qubits, random) {
+    const outcomes = this.distribution(qubits);
+    let r = random();
+    for (let outcome = 0; outcome < outcomes.length; outcome++) {
+      r -= outcomes[outcome];
+      if (r < 0) return { outcome, probability: outcomes[outcome] };
+    }
+    // Rounding left r marginally positive: take the last possible outcome
+    const outcome = outcomes.findLastIndex(p => p > 0);
+    return { outcome, probability: outcomes[outcome] };
+  }
+
+  // Projective measurement: samples an outcome and collapses the state onto it
+  measure(qubits, random) {
+    const { outcome, probability } = this.sample(qubits, random);
+    const norm = Math.sqrt(probability);
+    this.budget.charge(this.size);
+    for (let i = 0; i < this.size; i++) {
+      if (outcomeOf(i, qubits) === outcome) {
+        this.re[i] /= norm;
+        this.im[i] /= norm;
+      } else {
+        this.re[i] = 0;
+        this.im[i] = 0;
+      }
+    }
+    return { outcome, probability };
+  }
+}
+
+const outcomeOf = (i, qubits) => qubits.reduce((outcome, q, k) => outcome | (((i >> q) & 1) << k), 0);
+
+const bitstring = (outcome, width) => Array.from({ length: width }, (_, k) => (outcome >> k) & 1).join('');
+
+// CNOT and TOFFOLI take their controls from `control`, or else from the leading `target` entries
+function applyGate(state, { gate, target, control = [], parameters = {} }) {
+  let controls = control;
+  let targets = target;
+  if ((gate === 'CNOT' || gate === 'TOFFOLI') && !controls.length) {
+    controls = target.slice(0, -1);
+    targets = target.slice(-1);
+  }
+  if (gate === 'CNOT' && controls.length !== 1) throw quantumError('CNOT needs one control qubit');
+  if (gate === 'TOFFOLI' && controls.length !== 2) throw quantumError('TOFFOLI needs two control qubits');
+
+  if (gate === 'SWAP') {
+    if (targets.length !== 2) throw quantumError('SWAP needs two target qubits');
+    return state.swap(targets[0], targets[1], controls);
+  }
+  const name = gate === 'CNOT' || gate === 'TOFFOLI' ? 'X' : gate;
+  if (!MATRICES[name]) throw quantumError(`Unknown gate: ${gate}`);
+  let angle;
+  if (ROTATIONS.includes(name)) {
+    angle = parameters.theta ?? parameters.angle;
+    if (typeof angle !== 'number') throw quantumError(`${gate} needs a numeric parameters.theta`);
+  }
+  const matrix = MATRICES[name](angle);
+  for (const q of targets) state.apply(matrix, q, controls);
+  return state;
+}
+
+function simulate({ qubits, gates = [] }) {
+  const state = new StateVector(qubits);
+  gates.forEach((gate, i) => {
+    try {
+      applyGate(state, gate);
+    } catch (error) {
+      throw quantumError(`Gate ${i} (${gate.gate}): ${error.message}`);
+    }
+  });
+  return state;
+}
+
+// What a quantum_circuit step stores: the circuit itself, so quantum_measure can re-run it,
+// and the non-zero outcome probabilities keyed by bitstring
+function describeCircuit(state, circuit) {
+  const probabilities = {};
+  state.distribution().forEach((p, outcome) => {
+    if (p > 1e-12) probabilities[bitstring(outcome, state.qubits)] = Number(p.toFixed(12));
+  });
+  return { qubits: circuit.qubits, gates: circuit.gates, probabilities };
+}
+
+function measure(state, qubits, random) {
+  const { outcome, probability } = state.measure(qubits, random);
+  const bits = qubits.map((_, k) => (outcome >> k) & 1);
+  return { qubits, bits, bitstring: bits.join(''), probability: Number(probability.toFixed(12)) };
+}
+
+module.exports = { StateVector, WorkBudget, MATRICES, MAX_QUBITS, MAX_SHOTS, MAX_ITERATIONS, quantumError, applyGate, simulate, describeCircuit, measure, bitstring };
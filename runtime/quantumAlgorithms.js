@@ -0,0 +1,328 @@
+// Reference implementations of the quantum_algorithm step on the state-vector simulator.
+// Oracles and cost functions act directly on the state vector (permute/phase) rather than
+// being compiled to gates. Every algorithm takes the step's parameters, the run's seeded
+// random source, so results are reproducible for a given run seed, and the step's work budget.
+const { StateVector, WorkBudget, MATRICES, MAX_QUBITS, MAX_SHOTS, MAX_ITERATIONS, quantumError, applyGate, bitstring } = require('./quantum');
+
+const range = (n) => [...Array(n).keys()];
+
+const requireInteger = (value, name, min, max = Infinity) => {
+  if (!Number.isInteger(value) || value < min) throw quantumError(`parameters.${name} must be an integer >= ${min}`);
+  if (value > max) throw quantumError(`parameters.${name} must be at most ${max}`);
+  return value;
+};
+
+// Draws every shot from one distribution, picking the first outcome whose cumulative
+// probability exceeds the draw like StateVector.sample does
+const countShots = (state, qubits, shots, random) => {
+  const cumulative = state.distribution(qubits);
+  for (let i = 1; i < cumulative.length; i++) cumulative[i] += cumulative[i - 1];
+  const last = cumulative.findLastIndex((p, i) => p > (i ? cumulative[i - 1] : 0));
+  const counts = {};
+  for (let i = 0; i < shots; i++) {
+    const r = random();
+    let [low, high] = [0, last];
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulative[mid] > r) high = mid;
+      else low = mid + 1;
+    }
+    const key = bitstring(low, qubits.length);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+const mostFrequent = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0][0];
+
+const round = (value) => Number(value.toFixed(12));
+
+// QFT on `qubits`, treating qubits[k] as bit k: |x> -> sum_y e^(2 pi i x y / 2^n) |y> / sqrt(2^n)
+function qftGates(qubits, inverse = false) {
+  const n = qubits.length;
+  const gates = [];
+  for (let j = n - 1; j >= 0; j--) {
+    gates.push({ gate: 'H', target: [qubits[j]] });
+    for (let k = j - 1; k >= 0; k--) {
+      gates.push({ gate: 'P', target: [qubits[j]], control: [qubits[k]], parameters: { theta: Math.PI / 2 ** (j - k) } });
+    }
+  }
+  for (let k = 0; k < Math.floor(n / 2); k++) gates.push({ gate: 'SWAP', target: [qubits[k], qubits[n - 1 - k]] });
+  if (!inverse) return gates;
+  return gates.reverse().map(gate => (gate.parameters ? { ...gate, parameters: { theta: -gate.parameters.theta } } : gate));
+}
+
+const runGates = (state, gates) => {
+  gates.forEach(gate => applyGate(state, gate));
+  return state;
+};
+
+// Basis state index of a bitstring that lists qubit 0 first
+const indexOf = (bits) => parseInt([...bits].reverse().join(''), 2);
+
+// Amplitude amplification of the `marked` basis states (integers) in a `qubits`-wide register
+function grover({ qubits, marked, iterations, shots = 1 }, random, budget) {
+  requireInteger(qubits, 'qubits', 1);
+  const targets = [].concat(marked);
+  const size = 2 ** qubits;
+  if (!targets.length || targets.some(m => !Number.isInteger(m) || m < 0 || m >= size)) {
+    throw quantumError(`parameters.marked must be integers between 0 and ${size - 1}`);
+  }
+  const rounds = iterations ?? Math.max(1, Math.floor((Math.PI / 4) * Math.sqrt(size / targets.length)));
+  requireInteger(rounds, 'iterations', 0, MAX_ITERATIONS);
+  requireInteger(shots, 'shots', 1, MAX_SHOTS);
+
+  const state = new StateVector(qubits, budget);
+  const all = range(qubits);
+  const hadamard = state => all.forEach(q => state.apply(MATRICES.H(), q));
+  const markedSet = new Set(targets);
+  hadamard(state);
+  for (let i = 0; i < rounds; i++) {
+    state.phase(index => (markedSet.has(index) ? Math.PI : 0));
+    // Diffusion: reflect about the uniform superposition
+    hadamard(state);
+    state.phase(index => (index === 0 ? 0 : Math.PI));
+    hadamard(state);
+  }
+
+  const counts = countShots(state, all, shots, random);
+  const result = mostFrequent(counts);
+  return {
+    algorithm: 'grover',
+    qubits,
+    marked: targets,
+    iterations: rounds,
+    successProbability: round(targets.reduce((sum, m) => sum + state.probability(m), 0)),
+    counts,
+    result: indexOf(result),
+    bitstring: result
+  };
+}
+
+// Applies the QFT (or its inverse) to the basis state |input> and reports the resulting amplitudes
+function qft({ qubits, input = 0, inverse = false }, random, budget) {
+  requireInteger(qubits, 'qubits', 1);
+  if (!Number.isInteger(input) || input < 0 || input >= 2 ** qubits) throw quantumError(`parameters.input must be an integer between 0 and ${2 ** qubits - 1}`);
+  const state = new StateVector(qubits, budget);
+  state.permute(index => index ^ input);
+  const gates = qftGates(range(qubits), inverse);
+  runGates(state, gates);
+  return {
+    algorithm: 'qft',
+    qubits,
+    input,
+    inverse: Boolean(inverse),
+    gates,
+    amplitudes: range(state.size).map(i => [round(state.re[i]), round(state.im[i])])
+  };
+}
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  let b = BigInt(base) % BigInt(modulus);
+  let e = BigInt(exponent);
+  const m = BigInt(modulus);
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return Number(result);
+};
+
+const isPrime = (n) => {
+  for (let d = 2; d * d <= n; d++) if (n % d === 0) return false;
+  return n > 1;
+};
+
+// Denominators of the continued-fraction convergents of y / 2^t, below `limit`
+const convergentDenominators = (y, t, limit) => {
+  const denominators = [];
+  let [num, den] = [y, 2 ** t];
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  while (den !== 0) {
+    const a = Math.floor(num / den);
+    [h0, h1] = [h1, a * h1 + h0];
+    [k0, k1] = [k1, a * k1 + k0];
+    if (k1 >= limit) break;
+    denominators.push(k1);
+    [num, den] = [den, num - a * den];
+  }
+  return denominators;
+};
+
+// Order finding by phase estimation on 2n counting qubits and an n-qubit work register
+function findOrder(a, N, random, budget) {
+  const n = Math.ceil(Math.log2(N + 1));
+  const t = 2 * n;
+  if (t + n > MAX_QUBITS) throw quantumError(`Factoring ${N} needs ${t + n} qubits; the simulator allows ${MAX_QUBITS}`);
+  const counting = range(t);
+  const state = new StateVector(t + n, budget);
+  state.permute(i => i ^ (1 << t));
+  counting.forEach(q => state.apply(MATRICES.H(), q));
+  counting.forEach((q) => {
+    const multiplier = modPow(a, 2 ** q, N);
+    state.permute((i) => {
+      const work = i >> t;
+      if (!(i & (1 << q)) || work >= N) return i;
+      return (i & ((1 << t) - 1)) | (((work * multiplier) % N) << t);
+    });
+  });
+  runGates(state, qftGates(counting, true));
+  const { outcome } = state.measure(counting, random);
+  const order = convergentDenominators(outcome, t, N).find(r => r > 0 && modPow(a, r, N) === 1);
+  return { measured: outcome, order: order || null };
+}
+
+function shor({ N, a, attempts = 10 }, random, budget) {
+  requireInteger(N, 'N', 4);
+  requireInteger(attempts, 'attempts', 1, MAX_ITERATIONS);
+  if (isPrime(N)) throw quantumError(`parameters.N must be composite; ${N} is prime`);
+  const found = (factors, extra) => ({ algorithm: 'shor', N, factors: factors.sort((x, y) => x - y), ...extra });
+  if (N % 2 === 0) return found([2, N / 2], { method: 'classical' });
+  for (let power = 2; 2 ** power <= N; power++) {
+    const root = Math.round(N ** (1 / power));
+    if (root ** power === N) return found([root, N / root], { method: 'classical' });
+  }
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const base = a ?? random.int(2, N - 2);
+    const shared = gcd(base, N);
+    if (shared > 1) return found([shared, N / shared], { a: base, method: 'classical', attempts: attempt });
+    const { measured, order } = findOrder(base, N, random, budget);
+    if (order && order % 2 === 0) {
+      const half = modPow(base, order / 2, N);
+      if (half !== N - 1) {
+        const factor = [gcd(half - 1, N), gcd(half + 1, N)].find(f => f > 1 && f < N);
+        if (factor) return found([factor, N / factor], { a: base, order, measured, method: 'quantum', attempts: attempt });
+      }
+    }
+  }
+  throw quantumError(`No factor of ${N} found in ${attempts} attempts`);
+}
+
+// Expectation of a Pauli string (character q acts on qubit q) in `state`
+const pauliExpectation = (state, pauli) => {
+  const transformed = state.clone();
+  [...pauli].forEach((op, q) => {
+    if (op !== 'I') transformed.apply(MATRICES[op](), q);
+  });
+  return state.overlap(transformed);
+};
+
+const checkHamiltonian = (hamiltonian) => {
+  if (!Array.isArray(hamiltonian) || !hamiltonian.length) throw quantumError('parameters.hamiltonian must be a non-empty list of { coefficient, pauli } terms');
+  const qubits = hamiltonian[0].pauli?.length;
+  for (const term of hamiltonian) {
+    if (typeof term.coefficient !== 'number' || typeof term.pauli !== 'string' || !/^[IXYZ]+$/.test(term.pauli) || term.pauli.length !== qubits) {
+      throw quantumError('Hamiltonian terms need a numeric coefficient and a Pauli string over I, X, Y, Z of equal length');
+    }
+  }
+  return qubits;
+};
+
+// Minimizes f over `initial` by gradient descent; gradient(params, i) gives one partial derivative
+const descend = (f, gradient, initial, { iterations, learningRate, tolerance }) => {
+  const params = [...initial];
+  let value = f(params);
+  let steps = 0;
+  let converged = false;
+  while (steps < iterations && !converged) {
+    const grad = params.map((_, i) => gradient(params, i));
+    grad.forEach((g, i) => { params[i] -= learningRate * g; });
+    const next = f(params);
+    steps++;
+    converged = Math.abs(value - next) < tolerance;
+    value = next;
+  }
+  return { params, value, steps, converged };
+};
+
+// Variational ground-state search with an RY + CNOT-ladder ansatz; gradients by parameter shift
+function vqe({ hamiltonian, layers = 1, iterations = 100, learning_rate: learningRate = 0.1, tolerance = 1e-6 }, random, budget) {
+  const qubits = checkHamiltonian(hamiltonian);
+  requireInteger(layers, 'layers', 1);
+  requireInteger(iterations, 'iterations', 1, MAX_ITERATIONS);
+
+  const prepare = (params) => {
+    const state = new StateVector(qubits, budget);
+    for (let layer = 0; layer <= layers; layer++) {
+      range(qubits).forEach(q => state.apply(MATRICES.RY(params[layer * qubits + q]), q));
+      if (layer < layers) range(qubits - 1).forEach(q => state.apply(MATRICES.X(), q + 1, [q]));
+    }
+    return state;
+  };
+  const energy = (params) => {
+    const state = prepare(params);
+    return hamiltonian.reduce((sum, term) => sum + term.coefficient * pauliExpectation(state, term.pauli), 0);
+  };
+  const shift = (params, i, delta) => params.map((p, j) => (j === i ? p + delta : p));
+  const gradient = (params, i) => (energy(shift(params, i, Math.PI / 2)) - energy(shift(params, i, -Math.PI / 2))) / 2;
+
+  const initial = range((layers + 1) * qubits).map(() => (random() - 0.5) * 0.2);
+  const { params, value, steps, converged } = descend(energy, gradient, initial, { iterations, learningRate, tolerance });
+  return { algorithm: 'vqe', qubits, layers, energy: round(value), parameters: params.map(round), iterations: steps, converged };
+}
+
+// MaxCut by QAOA: cost layers as diagonal phases, RX mixers, angles tuned by finite-difference descent
+function qaoa({ edges, qubits, layers = 1, iterations = 50, learning_rate: learningRate = 0.1, tolerance = 1e-6, shots = 100 }, random, budget) {
+  if (!Array.isArray(edges) || !edges.length || edges.some(edge => !Array.isArray(edge) || edge.length < 2)) {
+    throw quantumError('parameters.edges must be a non-empty list of [i, j] or [i, j, weight] edges');
+  }
+  const width = qubits ?? Math.max(...edges.flatMap(([i, j]) => [i, j])) + 1;
+  requireInteger(layers, 'layers', 1);
+  requireInteger(iterations, 'iterations', 1, MAX_ITERATIONS);
+  requireInteger(shots, 'shots', 1, MAX_SHOTS);
+  const cut = (index) => edges.reduce((sum, [i, j, weight = 1]) => sum + (((index >> i) & 1) !== ((index >> j) & 1) ? weight : 0), 0);
+
+  const prepare = (angles) => {
+    const state = new StateVector(width, budget);
+    range(width).forEach(q => state.apply(MATRICES.H(), q));
+    for (let layer = 0; layer < layers; layer++) {
+      state.phase(index => -angles[layer] * cut(index));
+      range(width).forEach(q => state.apply(MATRICES.RX(2 * angles[layers + layer]), q));
+    }
+    return state;
+  };
+  const expectation = (angles) => {
+    const state = prepare(angles);
+    budget.charge(state.size);
+    let sum = 0;
+    for (let i = 0; i < state.size; i++) sum += state.probability(i) * cut(i);
+    return sum;
+  };
+  // Descends on the negated expectation to maximize the cut
+  const h = 1e-4;
+  const gradient = (angles, i) => -(expectation(angles.map((a, j) => (j === i ? a + h : a))) - expectation(angles.map((a, j) => (j === i ? a - h : a)))) / (2 * h);
+  const initial = range(2 * layers).map(() => random() * Math.PI / 2);
+  const { params, value, steps, converged } = descend(angles => -expectation(angles), gradient, initial, { iterations, learningRate, tolerance });
+
+  const counts = countShots(prepare(params), range(width), shots, random);
+  const best = Object.keys(counts).reduce((a, b) => (cut(indexOf(b)) > cut(indexOf(a)) ? b : a));
+  return {
+    algorithm: 'qaoa',
+    qubits: width,
+    layers,
+    gamma: params.slice(0, layers).map(round),
+    beta: params.slice(layers).map(round),
+    expectation: round(-value),
+    iterations: steps,
+    converged,
+    counts,
+    cut: best,
+    partition: [range(width).filter(q => best[q] === '0'), range(width).filter(q => best[q] === '1')],
+    value: cut(indexOf(best))
+  };
+}
+
+const ALGORITHMS = { grover, shor, qft, vqe, qaoa };
+
+function runAlgorithm(name, parameters, random) {
+  const algorithm = ALGORITHMS[name];
+  if (!algorithm) throw quantumError(`Unknown quantum algorithm: ${name}`);
+  return algorithm(parameters || {}, random, new WorkBudget());
+}
+
+module.exports = { runAlgorithm, qftGates, ALGORITHMS };
@@ -0,0 +1,18 @@
+// Seeded PRNG (mulberry32) so fuzzing and simulations are reproducible
+function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  next.pick = (items) => items[Math.floor(next() * items.length)];
+  // createRandom(random.state()) continues the sequence, e.g. after restoring a checkpoint
+  next.state = () => state;
+  return next;
+}
+
+module.exports = { createRandom };
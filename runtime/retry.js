@@ -0,0 +1,71 @@
+// How long a timed-out attempt may take to honour its abort signal before it is abandoned
+const ABANDON_GRACE_MS = 100;
+
+const timedOut = (ms) => Object.assign(new Error(`Timed out after ${ms}ms`), { status: 504, timedOut: true });
+
+const parseDuration = (duration) => {
+  const match = /^(\d+)([smhd])$/.exec(duration);
+  if (!match) throw new Error(`Invalid duration: ${duration}`);
+  return Number(match[1]) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs fn(signal) and rejects once `ms` elapses, aborting the signal handed to fn and
+// giving it up to `graceMs` to settle. Work that ignores the signal is abandoned after that.
+// The parent signal, if any, is chained so outer cancellation still reaches fn.
+async function withTimeout(fn, ms, parentSignal, graceMs = ABANDON_GRACE_MS) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) controller.abort(parentSignal.reason);
+  else if (parentSignal) parentSignal.addEventListener('abort', onParentAbort, { once: true });
+
+  let timer;
+  const timeout = ms === undefined ? null : new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = timedOut(ms);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  const work = (async () => fn(controller.signal))();
+  try {
+    return await (timeout ? Promise.race([work, timeout]) : work);
+  } catch (error) {
+    if (error.timedOut) await Promise.race([work.catch(() => {}), sleep(graceMs)]);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+  }
+}
+
+// Calls fn(attempt) until it succeeds, retrying up to `retries` more times with
+// exponential backoff (backoffMs, backoffMs * factor, ...). The final error carries `attempts`.
+async function retry(fn, { retries = 0, backoffMs = 0, factor = 1, signal, onAttempt } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (onAttempt) onAttempt(attempt, error);
+      if (attempt > retries || error.cancelled || signal?.aborted) {
+        throw Object.assign(error, { attempts: attempt });
+      }
+      await sleep(backoffMs * factor ** (attempt - 1), signal);
+    }
+  }
+}
+
+module.exports = { retry, withTimeout, parseDuration, sleep };
@@ -0,0 +1,165 @@
+// Worker thread entry for runtime/scriptSandbox.js. Runs one script and posts back
+// { result, stdout, stderr } or { error, stdout, stderr }, then exits.
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+const PAGE_BYTES = 64 * 1024;
+
+// Built in the sandbox's own realm so no host object, and so no host Function constructor, is reachable.
+// The script's promise is settled in there too: awaiting it from the host would hand host resolve
+// functions to whatever `then` the script installed.
+const PRELUDE = `
+  const __stringify = JSON.stringify;
+  const __stdout = [];
+  const __stderr = [];
+  const __format = (args) => args.map((arg) => {
+    if (typeof arg === 'string') return arg;
+    try { return __stringify(arg) ?? String(arg); } catch { return String(arg); }
+  }).join(' ');
+  globalThis.console = Object.freeze({
+    log: (...args) => { __stdout.push(__format(args)); },
+    info: (...args) => { __stdout.push(__format(args)); },
+    debug: (...args) => { __stdout.push(__format(args)); },
+    warn: (...args) => { __stderr.push(__format(args)); },
+    error: (...args) => { __stderr.push(__format(args)); }
+  });
+  let __settled = null;
+  const __run = (fn) => fn(JSON.parse(__inputs)).then(
+    (value) => { __settled = { result: value === undefined ? null : value }; },
+    (error) => { __settled = { error: String(error?.message ?? error) }; }
+  );
+  const __outcome = () => {
+    const output = { stdout: __stdout.join('\\n'), stderr: __stderr.join('\\n') };
+    try {
+      return __stringify({ ...(__settled || { error: 'Script never settled: it awaits a promise that cannot resolve' }), ...output });
+    } catch (error) {
+      return __stringify({ error: 'Script result is not JSON-serializable: ' + error.message, ...output });
+    }
+  };
+`;
+
+async function runJavaScript({ script, inputs, timeoutMs }) {
+  // A null-prototype global, so `this.constructor` does not lead back to the worker's Function
+  const context = vm.createContext(Object.assign(Object.create(null), { __inputs: JSON.stringify(inputs) }), { codeGeneration: { strings: false, wasm: false } });
+  vm.runInContext(PRELUDE, context);
+  const outcome = () => {
+    const json = vm.runInContext('__outcome()', context, { timeout: timeoutMs });
+    return typeof json === 'string' ? JSON.parse(json) : { error: 'Script output was tampered with' };
+  };
+  try {
+    // The timeout covers the synchronous part; the host terminates the worker for anything after an await
+    vm.runInContext(`__run(async function (inputs) {\n${script}\n})`, context, { timeout: timeoutMs, filename: 'script.js' });
+  } catch (error) {
+    return { ...outcome(), error: error.message, timedOut: error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' };
+  }
+  // The context has no timers or I/O, so the script settles through microtasks, which have all run by the next turn
+  await new Promise(resolve => setImmediate(resolve));
+  return outcome();
+}
+
+const readLeb = (bytes, state) => {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = bytes[state.offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return value;
+};
+
+const readLimits = (bytes, state) => {
+  const flags = bytes[state.offset++];
+  const min = readLeb(bytes, state);
+  return { min, max: flags & 1 ? readLeb(bytes, state) : undefined };
+};
+
+// Declared limits of the module's memories, read from the import (2) and memory (5) sections.
+// WebAssembly memory lives outside the JS heap, so the page cap is enforced on these instead.
+function memoryLimits(bytes) {
+  const state = { offset: 8 };
+  const memories = [];
+  while (state.offset < bytes.length) {
+    const id = bytes[state.offset++];
+    const size = readLeb(bytes, state);
+    const end = state.offset + size;
+    if (id === 2) {
+      const count = readLeb(bytes, state);
+      for (let i = 0; i < count; i++) {
+        const names = [0, 1].map(() => {
+          const length = readLeb(bytes, state);
+          state.offset += length;
+          return bytes.subarray(state.offset - length, state.offset).toString();
+        });
+        const kind = bytes[state.offset++];
+        if (kind === 0) {
+          readLeb(bytes, state);
+        } else if (kind === 1) {
+          state.offset++;
+          readLimits(bytes, state);
+        } else if (kind === 2) {
+          memories.push({ ...readLimits(bytes, state), imported: names.join('.') });
+        } else if (kind === 3) {
+          state.offset += 2;
+        } else {
+          state.offset++;
+          readLeb(bytes, state);
+        }
+      }
+    } else if (id === 5) {
+      const count = readLeb(bytes, state);
+      for (let i = 0; i < count; i++) memories.push(readLimits(bytes, state));
+    }
+    state.offset = end;
+  }
+  return memories;
+}
+
+// Modules export `run`, which receives the numeric inputs in declaration order. Output goes through
+// the `env.log(number)`, `env.write(ptr, len)` and `env.write_err(ptr, len)` imports; there is no WASI.
+async function runWasm({ script, inputs, memoryKB }) {
+  const stdout = [];
+  const stderr = [];
+  const output = () => ({ stdout: stdout.join('\n'), stderr: stderr.join('\n') });
+  try {
+    const bytes = Buffer.from(script, 'base64');
+    const maxPages = Math.floor((memoryKB * 1024) / PAGE_BYTES);
+    const memories = memoryLimits(bytes);
+    for (const limits of memories) {
+      if (limits.max === undefined || limits.max > maxPages) {
+        throw new Error(`WASM memory must declare a maximum of at most ${maxPages} pages (${memoryKB} KB)`);
+      }
+    }
+
+    const module = await WebAssembly.compile(bytes);
+    const imported = memories.find(limits => limits.imported);
+    let memory = imported && new WebAssembly.Memory({ initial: imported.min, maximum: imported.max });
+    const text = (ptr, len) => Buffer.from(memory.buffer, ptr, len).toString();
+    const env = {
+      memory,
+      log: (value) => { stdout.push(String(value)); },
+      write: (ptr, len) => { stdout.push(text(ptr, len)); },
+      write_err: (ptr, len) => { stderr.push(text(ptr, len)); }
+    };
+    const imports = {};
+    for (const { module: name, name: field } of WebAssembly.Module.imports(module)) {
+      if (name !== 'env' || env[field] === undefined) throw new Error(`Unsupported WASM import ${name}.${field}`);
+      imports.env = imports.env || {};
+      imports.env[field] = env[field];
+    }
+
+    const instance = await WebAssembly.instantiate(module, imports);
+    memory = memory || instance.exports.memory;
+    if (typeof instance.exports.run !== 'function') throw new Error('WASM module must export a run function');
+    const args = Object.values(inputs).filter(value => typeof value === 'number' || typeof value === 'boolean').map(Number);
+    const result = instance.exports.run(...args);
+    return { result: typeof result === 'bigint' ? result.toString() : result ?? null, ...output() };
+  } catch (error) {
+    return { error: error.message, ...output() };
+  }
+}
+
+const RUNNERS = { javascript: runJavaScript, wasm: runWasm };
+
+RUNNERS[workerData.language](workerData).then(message => parentPort.postMessage(message));
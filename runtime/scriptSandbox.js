@@ -0,0 +1,86 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const LANGUAGES = ['javascript', 'wasm'];
+const LIBRARY_MODULES = ['pygame', 'numpy', 'mathjs', 'lodash'];
+// A worker thread cannot start with a smaller JavaScript heap
+const MIN_HEAP_MB = 8;
+
+const scriptError = (message, extra = {}) => Object.assign(new Error(message), { status: 422, ...extra });
+
+// Runs `script` steps in a worker thread per execution. JavaScript runs in a fresh vm context
+// with no require, process, filesystem or network; WASM modules get only the log/write imports.
+// Options mirror the frontend `engine.executor` block: `sandbox: false` disables script steps
+// and `maxMemoryMB` caps every script regardless of what the workflow asks for.
+class ScriptSandbox {
+  constructor({
+    sandbox = process.env.WORKFLOW_SANDBOX !== 'false',
+    maxMemoryMB = Number(process.env.WORKFLOW_SANDBOX_MAX_MEMORY_MB) || 512
+  } = {}) {
+    this.enabled = sandbox;
+    this.maxMemoryMB = maxMemoryMB;
+  }
+
+  // sandbox.max_execution_time is in milliseconds and sandbox.max_memory in kilobytes;
+  // resource_estimates (step, else workflow) give CPU seconds and megabytes and can only lower them
+  limits(step, workflow = {}) {
+    const estimates = step.resource_estimates || workflow.resource_estimates || {};
+    const timeouts = [step.sandbox.max_execution_time];
+    const memory = [step.sandbox.max_memory, this.maxMemoryMB * 1024];
+    if (estimates.cpu) timeouts.push(Math.ceil(estimates.cpu * 1000));
+    if (estimates.memory) memory.push(Math.floor(estimates.memory * 1024));
+    return { timeoutMs: Math.min(...timeouts), memoryKB: Math.min(...memory) };
+  }
+
+  async run({ language, script, inputs = {}, allowedModules = [], timeoutMs, memoryKB, signal }) {
+    if (!this.enabled) throw Object.assign(new Error('Script execution is disabled (executor.sandbox is false)'), { status: 403 });
+    if (!LANGUAGES.includes(language)) throw scriptError(`Unsupported script language: ${language}; the sandbox runs ${LANGUAGES.join(' and ')}`);
+    const unavailable = allowedModules.filter(name => LIBRARY_MODULES.includes(name));
+    if (unavailable.length) throw scriptError(`Modules not available in the ${language} sandbox: ${unavailable.join(', ')}`);
+    if (signal?.aborted) throw signal.reason;
+
+    const heapMB = Math.max(MIN_HEAP_MB, Math.ceil(memoryKB / 1024));
+    const started = Date.now();
+    const worker = new Worker(path.join(__dirname, 'sandboxWorker.js'), {
+      workerData: { language, script, inputs, timeoutMs, memoryKB },
+      env: {},
+      argv: [],
+      execArgv: [],
+      stdout: true,
+      stderr: true,
+      resourceLimits: { maxOldGenerationSizeMb: heapMB, maxYoungGenerationSizeMb: Math.min(heapMB, 16), codeRangeSizeMb: 16, stackSizeMb: 4 }
+    });
+
+    const outcome = await new Promise((resolve, reject) => {
+      let timer;
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        worker.terminate();
+        settle(value);
+      };
+      const onAbort = () => finish(reject, signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      // The clock starts once the worker is up, so thread start-up is not charged to the script
+      worker.once('online', () => {
+        timer = setTimeout(() => finish(reject, scriptError(`Script exceeded its execution time limit of ${timeoutMs}ms`)), timeoutMs);
+      });
+      worker.once('message', message => finish(resolve, message));
+      worker.once('error', (error) => {
+        finish(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? scriptError(`Script exceeded its memory limit of ${heapMB} MB`)
+          : scriptError(`Script worker failed: ${error.message}`));
+      });
+      worker.once('exit', () => finish(reject, scriptError('Script worker exited without a result')));
+    });
+
+    const { stdout, stderr } = outcome;
+    if (outcome.error) {
+      const message = outcome.timedOut ? `Script exceeded its execution time limit of ${timeoutMs}ms` : `Script error: ${outcome.error}`;
+      throw scriptError(message, { stdout, stderr });
+    }
+    return { result: outcome.result, stdout, stderr, durationMs: Date.now() - started };
+  }
+}
+
+module.exports = ScriptSandbox;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values are not masked: replacing every "a" or "1" would garble all output
+const MIN_SECRET_LENGTH = 4;
+
+// Secret values of the runs in progress, counted per run holding them. Output without a run
+// at hand (logs, compliance events) is masked with these.
+const liveSecrets = new Map();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const maskable = (values) => [...new Set([...values].map(String))].filter(value => value.length >= MIN_SECRET_LENGTH);
+
+// Masks the given secrets (resolved secrets or a list of values) in `value`, or else the
+// secrets of every live run
+function redact(value, secrets) {
+  const values = maskable(secrets ? Object.values(secrets) : liveSecrets.keys());
+  return values.length ? mask(value, values) : value;
+}
+
+function mask(value, values) {
+  if (typeof value === 'string') {
+    return values.reduce((text, secret) => text.replace(new RegExp(escapeRegExp(secret), 'g'), REDACTED), value);
+  }
+  if (Array.isArray(value)) return value.map(item => mask(item, values));
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mask(v, values)]));
+  }
+  return value;
+}
+
+const secretNotFound = (secret) =>
+  Object.assign(new Error(`Secret not found: ${secret.name} (${secret.source}${secret.key_id ? `:${secret.key_id}` : ''})`), { status: 500 });
+
+// Reads secrets from environment variables named by key_id, falling back to the secret name
+class EnvSecretProvider {
+  constructor({ env = process.env } = {}) {
+    this.env = env;
+  }
+
+  async get(secret) {
+    return this.env[secret.key_id || secret.name];
+  }
+}
+
+// Local stand-in for a vault: a JSON file mapping key ids to secret values
+class FileVaultSecretProvider {
+  constructor({ file = process.env.SECRETS_VAULT_FILE || path.resolve(__dirname, '../config/vault.json') } = {}) {
+    this.file = file;
+  }
+
+  async get(secret) {
+    if (!fs.existsSync(this.file)) return undefined;
+    const vault = JSON.parse(await fs.promises.readFile(this.file, 'utf-8'));
+    return vault[secret.key_id || secret.name];
+  }
+}
+
+// Resolves the `secrets` declared by a workflow through the provider registered for each `source`
+class SecretStore {
+  constructor({ providers = { env: new EnvSecretProvider(), vault: new FileVaultSecretProvider() } } = {}) {
+    this.providers = new Map(Object.entries(providers));
+  }
+
+  registerProvider(source, provider) {
+    this.providers.set(source, provider);
+    return this;
+  }
+
+  async resolve(declarations = []) {
+    const resolved = {};
+    for (const secret of declarations) {
+      const provider = this.providers.get(secret.source);
+      if (!provider) throw Object.assign(new Error(`No secret provider configured for source: ${secret.source}`), { status: 500 });
+      const value = await provider.get(secret);
+      if (value === undefined || value === null || value === '') throw secretNotFound(secret);
+      resolved[secret.name] = value;
+    }
+    for (const value of maskable(Object.values(resolved))) liveSecrets.set(value, (liveSecrets.get(value) || 0) + 1);
+    return Object.freeze(resolved);
+  }
+
+  // Called once the run holding `secrets` has ended; its values are no longer masked in logs
+  release(secrets) {
+    for (const value of maskable(Object.values(secrets))) {
+      const count = liveSecrets.get(value) - 1;
+      if (count > 0) liveSecrets.set(value, count);
+      else liveSecrets.delete(value);
+    }
+  }
+}
+
+module.exports = { SecretStore, EnvSecretProvider, FileVaultSecretProvider, redact, REDACTED, MIN_SECRET_LENGTH };
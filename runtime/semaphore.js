@@ -0,0 +1,44 @@
+// Counting semaphore used to cap concurrent work per workflow
+class Semaphore {
+  constructor(limit = Infinity) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  get pending() {
+    return this.waiting.length;
+  }
+
+  acquire(signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (signal) {
+        waiter.onAbort = () => {
+          this.waiting = this.waiting.filter(w => w !== waiter);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+        waiter.signal = signal;
+      }
+      this.waiting.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (!next) {
+      this.active--;
+      return;
+    }
+    if (next.signal) next.signal.removeEventListener('abort', next.onAbort);
+    next.resolve();
+  }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { ed25519 } = require('@noble/curves/ed25519');
+const { p256 } = require('@noble/curves/p256');
+const { secp256k1, schnorr } = require('@noble/curves/secp256k1');
+const { sha256 } = require('@noble/hashes/sha2');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, hexToBytes, concatBytes, utf8ToBytes } = require('@noble/hashes/utils');
+const { canonicalize } = require('./canonicalJson');
+
+// Signing and verification for crypto_sign / crypto_verify and identity authentication.
+// Keys and signatures are hex (0x optional) or, for keys, PEM; rsa keys must be PEM.
+const ALGORITHMS = ['ed25519', 'secp256k1', 'ecdsa', 'schnorr', 'rsa'];
+
+const signatureError = (message) => Object.assign(new Error(message), { status: 422 });
+
+const strip0x = (hex) => (hex.startsWith('0x') ? hex.slice(2) : hex);
+
+const isPem = (key) => typeof key === 'string' && key.trimStart().startsWith('-----BEGIN');
+
+const fromHex = (value, what) => {
+  if (typeof value !== 'string' || !/^(0x)?([0-9a-fA-F]{2})+$/.test(value)) throw signatureError(`${what} must be a hex string`);
+  return hexToBytes(strip0x(value));
+};
+
+// Strings are signed as UTF-8, anything else as its canonical JSON
+const messageBytes = (data) => utf8ToBytes(typeof data === 'string' ? data : canonicalize(data));
+
+// EIP-191 personal_sign digest, as produced by Ethereum wallets
+const personalMessageDigest = (message) =>
+  keccak_256(concatBytes(utf8ToBytes(`\x19Ethereum Signed Message:\n${message.length}`), message));
+
+const addressFromPublicKey = (publicKey) => `0x${bytesToHex(keccak_256(publicKey.slice(1)).slice(-20))}`;
+
+const isAddress = (key) => typeof key === 'string' && /^0x[0-9a-fA-F]{40}$/.test(key);
+
+const base64url = (value) => new Uint8Array(Buffer.from(value, 'base64url'));
+
+// Raw key bytes from hex, or from a PEM key via its JWK form
+function rawKey(key, type, what) {
+  if (!isPem(key)) return fromHex(key, what);
+  let jwk;
+  try {
+    jwk = (type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key)).export({ format: 'jwk' });
+  } catch (error) {
+    throw signatureError(`${what} is not a valid PEM key: ${error.message}`);
+  }
+  if (type === 'private') return base64url(jwk.d);
+  return jwk.y ? concatBytes(Uint8Array.of(4), base64url(jwk.x), base64url(jwk.y)) : base64url(jwk.x);
+}
+
+// Signature bytes, or null when the signature is malformed (which verifies as false)
+const signatureBytes = (signature) => {
+  if (typeof signature !== 'string' || !/^(0x)?([0-9a-fA-F]{2})+$/.test(signature)) return null;
+  return hexToBytes(strip0x(signature));
+};
+
+const attempt = (fn) => {
+  try {
+    return fn();
+  } catch (error) {
+    if (error.status) throw error;
+    return false;
+  }
+};
+
+const SIGNERS = {
+  ed25519: {
+    sign: (message, key) => ({ signature: ed25519.sign(message, key), publicKey: ed25519.getPublicKey(key) }),
+    verify: (message, signature, key) => ({ valid: ed25519.verify(signature, message, rawKey(key, 'public', 'key')) })
+  },
+
+  // Ethereum personal_sign: 65-byte r || s || v over the EIP-191 digest. The verification key can
+  // be an address, which is compared with the signer recovered from the signature.
+  secp256k1: {
+    sign: (message, key) => {
+      const sig = secp256k1.sign(personalMessageDigest(message), key);
+      const publicKey = secp256k1.getPublicKey(key, false);
+      return { signature: concatBytes(sig.toCompactRawBytes(), Uint8Array.of(27 + sig.recovery)), publicKey, address: addressFromPublicKey(publicKey) };
+    },
+    verify: (message, signature, key) => {
+      const digest = personalMessageDigest(message);
+      if (signature.length === 65) {
+        const v = signature[64];
+        const recovered = secp256k1.Signature.fromCompact(signature.slice(0, 64)).addRecoveryBit(v >= 27 ? v - 27 : v).recoverPublicKey(digest);
+        const address = addressFromPublicKey(recovered.toRawBytes(false));
+        const expected = isAddress(key) ? key.toLowerCase() : addressFromPublicKey(secp256k1.ProjectivePoint.fromHex(rawKey(key, 'public', 'key')).toRawBytes(false));
+        return { valid: address === expected, address };
+      }
+      if (isAddress(key)) throw signatureError('secp256k1 verification against an address needs a 65-byte signature with its recovery byte');
+      return { valid: secp256k1.verify(signature, digest, rawKey(key, 'public', 'key')) };
+    }
+  },
+
+  // ECDSA on P-256 over SHA-256 (WebCrypto's ECDSA P-256); signatures are compact r || s, DER also verifies
+  ecdsa: {
+    sign: (message, key) => ({ signature: p256.sign(sha256(message), key).toCompactRawBytes(), publicKey: p256.getPublicKey(key) }),
+    verify: (message, signature, key) => ({ valid: p256.verify(signature, sha256(message), rawKey(key, 'public', 'key'), { lowS: false }) })
+  },
+
+  // BIP-340 Schnorr over secp256k1 with x-only public keys
+  schnorr: {
+    sign: (message, key) => ({ signature: schnorr.sign(message, key), publicKey: schnorr.getPublicKey(key) }),
+    verify: (message, signature, key) => ({ valid: schnorr.verify(signature, message, rawKey(key, 'public', 'key')) })
+  },
+
+  // RSASSA-PKCS1-v1_5 with SHA-256
+  rsa: {
+    sign: (message, key) => {
+      const privateKey = crypto.createPrivateKey(key);
+      return { signature: crypto.sign('sha256', message, privateKey), publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }) };
+    },
+    verify: (message, signature, key) => ({ valid: crypto.verify('sha256', message, crypto.createPublicKey(key), signature) })
+  }
+};
+
+const signer = (algorithm) => {
+  if (!SIGNERS[algorithm]) throw signatureError(`Unsupported signature algorithm: ${algorithm}; use one of ${ALGORITHMS.join(', ')}`);
+  return SIGNERS[algorithm];
+};
+
+// Returns { algorithm, signature, publicKey } as hex (rsa: PEM public key), plus the address for secp256k1
+function sign(algorithm, data, key) {
+  const { sign: signWith } = signer(algorithm);
+  if (algorithm === 'rsa' && !isPem(key)) throw signatureError('rsa keys must be PEM');
+  let result;
+  try {
+    result = signWith(messageBytes(data), algorithm === 'rsa' ? key : rawKey(key, 'private', 'key'));
+  } catch (error) {
+    if (error.status) throw error;
+    throw signatureError(`Cannot sign with ${algorithm}: ${error.message}`);
+  }
+  return {
+    algorithm,
+    signature: `0x${bytesToHex(result.signature)}`,
+    publicKey: typeof result.publicKey === 'string' ? result.publicKey : `0x${bytesToHex(result.publicKey)}`,
+    ...(result.address && { address: result.address })
+  };
+}
+
+// Returns { valid } (plus the recovered address for 65-byte secp256k1 signatures). A malformed
+// signature is invalid; a malformed key is an error.
+function verify(algorithm, data, signature, key) {
+  const { verify: verifyWith } = signer(algorithm);
+  checkPublicKey(algorithm, key);
+  const bytes = signatureBytes(signature);
+  if (!bytes) return { valid: false };
+  return attempt(() => verifyWith(messageBytes(data), bytes, key)) || { valid: false };
+}
+
+// Throws a 422 unless `key` is usable as a verification key for the algorithm
+function checkPublicKey(algorithm, key) {
+  signer(algorithm);
+  if (algorithm === 'secp256k1' && isAddress(key)) return;
+  try {
+    if (algorithm === 'rsa') {
+      const { asymmetricKeyType } = crypto.createPublicKey(key);
+      if (asymmetricKeyType !== 'rsa') throw signatureError(`Invalid rsa public key: key type is ${asymmetricKeyType}`);
+      return;
+    }
+    const bytes = rawKey(key, 'public', 'key');
+    if (algorithm === 'ed25519') ed25519.ExtendedPoint.fromHex(bytes);
+    if (algorithm === 'secp256k1') secp256k1.ProjectivePoint.fromHex(bytes);
+    if (algorithm === 'ecdsa') p256.ProjectivePoint.fromHex(bytes);
+    if (algorithm === 'schnorr') schnorr.utils.lift_x(BigInt(`0x${bytesToHex(bytes)}`));
+  } catch (error) {
+    if (error.status) throw error;
+    throw signatureError(`Invalid ${algorithm} public key: ${error.message}`);
+  }
+}
+
+module.exports = { ALGORITHMS, sign, verify, checkPublicKey, messageBytes, personalMessageDigest, addressFromPublicKey };
@@ -0,0 +1,518 @@
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { bytesToHex, utf8ToBytes } = require('@noble/hashes/utils');
+const { canonicalize } = require('./canonicalJson');
+
+// In-process chain for blockchain_operation steps. Every transaction is mined into its own block;
+// amounts are integers in base units (wei-like), held as BigInt and reported as decimal strings.
+const chainError = (message, status = 422) => Object.assign(new Error(message), { status });
+const revert = (reason) => Object.assign(new Error(reason), { revert: true });
+
+const hash = (value) => `0x${bytesToHex(keccak_256(utf8ToBytes(typeof value === 'string' ? value : canonicalize(value))))}`;
+
+const INTRINSIC_GAS = 21000;
+// Gas on top of the intrinsic cost, roughly what the equivalent EVM call spends
+const ACTION_GAS = {
+  transfer: 0,
+  mint: 45000,
+  burn: 30000,
+  governance: 70000,
+  bridge: 60000,
+  flash_loan: 90000,
+  swap: 110000,
+  liquidate: 120000,
+  deploy_contract: 32000
+};
+const TOKEN_TRANSFER_GAS = 30000;
+const CODE_BYTE_GAS = 200;
+const GWEI = 1000000000n;
+const FLASH_LOAN_FEE_BPS = 9n;
+const CLOSE_FACTOR_BPS = 5000n;
+const LIQUIDATION_BONUS_BPS = 500n;
+const RATE_SCALE = 10n ** 18n;
+const BRIDGE = 'bridge';
+
+const normalize = (address, name = 'address') => {
+  if (typeof address !== 'string' || !address) throw chainError(`params.${name} must be a non-empty address`);
+  return /^0x[0-9a-fA-F]+$/.test(address) ? address.toLowerCase() : address;
+};
+
+// Integer amounts: safe integers, decimal strings or 0x hex strings
+const amountOf = (value, name = 'amount') => {
+  if (typeof value === 'bigint' && value >= 0n) return value;
+  if (Number.isSafeInteger(value) && value >= 0) return BigInt(value);
+  if (typeof value === 'string' && /^(\d+|0x[0-9a-fA-F]+)$/.test(value)) return BigInt(value);
+  throw chainError(`params.${name} must be a non-negative integer amount in base units`);
+};
+
+// Nonce and gas fields of the transaction request; a malformed one is a bad request
+const requestQuantity = (value, field) => {
+  try {
+    return amountOf(value, field);
+  } catch (error) {
+    throw chainError(`${field} must be a non-negative integer, as a number, decimal string or 0x hex string`, 400);
+  }
+};
+
+const positive = (value, name) => {
+  const amount = amountOf(value, name);
+  if (amount === 0n) throw chainError(`params.${name} must be greater than zero`);
+  return amount;
+};
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+// BigInt amounts in logs and results become decimal strings so receipts stay JSON
+const plain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  return value;
+};
+
+class SimulatedChain {
+  constructor({ name, chainId = name, symbol = 'ETH', genesis = {}, now = Date.now } = {}) {
+    this.name = name;
+    this.chainId = chainId;
+    this.symbol = symbol;
+    this.now = now;
+    this.baseFeePerGas = amountOf(genesis.base_fee_per_gas ?? GWEI, 'base_fee_per_gas');
+    this.state = {
+      accounts: new Map(),
+      tokens: new Map(),
+      pools: new Map(),
+      lending: new Map(),
+      prices: new Map(Object.entries(genesis.prices || {})),
+      positions: new Map(),
+      proposals: new Map()
+    };
+    this.blocks = [];
+    this.receipts = new Map();
+    this.idempotencyKeys = new Map();
+    this.loadGenesis(genesis);
+    this.mine([], 0);
+  }
+
+  loadGenesis({ accounts = {}, pools = [], lending = {}, positions = [] }) {
+    const { state } = this;
+    for (const [address, { balance = 0, tokens = {} }] of Object.entries(accounts)) {
+      this.adjust(state, normalize(address), this.symbol, amountOf(balance, 'balance'));
+      for (const [token, amount] of Object.entries(tokens)) {
+        this.adjust(state, normalize(address), token, amountOf(amount, 'tokens'));
+        const info = state.tokens.get(token) || { symbol: token, minter: null, totalSupply: 0n };
+        info.totalSupply += amountOf(amount, 'tokens');
+        state.tokens.set(token, info);
+      }
+    }
+    for (const { tokens: [a, b], reserves: [ra, rb], fee_bps: feeBps = 30 } of pools) {
+      state.pools.set(this.poolKey(a, b), a < b
+        ? { tokens: [a, b], reserves: [amountOf(ra, 'reserves'), amountOf(rb, 'reserves')], feeBps: BigInt(feeBps) }
+        : { tokens: [b, a], reserves: [amountOf(rb, 'reserves'), amountOf(ra, 'reserves')], feeBps: BigInt(feeBps) });
+    }
+    for (const [token, amount] of Object.entries(lending)) state.lending.set(token, amountOf(amount, 'lending'));
+    for (const { id, borrower, collateral, debt, liquidation_threshold: threshold = 0.8 } of positions) {
+      state.positions.set(String(id), {
+        borrower: normalize(borrower, 'borrower'),
+        collateral: { token: collateral.token, amount: amountOf(collateral.amount, 'collateral') },
+        debt: { token: debt.token, amount: amountOf(debt.amount, 'debt') },
+        thresholdBps: BigInt(Math.round(threshold * 10000))
+      });
+    }
+  }
+
+  account(state, address) {
+    if (!state.accounts.has(address)) state.accounts.set(address, { balance: 0n, nonce: 0n, tokens: new Map(), code: null });
+    return state.accounts.get(address);
+  }
+
+  balanceOf(state, address, asset) {
+    const account = state.accounts.get(address);
+    if (!account) return 0n;
+    return asset === this.symbol ? account.balance : account.tokens.get(asset) || 0n;
+  }
+
+  adjust(state, address, asset, delta) {
+    const account = this.account(state, address);
+    const balance = this.balanceOf(state, address, asset) + delta;
+    if (balance < 0n) throw revert(`Insufficient ${asset} balance for ${address}`);
+    if (asset === this.symbol) account.balance = balance;
+    else account.tokens.set(asset, balance);
+  }
+
+  poolKey(a, b) {
+    return a < b ? `${a}/${b}` : `${b}/${a}`;
+  }
+
+  // Oracle prices are per base unit in any common quote currency; the rate converts base units
+  // of `from` into base units of `to`, scaled by 1e18
+  rate(state, from, to) {
+    const [fromPrice, toPrice] = [from, to].map((token) => {
+      const price = state.prices.get(token);
+      if (typeof price !== 'number' || !(price > 0)) throw revert(`No oracle price for ${token}`);
+      return price;
+    });
+    return BigInt(Math.round((fromPrice / toPrice) * Number(RATE_SCALE)));
+  }
+
+  gasCost(action, params) {
+    if (!Object.hasOwn(ACTION_GAS, action)) throw chainError(`Unsupported blockchain action: ${action}`);
+    let gas = INTRINSIC_GAS + ACTION_GAS[action];
+    if (action === 'transfer' && params.token && params.token !== this.symbol) gas += TOKEN_TRANSFER_GAS;
+    if (action === 'deploy_contract' && typeof params.bytecode === 'string') gas += CODE_BYTE_GAS * Math.floor((params.bytecode.length - 2) / 2);
+    return gas;
+  }
+
+  // Dry-runs the action on a copy of the state: rejects malformed params, ignores reverts
+  estimateGas(action, params) {
+    const gas = this.gasCost(action, params);
+    const from = normalize(params.from, 'from');
+    try {
+      ACTIONS[action].call(this, structuredClone(this.state), { from, params, nonce: this.state.accounts.get(from)?.nonce ?? 0n });
+    } catch (error) {
+      if (!error.revert) throw error;
+    }
+    return gas;
+  }
+
+  // Validates replay protection and gas, charges the gas limit up front, runs the action on a copy
+  // of the state and keeps the copy unless it reverts; unused gas is refunded either way
+  submit({ action, params = {}, gas = {}, nonce, idempotencyKey }) {
+    const from = normalize(params.from, 'from');
+    const fingerprint = hash({ action, params });
+    if (idempotencyKey !== undefined && this.idempotencyKeys.has(idempotencyKey)) {
+      const previous = this.idempotencyKeys.get(idempotencyKey);
+      if (previous.fingerprint !== fingerprint) throw chainError(`Idempotency key ${idempotencyKey} was already used for a different transaction`, 409);
+      return this.outcome(this.receipts.get(previous.transactionHash));
+    }
+
+    const sender = this.account(this.state, from);
+    if (nonce !== undefined) {
+      const requested = requestQuantity(nonce, 'replay_protection.nonce');
+      if (requested < sender.nonce) throw chainError(`Nonce ${hex(requested)} was already used by ${from} on ${this.name}; next nonce is ${hex(sender.nonce)}`, 409);
+      if (requested > sender.nonce) throw chainError(`Nonce ${hex(requested)} is ahead of the next nonce ${hex(sender.nonce)} for ${from} on ${this.name}`, 409);
+    }
+
+    const required = this.estimateGas(action, params);
+    if (gas.estimate === false && gas.limit === undefined) throw chainError('gas.limit is required when gas.estimate is false');
+    const gasLimit = gas.limit !== undefined ? requestQuantity(gas.limit, 'gas.limit') : BigInt(required);
+    const priorityFee = gas.priority_fee_per_gas !== undefined ? requestQuantity(gas.priority_fee_per_gas, 'gas.priority_fee_per_gas') : GWEI;
+    const maxFee = gas.max_fee_per_gas !== undefined ? requestQuantity(gas.max_fee_per_gas, 'gas.max_fee_per_gas') : this.baseFeePerGas + priorityFee;
+    if (maxFee < this.baseFeePerGas) throw chainError(`max_fee_per_gas ${maxFee} is below the base fee ${this.baseFeePerGas} on ${this.name}`);
+    const gasPrice = maxFee < this.baseFeePerGas + priorityFee ? maxFee : this.baseFeePerGas + priorityFee;
+    if (sender.balance < gasLimit * gasPrice) {
+      throw chainError(`Insufficient ${this.symbol} for gas: ${from} has ${sender.balance}, needs ${gasLimit * gasPrice}`);
+    }
+
+    const txNonce = sender.nonce;
+    sender.balance -= gasLimit * gasPrice;
+    sender.nonce++;
+    const draft = structuredClone(this.state);
+    const transactionHash = hash({ chain: this.chainId, from, nonce: hex(txNonce), action, params });
+    let effects = { logs: [] };
+    let status = 'success';
+    let revertReason;
+    let gasUsed = BigInt(required);
+    try {
+      if (gasLimit < gasUsed) {
+        gasUsed = gasLimit;
+        throw revert(`Out of gas: ${action} needs ${required}, limit is ${gasLimit}`);
+      }
+      effects = ACTIONS[action].call(this, draft, { from, params, nonce: txNonce });
+      this.state = draft;
+    } catch (error) {
+      if (!error.revert) throw error;
+      status = 'reverted';
+      revertReason = error.message;
+    }
+    this.account(this.state, from).balance += (gasLimit - gasUsed) * gasPrice;
+
+    const block = this.mine([transactionHash], gasUsed);
+    const receipt = plain({
+      chain: this.name,
+      chainId: this.chainId,
+      transactionHash,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      action,
+      from,
+      to: effects.to ?? null,
+      nonce: hex(txNonce),
+      status,
+      ...(revertReason && { revertReason }),
+      gasLimit,
+      gasUsed,
+      effectiveGasPrice: gasPrice,
+      fee: gasUsed * gasPrice,
+      ...(effects.contractAddress && { contractAddress: effects.contractAddress }),
+      ...(effects.result && { result: effects.result }),
+      logs: effects.logs.map((log, logIndex) => ({ ...log, logIndex, transactionHash, blockNumber: block.number }))
+    });
+    this.receipts.set(transactionHash, receipt);
+    if (idempotencyKey !== undefined) this.idempotencyKeys.set(idempotencyKey, { fingerprint, transactionHash });
+    return this.outcome(receipt);
+  }
+
+  // Reverted transactions are mined, but the step fails with the receipt attached
+  outcome(receipt) {
+    if (receipt.status === 'reverted') {
+      throw Object.assign(chainError(`Transaction ${receipt.transactionHash} reverted on ${this.name}: ${receipt.revertReason}`), { receipt });
+    }
+    return receipt;
+  }
+
+  // Credits the destination side of a bridge transfer in a gasless system transaction
+  receiveBridge({ sourceChain, sourceTransaction, to, asset, amount, release }) {
+    const transactionHash = hash({ chain: this.chainId, bridge: sourceChain, sourceTransaction });
+    // An idempotent retry of the source transaction must not credit twice
+    if (this.receipts.has(transactionHash)) return this.receipts.get(transactionHash);
+    const draft = structuredClone(this.state);
+    const logs = [];
+    if (release) {
+      // A wrapped asset returning home: release the original from escrow
+      this.adjust(draft, BRIDGE, asset, -amount);
+      this.adjust(draft, to, asset, amount);
+      logs.push({ address: BRIDGE, event: 'BridgeReleased', args: { to, token: asset, amount, sourceChain, sourceTransaction } });
+    } else {
+      const wrapped = `w${asset}`;
+      const info = draft.tokens.get(wrapped) || { symbol: wrapped, minter: BRIDGE, totalSupply: 0n, origin: { chain: sourceChain, asset } };
+      info.totalSupply += amount;
+      draft.tokens.set(wrapped, info);
+      this.adjust(draft, to, wrapped, amount);
+      logs.push({ address: BRIDGE, event: 'BridgeMinted', args: { to, token: wrapped, amount, sourceChain, sourceTransaction } });
+    }
+    this.state = draft;
+    const block = this.mine([transactionHash], 0n);
+    const receipt = plain({
+      chain: this.name,
+      chainId: this.chainId,
+      transactionHash,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      action: 'bridge',
+      from: BRIDGE,
+      to,
+      status: 'success',
+      gasUsed: 0n,
+      fee: 0n,
+      logs: logs.map((log, logIndex) => ({ ...log, logIndex, transactionHash, blockNumber: block.number }))
+    });
+    this.receipts.set(transactionHash, receipt);
+    return receipt;
+  }
+
+  mine(transactions, gasUsed) {
+    const parent = this.blocks[this.blocks.length - 1];
+    const number = this.blocks.length;
+    const parentHash = parent ? parent.hash : `0x${'0'.repeat(64)}`;
+    const block = {
+      number,
+      hash: hash({ chain: this.chainId, number, parentHash, transactions }),
+      parentHash,
+      timestamp: Math.floor(this.now() / 1000),
+      baseFeePerGas: this.baseFeePerGas.toString(),
+      gasUsed: gasUsed.toString(),
+      transactions
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  // Test and development funding; not a transaction
+  fund(address, amount, token = this.symbol) {
+    this.adjust(this.state, normalize(address), token, positive(amount, 'amount'));
+    return this.getAccount(address);
+  }
+
+  describe() {
+    return {
+      chain: this.name,
+      chainId: this.chainId,
+      symbol: this.symbol,
+      simulated: true,
+      blockNumber: this.blocks.length - 1,
+      baseFeePerGas: this.baseFeePerGas.toString()
+    };
+  }
+
+  getBlock(number) {
+    const block = number === 'latest' ? this.blocks[this.blocks.length - 1] : this.blocks[number];
+    if (!block) throw chainError(`Block ${number} not found on ${this.name}`, 404);
+    return block;
+  }
+
+  getReceipt(transactionHash) {
+    const receipt = this.receipts.get(transactionHash.toLowerCase());
+    if (!receipt) throw chainError(`Transaction ${transactionHash} not found on ${this.name}`, 404);
+    return receipt;
+  }
+
+  getAccount(address) {
+    const key = normalize(address);
+    const account = this.state.accounts.get(key) || { balance: 0n, nonce: 0n, tokens: new Map(), code: null };
+    return plain({
+      address: key,
+      balance: account.balance,
+      nonce: hex(account.nonce),
+      tokens: Object.fromEntries(account.tokens),
+      ...(account.code && { code: account.code })
+    });
+  }
+}
+
+const log = (address, event, args) => ({ address, event, args });
+
+// Each action runs against a draft state and returns { to, logs, result?, contractAddress? };
+// `revert` errors roll the draft back, chainError rejects malformed params before anything is charged
+const ACTIONS = {
+  transfer(state, { from, params }) {
+    const to = normalize(params.to, 'to');
+    const token = params.token || this.symbol;
+    const amount = positive(params.amount, 'amount');
+    this.adjust(state, from, token, -amount);
+    this.adjust(state, to, token, amount);
+    return { to, logs: [log(token, 'Transfer', { from, to, amount, token })] };
+  },
+
+  // The first mint of a token makes the sender its minter
+  mint(state, { from, params }) {
+    const token = params.token;
+    if (typeof token !== 'string' || !token || token === this.symbol) throw chainError(`params.token must name a token other than the native ${this.symbol}`);
+    const to = params.to === undefined ? from : normalize(params.to, 'to');
+    const amount = positive(params.amount, 'amount');
+    const info = state.tokens.get(token) || { symbol: token, minter: from, totalSupply: 0n };
+    if (info.minter !== from) throw revert(`${from} is not the minter of ${token}`);
+    info.totalSupply += amount;
+    state.tokens.set(token, info);
+    this.adjust(state, to, token, amount);
+    return { to, logs: [log(token, 'Mint', { to, amount, token })], result: { totalSupply: info.totalSupply } };
+  },
+
+  burn(state, { from, params }) {
+    const token = params.token;
+    const info = state.tokens.get(token);
+    if (!info) throw revert(`Unknown token: ${token}`);
+    const amount = positive(params.amount, 'amount');
+    this.adjust(state, from, token, -amount);
+    info.totalSupply -= amount;
+    return { to: null, logs: [log(token, 'Burn', { from, amount, token })], result: { totalSupply: info.totalSupply } };
+  },
+
+  // params.operation: propose { title, voting_period? (blocks) }, vote { proposal_id, support },
+  // execute { proposal_id }. Votes weigh the voter's balance of params.token (default native).
+  governance(state, { from, params }) {
+    const block = this.blocks.length;
+    if (params.operation === 'propose') {
+      if (typeof params.title !== 'string' || !params.title) throw chainError('params.title is required to propose');
+      const id = String(state.proposals.size + 1);
+      const endBlock = block + (Number.isInteger(params.voting_period) && params.voting_period > 0 ? params.voting_period : 10);
+      state.proposals.set(id, { id, proposer: from, title: params.title, token: params.token || this.symbol, endBlock, for: 0n, against: 0n, voters: [], status: 'active' });
+      return { to: null, logs: [log('governance', 'ProposalCreated', { id, proposer: from, title: params.title, endBlock })], result: { proposalId: id, endBlock } };
+    }
+    if (!['vote', 'execute'].includes(params.operation)) throw chainError('params.operation must be propose, vote or execute');
+    const proposal = state.proposals.get(String(params.proposal_id));
+    if (!proposal) throw revert(`Unknown proposal: ${params.proposal_id}`);
+    if (params.operation === 'vote') {
+      if (typeof params.support !== 'boolean') throw chainError('params.support must be a boolean');
+      if (block > proposal.endBlock) throw revert(`Voting on proposal ${proposal.id} closed at block ${proposal.endBlock}`);
+      if (proposal.voters.includes(from)) throw revert(`${from} already voted on proposal ${proposal.id}`);
+      const weight = this.balanceOf(state, from, proposal.token);
+      if (weight === 0n) throw revert(`${from} holds no ${proposal.token} to vote with`);
+      proposal.voters.push(from);
+      proposal[params.support ? 'for' : 'against'] += weight;
+      return { to: null, logs: [log('governance', 'VoteCast', { id: proposal.id, voter: from, support: params.support, weight })], result: { for: proposal.for, against: proposal.against } };
+    }
+    if (block <= proposal.endBlock) throw revert(`Proposal ${proposal.id} is open until block ${proposal.endBlock}`);
+    if (proposal.status !== 'active') throw revert(`Proposal ${proposal.id} was already ${proposal.status}`);
+    proposal.status = proposal.for > proposal.against ? 'executed' : 'defeated';
+    return { to: null, logs: [log('governance', 'ProposalFinalized', { id: proposal.id, status: proposal.status })], result: { status: proposal.status } };
+  },
+
+  // Locks (or, for a wrapped token going home, burns) on this chain; the adapter credits the destination
+  bridge(state, { from, params }) {
+    if (typeof params.destination_chain !== 'string' || params.destination_chain === this.name) {
+      throw chainError('params.destination_chain must name another chain');
+    }
+    const to = params.to === undefined ? from : normalize(params.to, 'to');
+    const token = params.token || this.symbol;
+    const amount = positive(params.amount, 'amount');
+    const origin = state.tokens.get(token)?.origin;
+    const release = origin?.chain === params.destination_chain;
+    this.adjust(state, from, token, -amount);
+    if (release) state.tokens.get(token).totalSupply -= amount;
+    else this.adjust(state, BRIDGE, token, amount);
+    return {
+      to: BRIDGE,
+      logs: [log(BRIDGE, 'BridgeLocked', { from, to, token, amount, destinationChain: params.destination_chain })],
+      result: { bridge: { destinationChain: params.destination_chain, to, asset: release ? origin.asset : token, amount, release } }
+    };
+  },
+
+  // Borrow and repay within one transaction; only the repayment is modelled, so the borrower pays the fee
+  flash_loan(state, { from, params }) {
+    const token = params.token || this.symbol;
+    const amount = positive(params.amount, 'amount');
+    const liquidity = state.lending.get(token) || 0n;
+    if (liquidity < amount) throw revert(`Flash loan of ${amount} ${token} exceeds pool liquidity ${liquidity}`);
+    const fee = (amount * FLASH_LOAN_FEE_BPS + 9999n) / 10000n;
+    this.adjust(state, from, token, -fee);
+    state.lending.set(token, liquidity + fee);
+    return { to: 'lending', logs: [log('lending', 'FlashLoan', { borrower: from, token, amount, fee })], result: { fee } };
+  },
+
+  // Constant-product pool swap
+  swap(state, { from, params }) {
+    const { token_in: tokenIn, token_out: tokenOut } = params;
+    const pool = state.pools.get(this.poolKey(tokenIn, tokenOut));
+    if (!pool || tokenIn === tokenOut) throw revert(`No ${tokenIn}/${tokenOut} pool on ${this.name}`);
+    const amountIn = positive(params.amount_in, 'amount_in');
+    const minOut = params.min_amount_out === undefined ? 0n : amountOf(params.min_amount_out, 'min_amount_out');
+    const i = pool.tokens.indexOf(tokenIn);
+    const [reserveIn, reserveOut] = [pool.reserves[i], pool.reserves[1 - i]];
+    const inAfterFee = amountIn * (10000n - pool.feeBps);
+    const amountOut = (inAfterFee * reserveOut) / (reserveIn * 10000n + inAfterFee);
+    if (amountOut < minOut) throw revert(`Slippage: ${amountOut} ${tokenOut} is below min_amount_out ${minOut}`);
+    this.adjust(state, from, tokenIn, -amountIn);
+    this.adjust(state, from, tokenOut, amountOut);
+    pool.reserves[i] += amountIn;
+    pool.reserves[1 - i] -= amountOut;
+    return { to: 'pool', logs: [log('pool', 'Swap', { sender: from, tokenIn, tokenOut, amountIn, amountOut })], result: { amountOut } };
+  },
+
+  // Repays up to half the debt of an unhealthy position for its collateral plus a 5% bonus, at oracle prices
+  liquidate(state, { from, params }) {
+    const position = state.positions.get(String(params.position_id));
+    if (!position) throw revert(`Unknown position: ${params.position_id}`);
+    const { collateral, debt } = position;
+    const debtInCollateral = this.rate(state, debt.token, collateral.token);
+    if (collateral.amount * position.thresholdBps * RATE_SCALE >= debt.amount * debtInCollateral * 10000n) {
+      throw revert(`Position ${params.position_id} is healthy`);
+    }
+    const maxRepay = (debt.amount * CLOSE_FACTOR_BPS) / 10000n;
+    const requested = params.amount === undefined ? maxRepay : positive(params.amount, 'amount');
+    const repay = requested < maxRepay ? requested : maxRepay;
+    let seized = (repay * debtInCollateral * (10000n + LIQUIDATION_BONUS_BPS)) / (RATE_SCALE * 10000n);
+    if (seized > collateral.amount) seized = collateral.amount;
+    this.adjust(state, from, debt.token, -repay);
+    this.adjust(state, from, collateral.token, seized);
+    debt.amount -= repay;
+    collateral.amount -= seized;
+    return {
+      to: 'lending',
+      logs: [log('lending', 'Liquidation', { positionId: String(params.position_id), liquidator: from, borrower: position.borrower, repaid: repay, seized })],
+      result: { repaid: repay, seized, remainingDebt: debt.amount, remainingCollateral: collateral.amount }
+    };
+  },
+
+  // Stores the bytecode at an address derived from the sender and nonce; the code is not executed
+  deploy_contract(state, { from, params, nonce }) {
+    if (typeof params.bytecode !== 'string' || !/^0x([0-9a-fA-F]{2})+$/.test(params.bytecode)) {
+      throw chainError('params.bytecode must be a non-empty 0x-prefixed hex string');
+    }
+    const contractAddress = `0x${hash({ from, nonce: hex(nonce) }).slice(-40)}`;
+    const account = this.account(state, contractAddress);
+    if (account.code) throw revert(`Contract already deployed at ${contractAddress}`);
+    account.code = params.bytecode.toLowerCase();
+    return { to: null, contractAddress, logs: [log(contractAddress, 'ContractDeployed', { deployer: from, name: params.name ?? null })] };
+  }
+};
+
+module.exports = { SimulatedChain, ACTION_GAS, chainError, amountOf };
@@ -0,0 +1,31 @@
+// Nested step blocks of a step, with the pointer suffix of each block
+const childBlocks = (step) => {
+  const blocks = [];
+  if (step.then) blocks.push({ path: 'then', steps: step.then });
+  if (step.else) blocks.push({ path: 'else', steps: step.else });
+  if (Array.isArray(step.body)) blocks.push({ path: 'body', steps: step.body });
+  if (step.catch) blocks.push({ path: 'catch/body', steps: step.catch.body });
+  if (step.finally) blocks.push({ path: 'finally', steps: step.finally });
+  if (step.branches) step.branches.forEach((steps, i) => blocks.push({ path: `branches/${i}`, steps }));
+  if (step.on_error?.body) blocks.push({ path: 'on_error/body', steps: step.on_error.body });
+  return blocks;
+};
+
+// Depth-first walk over every step, calling visit(step, pointer, parent)
+const walkSteps = (steps, visit, pointer = '/steps', parent = null) => {
+  steps.forEach((step, i) => {
+    const stepPointer = `${pointer}/${i}`;
+    visit(step, stepPointer, parent);
+    for (const block of childBlocks(step)) walkSteps(block.steps, visit, `${stepPointer}/${block.path}`, step);
+  });
+};
+
+const findStep = (steps, id) => {
+  let found = null;
+  walkSteps(steps, (step, pointer) => {
+    if (!found && step.id === id) found = { step, pointer };
+  });
+  return found;
+};
+
+module.exports = { childBlocks, walkSteps, findStep };
@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const { evaluate } = require('./expressions');
+const { redact } = require('./secrets');
+
+const COMMANDS = ['continue', 'stepOver', 'stepInto', 'stepOut', 'pause'];
+
+const notFound = (runId) => Object.assign(new Error(`No debug session for run ${runId}`), { status: 404 });
+
+// Locations join the step pointers of each workflow on the call path with ' > ', e.g.
+// `/steps/2 > /steps/0/then/1` is a step inside the sub-workflow called by step /steps/2
+const isWithin = (location, anchor) => location === anchor || location.startsWith(`${anchor}/`) || location.startsWith(`${anchor} > `);
+
+// The enclosing step of a location: the step owning its block, or the calling step of a sub-workflow
+const parentLocation = (location) => {
+  const calls = location.split(' > ');
+  const pointer = calls.pop();
+  const parent = pointer.replace(/\/(?:then|else|body|finally|catch\/body|on_error\/body|branches\/\d+)\/\d+$/, '');
+  if (parent !== pointer) return [...calls, parent].join(' > ');
+  return calls.length ? calls.join(' > ') : null;
+};
+
+// Step-through debugging of workflow runs. A session is keyed by the top-level run id and
+// also covers its parallel branches and sub-workflows. The runtime calls beforeStep() at every
+// step boundary; a run that hits a breakpoint or completes a step command waits there until
+// the next command. Concurrent branches that stop queue up and are presented one at a time.
+class WorkflowDebugger extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  attach(runId, { breakpoints = [], watches = [], stopOnEntry = false } = {}) {
+    const session = this.sessions.get(runId) || { runId, stopped: [], mode: 'continue', anchor: null };
+    Object.assign(session, { breakpoints: new Set(breakpoints), watches: [...watches] });
+    if (stopOnEntry) session.mode = 'stepInto';
+    this.sessions.set(runId, session);
+    return this.describe(runId);
+  }
+
+  detach(runId) {
+    const session = this.session(runId);
+    session.breakpoints.clear();
+    session.mode = 'continue';
+    session.stopped.splice(0).forEach(stop => stop.resume());
+    this.sessions.delete(runId);
+    this.emit('detached', { runId });
+  }
+
+  // Called by the runtime when a top-level run ends; its session ends with it
+  runFinished(runId, state) {
+    if (!this.sessions.delete(runId)) return;
+    this.emit('finished', { runId, state });
+  }
+
+  session(runId) {
+    const session = this.sessions.get(runId);
+    if (!session) throw notFound(runId);
+    return session;
+  }
+
+  shouldStop(session, location, step) {
+    if (session.breakpoints.has(step.id)) return 'breakpoint';
+    switch (session.mode) {
+      case 'pause':
+      case 'stepInto':
+        return 'step';
+      case 'stepOver':
+        return isWithin(location, session.anchor) ? null : 'step';
+      case 'stepOut': {
+        const parent = parentLocation(session.anchor);
+        return parent && !isWithin(location, parent) ? 'step' : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  async beforeStep({ step, run, pointer, scope, signal }) {
+    let root = run.control;
+    while (root.parent) root = root.parent;
+    const session = this.sessions.get(root.root.id);
+    if (!session) return;
+
+    const location = `${run.control.prefix}${pointer}`;
+    const reason = this.shouldStop(session, location, step);
+    if (!reason) return;
+
+    await new Promise((resolve, reject) => {
+      const stop = {
+        reason,
+        location,
+        pointer,
+        runId: run.id,
+        workflow: run.workflow,
+        step: { id: step.id, type: step.type },
+        scope,
+        secrets: run.control.secretValues,
+        stoppedAt: new Date().toISOString(),
+        resume: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        session.stopped.splice(session.stopped.indexOf(stop), 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      session.stopped.push(stop);
+      if (session.stopped.length === 1) this.emit('paused', this.describe(session.runId));
+    });
+  }
+
+  // continue, stepOver, stepInto and stepOut release the presented stop; pause breaks at the next step
+  command(runId, command) {
+    if (!COMMANDS.includes(command)) throw Object.assign(new Error(`Unknown debugger command: ${command}`), { status: 400 });
+    const session = this.session(runId);
+    if (command === 'pause') {
+      session.mode = 'pause';
+      return this.describe(runId);
+    }
+    const [current] = session.stopped;
+    if (!current) throw Object.assign(new Error(`Run ${runId} is not paused in the debugger`), { status: 409 });
+    Object.assign(session, { mode: command, anchor: current.location });
+    session.stopped.shift();
+    current.resume();
+    this.emit(session.stopped.length ? 'paused' : 'resumed', this.describe(runId));
+    return this.describe(runId);
+  }
+
+  setBreakpoints(runId, breakpoints) {
+    this.session(runId).breakpoints = new Set(breakpoints);
+    return this.describe(runId);
+  }
+
+  setWatches(runId, watches) {
+    this.session(runId).watches = [...watches];
+    return this.describe(runId);
+  }
+
+  // Evaluates an expression, or a scope path given as a string, against the live scope of the presented stop
+  evaluate(runId, expr) {
+    const [current] = this.session(runId).stopped;
+    if (!current) throw Object.assign(new Error(`Run ${runId} is not paused in the debugger`), { status: 409 });
+    try {
+      return { value: redact(evaluate(typeof expr === 'string' ? { get: expr } : expr, current.scope), current.secrets) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  describe(runId) {
+    const session = this.session(runId);
+    const [current] = session.stopped;
+    const paused = current && {
+      reason: current.reason,
+      location: current.location,
+      pointer: current.pointer,
+      runId: current.runId,
+      workflow: current.workflow,
+      step: current.step,
+      stoppedAt: current.stoppedAt,
+      scope: redact(current.scope, current.secrets),
+      watches: session.watches.map(expr => ({ expr, ...this.evaluate(runId, expr) })),
+      waiting: session.stopped.length - 1
+    };
+    return { runId, breakpoints: [...session.breakpoints], watches: session.watches, mode: session.mode, paused: paused || null };
+  }
+}
+
+module.exports = WorkflowDebugger;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { validateWorkflow } = require('./workflowSchema');
+const { contentHash } = require('./canonicalJson');
+
+const SCHEME = /^([a-zA-Z][a-zA-Z0-9+.-]*):/;
+
+const MAX_CACHED = parseInt(process.env.WORKFLOW_REGISTRY_CACHE, 10) || 256;
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const isInside = (dir, file) => {
+  const relative = path.relative(dir, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// Resolves sub-workflow references to validated workflow documents. Local `file://` and
+// relative references are read from disk (relative to the calling workflow, else baseDir), but
+// only inside baseDir and the WORKFLOW_REGISTRY_DIRS allow-list; other schemes go through
+// resolvers registered per protocol, e.g. `https:`. Loaded documents are cached, up to
+// WORKFLOW_REGISTRY_CACHE of them.
+class WorkflowRegistry {
+  constructor({
+    baseDir = path.resolve(__dirname, '../schema'),
+    allowedDirs = (process.env.WORKFLOW_REGISTRY_DIRS || '').split(',').filter(Boolean),
+    resolvers = {},
+    maxCached = MAX_CACHED
+  } = {}) {
+    this.baseDir = baseDir;
+    this.roots = [baseDir, ...allowedDirs].map(dir => path.resolve(dir));
+    this.resolvers = new Map(Object.entries(resolvers));
+    this.maxCached = maxCached;
+    // Registered workflows stay; loaded ones are evicted oldest first
+    this.workflows = new Map();
+    this.cache = new Map();
+  }
+
+  register(uri, workflow) {
+    validateWorkflow(workflow);
+    this.workflows.set(uri, workflow);
+    return this;
+  }
+
+  registerResolver(protocol, resolver) {
+    this.resolvers.set(protocol, resolver);
+    return this;
+  }
+
+  // Absolute URI for `ref` as seen from the workflow at `from`
+  normalize(ref, from) {
+    if (this.workflows.has(ref)) return ref;
+    const scheme = SCHEME.exec(ref);
+    if (scheme && scheme[1].length > 1) return ref;
+    const fromDir = from && from.startsWith('file:') ? path.dirname(fileURLToPath(from)) : this.baseDir;
+    return pathToFileURL(path.resolve(fromDir, ref)).href;
+  }
+
+  // The real path of a local reference, refused outside the registry's directories
+  async localFile(uri) {
+    let file;
+    try {
+      file = await fs.promises.realpath(fileURLToPath(uri));
+    } catch (error) {
+      throw notFound(`Sub-workflow not found: ${uri}`);
+    }
+    const roots = await Promise.all(this.roots.map(root => fs.promises.realpath(root).catch(() => root)));
+    if (!roots.some(root => isInside(root, file))) {
+      throw Object.assign(new Error(`Sub-workflow outside the registry directories: ${uri}`), { status: 403 });
+    }
+    return file;
+  }
+
+  async load(uri) {
+    if (this.workflows.has(uri)) return this.workflows.get(uri);
+    if (this.cache.has(uri)) return this.cache.get(uri);
+    const protocol = SCHEME.exec(uri)[1].toLowerCase() + ':';
+
+    let workflow;
+    if (protocol === 'file:') {
+      const file = await this.localFile(uri);
+      try {
+        workflow = JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+      } catch (error) {
+        // The parser's message quotes the file, which is not the caller's to read
+        throw Object.assign(new Error(`Sub-workflow is not a JSON document: ${uri}`), { status: 400 });
+      }
+    } else {
+      const resolver = this.resolvers.get(protocol);
+      if (!resolver) throw notFound(`No resolver registered for ${protocol} (${uri})`);
+      workflow = await resolver(uri);
+    }
+
+    try {
+      validateWorkflow(workflow);
+    } catch (error) {
+      throw Object.assign(error, { message: `Invalid sub-workflow ${uri}: ${error.message}` });
+    }
+    this.cache.set(uri, workflow);
+    if (this.cache.size > this.maxCached) this.cache.delete(this.cache.keys().next().value);
+    return workflow;
+  }
+
+  // Checks the callee against a matching entry of the caller's metadata.dependencies,
+  // matched by `source` URI or by the callee's function name
+  verifyDependency(caller, uri, workflow) {
+    const dependencies = caller?.metadata?.dependencies || {};
+    const entry = Object.entries(dependencies).find(([name, dep]) => dep.source === uri || name === workflow.function);
+    if (!entry) return;
+    const [name, dep] = entry;
+    const hash = contentHash(workflow);
+    if (dep.hash.toLowerCase() !== hash) {
+      throw Object.assign(new Error(`Dependency hash mismatch for ${name}: expected ${dep.hash}, got ${hash}`), { status: 409 });
+    }
+    if (dep.version !== workflow.metadata.version) {
+      throw Object.assign(new Error(`Dependency version mismatch for ${name}: expected ${dep.version}, got ${workflow.metadata.version}`), { status: 409 });
+    }
+  }
+
+  async resolve(ref, { from, caller } = {}) {
+    const uri = this.normalize(ref, from);
+    const workflow = await this.load(uri);
+    this.verifyDependency(caller, uri, workflow);
+    return { uri, workflow };
+  }
+}
+
+module.exports = WorkflowRegistry;
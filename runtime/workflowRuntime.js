@@ -0,0 +1,920 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+const Semaphore = require('./semaphore');
+const { evaluate, isExpr, getPath, setPath, escapePointer } = require('./expressions');
+const { retry, withTimeout, parseDuration } = require('./retry');
+const { findStep } = require('./stepTree');
+const { MUTATING_STEPS, checkInvariants } = require('./invariants');
+const { validateWorkflow, executionPolicy } = require('./workflowSchema');
+const WorkflowRegistry = require('./workflowRegistry');
+const { SecretStore, redact } = require('./secrets');
+const { verifyAttestation } = require('./attestation');
+const { AccessControl, principalFromClaims } = require('./accessControl');
+const ScriptSandbox = require('./scriptSandbox');
+const { createRandom } = require('./random');
+const { simulate, describeCircuit, measure, quantumError } = require('./quantum');
+const { runAlgorithm } = require('./quantumAlgorithms');
+const AiRegistry = require('./aiRegistry');
+const { ChainAdapter } = require('./chainAdapter');
+const signatures = require('./signatures');
+const { GameEngine } = require('./gameEngine');
+const { EventBus } = require('./eventBus');
+
+const TYPE_CHECKS = {
+  string: v => typeof v === 'string',
+  integer: v => Number.isInteger(v),
+  number: v => typeof v === 'number' && !Number.isNaN(v),
+  boolean: v => typeof v === 'boolean',
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  null: v => v === null
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const cancelled = (reason) => Object.assign(new Error(`Cancelled: ${reason?.message || reason || 'aborted'}`), { cancelled: true });
+// Checkpoints are rewritten after every step, so the trace and events they carry are capped
+const MAX_CHECKPOINT_ENTRIES = 100;
+
+// Top-level keys whose value differs between a branch scope and the scope it was forked from
+const scopeChanges = (base, scope) => {
+  const changes = {};
+  for (const key of new Set([...Object.keys(base), ...Object.keys(scope)])) {
+    if (JSON.stringify(base[key]) !== JSON.stringify(scope[key])) changes[key] = scope[key];
+  }
+  return changes;
+};
+
+class WorkflowRuntime extends EventEmitter {
+  constructor({
+    functions = {},
+    handlers = {},
+    retryBackoffMs = 100,
+    registry = new WorkflowRegistry(),
+    secrets = new SecretStore(),
+    accessControl = new AccessControl(),
+    checkpoints = null,
+    workflowDebugger = null,
+    sandbox = new ScriptSandbox(),
+    ai = new AiRegistry(),
+    chains = new ChainAdapter(),
+    game = new GameEngine(),
+    eventBus = new EventBus(),
+    trustedSigners = (process.env.WORKFLOW_TRUSTED_SIGNERS || '').split(',').filter(Boolean)
+  } = {}) {
+    super();
+    this.trustedSigners = trustedSigners;
+    this.retryBackoffMs = retryBackoffMs;
+    this.registry = registry;
+    this.secrets = secrets;
+    this.accessControl = accessControl;
+    this.checkpoints = checkpoints;
+    this.workflowDebugger = workflowDebugger;
+    this.sandbox = sandbox;
+    this.ai = ai;
+    this.chains = chains;
+    this.game = game;
+    this.eventBus = eventBus;
+    this.activeRuns = new Map();
+    this.functions = new Map(Object.entries(functions));
+    this.handlers = new Map(Object.entries({ ...WorkflowRuntime.builtinHandlers, ...handlers }));
+    this.branchSlots = new Map();
+  }
+
+  registerFunction(name, fn) {
+    this.functions.set(name, fn);
+    return this;
+  }
+
+  registerStep(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  // Parallel branches of one workflow share a cap of execution_policy.max_concurrent_runs, across all of its runs
+  getBranchSlots(run) {
+    const limit = run.policy.max_concurrent_runs;
+    if (!this.branchSlots.has(run.workflow)) this.branchSlots.set(run.workflow, new Semaphore(limit));
+    const slots = this.branchSlots.get(run.workflow);
+    slots.limit = limit;
+    return slots;
+  }
+
+  // Schema validation plus attestation check against the trust list
+  validateWorkflow(workflow) {
+    validateWorkflow(workflow);
+    verifyAttestation(workflow, { trustedSigners: this.trustedSigners });
+    return true;
+  }
+
+  bindInputs(workflow, inputs = {}) {
+    const bound = {};
+    for (const [name, def] of Object.entries(workflow.schema.inputs)) {
+      const value = inputs[name] !== undefined ? inputs[name] : def.default;
+      if (value === undefined) throw badRequest(`Missing required input: ${name}`);
+      this.checkValue(`input "${name}"`, value, def);
+      bound[name] = value;
+    }
+    return bound;
+  }
+
+  bindContext(workflow, context = {}) {
+    const bound = {};
+    for (const [name, def] of Object.entries(workflow.schema.context)) {
+      let value = context[name];
+      if (value === undefined && def.source === 'env') value = process.env[name];
+      if (value === undefined) continue;
+      this.checkValue(`context "${name}"`, value, def);
+      bound[name] = value;
+    }
+    return bound;
+  }
+
+  checkValue(label, value, def) {
+    const check = TYPE_CHECKS[def.type];
+    if (check && !check(value)) throw badRequest(`Invalid ${label}: expected ${def.type}`);
+    const c = def.constraints || {};
+    if (c.enum && !c.enum.includes(value)) throw badRequest(`Invalid ${label}: must be one of ${c.enum.join(', ')}`);
+    if (typeof value === 'string') {
+      if (c.minLength !== undefined && value.length < c.minLength) throw badRequest(`Invalid ${label}: shorter than ${c.minLength}`);
+      if (c.maxLength !== undefined && value.length > c.maxLength) throw badRequest(`Invalid ${label}: longer than ${c.maxLength}`);
+      if (c.pattern && !new RegExp(c.pattern).test(value)) throw badRequest(`Invalid ${label}: does not match ${c.pattern}`);
+    }
+    if (typeof value === 'number') {
+      if (c.minimum !== undefined && value < c.minimum) throw badRequest(`Invalid ${label}: below minimum ${c.minimum}`);
+      if (c.maximum !== undefined && value > c.maximum) throw badRequest(`Invalid ${label}: above maximum ${c.maximum}`);
+    }
+  }
+
+  // `source` is the URI the workflow was loaded from; relative sub-workflow references resolve against it.
+  // `claims` are the caller's verified JWT claims, checked against access_policy and access_control.
+  // Top-level runs are checkpointed after every step when the runtime has a checkpoint store;
+  // the checkpoint is removed once the run completes, fails or is cancelled.
+  async run(workflow, { id, inputs, context, claims, seed, source, callStack = [], signal, parent, callerPointer } = {}) {
+    this.validateWorkflow(workflow);
+    for (const ref of workflow.subworkflows || []) await this.registry.resolve(ref, { from: source, caller: workflow });
+    const run = await this.createRun(workflow, {
+      id, context, claims, seed, source, callStack, parent, callerPointer,
+      scope: { ...this.bindContext(workflow, context), ...this.bindInputs(workflow, inputs) }
+    });
+    return this.execute(run, signal);
+  }
+
+  // Continues a run from its last checkpoint. The step that was in flight runs again, as do
+  // sub-workflows, which are not checkpointed on their own. Callers that enforce run limits
+  // (the scheduler) start restored runs through here rather than the runtime doing so itself.
+  async restore(runId) {
+    const record = await this.restorable(runId);
+    const { document, source } = record;
+    this.validateWorkflow(document);
+    for (const ref of document.subworkflows || []) await this.registry.resolve(ref, { from: source, caller: document });
+    const run = await this.createRun(document, { ...record, id: runId, callStack: [] });
+    logger.info(`Workflow run resumed from checkpoint: ${run.workflow} (${run.id})`);
+    return this.execute(run);
+  }
+
+  // The checkpoint of a paused or running run that is not live in this process
+  async restorable(runId) {
+    const record = this.checkpoints && await this.checkpoints.load(runId);
+    if (!record) throw Object.assign(new Error(`Workflow run not found: ${runId}`), { status: 404 });
+    if (this.activeRuns.has(runId)) throw Object.assign(new Error(`Workflow run is already active: ${runId}`), { status: 409 });
+    if (!record.scope) throw Object.assign(new Error(`No resumable checkpoint for run ${runId}`), { status: 404 });
+    return record;
+  }
+
+  // Checkpoints of the runs that were still running when the process stopped
+  async interrupted() {
+    if (!this.checkpoints) return [];
+    return (await this.checkpoints.list()).filter(record => record.state === 'running' && record.scope && !this.activeRuns.has(record.runId));
+  }
+
+  async createRun(workflow, { id, context, claims, seed = crypto.randomInt(2 ** 32), randomState, source, callStack, parent, callerPointer, scope, frames, trace, events, invariantSummary, returned, halted, startedAt }) {
+    const run = {
+      id: id || crypto.randomUUID(),
+      workflow: workflow.function,
+      document: workflow,
+      source,
+      context,
+      claims,
+      principal: principalFromClaims(claims),
+      // Quantum measurements draw from this; the same seed reproduces them
+      seed,
+      random: createRandom(randomState ?? seed),
+      callStack: [...callStack, source || `workflow:${workflow.function}`],
+      // Kept out of the scope so secret values never reach outputs, traces or checkpoints
+      secrets: await this.secrets.resolve(workflow.secrets),
+      policy: executionPolicy(workflow),
+      steps: workflow.steps,
+      invariants: workflow.invariants || [],
+      invariantSummary: invariantSummary || { checks: 0, violations: [] },
+      scope,
+      trace: trace || [],
+      events: events || [],
+      returned,
+      halted: halted || false,
+      startedAt: startedAt || new Date().toISOString()
+    };
+    // Shared by the run and its parallel branches: lifecycle state, resume frames keyed by
+    // JSON pointer (block positions, loop indices, branch scopes) and the cancel signal
+    run.control = {
+      root: run,
+      parent,
+      // Debugger locations of this run's steps are prefixed with the calling step's location
+      prefix: parent ? `${parent.prefix}${callerPointer} > ` : '',
+      state: 'running',
+      currentStep: null,
+      frames: new Map(Object.entries(frames || {})),
+      // Masked in whatever the run emits; a caller's secrets can reach it through its inputs
+      secretValues: [...(parent?.secretValues || []), ...Object.values(run.secrets)],
+      abort: new AbortController(),
+      waiters: [],
+      nested: callStack.length > 0,
+      store: callStack.length ? null : this.checkpoints,
+      // The last progress written, so unchanged checkpoints are skipped
+      saved: null
+    };
+    return run;
+  }
+
+  async execute(run, signal) {
+    const { control } = run;
+    const onAbort = () => control.abort.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (!control.nested) this.activeRuns.set(run.id, control);
+
+    logger.info(`Workflow run started: ${run.workflow} (${run.id})`);
+    try {
+      const workflow = run.document;
+      if (workflow.access_policy) await this.accessControl.authorize(run.principal, { workflow, requirement: workflow.access_policy });
+      await this.checkpoint(run);
+      await this.executeSteps(workflow.steps, run, '/steps', control.abort.signal);
+    } catch (error) {
+      logger.error(`Workflow run failed: ${run.workflow} (${run.id}) - ${error.message}`);
+      Object.assign(error, {
+        message: redact(error.message, run.control.secretValues),
+        status: error.status || 422,
+        runId: run.id,
+        trace: redact(run.trace, run.control.secretValues),
+        invariants: redact(run.invariantSummary, run.control.secretValues)
+      });
+      control.state = 'failed';
+      if (this.workflowDebugger && !control.nested) this.workflowDebugger.runFinished(run.id, control.state);
+      await this.removeCheckpoint(run);
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (this.activeRuns.get(run.id) === control) this.activeRuns.delete(run.id);
+      this.game.release(run.id);
+      this.secrets.release(run.secrets);
+    }
+    logger.info(`Workflow run completed: ${run.workflow} (${run.id})`);
+
+    const result = redact({
+      runId: run.id,
+      workflow: run.workflow,
+      status: 'completed',
+      seed: run.seed,
+      outputs: this.collectOutputs(run.document, run),
+      returned: run.returned,
+      events: run.events,
+      invariants: run.invariantSummary,
+      trace: run.trace,
+      startedAt: run.startedAt,
+      completedAt: new Date().toISOString()
+    }, run.control.secretValues);
+    control.state = 'completed';
+    if (this.workflowDebugger && !control.nested) this.workflowDebugger.runFinished(run.id, control.state);
+    await this.removeCheckpoint(run);
+    return result;
+  }
+
+  // Persists the root run so it can be resumed. What stays fixed for the run is written with
+  // its first checkpoint; later ones write the progress, and only when it changed. The saved
+  // trace and events keep their last MAX_CHECKPOINT_ENTRIES entries.
+  async checkpoint(run) {
+    const { control } = run;
+    const { store, root, state, currentStep, frames, secretValues } = control;
+    if (!store) return;
+    // Secrets are resolved again on restore; values a step copied into the scope come back redacted
+    const progress = {
+      state,
+      currentStep,
+      randomState: root.random.state(),
+      scope: redact(root.scope, secretValues),
+      frames: redact(Object.fromEntries(frames), secretValues),
+      trace: redact(root.trace.slice(-MAX_CHECKPOINT_ENTRIES), secretValues),
+      events: redact(root.events.slice(-MAX_CHECKPOINT_ENTRIES), secretValues),
+      invariantSummary: root.invariantSummary,
+      returned: redact(root.returned, secretValues),
+      halted: root.halted
+    };
+    const serialized = JSON.stringify(progress);
+    if (serialized === control.saved) return;
+    const first = control.saved === null;
+    control.saved = serialized;
+    if (first) {
+      await store.save({
+        runId: root.id,
+        workflow: root.workflow,
+        owner: root.claims?.sub ?? null,
+        startedAt: root.startedAt,
+        document: root.document,
+        source: root.source,
+        context: redact(root.context, secretValues),
+        claims: redact(root.claims, secretValues),
+        seed: root.seed
+      });
+    }
+    await store.saveProgress(root.id, { ...progress, updatedAt: new Date().toISOString() });
+  }
+
+  async removeCheckpoint(run) {
+    const { store, root } = run.control;
+    if (store) await store.remove(root.id);
+  }
+
+  // Resume state of the step or block at `pointer`, created on first use
+  frame(run, pointer) {
+    const { frames } = run.control;
+    if (!frames.has(pointer)) frames.set(pointer, {});
+    return frames.get(pointer);
+  }
+
+  clearFrames(run, pointer) {
+    for (const key of run.control.frames.keys()) {
+      if (key === pointer || key.startsWith(`${pointer}/`)) run.control.frames.delete(key);
+    }
+  }
+
+  // Paused runs (or runs whose calling workflow is paused) wait here, between steps
+  async pausePoint(run, signal) {
+    let paused = run.control;
+    while (paused && paused.state !== 'paused') paused = paused.parent;
+    if (!paused) return;
+    await this.checkpoint(paused.root);
+    await new Promise((resolve, reject) => {
+      const onAbort = () => reject(cancelled(signal.reason));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      paused.waiters.push(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      });
+    });
+  }
+
+  activeControl(runId) {
+    const control = this.activeRuns.get(runId);
+    if (!control) throw Object.assign(new Error(`Workflow run is not active: ${runId}`), { status: 404 });
+    return control;
+  }
+
+  // Takes effect at the next step boundary; the step in flight finishes first
+  pause(runId) {
+    const control = this.activeControl(runId);
+    if (control.state !== 'running') throw Object.assign(new Error(`Cannot pause a ${control.state} run`), { status: 409 });
+    control.state = 'paused';
+    return this.describeRun(runId);
+  }
+
+  // Wakes a paused run; a run interrupted by a restart is continued with restore()
+  async resume(runId) {
+    const control = this.activeControl(runId);
+    if (control.state !== 'paused') throw Object.assign(new Error(`Cannot resume a ${control.state} run`), { status: 409 });
+    control.state = 'running';
+    control.waiters.splice(0).forEach(wake => wake());
+    await this.checkpoint(control.root);
+    return this.describeRun(runId);
+  }
+
+  async cancel(runId) {
+    const control = this.activeRuns.get(runId);
+    if (control) {
+      control.abort.abort(new Error('cancelled by request'));
+      return this.describeRun(runId);
+    }
+    const record = this.checkpoints && await this.checkpoints.load(runId);
+    if (!record) throw Object.assign(new Error(`Workflow run not found: ${runId}`), { status: 404 });
+    const { workflow, currentStep } = record;
+    await this.checkpoints.remove(runId);
+    return { id: runId, workflow, state: 'failed', currentStep };
+  }
+
+  // The `sub` of the claims the run was started with, or null for a run without claims
+  async runOwner(runId) {
+    const control = this.activeRuns.get(runId);
+    if (control) return control.root.claims?.sub ?? null;
+    const record = this.checkpoints && await this.checkpoints.load(runId);
+    if (!record) throw Object.assign(new Error(`Workflow run not found: ${runId}`), { status: 404 });
+    return record.owner ?? null;
+  }
+
+  // Run status in the shape of the frontend's workflows.active
+  describeRun(runId) {
+    const control = this.activeRuns.get(runId);
+    if (!control) return null;
+    return { id: runId, workflow: control.root.workflow, state: control.state, currentStep: control.currentStep, startedAt: control.root.startedAt };
+  }
+
+  // Active runs and the checkpointed runs of a previous process, with the `sub` that owns each
+  async listRuns() {
+    const records = this.checkpoints ? await this.checkpoints.list() : [];
+    const runs = new Map(records.map(({ runId, workflow, owner, state, currentStep, startedAt, updatedAt }) => [runId, { id: runId, workflow, owner, state, currentStep, startedAt, updatedAt }]));
+    for (const [runId, control] of this.activeRuns) {
+      runs.set(runId, { ...runs.get(runId), ...this.describeRun(runId), owner: control.root.claims?.sub ?? null });
+    }
+    return [...runs.values()];
+  }
+
+  async getRun(runId) {
+    const active = this.describeRun(runId);
+    if (active) return active;
+    const record = this.checkpoints && await this.checkpoints.load(runId);
+    if (!record) throw Object.assign(new Error(`Workflow run not found: ${runId}`), { status: 404 });
+    const { workflow, state, currentStep, startedAt, updatedAt } = record;
+    return { id: runId, workflow, state, currentStep, startedAt, updatedAt };
+  }
+
+  checkOutputs(workflow, outputs, label) {
+    for (const [name, def] of Object.entries(workflow.schema.outputs)) {
+      const check = TYPE_CHECKS[def.type];
+      if (check && name in outputs && !check(outputs[name])) {
+        throw Object.assign(new Error(`Invalid output "${name}" of ${label}: expected ${def.type}`), { status: 422 });
+      }
+    }
+  }
+
+  collectOutputs(workflow, run) {
+    const returned = TYPE_CHECKS.object(run.returned) ? run.returned : {};
+    const outputs = {};
+    for (const name of Object.keys(workflow.schema.outputs)) {
+      const value = name in returned ? returned[name] : getPath(run.scope, name);
+      if (value !== undefined) outputs[name] = value;
+    }
+    return outputs;
+  }
+
+  // Resumes at the block's recorded position and checkpoints after every completed step
+  async executeSteps(steps, run, pointer, signal) {
+    const frame = this.frame(run, pointer);
+    for (let i = frame.index || 0; i < steps.length && !run.halted; i++) {
+      if (signal?.aborted) throw cancelled(signal.reason);
+      await this.pausePoint(run, signal);
+      if (this.workflowDebugger) {
+        await this.workflowDebugger.beforeStep({ step: steps[i], run, pointer: `${pointer}/${i}`, scope: this.evaluationScope(run), signal });
+      }
+      await this.executeStep(steps[i], run, `${pointer}/${i}`, signal);
+      this.clearFrames(run, `${pointer}/${i}`);
+      frame.index = i + 1;
+      await this.checkpoint(run);
+    }
+    run.control.frames.delete(pointer);
+  }
+
+  // Runs one step under its timeout policy: every attempt is recorded in the trace entry,
+  // timeout.action decides between failing, skipping and retrying with backoff, and a
+  // final failure is handed to on_error when the step declares one.
+  async executeStep(step, run, pointer, signal) {
+    const handler = this.handlers.get(step.type);
+    if (!handler) throw Object.assign(new Error(`No handler registered for step type: ${step.type}`), { step: step.id, pointer });
+
+    const timeout = step.timeout || {};
+    const action = timeout.action || 'fail';
+    const duration = timeout.duration ? parseDuration(timeout.duration) : undefined;
+    const entry = { step: step.id, type: step.type, pointer, status: 'running', attempts: [], startedAt: new Date().toISOString() };
+    run.trace.push(entry);
+    run.control.currentStep = step.id || pointer;
+    const started = Date.now();
+    if (step.access_control) await this.authorizeStep(step, run, pointer, entry);
+
+    // Interrupted while its on_error handler ran: continue the handler rather than the step
+    const recovering = run.control.frames.get(pointer)?.recovering;
+    if (recovering) {
+      entry.status = 'recovered';
+      await this.handleStepError(step, recovering, run, pointer, signal);
+      entry.durationMs = Date.now() - started;
+      return;
+    }
+    const guarded = MUTATING_STEPS.includes(step.type) && run.invariants.length > 0;
+    if (guarded) this.enforceInvariants(step, run, pointer, entry, 'before');
+    const snapshot = guarded ? structuredClone(run.scope) : null;
+
+    const attempt = async (number) => {
+      // A retry starts its loops and blocks over instead of resuming the failed attempt's
+      if (number > 1) this.clearFrames(run, pointer);
+      const attemptStarted = Date.now();
+      try {
+        const result = await withTimeout(s => handler.call(this, step, this.createStepContext(run, pointer, s)), duration, signal);
+        entry.attempts.push({ attempt: number, status: 'completed', durationMs: Date.now() - attemptStarted });
+        return result;
+      } catch (error) {
+        entry.attempts.push({ attempt: number, status: error.timedOut ? 'timed_out' : 'failed', error: error.message, durationMs: Date.now() - attemptStarted });
+        throw error;
+      }
+    };
+
+    try {
+      const result = await retry(attempt, {
+        retries: action === 'retry' ? timeout.max_retries || 0 : 0,
+        backoffMs: this.retryBackoffMs,
+        factor: 2,
+        signal
+      });
+      if (step.target !== undefined && result !== undefined) setPath(run.scope, step.target, result);
+      if (guarded) this.enforceInvariants(step, run, pointer, entry, 'after', snapshot);
+      entry.status = 'completed';
+    } catch (error) {
+      entry.error = error.message;
+      if (!error.step) Object.assign(error, { step: step.id, pointer });
+      if (error.fatal) {
+        entry.status = 'failed';
+        throw error;
+      } else if (error.timedOut && action === 'skip') {
+        entry.status = 'skipped';
+      } else if (step.on_error && !error.cancelled) {
+        entry.status = 'recovered';
+        this.frame(run, pointer).recovering = { message: error.message, step: error.step, pointer: error.pointer, attempts: error.attempts };
+        await this.handleStepError(step, error, run, pointer, signal);
+      } else {
+        entry.status = 'failed';
+        throw error;
+      }
+    } finally {
+      entry.durationMs = Date.now() - started;
+    }
+  }
+
+  async authorizeStep(step, run, pointer, entry) {
+    try {
+      await this.accessControl.authorize(run.principal, { workflow: run.document, step, requirement: step.access_control });
+    } catch (error) {
+      Object.assign(entry, { status: 'denied', error: error.message, durationMs: 0 });
+      throw Object.assign(error, { step: step.id, pointer });
+    }
+  }
+
+  // Error-severity violations abort the run (past try/catch and on_error) and, after a step,
+  // restore the scope it started from; warnings and info are recorded on the trace entry.
+  enforceInvariants(step, run, pointer, entry, phase, snapshot) {
+    const results = checkInvariants(run.invariants, run.scope);
+    run.invariantSummary.checks += results.length;
+    const violations = results.filter(r => r.status === 'violated').map(r => ({ ...r, step: step.id, pointer, phase }));
+    if (!violations.length) return;
+
+    run.invariantSummary.violations.push(...violations);
+    entry.invariants = (entry.invariants || []).concat(violations);
+    const fatal = violations.find(v => v.severity === 'error');
+    if (!fatal) {
+      violations.forEach(v => logger.warn(`Workflow invariant ${v.severity}: ${v.message} (${run.workflow} ${phase} ${step.id})`));
+      return;
+    }
+    if (snapshot) {
+      Object.keys(run.scope).forEach(key => delete run.scope[key]);
+      Object.assign(run.scope, snapshot);
+    }
+    throw Object.assign(new Error(`Invariant violated ${phase} step ${step.id}: ${fatal.message}`), {
+      status: 422, fatal: true, invariant: fatal, rolledBack: Boolean(snapshot), step: step.id, pointer
+    });
+  }
+
+  // on_error either runs an inline body or jumps to another step by id; both see the failure as `error`
+  async handleStepError(step, error, run, pointer, signal) {
+    setPath(run.scope, 'error', { message: error.message, step: error.step, pointer: error.pointer, attempts: error.attempts });
+    if (step.on_error.body) {
+      await this.executeSteps(step.on_error.body, run, `${pointer}/on_error/body`, signal);
+      return;
+    }
+    const handler = findStep(run.steps, step.on_error.step_id);
+    if (!handler) throw Object.assign(new Error(`on_error step not found: ${step.on_error.step_id}`), { step: step.id, pointer });
+    await this.executeStep(handler.step, run, handler.pointer, signal);
+    this.clearFrames(run, handler.pointer);
+  }
+
+  // Expressions see declared secrets under the reserved `secrets` name without copying them into the scope
+  evaluationScope(run) {
+    return Object.keys(run.secrets).length ? { ...run.scope, secrets: run.secrets } : run.scope;
+  }
+
+  createStepContext(run, pointer, signal) {
+    return {
+      run,
+      pointer,
+      signal,
+      scope: run.scope,
+      runtime: this,
+      secret: (name) => {
+        if (!(name in run.secrets)) throw new Error(`Undeclared secret: ${name}`);
+        return run.secrets[name];
+      },
+      frame: () => this.frame(run, pointer),
+      evaluate: (expr, field) => evaluate(expr, this.evaluationScope(run), field === undefined ? pointer : `${pointer}/${field}`),
+      executeSteps: (steps, subPointer) => this.executeSteps(steps, run, `${pointer}/${subPointer}`, signal)
+    };
+  }
+}
+
+WorkflowRuntime.builtinHandlers = {
+  async set(step, ctx) {
+    return ctx.evaluate(step.value, 'value');
+  },
+
+  // The chosen branch is recorded so a resumed run does not re-evaluate the condition
+  async if(step, ctx) {
+    const frame = ctx.frame();
+    if (frame.branch === undefined) frame.branch = ctx.evaluate(step.condition, 'condition') ? 'then' : 'else';
+    if (frame.branch === 'then') {
+      await ctx.executeSteps(step.then, 'then');
+    } else if (step.else) {
+      await ctx.executeSteps(step.else, 'else');
+    }
+  },
+
+  async return(step, ctx) {
+    ctx.run.returned = ctx.evaluate(step.value, 'value');
+    ctx.run.halted = true;
+  },
+
+  async call(step, ctx) {
+    const fn = this.functions.get(step.function);
+    if (!fn) throw new Error(`Unknown function: ${step.function}`);
+    const args = {};
+    for (const [name, expr] of Object.entries(step.args)) args[name] = ctx.evaluate(expr, `args/${escapePointer(name)}`);
+    return fn(args, { runId: ctx.run.id, workflow: ctx.run.workflow, signal: ctx.signal });
+  },
+
+  // The frame records the phase (body, catch, finally), and for finally the outcome it must restore
+  async try(step, ctx) {
+    const frame = ctx.frame();
+    frame.phase = frame.phase || 'body';
+    let failure = null;
+    try {
+      if (frame.phase === 'body') {
+        try {
+          await ctx.executeSteps(step.body, 'body');
+        } catch (error) {
+          if (!step.catch || error.fatal) throw error;
+          setPath(ctx.scope, step.catch.error_var, { message: error.message, step: error.step, pointer: error.pointer });
+          frame.phase = 'catch';
+        }
+      }
+      if (frame.phase === 'catch') await ctx.executeSteps(step.catch.body, 'catch/body');
+    } catch (error) {
+      failure = error;
+    }
+
+    if (step.finally) {
+      // A return or failure inside body/catch must not prevent finally from running
+      if (frame.phase !== 'finally') {
+        const { message, status, fatal, cancelled: wasCancelled, step: failedStep, pointer } = failure || {};
+        Object.assign(frame, { phase: 'finally', halted: ctx.run.halted, failure: failure && { message, status, fatal, cancelled: wasCancelled, step: failedStep, pointer } });
+      }
+      ctx.run.halted = false;
+      await ctx.executeSteps(step.finally, 'finally');
+      ctx.run.halted = ctx.run.halted || frame.halted;
+      failure = failure || (frame.failure && Object.assign(new Error(frame.failure.message), frame.failure));
+    }
+    if (failure) throw failure;
+  },
+
+  async while(step, ctx) {
+    const maxIterations = step.max_iterations || 1000;
+    const frame = ctx.frame();
+    frame.iterations = frame.iterations || 0;
+    // A run resumed mid-iteration finishes that iteration before testing the condition again
+    while (!ctx.run.halted && (frame.inBody || ctx.evaluate(step.condition, 'condition'))) {
+      if (!frame.inBody) {
+        if (frame.iterations >= maxIterations) throw new Error(`Exceeded max_iterations (${maxIterations}) in while step ${step.id}`);
+        frame.iterations++;
+        frame.inBody = true;
+      }
+      await ctx.executeSteps(step.body, 'body');
+      frame.inBody = false;
+    }
+  },
+
+  // The collection is evaluated once and kept in the frame with the current index
+  async foreach(step, ctx) {
+    const frame = ctx.frame();
+    if (!frame.items) {
+      const collection = ctx.evaluate(step.collection, 'collection');
+      if (!Array.isArray(collection)) throw new Error(`foreach collection must be an array in step ${step.id}`);
+      Object.assign(frame, { items: collection, index: 0, previous: getPath(ctx.scope, step.iterator) });
+    }
+    for (; frame.index < frame.items.length && !ctx.run.halted; frame.index++) {
+      setPath(ctx.scope, step.iterator, frame.items[frame.index]);
+      await ctx.executeSteps(step.body, 'body');
+    }
+    setPath(ctx.scope, step.iterator, frame.previous);
+  },
+
+  async parallel(step, ctx) {
+    const strategy = step.merge_strategy || 'all';
+    const controller = new AbortController();
+    const parentSignal = ctx.signal;
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal) parentSignal.addEventListener('abort', onParentAbort, { once: true });
+
+    // Nested parallel steps reuse the slot already held by their enclosing branch
+    const slots = ctx.run.holdsSlot ? null : this.getBranchSlots(ctx.run);
+    // Branch scopes and completion order live in the frame, so checkpoints capture pending branches
+    const frame = ctx.frame();
+    if (!frame.branches) Object.assign(frame, { base: structuredClone(ctx.scope), branches: step.branches.map(() => ({ done: false })), finished: [] });
+    const { base } = frame;
+
+    const runBranch = async (steps, i) => {
+      const state = frame.branches[i];
+      if (state.done) return state;
+      state.scope = state.scope || structuredClone(base);
+      const branch = { ...ctx.run, scope: state.scope, returned: undefined, halted: false, holdsSlot: true };
+      if (slots) await slots.acquire(controller.signal);
+      try {
+        await this.executeSteps(steps, branch, `${ctx.pointer}/branches/${i}`, controller.signal);
+      } finally {
+        if (slots) slots.release();
+      }
+      Object.assign(state, { done: true, halted: branch.halted, returned: branch.returned });
+      frame.finished.push(i);
+      return state;
+    };
+
+    // Fail fast: the first failing branch cancels its siblings
+    const branches = step.branches.map((steps, i) => runBranch(steps, i).catch((error) => {
+      if (!controller.signal.aborted) controller.abort(error);
+      throw error;
+    }));
+
+    let merged;
+    try {
+      if (strategy === 'first') {
+        merged = [await Promise.race(branches)];
+        controller.abort('parallel branch completed first');
+      } else {
+        const completed = await Promise.all(branches);
+        merged = strategy === 'last' ? [frame.branches[frame.finished[frame.finished.length - 1]]] : completed;
+      }
+    } finally {
+      await Promise.allSettled(branches);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+
+    for (const branch of merged) {
+      Object.assign(ctx.scope, scopeChanges(base, branch.scope));
+      if (branch.halted) Object.assign(ctx.run, { returned: branch.returned, halted: true });
+    }
+  },
+
+  async call_workflow(step, ctx) {
+    const { run } = ctx;
+    const { uri, workflow } = await this.registry.resolve(step.workflow, { from: run.source, caller: run.document });
+    if (run.callStack.includes(uri)) {
+      throw Object.assign(new Error(`Sub-workflow cycle detected: ${[...run.callStack, uri].join(' -> ')}`), { status: 422 });
+    }
+    const args = {};
+    for (const [name, expr] of Object.entries(step.args)) args[name] = ctx.evaluate(expr, `args/${escapePointer(name)}`);
+
+    let result;
+    try {
+      result = await this.run(workflow, {
+        inputs: args, context: run.context, claims: run.claims, seed: run.random.int(0, 2 ** 32 - 1), source: uri, callStack: run.callStack, signal: ctx.signal, parent: run.control, callerPointer: ctx.pointer
+      });
+    } catch (error) {
+      throw Object.assign(new Error(`Sub-workflow ${uri} failed: ${error.message}`), { status: error.status, fatal: error.fatal, cause: error });
+    }
+    this.checkOutputs(workflow, result.outputs, uri);
+    return result.outputs;
+  },
+
+  async require_role(step, ctx) {
+    await this.accessControl.authorize(ctx.run.principal, { workflow: ctx.run.document, step, requirement: { roles: [step.role] } });
+  },
+
+  async assert(step, ctx) {
+    if (!ctx.evaluate(step.condition, 'condition')) throw Object.assign(new Error(`Assertion failed: ${step.message}`), { status: 422 });
+  },
+
+  async event(step, ctx) {
+    const params = {};
+    for (const [name, expr] of Object.entries(step.params)) params[name] = ctx.evaluate(expr, `params/${escapePointer(name)}`);
+    const event = { name: step.name, params, runId: ctx.run.id, workflow: ctx.run.workflow, publisher: ctx.run.claims?.sub ?? null, timestamp: new Date().toISOString() };
+    ctx.run.events.push(event);
+    this.emit('event', redact(event, ctx.run.control.secretValues));
+    // Events of sub-workflows name the top-level run as well, for trigger chains
+    let top = ctx.run.control;
+    while (top.parent) top = top.parent;
+    this.eventBus.publish({ ...redact(event, ctx.run.control.secretValues), ...(top.root !== ctx.run && { rootRunId: top.root.id }) }, { claims: ctx.run.claims });
+  },
+
+  async audit_log(step, ctx) {
+    logger.info(`Workflow audit: ${step.message}`, { runId: ctx.run.id, workflow: ctx.run.workflow, step: step.id, ...step.metadata });
+  },
+
+  // The target receives the script's return value with its captured console output
+  async script(step, ctx) {
+    const inputs = {};
+    for (const [name, expr] of Object.entries(step.inputs || {})) inputs[name] = ctx.evaluate(expr, `inputs/${escapePointer(name)}`);
+    const { result, stdout, stderr } = await this.sandbox.run({
+      language: step.language,
+      script: step.script,
+      inputs,
+      allowedModules: step.sandbox.allowed_modules,
+      ...this.sandbox.limits(step, ctx.run.document),
+      signal: ctx.signal
+    });
+    return { result, stdout, stderr };
+  },
+
+  // Stores the circuit with its outcome probabilities; quantum_measure re-simulates it
+  async quantum_circuit(step) {
+    return describeCircuit(simulate(step), step);
+  },
+
+  async quantum_measure(step, ctx) {
+    const circuit = ctx.evaluate(step.circuit, 'circuit');
+    if (!circuit || !Number.isInteger(circuit.qubits) || !Array.isArray(circuit.gates)) {
+      throw quantumError(`quantum_measure circuit must be a quantum_circuit result or { qubits, gates } in step ${step.id}`);
+    }
+    return measure(simulate(circuit), step.qubits, ctx.run.random);
+  },
+
+  async quantum_algorithm(step, ctx) {
+    return runAlgorithm(step.algorithm, step.parameters, ctx.run.random);
+  },
+
+  async ai_infer(step, ctx) {
+    return this.ai.invoke('ai_infer', step.model, ctx.evaluate(step.input, 'input'), { parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  async ai_train(step, ctx) {
+    return this.ai.invoke('ai_train', step.model, ctx.evaluate(step.data, 'data'), { parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  async ai_classify(step, ctx) {
+    return this.ai.invoke('ai_classify', step.model, ctx.evaluate(step.input, 'input'), { parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  async ai_embed(step, ctx) {
+    return this.ai.invoke('ai_embed', step.model, ctx.evaluate(step.input, 'input'), { parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  async ai_explain(step, ctx) {
+    return this.ai.invoke('ai_explain', step.model, ctx.evaluate(step.input, 'input'), { parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  async ai_nlp_process(step, ctx) {
+    const input = ctx.evaluate(step.input, 'input');
+    return this.ai.invoke('ai_nlp_process', step.model, input, { task: step.task, parameters: step.parameters, owner: ctx.run.claims?.sub ?? null, signal: ctx.signal });
+  },
+
+  // Params are literals unless they are expressions; the target receives the transaction receipt
+  async blockchain_operation(step, ctx) {
+    const params = {};
+    for (const [name, value] of Object.entries(step.params)) {
+      params[name] = isExpr(value) ? ctx.evaluate(value, `params/${escapePointer(name)}`) : value;
+    }
+    return this.chains.execute(step.chain, step.action, params, { gas: step.gas, replayProtection: step.replay_protection });
+  },
+
+  // Private keys must come from the workflow's declared secrets, so they are never part of the document
+  async crypto_sign(step, ctx) {
+    const key = ctx.evaluate(step.key, 'key');
+    if (!Object.values(ctx.run.secrets).includes(key)) {
+      throw Object.assign(new Error(`crypto_sign key must be a declared secret, e.g. { "get": "secrets.signing_key" }, in step ${step.id}`), { status: 422 });
+    }
+    return signatures.sign(step.algorithm, ctx.evaluate(step.data, 'data'), key);
+  },
+
+  async crypto_verify(step, ctx) {
+    return signatures.verify(step.algorithm, ctx.evaluate(step.data, 'data'), ctx.evaluate(step.signature, 'signature'), ctx.evaluate(step.key, 'key'));
+  },
+
+  async game_physics(step, ctx) {
+    this.game.checkEngine(ctx.run.document);
+    const objects = step.objects.map((object, i) => ctx.evaluate(object, `objects/${i}`));
+    return this.game.physics(objects, step.simulation);
+  },
+
+  // Maps the input events queued for the run (POST /workflow/runs/:runId/game/input) to actions
+  async game_input(step, ctx) {
+    this.game.checkEngine(ctx.run.document);
+    return this.game.mapInput(ctx.run.id, step.input_type, step.bindings);
+  },
+
+  async game_animation(step, ctx) {
+    this.game.checkEngine(ctx.run.document);
+    return this.game.animate(ctx.evaluate(step.target_object, 'target_object'), step.animation);
+  },
+
+  async game_multiplayer_sync(step, ctx) {
+    this.game.checkEngine(ctx.run.document);
+    return this.game.sync(ctx.run.id, { state: ctx.evaluate(step.state, 'state'), syncType: step.sync_type, peers: step.peers });
+  },
+
+  async regex_match(step, ctx) {
+    const input = ctx.evaluate(step.input, 'input');
+    if (typeof input !== 'string') throw new Error(`regex_match input must be a string in step ${step.id}`);
+    const match = new RegExp(step.pattern).exec(input);
+    return match ? Array.from(match) : null;
+  }
+};
+
+module.exports = WorkflowRuntime;
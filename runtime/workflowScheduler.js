@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+const { executionPolicy } = require('./workflowSchema');
+
+const PRIORITIES = { high: 0, medium: 1, low: 2 };
+const WINDOW_MS = 60 * 1000;
+
+// Queues workflow runs and admits them by priority (then arrival), enforcing each
+// workflow's execution_policy: max_concurrent_runs and max_runs_per_minute. Those limits are
+// counted per owner (the `sub` of the run's claims), so a document cannot use up another
+// user's allowance for a workflow of the same name. The documents set their own limits, so
+// the server also caps each owner (maxConcurrentPerOwner, maxRunsPerMinutePerOwner) and
+// all runs together (maxConcurrent). A workflow or owner at its limit does not hold back
+// queued runs of others.
+class WorkflowScheduler extends EventEmitter {
+  constructor({ runtime, maxConcurrent = 50, maxConcurrentPerOwner = 10, maxRunsPerMinutePerOwner = 120, retainJobs = 1000 } = {}) {
+    super();
+    this.runtime = runtime;
+    this.maxConcurrent = maxConcurrent;
+    this.maxConcurrentPerOwner = maxConcurrentPerOwner;
+    this.maxRunsPerMinutePerOwner = maxRunsPerMinutePerOwner;
+    this.retainJobs = retainJobs;
+    this.queue = [];
+    this.jobs = new Map();
+    this.running = 0;
+    this.workflows = new Map();
+    this.owners = new Map();
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  // Running count and recent starts of the job's workflow for the job's owner
+  workflowState(job) {
+    const key = JSON.stringify([job.owner, job.workflow]);
+    if (!this.workflows.has(key)) this.workflows.set(key, { workflow: job.workflow, running: 0, starts: [] });
+    return this.workflows.get(key);
+  }
+
+  ownerState(job) {
+    if (!this.owners.has(job.owner)) this.owners.set(job.owner, { running: 0, starts: [] });
+    return this.owners.get(job.owner);
+  }
+
+  submit(workflow, options = {}) {
+    this.runtime.validateWorkflow(workflow);
+    return this.enqueue(workflow, options, { id: crypto.randomUUID(), restore: false });
+  }
+
+  // Requeues a run interrupted by a restart. It keeps its id and continues from its checkpoint
+  // once admitted, so restored runs count against the same limits as new ones.
+  restore(record) {
+    const queued = this.jobs.get(record.runId);
+    if (queued && !queued.finishedAt) throw Object.assign(new Error(`Workflow run is already queued: ${record.runId}`), { status: 409 });
+    return this.enqueue(record.document, { claims: record.claims }, { id: record.runId, restore: true });
+  }
+
+  enqueue(workflow, options, { id, restore }) {
+    const policy = executionPolicy(workflow);
+    const job = {
+      id,
+      workflow: workflow.function,
+      owner: options.claims?.sub ?? null,
+      priority: policy.priority,
+      status: 'queued',
+      enqueuedAt: new Date().toISOString(),
+      sequence: this.sequence++,
+      document: workflow,
+      options,
+      restore
+    };
+    job.promise = new Promise((resolve, reject) => Object.assign(job, { resolve, reject }));
+    // Callers that only poll the job must not trigger unhandled rejections
+    job.promise.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.queue.sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || a.sequence - b.sequence);
+    this.pump();
+    return job;
+  }
+
+  // 1-based position among queued runs, or 0 once the run has been admitted
+  position(jobId) {
+    return this.queue.findIndex(job => job.id === jobId) + 1;
+  }
+
+  admissible(job, now) {
+    const policy = executionPolicy(job.document);
+    const state = this.workflowState(job);
+    const owner = this.ownerState(job);
+    state.starts = state.starts.filter(t => now - t < WINDOW_MS);
+    owner.starts = owner.starts.filter(t => now - t < WINDOW_MS);
+    return state.running < policy.max_concurrent_runs && state.starts.length < policy.max_runs_per_minute &&
+      owner.running < this.maxConcurrentPerOwner && owner.starts.length < this.maxRunsPerMinutePerOwner;
+  }
+
+  pump() {
+    const now = Date.now();
+    for (let i = 0; i < this.queue.length && this.running < this.maxConcurrent;) {
+      const job = this.queue[i];
+      if (!this.admissible(job, now)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      this.start(job, now);
+    }
+    this.scheduleWindowRetry(now);
+  }
+
+  // Rate-limited runs become admissible once their oldest start leaves the one-minute window
+  scheduleWindowRetry(now) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const waits = this.queue
+      .flatMap(job => [this.workflowState(job).starts[0], this.ownerState(job).starts[0]])
+      .filter(t => t !== undefined)
+      .map(t => t + WINDOW_MS - now);
+    if (!waits.length) return;
+    this.timer = setTimeout(() => this.pump(), Math.max(0, Math.min(...waits)) + 1);
+    this.timer.unref();
+  }
+
+  async start(job, now) {
+    const states = [this.workflowState(job), this.ownerState(job)];
+    for (const state of states) {
+      state.running++;
+      state.starts.push(now);
+    }
+    this.running++;
+    Object.assign(job, { status: 'running', startedAt: new Date(now).toISOString() });
+    this.emit('started', job);
+
+    try {
+      // The job id doubles as the run id, so queued jobs can later be paused, resumed or cancelled
+      job.result = await (job.restore ? this.runtime.restore(job.id) : this.runtime.run(job.document, { ...job.options, id: job.id }));
+      job.status = 'completed';
+      job.resolve(job.result);
+    } catch (error) {
+      Object.assign(job, { status: 'failed', error: { message: error.message, status: error.status } });
+      job.reject(error);
+      logger.error(`Scheduled workflow run failed: ${job.workflow} (${job.id}) - ${error.message}`);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      for (const state of states) state.running--;
+      this.running--;
+      this.emit('finished', job);
+      this.evictFinished();
+      this.pump();
+    }
+  }
+
+  evictFinished() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.retainJobs))) this.jobs.delete(job.id);
+  }
+
+  describe(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    const { id, workflow, priority, status, enqueuedAt, startedAt, finishedAt, result, error } = job;
+    return { id, workflow, priority, status, position: this.position(id), enqueuedAt, startedAt, finishedAt, result, error };
+  }
+
+  metrics() {
+    const now = Date.now();
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    const byWorkflow = {};
+    for (const job of this.queue) {
+      byPriority[job.priority]++;
+      byWorkflow[job.workflow] = byWorkflow[job.workflow] || { queued: 0 };
+      byWorkflow[job.workflow].queued++;
+    }
+    for (const { workflow: name, running, starts } of this.workflows.values()) {
+      const totals = byWorkflow[name] || { queued: 0 };
+      byWorkflow[name] = {
+        queued: totals.queued,
+        running: (totals.running || 0) + running,
+        startsLastMinute: (totals.startsLastMinute || 0) + starts.filter(t => now - t < WINDOW_MS).length
+      };
+    }
+    return { queued: this.queue.length, running: this.running, byPriority, byWorkflow };
+  }
+}
+
+module.exports = WorkflowScheduler;
@@ -0,0 +1,24 @@
+const Ajv2019 = require('ajv/dist/2019');
+const addFormats = require('ajv-formats');
+const workflowSchema = require('../schema/sovereign/jsonflow-workflow.schema.json');
+
+const ajv = new Ajv2019({ allErrors: true, strict: false });
+addFormats(ajv);
+const validate = ajv.compile(workflowSchema);
+
+// Without an execution_policy a workflow gets the schema's defaults, in the scheduler and in
+// the runtime alike
+const POLICY_DEFAULTS = Object.fromEntries(Object.entries(workflowSchema.properties.execution_policy.properties)
+  .map(([name, { default: value }]) => [name, value]));
+
+const executionPolicy = (workflow) => ({ ...POLICY_DEFAULTS, ...workflow.execution_policy });
+
+function validateWorkflow(workflow) {
+  const valid = validate(workflow);
+  if (!valid) {
+    throw Object.assign(new Error(`Workflow validation failed: ${JSON.stringify(validate.errors, null, 2)}`), { status: 400, errors: validate.errors });
+  }
+  return valid;
+}
+
+module.exports = { validateWorkflow, executionPolicy, POLICY_DEFAULTS };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { validateWorkflow } = require('./workflowSchema');
+const { diff } = require('./jsonDiff');
+const { verifyAttestation } = require('./attestation');
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const forbidden = (message) => Object.assign(new Error(message), { status: 403 });
+
+// The parts of a workflow that the store manages itself and that are left out of diffs
+const comparable = (workflow) => {
+  const { history, attestation, metadata, ...rest } = workflow;
+  const { version, updated, ...meta } = metadata;
+  return { ...rest, metadata: meta };
+};
+
+// Breaking changes to schema.inputs: an input removed, retyped or newly required (added
+// without a default or its default dropped), or its constraints added to or changed
+const isBreaking = (op) => {
+  const match = /^\/schema\/inputs\/[^/]+(?:\/([^/]+))?/.exec(op.path);
+  if (!match) return false;
+  const [, field] = match;
+  if (!field) return op.op === 'remove' || (op.op === 'add' && op.value.default === undefined);
+  if (field === 'type') return true;
+  if (field === 'default') return op.op === 'remove';
+  if (field === 'constraints') return op.op !== 'remove';
+  return false;
+};
+
+function classifyChange(ops) {
+  if (ops.some(isBreaking)) return 'major';
+  if (ops.some(op => op.op === 'add')) return 'minor';
+  return 'patch';
+}
+
+function bumpVersion(version, level) {
+  const [major, minor, patch] = version.split('.').map(Number);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+const summarize = (ops) => {
+  const counts = ops.reduce((acc, op) => ({ ...acc, [op.op]: (acc[op.op] || 0) + 1 }), {});
+  return `${ops.length} change${ops.length === 1 ? '' : 's'}: ${Object.entries(counts).map(([op, n]) => `${n} ${op}`).join(', ')}`;
+};
+
+// Versioned workflow storage. Every save diffs against the previous version, bumps
+// metadata.version per semver and appends a `history` entry; rollbacks are saved as new versions.
+// A workflow belongs to whoever saved its first version; only its owner saves, attests or rolls
+// back later versions. With a `dir`, each workflow's owner and versions are kept in
+// `<function>.json` there, loaded on construction and rewritten through a temp file on every
+// change; `dir: null` keeps them in memory.
+class WorkflowStore {
+  constructor({ dir = process.env.WORKFLOW_STORE_DIR || path.resolve(__dirname, '../data/workflows') } = {}) {
+    this.dir = dir;
+    this.workflows = new Map();
+    this.owners = new Map();
+    if (dir) this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.json'))) {
+      try {
+        const { owner, versions } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+        this.workflows.set(versions[0].function, versions);
+        if (owner) this.owners.set(versions[0].function, owner);
+      } catch (error) {
+        logger.error(`Stored workflow could not be loaded: ${file} - ${error.message}`);
+      }
+    }
+  }
+
+  // Function names match ^[a-zA-Z][a-zA-Z0-9_]*$, so they are safe file names
+  persist(name) {
+    if (!this.dir) return;
+    const file = path.join(this.dir, `${name}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify({ owner: this.owners.get(name), versions: this.workflows.get(name) }));
+    fs.renameSync(temp, file);
+  }
+
+  checkOwner(name, owner) {
+    const current = this.owners.get(name);
+    if (current && current !== owner) throw forbidden(`Workflow ${name} belongs to another user`);
+  }
+
+  save(workflow, { author, summary, owner } = {}) {
+    validateWorkflow(workflow);
+    const name = workflow.function;
+    this.checkOwner(name, owner);
+    const versions = this.workflows.get(name) || [];
+    const previous = versions[versions.length - 1];
+    const timestamp = new Date().toISOString();
+    author = author || workflow.metadata.author;
+
+    let version = workflow.metadata.version;
+    let entry = { timestamp, author, change_summary: summary || 'Initial version' };
+    if (previous) {
+      const ops = diff(comparable(previous), comparable(workflow));
+      if (!ops.length) return previous;
+      const level = classifyChange(ops);
+      version = bumpVersion(previous.metadata.version, level);
+      entry = { timestamp, author, change_summary: summary || `${level}: ${summarize(ops)}`, diff: JSON.stringify(ops) };
+    }
+
+    // Any attestation covered the pre-save document and must be renewed after signing again
+    const { attestation, ...document } = workflow;
+    const saved = {
+      ...document,
+      metadata: { ...workflow.metadata, version, updated: timestamp },
+      history: [...(previous ? previous.history || [] : workflow.history || []), entry]
+    };
+    validateWorkflow(saved);
+    this.workflows.set(name, [...versions, saved]);
+    if (!previous && owner) this.owners.set(name, owner);
+    try {
+      this.persist(name);
+    } catch (error) {
+      if (!previous) this.owners.delete(name);
+      this.workflows.set(name, versions);
+      throw error;
+    }
+    return saved;
+  }
+
+  get(name, version) {
+    const versions = this.workflows.get(name);
+    if (!versions) throw notFound(`Workflow not found: ${name}`);
+    if (!version) return versions[versions.length - 1];
+    const found = versions.find(w => w.metadata.version === version);
+    if (!found) throw notFound(`Workflow ${name} has no version ${version}`);
+    return found;
+  }
+
+  // The latest version of every stored workflow
+  latest() {
+    return [...this.workflows.values()].map(versions => versions[versions.length - 1]);
+  }
+
+  versions(name) {
+    this.get(name);
+    return this.workflows.get(name).map(w => ({
+      version: w.metadata.version,
+      updated: w.metadata.updated,
+      change_summary: w.history[w.history.length - 1].change_summary
+    }));
+  }
+
+  // Attaches an attestation signed over the stored version, which saving cannot keep since it
+  // changes metadata and history. The version stays the same.
+  attest(name, version, attestation, { trustedSigners, owner } = {}) {
+    const target = this.get(name, version);
+    this.checkOwner(name, owner);
+    const attested = { ...target, attestation };
+    verifyAttestation(attested, { trustedSigners });
+    const versions = this.workflows.get(name);
+    this.workflows.set(name, versions.map(w => (w === target ? attested : w)));
+    try {
+      this.persist(name);
+    } catch (error) {
+      this.workflows.set(name, versions);
+      throw error;
+    }
+    return attested;
+  }
+
+  rollback(name, version, { author, owner } = {}) {
+    const target = this.get(name, version);
+    const current = this.get(name);
+    return this.save({ ...target, history: current.history }, {
+      author: author || current.metadata.author,
+      summary: `Rollback to ${version}`,
+      owner
+    });
+  }
+}
+
+module.exports = WorkflowStore;
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const WorkflowRuntime = require('./workflowRuntime');
+const { evaluate } = require('./expressions');
+const { diff } = require('./jsonDiff');
+const { createRandom } = require('./random');
+
+const isWorkflow = (doc) => doc !== null && typeof doc === 'object' && typeof doc.function === 'string' && Array.isArray(doc.steps);
+
+// Every JSON document under `dir` that looks like a workflow (has `function` and `steps`)
+function discoverWorkflows(dir) {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...discoverWorkflows(file));
+    } else if (entry.name.endsWith('.json')) {
+      try {
+        const doc = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        if (isWorkflow(doc)) found.push({ file, workflow: doc });
+      } catch (error) {
+        logger.error(`Workflow load error: ${file}`, { error: error.message });
+      }
+    }
+  }
+  return found;
+}
+
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 _-';
+
+function generateValue(def, random) {
+  const c = def.constraints || {};
+  if (c.enum) return random.pick(c.enum);
+  switch (def.type) {
+    case 'string': {
+      const length = random.int(c.minLength || 0, c.maxLength !== undefined ? c.maxLength : Math.max(12, c.minLength || 0));
+      return Array.from({ length }, () => random.pick(ALPHABET)).join('');
+    }
+    case 'integer':
+      return random.int(Math.ceil(c.minimum !== undefined ? c.minimum : -1000), Math.floor(c.maximum !== undefined ? c.maximum : 1000));
+    case 'number': {
+      const min = c.minimum !== undefined ? c.minimum : -1000;
+      const max = c.maximum !== undefined ? c.maximum : 1000;
+      return min + random() * (max - min);
+    }
+    case 'boolean':
+      return random() < 0.5;
+    case 'null':
+      return null;
+    case 'array':
+      return Array.from({ length: random.int(0, 5) }, () => generateValue({ type: random.pick(['string', 'integer', 'boolean']) }, random));
+    case 'object': {
+      const obj = {};
+      for (let i = random.int(0, 3); i > 0; i--) obj[`key${i}`] = generateValue({ type: random.pick(['string', 'integer', 'boolean']) }, random);
+      return obj;
+    }
+    default:
+      return undefined;
+  }
+}
+
+const generateInputs = (workflow, random, fixed = {}) => {
+  const inputs = {};
+  for (const [name, def] of Object.entries(workflow.schema.inputs)) inputs[name] = generateValue(def, random);
+  return { ...inputs, ...fixed };
+};
+
+const pick = (obj, keys) => keys.reduce((acc, key) => (key in obj ? { ...acc, [key]: obj[key] } : acc), {});
+
+class WorkflowTestRunner {
+  constructor({ runtime = new WorkflowRuntime(), seed = 1, fuzzRuns = 25 } = {}) {
+    this.runtime = runtime;
+    this.seed = seed;
+    this.fuzzRuns = fuzzRuns;
+  }
+
+  checkExpected(expected, result) {
+    return diff(expected, pick(result.outputs, Object.keys(expected))).map(op =>
+      `Output ${op.path}: expected ${JSON.stringify(op.oldValue)}, got ${JSON.stringify(op.value)}`);
+  }
+
+  checkProperties(test, testIndex, inputs, result) {
+    const scope = { ...result.outputs, inputs, outputs: result.outputs, returned: result.returned };
+    return (test.properties || []).flatMap((property, i) => {
+      try {
+        const holds = evaluate(property, scope, `/tests/${testIndex}/properties/${i}`);
+        return holds === true ? [] : [`Property ${i} does not hold`];
+      } catch (error) {
+        return [`Property ${i} could not be evaluated: ${error.message}`];
+      }
+    });
+  }
+
+  async runOnce(workflow, test, testIndex, inputs, expected = test.expected) {
+    let result;
+    try {
+      result = await this.runtime.run(workflow, { inputs, context: test.context });
+    } catch (error) {
+      return { error, failures: [`Run failed: ${error.message}`] };
+    }
+    return { result, failures: [...this.checkExpected(expected, result), ...this.checkProperties(test, testIndex, inputs, result)] };
+  }
+
+  // Property tests check their properties on their own inputs, then on generated ones. Fuzz tests
+  // keep their `inputs` fixed, generate the rest and check `expected` as well. Generated inputs
+  // that schema.inputs rejects are discarded; every other error fails the test, as does a fuzz
+  // test that completed no run.
+  async runGenerated(workflow, test, testIndex, report) {
+    const random = createRandom(this.seed + testIndex);
+    const property = test.type === 'property';
+    Object.assign(report, { runs: 0, discarded: 0 });
+    if (property) {
+      report.failures = (await this.runOnce(workflow, test, testIndex, test.inputs)).failures;
+      report.runs++;
+    }
+    for (let i = 0; i < this.fuzzRuns && !report.failures.length; i++) {
+      const inputs = generateInputs(workflow, random, property ? {} : test.inputs);
+      try {
+        this.runtime.bindInputs(workflow, inputs);
+      } catch (error) {
+        report.discarded++;
+        continue;
+      }
+      report.runs++;
+      const { failures } = await this.runOnce(workflow, test, testIndex, inputs, property ? {} : test.expected);
+      if (failures.length) {
+        report.failures = failures.map(f => `${f} (inputs: ${JSON.stringify(inputs)})`);
+        report.counterexample = inputs;
+      }
+    }
+    if (!report.runs) report.failures = [`No fuzz run completed: all ${report.discarded} generated inputs were rejected`];
+  }
+
+  async runTest(workflow, test, testIndex) {
+    const started = Date.now();
+    const report = { name: test.name, type: test.type, status: 'passed', failures: [] };
+
+    if (test.type === 'example') {
+      report.failures = (await this.runOnce(workflow, test, testIndex, test.inputs)).failures;
+    } else {
+      await this.runGenerated(workflow, test, testIndex, report);
+    }
+
+    if (report.failures.length) report.status = 'failed';
+    report.durationMs = Date.now() - started;
+    return report;
+  }
+
+  async runWorkflow(workflow, file) {
+    const tests = [];
+    for (const [i, test] of (workflow.tests || []).entries()) tests.push(await this.runTest(workflow, test, i));
+    return { workflow: workflow.function, file, tests };
+  }
+
+  async runAll(dir) {
+    const workflows = [];
+    for (const { file, workflow } of discoverWorkflows(dir)) workflows.push(await this.runWorkflow(workflow, file));
+    const all = workflows.flatMap(w => w.tests);
+    return {
+      summary: {
+        workflows: workflows.length,
+        tests: all.length,
+        passed: all.filter(t => t.status === 'passed').length,
+        failed: all.filter(t => t.status === 'failed').length
+      },
+      workflows
+    };
+  }
+}
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[ch]));
+
+function toJUnit(report) {
+  const suites = report.workflows.map((w) => {
+    const failed = w.tests.filter(t => t.status === 'failed').length;
+    const cases = w.tests.map((t) => {
+      const open = `    <testcase classname="${escapeXml(w.workflow)}" name="${escapeXml(`${t.name} (${t.type})`)}" time="${(t.durationMs / 1000).toFixed(3)}"`;
+      if (t.status !== 'failed') return `${open}/>`;
+      return `${open}>\n      <failure message="${escapeXml(t.failures[0])}">${escapeXml(t.failures.join('\n'))}</failure>\n    </testcase>`;
+    });
+    return [`  <testsuite name="${escapeXml(w.workflow)}" file="${escapeXml(w.file)}" tests="${w.tests.length}" failures="${failed}">`, ...cases, '  </testsuite>'].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${report.summary.tests}" failures="${report.summary.failed}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+module.exports = { WorkflowTestRunner, discoverWorkflows, generateInputs, isWorkflow, toJUnit };
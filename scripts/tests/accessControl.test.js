@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { AccessControl, CustomPolicyEngine, RegoRulesEngine, principalFromClaims } = require('../../runtime/accessControl');
+const { parseRules, evaluateRules } = require('../../runtime/policyRules');
+const { workflow } = require('./helpers/workflow');
+
+const guarded = { id: 'a', type: 'set', target: 'total', value: { value: 1 }, access_control: { roles: ['editor', 'admin'], permissions: ['total:write'] } };
+const auditorOnly = { id: 'r', type: 'require_role', role: 'auditor' };
+const log = { id: 'l', type: 'set', target: 'log', value: { value: [] } };
+
+describe('principalFromClaims', () => {
+  test('reads roles from roles or role, and permissions from permissions or scope', () => {
+    expect(principalFromClaims(null)).toBeNull();
+    expect(principalFromClaims({ sub: 'u', roles: ['a'], role: 'b', scope: 'x:read x:write' }))
+      .toMatchObject({ sub: 'u', roles: ['a', 'b'], permissions: ['x:read', 'x:write'] });
+    expect(principalFromClaims({ sub: 'u', permissions: 'p', scope: 'ignored' }).permissions).toEqual(['p']);
+  });
+});
+
+describe('step access control', () => {
+  const blockMallory = new CustomPolicyEngine().addRule(input => input.user.sub === 'mallory' && 'mallory is blocked');
+  const runtime = new WorkflowRuntime({ accessControl: new AccessControl({ engines: { custom: blockMallory } }) });
+  const run = (steps, claims, extra) => runtime.run(workflow(steps, extra), { claims });
+
+  test('checks roles (any of) and permissions (all of)', async () => {
+    await expect(run([guarded], undefined)).rejects.toMatchObject({ status: 403, message: 'Access denied: step a requires an authenticated caller' });
+    await expect(run([guarded], { sub: 'u', roles: ['viewer'] })).rejects.toThrow('step a requires role editor or admin; caller has viewer');
+    await expect(run([guarded], { sub: 'u', role: 'editor' })).rejects.toThrow('step a requires permission total:write');
+    await expect(run([guarded, auditorOnly, log], { sub: 'u', roles: ['editor', 'auditor'], scope: 'total:write' }))
+      .resolves.toMatchObject({ outputs: { total: 1, log: [] } });
+  });
+
+  test('custom rules have the final say', async () => {
+    await expect(run([guarded], { sub: 'mallory', roles: ['editor'], scope: 'total:write' }))
+      .rejects.toThrow('step a denied by custom policy: mallory is blocked');
+  });
+
+  test('denials cannot be caught by try', async () => {
+    const bypass = [{ id: 't', type: 'try', body: [auditorOnly], catch: { error_var: 'e', body: [log] } }];
+    await expect(run(bypass, { sub: 'u' })).rejects.toMatchObject({ status: 403, fatal: true });
+  });
+
+  test('access_policy guards the whole workflow', async () => {
+    const policy = { access_policy: { roles: ['ops'], permissions: [], policy_engine: 'opa' } };
+    await expect(run([log], { sub: 'u', roles: ['dev'] }, policy)).rejects.toThrow('workflow demo requires role ops; caller has dev');
+    await expect(run([log], { sub: 'u', roles: ['ops'] }, policy)).resolves.toMatchObject({ status: 'completed' });
+    await expect(run([log], { roles: ['ops'] }, policy)).rejects.toThrow('denied by opa policy: no allow rule matched in policy jsonflow.authz');
+  });
+});
+
+describe('Rego-style rules', () => {
+  const source = [
+    'package demo.authz',
+    'default allow = false',
+    'allow {',
+    '  input.user.roles[_] == "admin"',
+    '}',
+    'deny["no chain calls"] {',
+    '  input.step.type == "blockchain_operation"',
+    '}'
+  ].join('\n');
+
+  test('allow and deny rules are evaluated against the input', () => {
+    const policy = parseRules(source);
+    expect(evaluateRules(policy, { user: { roles: ['admin'] }, step: { type: 'set' } })).toEqual({ allow: true });
+    expect(evaluateRules(policy, { user: { roles: ['admin'] }, step: { type: 'blockchain_operation' } })).toMatchObject({ allow: false, reason: 'no chain calls' });
+    expect(evaluateRules(policy, { user: { roles: [] }, step: null }).allow).toBe(false);
+  });
+
+  test('the engine reloads its file when it changes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    try {
+      const file = path.join(dir, 'policy.rego');
+      fs.writeFileSync(file, source);
+      const engine = new RegoRulesEngine({ file });
+      expect((await engine.evaluate({ user: { roles: ['dev'] } })).allow).toBe(false);
+      fs.writeFileSync(file, source.replace('"admin"', '"dev"'));
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+      expect((await engine.evaluate({ user: { roles: ['dev'] } })).allow).toBe(true);
+      await expect(new RegoRulesEngine({ file: path.join(dir, 'missing.rego') }).evaluate({})).rejects.toMatchObject({ status: 500 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
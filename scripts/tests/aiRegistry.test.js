@@ -0,0 +1,130 @@
+const http = require('http');
+const AiRegistry = require('../../runtime/aiRegistry');
+const HttpAiProvider = require('../../runtime/httpAiProvider');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { workflow } = require('./helpers/workflow');
+
+const examples = [
+  { text: 'refund my invoice charge', label: 'billing' },
+  { text: 'payment failed on card', label: 'billing' },
+  { text: 'app crashes on login', label: 'bug' },
+  { text: 'error when opening settings', label: 'bug' }
+];
+
+describe('local AI provider', () => {
+  let ai;
+  beforeEach(() => {
+    ai = new AiRegistry({ models: { tickets: { provider: 'local' } } });
+  });
+
+  test('trains a classifier and explains its predictions', async () => {
+    expect(await ai.invoke('ai_train', 'tickets', examples)).toMatchObject({ model: 'tickets', provider: 'local', examples: 4, labels: ['billing', 'bug'] });
+    expect(await ai.invoke('ai_classify', 'tickets', 'my card payment was charged twice')).toMatchObject({ label: 'billing', confidence: 0.888889 });
+    expect((await ai.invoke('ai_classify', 'tickets', 'my card payment', { parameters: { confidence_threshold: 0.999 } })).label).toBeNull();
+    expect(await ai.invoke('ai_explain', 'tickets', 'the app crashes')).toMatchObject({
+      label: 'bug',
+      explanation: 'Classified as "bug" mainly because of "app", "crashes".'
+    });
+  });
+
+  test('keeps trained models per owner', async () => {
+    await ai.invoke('ai_train', 'tickets', examples, { owner: 'alice' });
+    expect((await ai.invoke('ai_classify', 'tickets', 'card payment', { owner: 'alice' })).label).toBe('billing');
+    await expect(ai.invoke('ai_classify', 'tickets', 'card payment', { owner: 'bob' }))
+      .rejects.toMatchObject({ status: 422, message: 'Model tickets is not trained; pass parameters.labels or run ai_train first' });
+  });
+
+  test('embeds text into a normalized vector of bounded dimension', async () => {
+    const { embedding, dimension } = await ai.invoke('ai_embed', 'local:x', 'hello world', { parameters: { dimension: 8 } });
+    expect(dimension).toBe(8);
+    expect(embedding.reduce((sum, v) => sum + v * v, 0)).toBeCloseTo(1, 4);
+    await expect(ai.invoke('ai_embed', 'local:x', 'hello', { parameters: { dimension: 4097 } }))
+      .rejects.toMatchObject({ status: 422, message: 'parameters.dimension must be an integer between 1 and 4096' });
+  });
+
+  test('runs the NLP tasks it supports', async () => {
+    const text = 'Email alice@example.com about the $20 refund on 2024-01-02.';
+    const { entities } = await ai.invoke('ai_nlp_process', 'local:x', text, { task: 'entity_recognition' });
+    expect(entities.map(e => [e.type, e.text])).toEqual([['EMAIL', 'alice@example.com'], ['MONEY', '$20'], ['DATE', '2024-01-02']]);
+    expect(await ai.invoke('ai_nlp_process', 'local:x', 'This is great, I love it!', { task: 'sentiment_analysis' })).toMatchObject({ label: 'positive' });
+    await expect(ai.invoke('ai_nlp_process', 'local:x', 'hola', { task: 'translation' })).rejects.toMatchObject({ status: 422 });
+    await expect(ai.invoke('ai_nlp_process', 'local:x', 'hola', { task: 'sentiment_analysis', parameters: { language: 'es' } }))
+      .rejects.toThrow("The local provider's sentiment_analysis supports English only, not es");
+  });
+
+  test('rejects unknown models and unsupported operations', async () => {
+    await expect(ai.invoke('ai_infer', 'nope', 'x')).rejects.toMatchObject({ status: 422, message: 'Unknown AI model: nope; register it or name it as <provider>:<model>' });
+    ai.registerProvider('inferOnly', { infer: async () => ({ output: 'x' }) });
+    await expect(ai.invoke('ai_train', 'inferOnly:m', [])).rejects.toThrow('AI model inferOnly:m (inferOnly) does not support ai_train');
+    expect(() => ai.registerModel('m', { provider: 'missing' })).toThrow(expect.objectContaining({ status: 500 }));
+  });
+});
+
+describe('HTTP AI provider', () => {
+  let server;
+  let ai;
+  const requests = [];
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        requests.push({ url: req.url, ...request });
+        res.setHeader('content-type', 'application/json');
+        if (req.url === '/api/embeddings') return res.end(JSON.stringify({ embedding: [0.1, 0.2, 0.3] }));
+        if (request.model === 'broken') {
+          res.statusCode = 500;
+          return res.end('boom');
+        }
+        if (request.format === 'json') return res.end(JSON.stringify({ response: JSON.stringify({ label: 'billing', confidence: 0.9 }) }));
+        return res.end(JSON.stringify({ response: `echo: ${request.prompt}` }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ai = new AiRegistry({ providers: { ollama: new HttpAiProvider({ baseUrl: `http://127.0.0.1:${server.address().port}` }) } });
+    ai.registerModel('chat', { provider: 'ollama', model: 'llama3:8b' });
+  });
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('sends prompts with the provider-side model id and options', async () => {
+    expect(await ai.invoke('ai_infer', 'chat', 'hi there', { parameters: { temperature: 0, max_tokens: 5 } }))
+      .toEqual({ model: 'chat', provider: 'ollama', output: 'echo: hi there' });
+    expect(requests.pop()).toMatchObject({ url: '/api/generate', model: 'llama3:8b', stream: false, options: { temperature: 0, num_predict: 5 } });
+    expect((await ai.invoke('ai_infer', 'ollama:llama3:8b', 'hello')).output).toBe('echo: hello');
+    expect(await ai.invoke('ai_embed', 'chat', 'hello')).toMatchObject({ embedding: [0.1, 0.2, 0.3], dimension: 3 });
+  });
+
+  test('asks for JSON answers and drops labels outside the choices', async () => {
+    expect(await ai.invoke('ai_classify', 'chat', 'card charged', { parameters: { labels: ['billing', 'bug'] } })).toMatchObject({ label: 'billing', confidence: 0.9 });
+    expect(requests.pop().format).toBe('json');
+    expect((await ai.invoke('ai_classify', 'chat', 'card charged', { parameters: { labels: ['bug'] } })).label).toBeNull();
+  });
+
+  test('reports provider failures as bad gateway errors', async () => {
+    await expect(ai.invoke('ai_infer', 'ollama:broken', 'x')).rejects.toMatchObject({ status: 502, message: expect.stringContaining('returned 500: boom') });
+    await expect(ai.invoke('ai_train', 'chat', examples)).rejects.toMatchObject({ status: 422 });
+    const down = new AiRegistry({ providers: { ollama: new HttpAiProvider({ baseUrl: 'http://127.0.0.1:1' }) } });
+    await expect(down.invoke('ai_infer', 'ollama:m', 'x')).rejects.toMatchObject({ status: 502, message: expect.stringContaining('AI provider unreachable at http://127.0.0.1:1') });
+  });
+
+  test('stops when the run is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('stop'));
+    await expect(ai.invoke('ai_infer', 'chat', 'x', { signal: controller.signal })).rejects.toThrow('stop');
+  });
+});
+
+describe('AI steps', () => {
+  test('train and classify under the caller who runs the workflow', async () => {
+    const runtime = new WorkflowRuntime({ ai: new AiRegistry({ models: { tickets: { provider: 'local' } } }) });
+    const steps = [
+      { id: 't', type: 'ai_train', model: 'tickets', data: { value: examples }, target: 'trained' },
+      { id: 'c', type: 'ai_classify', model: 'tickets', input: { value: 'invoice refund' }, target: 'classified' },
+      { id: 'out', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'classified.label' } } } }
+    ];
+    const result = await runtime.run(workflow(steps), { claims: { sub: 'alice' } });
+    expect(result.outputs.log).toEqual(['billing']);
+    await expect(runtime.run(workflow(steps.slice(1)), { claims: { sub: 'bob' } })).rejects.toMatchObject({ status: 422 });
+  });
+});
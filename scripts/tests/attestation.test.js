@@ -0,0 +1,42 @@
+const { attestationHash, signWorkflow, verifyAttestation, addressFromPrivateKey } = require('../../runtime/attestation');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { workflow } = require('./helpers/workflow');
+
+const ALICE = `0x${'1'.padStart(64, '0')}`;
+const BOB = `0x${'2'.padStart(64, '0')}`;
+const ALICE_ADDRESS = '0x7e5f4552091a69125d5dfcb7b8c2659029395bdf';
+
+describe('workflow attestation', () => {
+  const document = workflow([{ id: 's', type: 'set', target: 'total', value: { value: 1 } }]);
+
+  test('derives Ethereum addresses and hashes without the attestation block', () => {
+    expect(addressFromPrivateKey(ALICE)).toBe(ALICE_ADDRESS);
+    const signed = signWorkflow(document, ALICE);
+    expect(signed.attestation.hash).toBe(attestationHash(document));
+    expect(attestationHash(signed)).toBe(attestationHash(document));
+  });
+
+  test('appends signatures of several signers in order', () => {
+    const signed = signWorkflow(signWorkflow(document, ALICE), BOB);
+    expect(signed.attestation.signers).toEqual([ALICE_ADDRESS, addressFromPrivateKey(BOB)]);
+    expect(signed.attestation.signature).toHaveLength(2 + 2 * 130);
+    expect(signWorkflow(signed, ALICE)).toBe(signed);
+    expect(verifyAttestation(signed)).toEqual({ hash: signed.attestation.hash, signers: signed.attestation.signers });
+  });
+
+  test('rejects tampered documents, forged signers and untrusted signers', () => {
+    const signed = signWorkflow(document, ALICE);
+    expect(() => verifyAttestation({ ...signed, function: 'other' })).toThrow(expect.objectContaining({ status: 403, message: expect.stringContaining('hash mismatch') }));
+    expect(() => verifyAttestation({ ...signed, attestation: { ...signed.attestation, signers: [addressFromPrivateKey(BOB)] } }))
+      .toThrow('signatures do not match the declared signers');
+    expect(() => verifyAttestation({ ...signed, attestation: { ...signed.attestation, signature: '0x1234' } })).toThrow('Malformed attestation signature');
+    expect(() => verifyAttestation(signed, { trustedSigners: [addressFromPrivateKey(BOB)] })).toThrow(`untrusted signers ${ALICE_ADDRESS}`);
+    expect(verifyAttestation(signed, { trustedSigners: [ALICE_ADDRESS.toUpperCase()] })).toBeTruthy();
+  });
+
+  test('with a trust list the runtime refuses unsigned workflows', async () => {
+    const runtime = new WorkflowRuntime({ trustedSigners: [ALICE_ADDRESS] });
+    await expect(runtime.run(document)).rejects.toMatchObject({ status: 403, message: 'Workflow attestation rejected: workflow is not attested' });
+    await expect(runtime.run(signWorkflow(document, ALICE))).resolves.toMatchObject({ status: 'completed' });
+  });
+});
@@ -0,0 +1,108 @@
+const { ChainAdapter } = require('../../runtime/chainAdapter');
+const { amountOf } = require('../../runtime/simulatedChain');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { workflow } = require('./helpers/workflow');
+
+const ALICE = '0xaaaa000000000000000000000000000000000001';
+const BOB = '0xbbbb000000000000000000000000000000000002';
+const CAROL = '0xcccc000000000000000000000000000000000003';
+const ETH = 10n ** 18n;
+
+const genesis = () => ({
+  ethereum: {
+    accounts: {
+      [ALICE]: { balance: (10n * ETH).toString(), tokens: { USDC: '5000000000' } },
+      [CAROL]: { balance: ETH.toString(), tokens: { USDC: '100000000000' } }
+    },
+    pools: [{ tokens: ['USDC', 'ETH'], reserves: ['3000000000000', (1000n * ETH).toString()] }],
+    lending: { USDC: '1000000000000' }
+  }
+});
+
+describe('simulated chains', () => {
+  let chains;
+  beforeEach(() => {
+    chains = new ChainAdapter({ genesis: genesis() });
+  });
+
+  test('mines transfers and enforces the sender nonce', async () => {
+    const receipt = await chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: ETH.toString() }, { replayProtection: { nonce: '0x0' } });
+    expect(receipt).toMatchObject({ chain: 'ethereum', chainId: 1, blockNumber: 1, status: 'success', nonce: '0x0', to: BOB, gasUsed: '21000' });
+    expect((await chains.getAccount('ethereum', BOB)).balance).toBe(ETH.toString());
+    expect((await chains.getReceipt('ethereum', receipt.transactionHash)).status).toBe('success');
+
+    const transfer = nonce => chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: 1 }, { replayProtection: { nonce } });
+    await expect(transfer('0x0')).rejects.toMatchObject({ status: 409, message: expect.stringContaining('Nonce 0x0 was already used') });
+    await expect(transfer('0x5')).rejects.toMatchObject({ status: 409, message: expect.stringContaining('Nonce 0x5 is ahead of the next nonce 0x1') });
+    await expect(transfer('one')).rejects.toMatchObject({ status: 400, message: expect.stringContaining('replay_protection.nonce must be a non-negative integer') });
+    await expect(chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: 1 }, { gas: { limit: -1 } })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('returns the first receipt for a repeated idempotency key', async () => {
+    const mint = amount => chains.execute('ethereum', 'mint', { from: ALICE, token: 'SVR', amount }, { replayProtection: { idempotency_key: 'mint-1' } });
+    const first = await mint(1000);
+    expect((await mint(1000)).transactionHash).toBe(first.transactionHash);
+    expect((await chains.getAccount('ethereum', ALICE)).tokens.SVR).toBe('1000');
+    await expect(mint(5)).rejects.toMatchObject({ status: 409, message: 'Idempotency key mint-1 was already used for a different transaction' });
+  });
+
+  test('reverted transactions are mined, charge gas and change nothing else', async () => {
+    await chains.execute('ethereum', 'mint', { from: ALICE, token: 'SVR', amount: 1000 });
+    const error = await chains.execute('ethereum', 'mint', { from: CAROL, token: 'SVR', amount: 5 }).catch(e => e);
+    expect(error).toMatchObject({ status: 422, receipt: { status: 'reverted', revertReason: `${CAROL} is not the minter of SVR` } });
+    const carol = await chains.getAccount('ethereum', CAROL);
+    expect(carol.tokens.SVR).toBeUndefined();
+    expect(carol.nonce).toBe('0x1');
+    expect(BigInt(carol.balance)).toBe(ETH - amountOf(error.receipt.fee));
+
+    await expect(chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: 1, token: 'SVR' }, { gas: { limit: 21000 } }))
+      .rejects.toMatchObject({ receipt: { revertReason: 'Out of gas: transfer needs 51000, limit is 21000', gasUsed: '21000' } });
+  });
+
+  test('swaps against pools with slippage protection', async () => {
+    const swap = min => chains.execute('ethereum', 'swap', { from: ALICE, token_in: 'USDC', token_out: 'ETH', amount_in: '3000000000', min_amount_out: min });
+    await expect(swap((10n * ETH).toString())).rejects.toThrow(/Slippage: \d+ ETH is below min_amount_out/);
+    await swap('1');
+    expect((await chains.getAccount('ethereum', ALICE)).tokens.USDC).toBe('2000000000');
+  });
+
+  test('runs governance proposals through voting to execution', async () => {
+    const governance = (from, params) => chains.execute('ethereum', 'governance', { from, ...params });
+    const { result: { proposalId } } = await governance(ALICE, { operation: 'propose', title: 'Raise fee', voting_period: 2 });
+    await governance(ALICE, { operation: 'vote', proposal_id: proposalId, support: true });
+    await expect(governance(ALICE, { operation: 'vote', proposal_id: proposalId, support: true })).rejects.toThrow(`${ALICE} already voted on proposal ${proposalId}`);
+    await governance(ALICE, { operation: 'execute', proposal_id: proposalId });
+    await expect(governance(ALICE, { operation: 'execute', proposal_id: proposalId })).rejects.toThrow(`Proposal ${proposalId} was already executed`);
+  });
+
+  test('bridges assets as wrapped tokens and back', async () => {
+    const bridged = await chains.execute('ethereum', 'bridge', { from: ALICE, amount: ETH.toString(), destination_chain: 'solana' });
+    expect(bridged.destination).toMatchObject({ chain: 'solana', status: 'success', to: ALICE });
+    expect((await chains.getAccount('solana', ALICE)).tokens).toEqual({ wETH: ETH.toString() });
+
+    await chains.fund('solana', ALICE, { amount: ETH.toString() });
+    await chains.execute('solana', 'bridge', { from: ALICE, token: 'wETH', amount: (ETH / 2n).toString(), destination_chain: 'ethereum' });
+    expect((await chains.getAccount('solana', ALICE)).tokens).toEqual({ wETH: (ETH / 2n).toString() });
+    await expect(chains.execute('ethereum', 'bridge', { from: ALICE, amount: 1, destination_chain: 'mars' })).rejects.toMatchObject({ status: 404, message: 'Unsupported chain: mars' });
+  });
+
+  test('checks gas funds and fee caps before mining', async () => {
+    await expect(chains.execute('cosmos', 'transfer', { from: 'cosmos1xyz', to: 'cosmos1abc', amount: 1 })).rejects.toThrow('Insufficient ATOM for gas');
+    await expect(chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: 1 }, { gas: { max_fee_per_gas: 5 } }))
+      .rejects.toThrow('max_fee_per_gas 5 is below the base fee 1000000000 on ethereum');
+    await expect(chains.execute('ethereum', 'transfer', { from: ALICE, to: BOB, amount: 1 }, { gas: { estimate: false } }))
+      .rejects.toThrow('gas.limit is required when gas.estimate is false');
+    expect((await chains.getBlock('ethereum', 'latest')).number).toBe(0);
+  });
+});
+
+describe('blockchain_operation steps', () => {
+  test('evaluate expression params and return the receipt', async () => {
+    const runtime = new WorkflowRuntime({ chains: new ChainAdapter({ genesis: genesis() }) });
+    const pay = workflow([
+      { id: 'pay', type: 'blockchain_operation', chain: 'ethereum', action: 'transfer', params: { from: ALICE, to: { get: 'to' }, amount: 7 }, gas: { limit: 50000 }, target: 'receipt' },
+      { id: 'out', type: 'set', target: 'total', value: { get: 'receipt.gasUsed' } }
+    ], { schema: { inputs: { to: { type: 'string' } }, context: {}, outputs: { total: { type: 'string' } } } });
+    await expect(runtime.run(pay, { inputs: { to: CAROL } })).resolves.toMatchObject({ status: 'completed', outputs: { total: '21000' } });
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { useDataDir } = require('./helpers/dataDir');
+
+const dataDir = useDataDir('checkpoints');
+
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const FileCheckpointStore = require('../../runtime/checkpointStore');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { SecretStore, EnvSecretProvider } = require('../../runtime/secrets');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const { workflow } = require('./helpers/workflow');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Resolves with the first truthy result of `check`, polled every few milliseconds
+const until = check => new Promise((resolve, reject) => {
+  const poll = () => Promise.resolve(check()).then(value => (value ? resolve(value) : setTimeout(poll, 5)), reject);
+  poll();
+});
+const RUN_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('checkpointed runs', () => {
+  let store;
+  beforeEach(() => {
+    store = new FileCheckpointStore({ dir: fs.mkdtempSync(path.join(dataDir, 'run-')) });
+  });
+
+  const slow = workflow([
+    { id: 's1', type: 'call', function: 'slow', args: {}, target: 'total' },
+    { id: 's2', type: 'call', function: 'slow', args: {}, target: 'total' },
+    { id: 's3', type: 'call', function: 'slow', args: {}, target: 'total' }
+  ]);
+  const slowRuntime = (options) => new WorkflowRuntime({ checkpoints: store, functions: { slow: () => sleep(50).then(() => 1) }, ...options });
+
+  test('a restarted process resumes interrupted runs where they stopped', async () => {
+    const calls = [];
+    const looping = workflow([
+      { id: 'init', type: 'set', target: 'total', value: { value: 0 } },
+      {
+        id: 'loop',
+        type: 'foreach',
+        collection: { value: [0, 1, 2, 3] },
+        iterator: 'i',
+        body: [
+          { id: 'w', type: 'call', function: 'work', args: { i: { get: 'i' } }, target: 'last' },
+          { id: 'acc', type: 'set', target: 'total', value: { add: [{ get: 'total' }, { get: 'last' }] } }
+        ]
+      }
+    ]);
+    const work = (hangAt) => ({ i }) => {
+      calls.push(i);
+      return i === hangAt ? new Promise(() => {}) : i;
+    };
+
+    new WorkflowRuntime({ checkpoints: store, functions: { work: work(2) } }).run(looping, { id: RUN_ID, claims: { sub: 'alice' } });
+    await until(() => calls.includes(2));
+    expect(await store.load(RUN_ID)).toMatchObject({ state: 'running', owner: 'alice', scope: { total: 1, last: 1 } });
+
+    const restarted = new WorkflowRuntime({ checkpoints: store, functions: { work: work(null) } });
+    const controller = new WorkflowController({ runtime: restarted, store: new WorkflowStore({ dir: null }) });
+    expect(await controller.recover()).toEqual([RUN_ID]);
+    expect(controller.scheduler.describe(RUN_ID)).toMatchObject({ status: 'running' });
+    expect(await controller.recover()).toEqual([]);
+    await controller.scheduler.jobs.get(RUN_ID).promise;
+    expect(await controller.getRun(RUN_ID, { sub: 'alice' })).toMatchObject({ state: 'completed', result: { outputs: { total: 6 } } });
+    expect(calls).toEqual([0, 1, 2, 2, 3]);
+    expect(await store.load(RUN_ID)).toBe(null);
+  });
+
+  test('pause takes effect between steps and resume continues', async () => {
+    const runtime = slowRuntime();
+    const run = runtime.run(slow, { id: RUN_ID });
+    await until(() => runtime.describeRun(RUN_ID)?.currentStep === 's1');
+    expect(runtime.pause(RUN_ID)).toMatchObject({ state: 'paused', currentStep: 's1' });
+    await sleep(150);
+    expect(runtime.describeRun(RUN_ID)).toMatchObject({ state: 'paused', currentStep: 's1' });
+    expect((await store.load(RUN_ID)).state).toBe('paused');
+    expect(() => runtime.pause(RUN_ID)).toThrow(expect.objectContaining({ status: 409 }));
+    await runtime.resume(RUN_ID);
+    await expect(run).resolves.toMatchObject({ status: 'completed' });
+  });
+
+  test('cancel aborts the run and records it as failed', async () => {
+    const runtime = slowRuntime();
+    const run = runtime.run(slow, { id: RUN_ID });
+    await until(() => runtime.describeRun(RUN_ID));
+    await runtime.cancel(RUN_ID);
+    await expect(run).rejects.toMatchObject({ cancelled: true });
+    expect(await store.load(RUN_ID)).toBe(null);
+    await expect(runtime.getRun(RUN_ID)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('checkpoints record the owner and never hold secret values', async () => {
+    const secrets = new SecretStore({ providers: { env: new EnvSecretProvider({ env: { TOKEN: 'tok-secret-value' } }) } });
+    const runtime = slowRuntime({ secrets });
+    const leaky = workflow([
+      { id: 'copy', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'secrets.token' } } } },
+      ...slow.steps
+    ], { secrets: [{ name: 'token', source: 'env', key_id: 'TOKEN' }] });
+    const run = runtime.run(leaky, { id: RUN_ID, claims: { sub: 'alice' }, context: {} });
+    await until(async () => (await store.load(RUN_ID))?.scope.log);
+    const checkpoint = await store.load(RUN_ID);
+    expect(checkpoint.owner).toBe('alice');
+    expect(checkpoint.scope.log).toEqual(['[REDACTED]']);
+    expect(JSON.stringify(checkpoint)).not.toContain('tok-secret-value');
+    await run;
+  });
+
+  test('writes the fixed part once and the progress only when it changed, with a capped trace', async () => {
+    const saves = jest.spyOn(store, 'save');
+    const progress = jest.spyOn(store, 'saveProgress');
+    const runtime = slowRuntime();
+    const looping = workflow([
+      { id: 'loop', type: 'foreach', collection: { value: Array.from({ length: 150 }, (_, i) => i) }, iterator: 'i', body: [{ id: 'log', type: 'set', target: 'total', value: { get: 'i' } }] },
+      { id: 'wait', type: 'call', function: 'slow', args: {}, target: 'log' }
+    ]);
+    const run = runtime.run(looping, { id: RUN_ID });
+    await until(() => runtime.describeRun(RUN_ID)?.currentStep === 'wait');
+    const checkpoint = await store.load(RUN_ID);
+    expect(saves).toHaveBeenCalledTimes(1);
+    expect(checkpoint.trace).toHaveLength(100);
+
+    const { root } = runtime.activeRuns.get(RUN_ID);
+    await runtime.checkpoint(root);
+    const writes = progress.mock.calls.length;
+    await runtime.checkpoint(root);
+    expect(progress).toHaveBeenCalledTimes(writes);
+    expect((await run).trace.length).toBeGreaterThan(150);
+    expect(saves).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects run ids that are not file-safe', () => {
+    expect(() => store.file('../escape')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('restored runs in the controller', () => {
+  test('a run paused before a restart is queued again on resume, within the scheduler limits', async () => {
+    const store = new FileCheckpointStore({ dir: fs.mkdtempSync(path.join(dataDir, 'restore-')) });
+    const slowWork = { slow: () => sleep(30).then(() => 1) };
+    const steps = workflow([
+      { id: 's1', type: 'call', function: 'slow', args: {}, target: 'total' },
+      { id: 's2', type: 'call', function: 'slow', args: {}, target: 'total' }
+    ], { execution_policy: { max_concurrent_runs: 1, max_runs_per_minute: 60 } });
+    const alice = { sub: 'alice' };
+
+    const before = new WorkflowController({ runtime: new WorkflowRuntime({ checkpoints: store, functions: slowWork }), store: new WorkflowStore({ dir: null }) });
+    const { id } = await before.submit({ workflow: steps }, alice);
+    await until(() => before.runtime.describeRun(id));
+    before.runtime.pause(id);
+    await until(async () => (await store.load(id))?.state === 'paused');
+
+    const after = new WorkflowController({ runtime: new WorkflowRuntime({ checkpoints: store, functions: slowWork }), store: new WorkflowStore({ dir: null }) });
+    expect(await after.recover()).toEqual([]);
+    const busy = await after.submit({ workflow: steps }, alice);
+    await expect(after.resumeRun(id, { sub: 'mallory' })).rejects.toMatchObject({ status: 403 });
+    await expect(after.resumeRun(id, alice)).resolves.toMatchObject({ id, state: 'running' });
+    expect(after.scheduler.describe(id)).toMatchObject({ status: 'queued', position: 1 });
+    await expect(after.resumeRun(id, alice)).rejects.toMatchObject({ status: 409 });
+
+    await after.scheduler.jobs.get(busy.id).promise;
+    await expect(after.scheduler.jobs.get(id).promise).resolves.toMatchObject({ outputs: { total: 1 } });
+    await before.cancelRun(id, alice);
+  });
+});
+
+describe('run ownership in the controller', () => {
+  test('only the caller who started a run may inspect, pause, resume or cancel it', async () => {
+    const store = new FileCheckpointStore({ dir: fs.mkdtempSync(path.join(dataDir, 'owner-')) });
+    const runtime = new WorkflowRuntime({ checkpoints: store, functions: { slow: () => sleep(50).then(() => 1) } });
+    const controller = new WorkflowController({ runtime, store: new WorkflowStore({ dir: null }) });
+    const alice = { sub: 'alice' };
+    const mallory = { sub: 'mallory' };
+
+    const { id } = await controller.submit({ workflow: workflow([{ id: 's', type: 'call', function: 'slow', args: {}, target: 'total' }]) }, alice);
+    await until(() => runtime.describeRun(id));
+    expect((await controller.listRuns(alice)).map(run => run.id)).toEqual([id]);
+    expect(await controller.listRuns(mallory)).toEqual([]);
+    for (const action of ['getRun', 'pauseRun', 'resumeRun', 'cancelRun']) {
+      await expect(controller[action](id, mallory)).rejects.toMatchObject({ status: 403, message: `Workflow run belongs to another user: ${id}` });
+    }
+    await expect(controller.pauseRun(id, alice)).resolves.toMatchObject({ state: 'paused' });
+    await expect(controller.resumeRun(id, alice)).resolves.toMatchObject({ state: 'running' });
+    await controller.scheduler.jobs.get(id).promise;
+    await expect(controller.getRun(id, alice)).resolves.toMatchObject({ state: 'completed' });
+  });
+});
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+describe('compileSchemas', () => {
+  test('compiles each schema with the Ajv class for its draft', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compile-schemas-'));
+    try {
+      fs.copyFileSync(path.resolve(__dirname, '../../schema/sovereign/jsonflow-workflow.schema.json'), path.join(dir, 'workflow.json'));
+      fs.writeFileSync(path.join(dir, 'draft-07.json'), JSON.stringify({ $schema: 'http://json-schema.org/draft-07/schema#', type: 'object' }));
+      fs.writeFileSync(path.join(dir, 'draft-2020.json'), JSON.stringify({ $schema: 'https://json-schema.org/draft/2020-12/schema', prefixItems: [{ type: 'string' }] }));
+      fs.mkdirSync(path.join(dir, 'node_modules'));
+      fs.writeFileSync(path.join(dir, 'node_modules', 'skipped.json'), '{ not json');
+
+      const cli = spawnSync(process.execPath, [path.resolve(__dirname, '../../compiler/compileSchemas.js'), dir], { encoding: 'utf-8' });
+      expect(cli.status).toBe(0);
+      expect(cli.stderr).not.toContain('INVALID');
+      expect(cli.stdout.match(/VALID: .*/g).map(line => path.basename(line)).sort()).toEqual(['draft-07.json', 'draft-2020.json', 'workflow.json']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,90 @@
+const { useDataDir } = require('./helpers/dataDir');
+
+useDataDir('designer-graph');
+
+const { graphToSteps, graphToWorkflow, workflowToGraph, MAX_NODES } = require('../../runtime/designerGraph');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const { workflow } = require('./helpers/workflow');
+
+const set = id => ({ id, type: 'set', target: 'total', value: { value: 1 } });
+const ret = id => ({ id, type: 'return', value: { get: 'total' } });
+const cond = { compare: { left: { get: 'total' }, op: '<', right: { value: 3 } } };
+const node = (id, type = 'set', config = { target: 'total', value: { value: 1 } }) => ({ id, type, config });
+const ids = steps => steps.map(step => (step.then ? [step.id, ids(step.then), ids(step.else)] : step.id));
+
+describe('workflowToGraph and graphToWorkflow', () => {
+  test.each(Object.entries({
+    sequence: [set('a'), set('b'), ret('r')],
+    'if with else': [set('a'), { id: 'i', type: 'if', condition: cond, then: [set('t1'), set('t2')], else: [set('e1')] }, set('j'), ret('r')],
+    'if without else': [{ id: 'i', type: 'if', condition: cond, then: [set('t1')] }, set('j')],
+    'if returning from one block': [{ id: 'i', type: 'if', condition: cond, then: [ret('r1')], else: [set('e1')] }, set('j'), ret('r2')],
+    'if returning from both blocks': [{ id: 'i', type: 'if', condition: cond, then: [ret('r1')], else: [ret('r2')] }],
+    'nested loops': [{ id: 'f', type: 'foreach', collection: { value: [1, 2] }, iterator: 'it', body: [{ id: 'w', type: 'while', condition: cond, body: [set('b1')] }, set('b2')] }],
+    parallel: [{ id: 'p', type: 'parallel', branches: [[set('p1'), set('p1b')], [set('p2')]] }, set('j')],
+    try: [{ id: 't', type: 'try', body: [set('b')], catch: { error_var: 'err', body: [set('c')] }, finally: [set('f')] }, set('j')],
+    'on_error blocks and jumps': [{ ...set('s'), on_error: { body: [set('h')] } }, set('j'), { ...set('jump'), on_error: { step_id: 'j' } }],
+    'steps after a return': [ret('r'), set('dead')]
+  }))('%s survives a round trip', (name, steps) => {
+    const document = workflow(steps);
+    expect(graphToWorkflow(workflowToGraph(document), { ...document, steps: [] }).steps).toEqual(steps);
+  });
+
+  test('draws blocks as ported edges and lays them out side by side on the grid', () => {
+    const graph = workflowToGraph(workflow([{ id: 'i', type: 'if', condition: cond, then: [set('t')], else: [set('e')] }, ret('r')]));
+    expect(graph.edges).toEqual([
+      { from: 't', to: 'r' },
+      { from: 'i', to: 't', port: 'then' },
+      { from: 'e', to: 'r' },
+      { from: 'i', to: 'e', port: 'else' }
+    ]);
+    expect(graph.nodes.map(({ id, x, y }) => [id, x, y])).toEqual([['i', 120, 0], ['t', 0, 120], ['e', 240, 120], ['r', 0, 240]]);
+    expect(graph.nodes[0].config).toEqual({ condition: cond });
+    const snapped = workflowToGraph(workflow([set('a'), set('b')]), { canvas: { gridSize: 100 } });
+    expect(snapped.nodes.map(({ y }) => y)).toEqual([0, 100]);
+  });
+
+  test('finds where hand-drawn blocks meet again', () => {
+    const drawn = {
+      nodes: [node('a'), node('i', 'if', { condition: cond }), node('x'), node('y'), node('j'), node('r', 'return', { value: { value: 1 } })],
+      edges: [{ from: 'a', to: 'i' }, { from: 'i', to: 'x', port: 'then' }, { from: 'i', to: 'y', port: 'else' }, { from: 'x', to: 'j' }, { from: 'y', to: 'j' }, { from: 'j', to: 'r' }]
+    };
+    expect(ids(graphToSteps(drawn).steps)).toEqual(['a', ['i', ['x'], ['y']], 'j', 'r']);
+  });
+});
+
+describe('invalid designer graphs', () => {
+  const compile = designer => () => graphToWorkflow(designer, workflow([]));
+
+  test.each([
+    ['several entry nodes', { nodes: [node('a'), node('b')], edges: [] }, 'The designer graph has 2 entry nodes (a, b); connect them into one flow'],
+    ['no entry node', { nodes: [node('a'), node('b')], edges: [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }] }, 'no entry node'],
+    ['forks without parallel', { nodes: [node('a'), node('b'), node('c')], edges: [{ from: 'a', to: 'b' }, { from: 'a', to: 'c' }] }, 'Node a has more than one next edge; fork with a parallel node'],
+    ['ports the type lacks', { nodes: [node('a'), node('b')], edges: [{ from: 'a', to: 'b', port: 'then' }] }, 'a set node has no then port'],
+    ['unknown nodes', { nodes: [node('a')], edges: [{ from: 'a', to: 'zz' }] }, 'Edge 0 to unknown node zz'],
+    ['a missing then block', { nodes: [node('i', 'if', { condition: cond }), node('x')], edges: [{ from: 'i', to: 'x', port: 'else' }] }, 'Node i: a if node needs a then edge'],
+    ['unreachable nodes', { nodes: [node('a'), node('b'), node('c'), node('d')], edges: [{ from: 'a', to: 'b' }, { from: 'c', to: 'd' }, { from: 'd', to: 'c' }] }, 'Nodes not reachable from the entry node a: c, d'],
+    ['blocks set in config', { nodes: [node('a', 'if', { condition: cond, then: [] })], edges: [] }, 'Node a: config.then is drawn as then edges, not set in config'],
+    ['invalid step properties', { nodes: [node('a', 'set', { target: 'total' })], edges: [] }, 'Designer graph is not a valid workflow: node a']
+  ])('rejects %s', (name, designer, message) => {
+    expect(compile(designer)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(message) }));
+  });
+
+  test('rejects graphs past the size limit', () => {
+    const nodes = Array.from({ length: MAX_NODES + 1 }, (_, i) => node(`n${i}`));
+    expect(compile({ nodes, edges: [] })).toThrow('The designer graph is limited to 2000 nodes and 4000 edges');
+  });
+});
+
+describe('designer endpoints in the controller', () => {
+  test('compile a graph into a workflow and lay out saved versions', async () => {
+    const controller = new WorkflowController({ store: new WorkflowStore({ dir: null }) });
+    const document = workflow([set('a'), ret('r')]);
+    await controller.saveWorkflow({ workflow: document }, { sub: 'alice' });
+
+    const graph = await controller.layoutWorkflow({ name: 'demo' });
+    expect(graph.edges).toEqual([{ from: 'a', to: 'r' }]);
+    await expect(controller.compileDesigner({ designer: graph, workflow: document })).resolves.toEqual(document);
+    await expect(controller.layoutWorkflow({ workflow: { function: 'x' } })).rejects.toMatchObject({ status: 400 });
+  });
+});
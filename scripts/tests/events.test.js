@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { useDataDir } = require('./helpers/dataDir');
+
+const dataDir = useDataDir('events');
+
+const { EventBus, matches } = require('../../runtime/eventBus');
+const FileEventStore = require('../../runtime/eventStore');
+const EventTriggers = require('../../runtime/eventTriggers');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const WorkflowScheduler = require('../../runtime/workflowScheduler');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const attachWorkflowEventSocket = require('../../routes/workflowEventSocket');
+const { workflow } = require('./helpers/workflow');
+const { token, listen, connect, nextMessage } = require('./helpers/socket');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('EventBus', () => {
+  test('matches name patterns with wildcards', () => {
+    expect(matches('order.*', 'order.created')).toBe(true);
+    expect(matches('order.*', 'order.item.added')).toBe(true);
+    expect(matches('order.*', 'orders.created')).toBe(false);
+    expect(matches('*', 'anything')).toBe(true);
+    expect(matches('a+b', 'aab')).toBe(false);
+  });
+
+  test('delivers events with the publisher claims, and subscriber failures do not fail publishing', async () => {
+    const bus = new EventBus();
+    const seen = [];
+    bus.subscribe('order.*', () => { throw new Error('broken subscriber'); });
+    const unsubscribe = bus.subscribe('order.*', (event, { claims }) => seen.push([event.name, claims?.sub]));
+    const event = bus.publish({ name: 'order.created', params: { qty: 1 } }, { claims: { sub: 'alice' } });
+    expect(event).toMatchObject({ name: 'order.created', params: { qty: 1 }, id: expect.stringMatching(/^\d{13}-\d{6}$/) });
+    expect(event.claims).toBeUndefined();
+    bus.publish({ name: 'invoice.paid' });
+    await sleep(0);
+    expect(seen).toEqual([['order.created', 'alice']]);
+    unsubscribe();
+    bus.publish({ name: 'order.cancelled' });
+    await sleep(0);
+    expect(seen).toHaveLength(1);
+    expect(() => bus.publish({ name: '' })).toThrow(expect.objectContaining({ status: 400, message: 'Events need a name' }));
+    expect(() => bus.publish({ name: 'x', params: [] })).toThrow('Event params must be an object');
+  });
+
+  test('replays history after an event id or the latest events', async () => {
+    const bus = new EventBus({ buffer: 3 });
+    const ids = ['a', 'b', 'c', 'd'].map(name => bus.publish({ name }).id);
+    expect([...ids].sort()).toEqual(ids);
+    expect((await bus.history()).map(e => e.name)).toEqual(['b', 'c', 'd']);
+    expect((await bus.history({ after: ids[1], limit: 1 })).map(e => e.name)).toEqual(['c']);
+    expect((await bus.history({ name: 'd' })).map(e => e.name)).toEqual(['d']);
+  });
+});
+
+describe('FileEventStore', () => {
+  test('persists events by day and prunes days past the retention window', async () => {
+    const dir = path.join(dataDir, 'store');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'events-2020-01-01.jsonl'), `${JSON.stringify({ id: '1577836800000-000000', name: 'old', params: {}, timestamp: '2020-01-01T00:00:00.000Z' })}\n`);
+    const store = new FileEventStore({ dir });
+    const bus = new EventBus({ store, retention: '30d' });
+    const event = bus.publish({ name: 'fresh', params: { a: 1 } });
+    expect(await bus.prune()).toBe(1);
+
+    expect((await new EventBus({ store: new FileEventStore({ dir }) }).history()).map(e => e.id)).toEqual([event.id]);
+    expect(fs.readdirSync(dir)).toEqual([`events-${event.timestamp.slice(0, 10)}.jsonl`]);
+    expect(await store.list({ since: event.timestamp })).toEqual([event]);
+  });
+});
+
+describe('event triggers', () => {
+  const onOrder = workflow([
+    { id: 'e', type: 'event', name: 'order.processed', params: { qty: { get: 'n' } } },
+    { id: 's', type: 'set', target: 'total', value: { get: 'n' } }
+  ], {
+    function: 'onOrder',
+    triggers: [{
+      event: 'order.created',
+      condition: { compare: { left: { get: 'event.params.qty' }, op: '>', right: 0 } },
+      inputs: { n: { get: 'event.params.qty' } }
+    }]
+  });
+
+  test('start saved workflows as the publisher and list only their own events', async () => {
+    const controller = new WorkflowController({ store: new WorkflowStore({ dir: null }) });
+    const alice = { sub: 'alice', roles: ['admin'] };
+    await controller.saveWorkflow({ workflow: onOrder }, alice);
+    expect(await controller.listTriggers()).toEqual([{ workflow: 'onOrder', version: '1.0.0', triggers: onOrder.triggers }]);
+
+    await controller.publishEvent({ name: 'order.created', params: { qty: 4 } }, alice);
+    await controller.publishEvent({ name: 'order.created', params: { qty: 0 } }, alice);
+    await controller.publishEvent({ name: 'order.created', params: { qty: 9 } }, { sub: 'bob' });
+    await sleep(100);
+    const jobs = [...controller.scheduler.jobs.values()];
+    expect(jobs.map(job => [job.options.claims.sub, job.status, job.result.outputs.total])).toEqual([['alice', 'completed', 4], ['bob', 'completed', 9]]);
+
+    const history = await controller.listEvents({ name: 'order.*' }, alice);
+    expect(history.map(e => [e.name, e.params.qty, e.runId ? 'run' : 'published'])).toEqual([
+      ['order.created', 4, 'published'],
+      ['order.created', 0, 'published'],
+      ['order.processed', 4, 'run']
+    ]);
+
+    await controller.saveWorkflow({ workflow: { ...onOrder, triggers: undefined } }, alice);
+    expect(await controller.listTriggers()).toEqual([]);
+  });
+
+  test('events without publisher claims start nothing and trigger chains stop at the depth limit', async () => {
+    const runtime = new WorkflowRuntime();
+    const scheduler = new WorkflowScheduler({ runtime });
+    const triggers = new EventTriggers({ bus: runtime.eventBus, scheduler, maxDepth: 3 });
+    triggers.register(workflow([{ id: 'e', type: 'event', name: 'loop', params: {} }], { function: 'looper', triggers: [{ event: 'loop' }] }));
+
+    runtime.eventBus.publish({ name: 'loop' });
+    await sleep(50);
+    expect(scheduler.jobs.size).toBe(0);
+
+    runtime.eventBus.publish({ name: 'loop' }, { claims: { sub: 'alice' } });
+    await sleep(300);
+    expect([...scheduler.jobs.values()].map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+  });
+});
+
+describe('event socket', () => {
+  let controller;
+  let server;
+  beforeEach(async () => {
+    controller = new WorkflowController({ store: new WorkflowStore({ dir: null }) });
+    server = await listen(httpServer => attachWorkflowEventSocket(httpServer, controller));
+  });
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  test('refuses upgrades without a valid token', async () => {
+    await expect(connect(server, '/api/workflow/events/stream')).rejects.toMatchObject({ status: 401 });
+    await expect(connect(server, '/api/workflow/events/stream?token=forged')).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('replays and streams only the events the caller published', async () => {
+    const alice = { sub: 'alice' };
+    const first = await controller.publishEvent({ name: 'order.created', params: { qty: 1 } }, alice);
+    await controller.publishEvent({ name: 'order.created', params: { qty: 2 } }, alice);
+    await controller.publishEvent({ name: 'order.created', params: { qty: 3 } }, { sub: 'bob' });
+
+    const { ws, messages } = await connect(server, `/api/workflow/events/stream?name=order.*&after=${first.id}&token=${token(alice)}`);
+    await nextMessage(messages, message => message.data.params.qty === 2);
+    await controller.publishEvent({ name: 'order.shipped', params: { qty: 4 } }, { sub: 'bob' });
+    await controller.publishEvent({ name: 'order.shipped', params: { qty: 5 } }, alice);
+    await nextMessage(messages, message => message.data.params.qty === 5);
+    expect(messages.map(message => [message.type, message.data.params.qty])).toEqual([['event', 2], ['event', 5]]);
+    ws.close();
+  });
+});
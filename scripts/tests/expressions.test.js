@@ -0,0 +1,62 @@
+const { evaluate, isExpr, HASHES } = require('../../runtime/expressions');
+
+describe('expressions', () => {
+  const scope = { order: { total: 40, items: [{ qty: 1 }, { qty: 3 }] }, name: 'ada' };
+
+  test('evaluates arithmetic, comparisons and logic', () => {
+    expect(evaluate({ add: [{ get: 'order.total' }, 2, { multiply: [2, 3] }] }, scope)).toBe(48);
+    expect(evaluate({ divide: [9, 3] })).toBe(3);
+    expect(evaluate({ compare: { left: { get: 'order.total' }, op: '>=', right: 40 } }, scope)).toBe(true);
+    expect(evaluate({ and: [{ value: true }, { not: { value: true } }] })).toBe(false);
+    expect(evaluate({ or: [{ value: false }, { compare: { left: 'a', op: '<', right: 'b' } }] })).toBe(true);
+    expect(evaluate({ concat: ['hi ', { get: 'name' }, 1] }, scope)).toBe('hi ada1');
+  });
+
+  test('maps and filters with item and index in scope', () => {
+    expect(evaluate({ map: { collection: { get: 'order.items' }, operation: { add: [{ get: 'item.qty' }, { get: 'index' }] } } }, scope)).toEqual([1, 4]);
+    expect(evaluate({ filter: { collection: { get: 'order.items' }, condition: { compare: { left: { get: 'item.qty' }, op: '>', right: 1 } } } }, scope))
+      .toEqual([{ qty: 3 }]);
+  });
+
+  test('hashes and regex', () => {
+    expect(evaluate({ hash: { algorithm: 'sha256', input: 'abc' } })).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(evaluate({ hash: { algorithm: 'keccak256', input: '' } })).toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    expect(Object.keys(HASHES)).toEqual(['sha256', 'sha3', 'keccak256', 'blake2b']);
+    expect(evaluate({ regex: { pattern: '^a.a$', input: { get: 'name' } } }, scope)).toBe(true);
+  });
+
+  test('regex refuses patterns and inputs that could backtrack for too long', () => {
+    const attack = `${'a'.repeat(40)}!`;
+    for (const pattern of ['(a+)+$', '(a|a)*$', '((ab)*c)+', '(\\w{2,})+', '(a)\\1']) {
+      expect(() => evaluate({ regex: { pattern, input: attack } }))
+        .toThrow(expect.objectContaining({ status: 422, pointer: '/regex/pattern', message: expect.stringContaining('Unsafe regex pattern') }));
+    }
+    expect(() => evaluate({ regex: { pattern: 'a'.repeat(257), input: 'a' } })).toThrow(expect.objectContaining({ pointer: '/regex/pattern' }));
+    expect(() => evaluate({ regex: { pattern: 'a', input: 'a'.repeat(10001) } })).toThrow(expect.objectContaining({ pointer: '/regex/input' }));
+    expect(evaluate({ regex: { pattern: '^(?:[a-z]+)@(example|test)\\.(com|org)$', input: 'ann@example.org' } })).toBe(true);
+    expect(evaluate({ regex: { pattern: '^[(+*|]+(\\d{3})-\\d+$', input: '(+555-12' } })).toBe(true);
+  });
+
+  test('value literals are copied, not shared with the expression', () => {
+    const literal = { value: { nested: [1] } };
+    const copy = evaluate(literal);
+    copy.nested.push(2);
+    expect(literal.value.nested).toEqual([1]);
+  });
+
+  test('errors carry the JSON pointer of the failing node', () => {
+    expect(() => evaluate({ add: [1, { get: 'missing' }] }, scope))
+      .toThrow(expect.objectContaining({ status: 422, pointer: '/add/1/get', message: 'Unresolved path "missing" at /add/1/get' }));
+    expect(() => evaluate({ divide: [1, 0] })).toThrow(expect.objectContaining({ pointer: '/divide/1' }));
+    expect(() => evaluate({ compare: { left: 1, op: '<', right: 'a' } })).toThrow(expect.objectContaining({ pointer: '/compare/right' }));
+    expect(() => evaluate({ hash: { algorithm: 'md5', input: 'a' } })).toThrow(expect.objectContaining({ pointer: '/hash/algorithm' }));
+    expect(() => evaluate({ regex: { pattern: '(', input: 'a' } })).toThrow(expect.objectContaining({ pointer: '/regex/pattern' }));
+    expect(() => evaluate({ bogus: 1 })).toThrow(expect.objectContaining({ pointer: '' }));
+  });
+
+  test('nlp_intent is recognised but refused', () => {
+    expect(isExpr({ nlp_intent: { input: 'hi', model: 'm' } })).toBe(true);
+    expect(() => evaluate({ concat: ['a', { nlp_intent: { input: 'hi', model: 'm' } }] }))
+      .toThrow(expect.objectContaining({ status: 422, pointer: '/concat/1/nlp_intent', message: expect.stringContaining('ai_nlp_process') }));
+  });
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { useDataDir } = require('./helpers/dataDir');
+
+useDataDir('game-engine');
+
+const { GameEngine } = require('../../runtime/gameEngine');
+const { simulate } = require('../../runtime/gamePhysics');
+const { animate } = require('../../runtime/gameAnimation');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const { workflow } = require('./helpers/workflow');
+
+const ball = { id: 'ball', position: [0, 5, 0], radius: 0.5, restitution: 0.5 };
+const floor = { id: 'floor', shape: 'box', position: [0, -0.5, 0], size: [10, 1, 10], static: true };
+
+describe('rigid-body physics', () => {
+  test('a dropped ball lands on a static floor and settles on it', () => {
+    const { objects, collisions } = simulate([ball, floor], { type: 'rigid_body', time_step: 0.01, steps: 300 });
+    expect(collisions[0]).toMatchObject({ a: 'ball', b: 'floor' });
+    expect(collisions[0].time).toBeCloseTo(Math.sqrt((2 * 4.5) / 9.81), 1);
+    expect(objects[0].position[1]).toBeCloseTo(0.5, 1);
+    expect(objects[1]).toMatchObject({ position: floor.position });
+  });
+
+  test('the engine only simulates rigid bodies', () => {
+    expect(() => new GameEngine().physics([ball], { type: 'fluid' }))
+      .toThrow(expect.objectContaining({ status: 422, message: 'Unsupported simulation type: fluid; the custom engine simulates rigid_body' }));
+  });
+});
+
+describe('animation', () => {
+  test('keyframes interpolate numbers and slerp quaternions', () => {
+    const { object, frames } = animate({ position: [0, 0, 0] }, {
+      type: 'keyframe',
+      duration: 1,
+      parameters: {
+        fps: 4,
+        keyframes: [
+          { time: 0, values: { 'position.1': 0, 'rot.quaternion': [0, 0, 0, 1] } },
+          { time: 1, values: { 'position.1': 2, 'rot.quaternion': [0, 0, 1, 0] } }
+        ]
+      }
+    });
+    expect(frames).toHaveLength(5);
+    expect(frames[2].values['position.1']).toBe(1);
+    expect(frames[2].values['rot.quaternion'].map(v => Number(v.toFixed(6)))).toEqual([0, 0, 0.707107, 0.707107]);
+    expect(object).toEqual({ position: [0, 2, 0], rot: { quaternion: [0, 0, 1, 0] } });
+  });
+
+  test('skeletal animation chains bone rotations', () => {
+    const { object } = animate({}, {
+      type: 'skeletal',
+      parameters: { bones: [{ name: 'upper', length: 1, keyframes: [{ time: 0, rotation: 0 }, { time: 1, rotation: Math.PI / 2 }] }, { name: 'lower', parent: 'upper', length: 1, rotation: Math.PI / 2 }] }
+    });
+    expect(object.skeleton.lower.start.map(v => Number(v.toFixed(6)))).toEqual([0, 1]);
+    expect(object.skeleton.lower.end.map(v => Number(v.toFixed(6)))).toEqual([-1, 1]);
+  });
+
+  test('procedural channels oscillate around the base value', () => {
+    const { frames } = animate({ y: 1 }, { type: 'procedural', duration: 1, parameters: { fps: 4, channels: { y: { wave: 'sine', amplitude: 2 } } } });
+    expect(frames.map(frame => Number(frame.values.y.toFixed(6)))).toEqual([1, 3, 1, -1, 1]);
+  });
+});
+
+describe('input and multiplayer sync', () => {
+  let engine;
+  beforeEach(() => {
+    engine = new GameEngine();
+  });
+
+  test('maps queued input events per device and reports edges', () => {
+    engine.pushInput('r', [{ input: 'w', value: true }, { input: 'up', value: false, device: 'keyboard' }, { input: 'x', value: 0.5, device: 'controller' }]);
+    const bindings = { w: 'forward', up: 'forward', space: 'jump' };
+    expect(engine.mapInput('r', 'keyboard', bindings)).toEqual({ actions: { forward: true, jump: false }, pressed: ['forward'], released: [], events: 2 });
+    expect(engine.mapInput('r', 'keyboard', bindings)).toEqual({ actions: { forward: true, jump: false }, pressed: [], released: [], events: 0 });
+    expect(engine.mapInput('r', 'controller', { x: 'steer' }).actions).toEqual({ steer: 0.5 });
+    expect(() => engine.pushInput('r', [{ input: 'w' }])).toThrow('Each input event needs an input name and a boolean or numeric value');
+  });
+
+  test('event sync applies peer operations in peer order each tick', () => {
+    expect(engine.sync('r', { state: [{ op: 'add', path: '/score', value: 0 }], syncType: 'event', peers: ['p2', 'p1'] }))
+      .toMatchObject({ tick: 1, state: { score: 0 }, inSync: true });
+    engine.pushPeerEvents('r', 'p2', [{ op: 'replace', path: '/score', value: 2 }]);
+    engine.pushPeerEvents('r', 'p1', [{ op: 'replace', path: '/score', value: 1 }, { op: 'add', path: '/p1/x', value: 3 }]);
+    expect(engine.sync('r', { state: [], syncType: 'event', peers: ['p1', 'p2'] })).toMatchObject({ tick: 2, state: { score: 2, p1: { x: 3 } }, operations: 3 });
+    expect(() => engine.pushPeerEvents('r', 'stranger', [])).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => engine.sync('r', { state: { a: 1 }, syncType: 'event', peers: ['p1'] })).toThrow('Event sync state must be an array of add/remove/replace operations');
+  });
+});
+
+describe('game steps', () => {
+  const outputs = Object.fromEntries(['physics', 'input', 'sync'].map(name => [name, { type: 'object' }]));
+  const steps = [
+    { id: 'p', type: 'game_physics', objects: [{ value: ball }, { value: floor }], simulation: { type: 'rigid_body', time_step: 0.01, steps: 50 }, target: 'physics' },
+    { id: 'i', type: 'game_input', input_type: 'keyboard', bindings: { space: 'jump' }, target: 'input' },
+    { id: 's', type: 'game_multiplayer_sync', state: { get: 'physics.objects.0.position' }, sync_type: 'delta', peers: ['a', 'b'], target: 'sync' }
+  ];
+
+  test('read the input queued for the run and release its state when it ends', async () => {
+    const runtime = new WorkflowRuntime();
+    const id = crypto.randomUUID();
+    runtime.game.pushInput(id, [{ input: 'space', value: true }]);
+    const result = await runtime.run(workflow(steps, { schema: { inputs: {}, context: {}, outputs } }), { id });
+    expect(result.outputs.input).toMatchObject({ actions: { jump: true }, pressed: ['jump'] });
+    expect(result.outputs.sync).toMatchObject({ tick: 1, state: result.outputs.physics.objects[0].position, inSync: true });
+    expect(runtime.game.runs.size).toBe(0);
+  });
+
+  test('only the run owner may queue input or peer events for it', async () => {
+    const runtime = new WorkflowRuntime({ functions: { wait: () => new Promise(resolve => setTimeout(resolve, 50)) } });
+    const controller = new WorkflowController({ runtime, store: new WorkflowStore({ dir: null }) });
+    const alice = { sub: 'alice' };
+    const waiting = workflow([{ id: 'w', type: 'call', function: 'wait', args: {}, target: 'waited' }, ...steps], { schema: { inputs: {}, context: {}, outputs } });
+    const { id } = await controller.submit({ workflow: waiting }, alice);
+    while (!runtime.describeRun(id)) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const events = [{ input: 'space', value: true }];
+    await expect(controller.pushGameInput(id, { events }, { sub: 'mallory' })).rejects.toMatchObject({ status: 403 });
+    await expect(controller.pushPeerEvents(id, 'a', { events: [] }, { sub: 'mallory' })).rejects.toMatchObject({ status: 403 });
+    await controller.pushGameInput(id, { events }, alice);
+    await expect(controller.scheduler.jobs.get(id).promise).resolves.toMatchObject({ outputs: { input: { pressed: ['jump'] } } });
+  });
+
+  test('refuse workflows that target another engine', async () => {
+    const document = workflow(steps.slice(0, 1));
+    const unity = { ...document, metadata: { ...document.metadata, game_engines: ['unity'] } };
+    await expect(new WorkflowRuntime().run(unity)).rejects.toMatchObject({ status: 422, message: 'This runtime provides the custom game engine only; the workflow targets unity' });
+  });
+});
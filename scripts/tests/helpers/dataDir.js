@@ -0,0 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The controller module builds its default stores on require, so suites that load it point
+// them at a scratch directory first. The directory is removed once the suite finishes.
+const useDataDir = (prefix) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  process.env.WORKFLOW_STORE_DIR = path.join(dataDir, 'workflows');
+  process.env.WORKFLOW_CHECKPOINT_DIR = path.join(dataDir, 'checkpoints');
+  process.env.WORKFLOW_EVENT_PERSIST = 'false';
+  afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+};
+
+module.exports = { useDataDir };
@@ -0,0 +1,3 @@
+// Tests keep the shared logger quiet so runs don't write to logs/; a test that checks log
+// output turns it back on
+require('../../../config/logger').silent = true;
@@ -0,0 +1,38 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+
+const token = claims => jwt.sign(claims, process.env.JWT_SECRET || 'default-secret');
+
+// An HTTP server on a free port with `attach(server)` handling its upgrades
+const listen = attach => new Promise((resolve) => {
+  const server = http.createServer();
+  attach(server);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Opens `path` on the server. Resolves with the socket and the messages received so far
+// (which keep filling in), or rejects with the HTTP status the upgrade was refused with.
+const connect = (server, path) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}${path}`);
+  const messages = [];
+  ws.on('message', raw => messages.push(JSON.parse(raw)));
+  ws.on('open', () => resolve({ ws, messages }));
+  ws.on('unexpected-response', (req, res) => {
+    req.destroy();
+    reject(Object.assign(new Error(`Upgrade refused: ${res.statusCode}`), { status: res.statusCode }));
+  });
+  ws.on('error', reject);
+});
+
+// Resolves once `predicate` holds for one of the messages
+const nextMessage = (messages, predicate) => new Promise((resolve) => {
+  const check = () => {
+    const message = messages.find(predicate);
+    if (message) resolve(message);
+    else setTimeout(check, 5);
+  };
+  check();
+});
+
+module.exports = { token, listen, connect, nextMessage };
@@ -0,0 +1,15 @@
+// The smallest schema-valid workflow around `steps`; `extra` overrides top-level fields
+const workflow = (steps, extra = {}) => ({
+  function: 'demo',
+  metadata: { schema_version: '1.0.0', version: '1.0.0', author: 'tests', description: 'test workflow' },
+  nlp: { id: 'demo', title: 'Demo', type: 'nl', source: 'tests', layout: { x: 0, y: 0, w: 1, h: 1 }, nl: { mode: 'chat', model: 'm', bindingTarget: 'b' } },
+  schema: {
+    inputs: { n: { type: 'integer', default: 3 } },
+    context: {},
+    outputs: { total: { type: 'integer' }, log: { type: 'array' } }
+  },
+  steps,
+  ...extra
+});
+
+module.exports = { workflow };
@@ -0,0 +1,45 @@
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { checkInvariants, exportInvariants, toSolidityExpr } = require('../../runtime/invariants');
+const { workflow } = require('./helpers/workflow');
+
+const invariants = [
+  { condition: { compare: { left: { get: 'total' }, op: '>=', right: 0 } }, message: 'total non-negative' },
+  { condition: { compare: { left: { get: 'total' }, op: '<', right: 100 } }, message: 'total small', severity: 'warning' }
+];
+
+describe('workflow invariants', () => {
+  test('checkInvariants reports held, violated and inconclusive invariants', () => {
+    expect(checkInvariants(invariants, { total: 150 }).map(check => check.status)).toEqual(['held', 'violated']);
+    expect(checkInvariants(invariants, {})[0]).toMatchObject({ index: 0, severity: 'error', status: 'inconclusive', error: expect.stringContaining('Unresolved path "total"') });
+  });
+
+  test('warnings are recorded in the run summary without failing it', async () => {
+    const result = await new WorkflowRuntime().run(workflow([{ id: 's', type: 'set', target: 'total', value: { value: 150 } }], { invariants }));
+    expect(result.invariants).toEqual({
+      checks: 4,
+      violations: [{ index: 1, message: 'total small', severity: 'warning', status: 'violated', step: 's', pointer: '/steps/0', phase: 'after' }]
+    });
+  });
+
+  test('an error-level violation fails the run, even inside try', async () => {
+    const run = new WorkflowRuntime().run(workflow([
+      { id: 's', type: 'set', target: 'total', value: { value: 5 } },
+      {
+        id: 't',
+        type: 'try',
+        body: [{ id: 's2', type: 'set', target: 'total', value: { value: -5 } }],
+        catch: { error_var: 'e', body: [{ id: 'x', type: 'set', target: 'log', value: { value: [] } }] }
+      }
+    ], { invariants }));
+    await expect(run).rejects.toMatchObject({ status: 422, rolledBack: true, message: 'Invariant violated after step s2: total non-negative' });
+  });
+
+  test('exports invariants for external verification tools', () => {
+    expect(toSolidityExpr({ add: [{ get: 'a' }, 1] })).toBe('(a + 1)');
+    expect(exportInvariants({ invariants }, 'scribble')).toBe([
+      '/// #invariant {:msg "total non-negative"} (total >= 0);',
+      '/// #invariant {:msg "total small"} (total < 100);'
+    ].join('\n'));
+    expect(exportInvariants({ invariants }, 'mythril')).toContain('assert((total >= 0)); // total non-negative');
+  });
+});
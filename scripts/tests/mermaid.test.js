@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { generateMermaid, isMermaidStale } = require('../../runtime/mermaid');
+const { validateWorkflow } = require('../../runtime/workflowSchema');
+const { workflow } = require('./helpers/workflow');
+
+const branching = workflow([
+  {
+    id: 'check',
+    type: 'if',
+    condition: { value: true },
+    then: [{ id: 'a', type: 'set', target: 'total', value: { value: 1 } }],
+    else: [{ id: 'b', type: 'set', target: 'total', value: { value: 2 } }]
+  },
+  {
+    id: 'loop',
+    type: 'foreach',
+    collection: { value: [1] },
+    iterator: 'x',
+    body: [{ id: 'c', type: 'call_workflow', workflow: 'sub.json', args: {}, target: 'y', on_error: { step_id: 'check' } }]
+  }
+]);
+
+describe('generateMermaid', () => {
+  test('draws branches, loops, sub-workflow calls and on_error handlers', () => {
+    expect(generateMermaid(branching)).toBe([
+      'flowchart TD',
+      '  start((Start))',
+      '  steps_0{"check<br/>if"}',
+      '  steps_0_then_0["a<br/>set"]',
+      '  steps_0_else_0["b<br/>set"]',
+      '  steps_1{{"loop<br/>foreach"}}',
+      '  steps_1_body_0[["c<br/>call_workflow"]]',
+      '  done((End))',
+      '  wf0[/"sub.json"/]',
+      '  steps_0 -->|then| steps_0_then_0',
+      '  steps_0 -->|else| steps_0_else_0',
+      '  start --> steps_0',
+      '  steps_1_body_0 -.->|calls| wf0',
+      '  steps_1_body_0 -.->|on_error| steps_0',
+      '  steps_1 -->|each| steps_1_body_0',
+      '  steps_1_body_0 --> steps_1',
+      '  steps_0_then_0 --> steps_1',
+      '  steps_0_else_0 --> steps_1',
+      '  steps_1 -->|done| done'
+    ].join('\n'));
+  });
+
+  test('joins parallel branches and try blocks, and stays schema-valid', () => {
+    const diagram = generateMermaid(workflow([
+      {
+        id: 'par',
+        type: 'parallel',
+        branches: [[{ id: 'p1', type: 'set', target: 'x', value: { value: 1 } }], [{ id: 'p2', type: 'set', target: 'log', value: { value: [] } }]]
+      },
+      {
+        id: 't',
+        type: 'try',
+        body: [{ id: 'c', type: 'call', function: 'f', args: {} }],
+        catch: { error_var: 'e', body: [{ id: 'r', type: 'return', value: { value: 1 } }] },
+        finally: [{ id: 'fin', type: 'set', target: 'total', value: { value: 3 } }]
+      }
+    ]));
+    expect(diagram.split('\n').filter(line => line.endsWith('--> steps_0_join'))).toHaveLength(2);
+    expect(diagram).toContain('steps_0_join --> steps_1');
+    expect(diagram).toContain('steps_1 -.->|catch| steps_1_catch_body_0');
+    expect(diagram).toContain('steps_1_body_0 --> steps_1_finally_0');
+    expect(() => validateWorkflow({ ...branching, metadata: { ...branching.metadata, mermaid: generateMermaid(branching) } })).not.toThrow();
+  });
+
+  test('isMermaidStale ignores indentation and flags outdated diagrams', () => {
+    const diagram = generateMermaid(branching);
+    const withDiagram = (mermaid) => ({ ...branching, metadata: { ...branching.metadata, mermaid } });
+    expect(isMermaidStale(branching)).toBe(false);
+    expect(isMermaidStale(withDiagram(diagram.replace(/^ {2}/gm, '    ')))).toBe(false);
+    expect(isMermaidStale(withDiagram('flowchart TD'))).toBe(true);
+  });
+
+  test('generate-mermaid --compile fails on a stale diagram', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mermaid-'));
+    const script = path.resolve(__dirname, '../../compiler/generateMermaid.js');
+    try {
+      const file = path.join(dir, 'demo.json');
+      fs.writeFileSync(file, JSON.stringify({ ...branching, metadata: { ...branching.metadata, mermaid: 'flowchart TD' } }));
+      expect(spawnSync(process.execPath, [script, dir, '--compile'], { encoding: 'utf-8' }).status).toBe(1);
+      expect(spawnSync(process.execPath, [script, dir], { encoding: 'utf-8' }).status).toBe(0);
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).metadata.mermaid).toBe(generateMermaid(branching));
+      expect(spawnSync(process.execPath, [script, dir, '--compile'], { encoding: 'utf-8' }).status).toBe(0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { useDataDir } = require('./helpers/dataDir');
+
+useDataDir('nl-compiler');
+
+const { compileUtterance, stem } = require('../../runtime/nlCompiler');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const { workflow } = require('./helpers/workflow');
+
+const nlp = nl => ({ ...workflow([]).nlp, nl: { mode: 'command', model: 'm', bindingTarget: 'b', ...nl } });
+
+const transfer = workflow([
+  { id: 'pay', type: 'set', target: 'total', value: { get: 'amount' }, nl_phrase: { en: 'transfer {amount} to {recipient}', es: 'transferir {amount} a {recipient}' } }
+], {
+  function: 'transferFunds',
+  schema: { inputs: { amount: { type: 'integer' }, recipient: { type: 'string' }, memo: { type: 'string', default: '' } }, context: {}, outputs: { total: { type: 'integer' } } },
+  nlp: nlp({
+    mapIntent: { 'send money': 'payment' },
+    analogyMap: [{ sourceConcept: 'wire', targetConcept: 'transfer', weight: 0.9 }],
+    confidenceThreshold: 0.75,
+    fallbackAction: 'helpDesk'
+  })
+});
+const report = workflow([{ id: 'r', type: 'set', target: 'total', value: { get: 'n' }, nl_phrase: 'generate the monthly sales report' }], { function: 'salesReport', nlp: nlp({}) });
+const helpDesk = workflow([{ id: 'h', type: 'set', target: 'total', value: { value: 1 } }], {
+  function: 'helpDesk',
+  schema: { inputs: { utterance: { type: 'string' } }, context: {}, outputs: { total: { type: 'integer' } } },
+  nlp: nlp({})
+});
+const workflows = [transfer, report, helpDesk];
+
+describe('compileUtterance', () => {
+  test('stems inflected words', () => {
+    expect(['transfers', 'transferring', 'transferred', 'reports', 'policies', 'running'].map(stem))
+      .toEqual(['transfer', 'transfer', 'transfer', 'report', 'policy', 'run']);
+  });
+
+  test('fills phrase slots and coerces them to the input types', () => {
+    expect(compileUtterance('Transfer 50 to bob', workflows)).toMatchObject({ action: 'run', workflow: 'transferFunds', confidence: 1, inputs: { amount: 50, recipient: 'bob' } });
+    expect(compileUtterance('please transfer 50 to "Bob Smith".', workflows).inputs).toEqual({ amount: 50, recipient: 'Bob Smith' });
+    expect(compileUtterance('transferir 10 a juan', workflows, { language: 'es' })).toMatchObject({ action: 'run', inputs: { amount: 10, recipient: 'juan' } });
+    expect(compileUtterance('transfer funds now with amount: 7 recipient: dave memo: "rent"', workflows).inputs).toEqual({ amount: 7, recipient: 'dave', memo: 'rent' });
+  });
+
+  test('uses analogies and mapped intents', () => {
+    expect(compileUtterance('wire 20 to alice', workflows)).toMatchObject({ action: 'run', confidence: 0.9, analogy: expect.anything(), inputs: { amount: 20, recipient: 'alice' } });
+    expect(compileUtterance('send money', workflows)).toMatchObject({
+      action: 'clarify',
+      workflow: 'transferFunds',
+      missing: ['amount', 'recipient'],
+      prompt: 'To run transferFunds, please provide amount, recipient.'
+    });
+  });
+
+  test('asks for confirmation below the threshold and falls back when nothing matches', () => {
+    expect(compileUtterance('generate monthly sales reports', workflows)).toMatchObject({ action: 'run', workflow: 'salesReport' });
+    expect(compileUtterance('sales report', workflows)).toMatchObject({ action: 'confirm', workflow: 'salesReport', prompt: 'Did you mean to run salesReport?' });
+    expect(compileUtterance('what is the weather like', workflows)).toMatchObject({ action: 'fallback', fallbackAction: 'helpDesk', confidence: 0 });
+    expect(() => compileUtterance('  ', workflows)).toThrow(expect.objectContaining({ status: 400, message: 'utterance must be a non-empty string' }));
+  });
+});
+
+describe('interpreting utterances in the controller', () => {
+  test('queues the matched run, waits for confirmation and routes fallbacks', async () => {
+    const controller = new WorkflowController({ store: new WorkflowStore({ dir: null }) });
+    const alice = { sub: 'alice' };
+    for (const document of workflows) await controller.saveWorkflow({ workflow: document }, alice);
+
+    const transferred = await controller.interpret({ utterance: 'transfer 5 to bob' }, alice);
+    expect(transferred).toMatchObject({ action: 'run', job: { workflow: 'transferFunds' } });
+    const unconfirmed = await controller.interpret({ utterance: 'sales report' }, alice);
+    expect(unconfirmed.action).toBe('confirm');
+    expect(unconfirmed.job).toBeUndefined();
+    expect((await controller.interpret({ utterance: 'sales report', confirm: true }, alice)).job.workflow).toBe('salesReport');
+    expect((await controller.interpret({ utterance: 'how do I reset my password' }, alice)).job.workflow).toBe('helpDesk');
+
+    await Promise.all([...controller.scheduler.jobs.values()].map(job => job.promise));
+    expect([...controller.scheduler.jobs.values()].map(job => [job.workflow, job.status, job.result.outputs.total])).toEqual([
+      ['transferFunds', 'completed', 5],
+      ['salesReport', 'completed', 3],
+      ['helpDesk', 'completed', 1]
+    ]);
+  });
+});
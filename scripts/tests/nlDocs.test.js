@@ -0,0 +1,107 @@
+const { useDataDir } = require('./helpers/dataDir');
+
+useDataDir('nl-docs');
+
+const { generateDocs, LANGUAGES, FORMATS, DETAILS, AUDIENCES } = require('../../runtime/nlDocs');
+const PHRASES = require('../../runtime/nlDocsPhrases');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const { workflow } = require('./helpers/workflow');
+
+const documented = workflow([
+  { id: 'total', type: 'set', target: 'total', value: { multiply: [{ get: 'n' }, { value: 2 }] }, nl_phrase: { en: 'double the {n}', es: 'duplicar {n}' } },
+  {
+    id: 'check',
+    type: 'if',
+    condition: { compare: { left: { get: 'total' }, op: '>=', right: { value: 10 } } },
+    then: [{ id: 'ev', type: 'event', name: 'big_order', params: {}, on_error: { body: [{ id: 'a', type: 'audit_log', message: 'x<y' }] } }],
+    else: [{ id: 'b', type: 'set', target: 'log', value: { value: [] } }],
+    timeout: { duration: '5s' }
+  },
+  { id: 'done', type: 'return', value: { get: 'total' } }
+]);
+documented.schema.inputs.n = { ...documented.schema.inputs.n, nl_noun: { en: 'order amount', es: 'importe' }, nl_description: { en: 'What the buyer pays' } };
+
+// Every key path of a phrasebook entry
+const keyPaths = value => Object.entries(value).flatMap(([key, child]) => (
+  child && typeof child === 'object' && !Array.isArray(child) ? keyPaths(child).map(rest => `${key}.${rest}`) : [key]
+));
+
+describe('generateDocs', () => {
+  test('describes a workflow in plain words for non-technical readers', () => {
+    expect(generateDocs(documented).content).toBe([
+      '# Demo',
+      '',
+      'test workflow',
+      '',
+      'Version 1.0.0, by tests.',
+      '',
+      '## Inputs',
+      '',
+      '- order amount — What the buyer pays',
+      '',
+      '## Outputs',
+      '',
+      '- total',
+      '- log',
+      '',
+      '## Steps',
+      '',
+      '1. double the order amount',
+      '2. If total ≥ 10:',
+      '   - Announce the event big\\_order.',
+      '      - On error:',
+      '         - Record in the audit log: “x\\<y”.',
+      '   - Otherwise:',
+      '      - Set log to \\[\\].',
+      '3. Finish and return total.',
+      ''
+    ].join('\n'));
+  });
+
+  test('technical detail names steps, types and defaults in the requested language', () => {
+    const { content } = generateDocs(documented, { language: 'es', detail: 'detailed', audience: 'technical' });
+    expect(content).toContain('- `n` (`integer`, por defecto `3`)');
+    expect(content).toContain('1. `total` duplicar `n`');
+    expect(content).toContain('   - Límite de tiempo: 5s.');
+  });
+
+  test('renders escaped HTML with the script direction of the language', () => {
+    const { content } = generateDocs(documented, { language: 'ar', format: 'html' });
+    expect(content.startsWith('<article lang="ar" dir="rtl"><h1>Demo</h1>')).toBe(true);
+    expect(content).toContain('«x&lt;y»');
+  });
+
+  test('every language, format, detail and audience renders', () => {
+    for (const language of LANGUAGES) {
+      for (const format of FORMATS) {
+        for (const detail of DETAILS) {
+          for (const audience of AUDIENCES) {
+            expect(generateDocs(documented, { language, format, detail, audience })).toMatchObject({ workflow: 'demo', language, format });
+          }
+        }
+      }
+    }
+  });
+
+  test('every phrasebook covers the English entries', () => {
+    const english = keyPaths(PHRASES.en);
+    for (const language of LANGUAGES) expect(keyPaths(PHRASES[language]).sort()).toEqual([...english].sort());
+  });
+
+  test('rejects unknown languages, formats and levels', () => {
+    expect(() => generateDocs(documented, { language: 'xx' })).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('Unsupported documentation language: xx') }));
+    expect(() => generateDocs(documented, { format: 'pdf' })).toThrow('Unsupported documentation format: pdf');
+    expect(() => generateDocs(documented, { detail: 'full' })).toThrow('detail must be one of simple, detailed');
+  });
+});
+
+describe('describing workflows in the controller', () => {
+  test('documents saved versions, or a posted workflow after validating it', async () => {
+    const controller = new WorkflowController({ store: new WorkflowStore({ dir: null }) });
+    await controller.saveWorkflow({ workflow: documented }, { sub: 'alice' });
+    await expect(controller.describeWorkflow({ name: 'demo', language: 'de', format: 'plain' })).resolves.toMatchObject({ version: '1.0.0', language: 'de', format: 'plain' });
+    await expect(controller.describeWorkflow({ workflow: documented })).resolves.toMatchObject({ language: 'en', format: 'markdown' });
+    await expect(controller.describeWorkflow({ workflow: { function: 'x' } })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,79 @@
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { workflow } = require('./helpers/workflow');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('parallel step', () => {
+  let active;
+  let peak;
+  let runtime;
+
+  beforeEach(() => {
+    active = 0;
+    peak = 0;
+    runtime = new WorkflowRuntime({
+      functions: {
+        slow: async ({ ms, v }) => {
+          active++;
+          peak = Math.max(peak, active);
+          await sleep(ms);
+          active--;
+          return v;
+        },
+        boom: async () => {
+          await sleep(5);
+          throw new Error('kaboom');
+        }
+      }
+    });
+  });
+
+  // Each branch waits `ms`, then writes its name to `last`
+  const branch = (name, ms) => [
+    { id: name, type: 'call', function: 'slow', args: { ms: { value: ms }, v: { value: name } }, target: name },
+    { id: `${name}_last`, type: 'set', target: 'last', value: { value: name } }
+  ];
+  const lastWriter = (mergeStrategy) => workflow(
+    [{ id: 'p', type: 'parallel', merge_strategy: mergeStrategy, branches: [branch('a', 150), branch('b', 10), branch('c', 80)] }],
+    { schema: { inputs: {}, context: {}, outputs: { last: { type: 'string' } } } }
+  );
+
+  test.each([
+    ['all', 'c'],
+    ['first', 'b'],
+    ['last', 'a']
+  ])('merge_strategy %s leaves the write of branch %s in the scope', async (mergeStrategy, winner) => {
+    const result = await runtime.run(lastWriter(mergeStrategy));
+    expect(result.outputs.last).toBe(winner);
+  });
+
+  test('branches work on copies of the scope and are merged back', async () => {
+    const result = await runtime.run(workflow([
+      { id: 's', type: 'set', target: 'total', value: { value: 1 } },
+      {
+        id: 'p',
+        type: 'parallel',
+        branches: [
+          [{ id: 'x', type: 'set', target: 'total', value: { add: [{ get: 'total' }, 10] } }],
+          [{ id: 'y', type: 'set', target: 'log', value: { value: [1] } }]
+        ]
+      }
+    ]));
+    expect(result.outputs).toEqual({ total: 11, log: [1] });
+  });
+
+  test('execution_policy.max_concurrent_runs caps the branches running at once', async () => {
+    await runtime.run(workflow(
+      [{ id: 'p', type: 'parallel', branches: ['a', 'b', 'c', 'd'].map(name => branch(name, 20)) }],
+      { execution_policy: { max_runs_per_minute: 10, max_concurrent_runs: 2 } }
+    ));
+    expect(peak).toBe(2);
+  });
+
+  test('a failing branch fails the step with its pointer', async () => {
+    const run = runtime.run(workflow([
+      { id: 'p', type: 'parallel', branches: [branch('a', 50), [{ id: 'x', type: 'call', function: 'boom', args: {}, target: 'q' }]] }
+    ]));
+    await expect(run).rejects.toMatchObject({ message: expect.stringContaining('kaboom'), pointer: '/steps/0/branches/1/0' });
+  });
+});
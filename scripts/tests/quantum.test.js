@@ -0,0 +1,116 @@
+const { simulate, describeCircuit, measure, StateVector, WorkBudget, MAX_SHOTS } = require('../../runtime/quantum');
+const { runAlgorithm } = require('../../runtime/quantumAlgorithms');
+const { createRandom } = require('../../runtime/random');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { workflow } = require('./helpers/workflow');
+
+const bell = { qubits: 2, gates: [{ gate: 'H', target: [0] }, { gate: 'CNOT', target: [0, 1] }] };
+
+describe('state-vector simulator', () => {
+  test('entangles qubits and samples measurements from the distribution', () => {
+    expect(describeCircuit(simulate(bell), bell).probabilities).toEqual({ '00': 0.5, '11': 0.5 });
+    const random = createRandom(42);
+    const counts = {};
+    for (let i = 0; i < 1000; i++) {
+      const { bitstring } = measure(simulate(bell), [0, 1], random);
+      counts[bitstring] = (counts[bitstring] || 0) + 1;
+    }
+    expect(Object.keys(counts).sort()).toEqual(['00', '11']);
+    expect(counts['00']).toBeGreaterThan(400);
+    expect(counts['11']).toBeGreaterThan(400);
+  });
+
+  test('applies multi-qubit and rotation gates', () => {
+    const circuit = {
+      qubits: 3,
+      gates: [
+        { gate: 'X', target: [0, 1] },
+        { gate: 'TOFFOLI', target: [0, 1, 2] },
+        { gate: 'SWAP', target: [0, 2] },
+        { gate: 'RX', target: [1], parameters: { theta: Math.PI } },
+        { gate: 'RZ', target: [1], parameters: { theta: 1 } },
+        { gate: 'S', target: [1] },
+        { gate: 'T', target: [1] },
+        { gate: 'Y', target: [1] },
+        { gate: 'Z', target: [0] }
+      ]
+    };
+    expect(describeCircuit(simulate(circuit), circuit).probabilities).toEqual({ '111': 1 });
+  });
+
+  test('rejects malformed gates and oversized registers', () => {
+    expect(() => simulate({ qubits: 2, gates: [{ gate: 'CNOT', target: [0] }] })).toThrow('Gate 0 (CNOT): CNOT needs one control qubit');
+    expect(() => simulate({ qubits: 2, gates: [{ gate: 'RX', target: [0] }] })).toThrow('Gate 0 (RX): RX needs a numeric parameters.theta');
+    expect(() => simulate({ qubits: 2, gates: [{ gate: 'H', target: [2] }] })).toThrow('Qubit 2 is out of range for a 2-qubit register');
+    expect(() => simulate({ qubits: 30, gates: [] })).toThrow(expect.objectContaining({ status: 422, message: '30 qubits exceed the simulator limit of 20 (WORKFLOW_QUANTUM_MAX_QUBITS)' }));
+  });
+
+  test('state vectors sharing a budget draw from the same total', () => {
+    const state = new StateVector(4, new WorkBudget(40));
+    state.clone();
+    expect(() => state.clone()).toThrow('Simulation exceeds the limit of 40 amplitude operations (WORKFLOW_QUANTUM_MAX_OPERATIONS)');
+  });
+});
+
+describe('quantum algorithms', () => {
+  test('the QFT matches the discrete Fourier transform', () => {
+    const N = 8;
+    for (const x of [1, 5]) {
+      const { amplitudes } = runAlgorithm('qft', { qubits: 3, input: x });
+      amplitudes.forEach(([re, im], y) => {
+        expect(re).toBeCloseTo(Math.cos((2 * Math.PI * x * y) / N) / Math.sqrt(N), 9);
+        expect(im).toBeCloseTo(Math.sin((2 * Math.PI * x * y) / N) / Math.sqrt(N), 9);
+      });
+    }
+  });
+
+  test('Grover finds the marked state', () => {
+    expect(runAlgorithm('grover', { qubits: 5, marked: 6, shots: 20 }, createRandom(1))).toMatchObject({ iterations: 4, result: 6, bitstring: '01100', counts: { '01100': 20 } });
+    expect(() => runAlgorithm('grover', { qubits: 3, marked: 9 })).toThrow('parameters.marked must be integers between 0 and 7');
+    expect(() => runAlgorithm('grover', { qubits: 3, marked: 1, shots: MAX_SHOTS + 1 })).toThrow(`parameters.shots must be at most ${MAX_SHOTS}`);
+  });
+
+  test('Shor factors small composites by order finding', () => {
+    expect(runAlgorithm('shor', { N: 15 }, createRandom(7))).toMatchObject({ factors: [3, 5], method: 'quantum', order: 4 });
+    expect(runAlgorithm('shor', { N: 21 }, createRandom(7))).toMatchObject({ factors: [3, 7] });
+    expect(() => runAlgorithm('shor', { N: 13 }, createRandom(7))).toThrow(expect.objectContaining({ status: 422, message: 'parameters.N must be composite; 13 is prime' }));
+  });
+
+  test('VQE and QAOA converge on small problems', () => {
+    const vqe = runAlgorithm('vqe', { hamiltonian: [{ coefficient: 1, pauli: 'ZI' }, { coefficient: 1, pauli: 'IZ' }, { coefficient: 0.5, pauli: 'XX' }] }, createRandom(5));
+    expect(vqe.converged).toBe(true);
+    expect(vqe.energy).toBeCloseTo(-Math.sqrt(4.25), 2);
+    const qaoa = runAlgorithm('qaoa', { edges: [[0, 1], [1, 2], [2, 3], [3, 0]], shots: 50 }, createRandom(9));
+    expect(qaoa).toMatchObject({ qubits: 4, value: 4 });
+    expect(qaoa.partition.map(side => side.sort())).toEqual(expect.arrayContaining([[0, 2], [1, 3]]));
+  });
+
+  test('rejects unknown algorithms', () => {
+    expect(() => runAlgorithm('annealing', {})).toThrow(expect.objectContaining({ status: 422, message: 'Unknown quantum algorithm: annealing' }));
+  });
+});
+
+describe('quantum steps', () => {
+  const steps = [
+    { id: 'c', type: 'quantum_circuit', qubits: 3, gates: [{ gate: 'H', target: [0, 1, 2] }], target: 'circuit' },
+    { id: 'm', type: 'quantum_measure', circuit: { get: 'circuit' }, qubits: [0, 1, 2], target: 'm' },
+    { id: 'g', type: 'quantum_algorithm', algorithm: 'grover', parameters: { qubits: 3, marked: [5], shots: 10 }, target: 'g' },
+    { id: 'total', type: 'set', target: 'total', value: { get: 'g.result' } },
+    { id: 'log', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'm.bitstring' } } } }
+  ];
+  const runtime = new WorkflowRuntime();
+
+  test('measurements are reproducible for a run seed', async () => {
+    const first = await runtime.run(workflow(steps), { seed: 123 });
+    const second = await runtime.run(workflow(steps), { seed: 123 });
+    expect(first.outputs.total).toBe(5);
+    expect(first.outputs.log[0]).toMatch(/^[01]{3}$/);
+    expect(second.outputs).toEqual(first.outputs);
+    expect(second.seed).toBe(123);
+  });
+
+  test('reject circuits that are not quantum_circuit results', async () => {
+    await expect(runtime.run(workflow([{ id: 'm', type: 'quantum_measure', circuit: { value: 1 }, qubits: [0], target: 'x' }])))
+      .rejects.toMatchObject({ status: 422, message: expect.stringContaining('quantum_measure circuit must be a quantum_circuit result') });
+  });
+});
@@ -0,0 +1,99 @@
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { retry, withTimeout, parseDuration } = require('../../runtime/retry');
+const { workflow } = require('./helpers/workflow');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('retry helpers', () => {
+  test('parseDuration reads s, m, h and d', () => {
+    expect(parseDuration('2s')).toBe(2000);
+    expect(parseDuration('1h')).toBe(3600000);
+    expect(() => parseDuration('5 minutes')).toThrow('Invalid duration: 5 minutes');
+  });
+
+  test('retry stops after the last retry and reports the attempts', async () => {
+    const fn = jest.fn(async () => { throw new Error('nope'); });
+    await expect(retry(fn, { retries: 2, backoffMs: 1 })).rejects.toMatchObject({ message: 'nope', attempts: 3 });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('withTimeout aborts the attempt and waits for it to stop', async () => {
+    let stopped = false;
+    const work = (signal) => new Promise(resolve => signal.addEventListener('abort', () => sleep(20).then(() => {
+      stopped = true;
+      resolve();
+    })));
+    await expect(withTimeout(work, 10)).rejects.toMatchObject({ status: 504, timedOut: true });
+    expect(stopped).toBe(true);
+  });
+
+  test('withTimeout abandons an attempt that ignores the abort signal', async () => {
+    const started = Date.now();
+    await expect(withTimeout(() => new Promise(() => {}), 10, undefined, 20)).rejects.toMatchObject({ timedOut: true });
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
+
+describe('step timeouts, retries and on_error', () => {
+  let calls;
+  let runtime;
+
+  beforeEach(() => {
+    calls = 0;
+    runtime = new WorkflowRuntime({
+      retryBackoffMs: 1,
+      functions: {
+        flaky: async () => {
+          calls++;
+          if (calls < 3) throw new Error(`nope ${calls}`);
+          return calls;
+        },
+        hang: () => new Promise(() => {}),
+        listen: (args, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+      }
+    });
+  });
+
+  test('action retry records every attempt in the trace', async () => {
+    const result = await runtime.run(workflow([
+      { id: 'f', type: 'call', function: 'flaky', args: {}, target: 'total', timeout: { duration: '1s', action: 'retry', max_retries: 3 } }
+    ]));
+    expect(result.outputs.total).toBe(3);
+    expect(result.trace[0].attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed', 'completed']);
+  });
+
+  test('action skip moves on after the timeout even if the function never settles', async () => {
+    const started = Date.now();
+    const result = await runtime.run(workflow([
+      { id: 'h', type: 'call', function: 'hang', args: {}, target: 'total', timeout: { duration: '1s', action: 'skip' } },
+      { id: 's', type: 'set', target: 'log', value: { value: [] } }
+    ]));
+    expect(result.trace.map(entry => `${entry.step}:${entry.status}`)).toEqual(['h:skipped', 's:completed']);
+    expect(Date.now() - started).toBeLessThan(1500);
+  });
+
+  test('called functions receive the abort signal', async () => {
+    const run = runtime.run(workflow([{ id: 'l', type: 'call', function: 'listen', args: {}, target: 'total', timeout: { duration: '1s' } }]));
+    await expect(run).rejects.toMatchObject({ status: 504 });
+  });
+
+  test('the default action fails the run with 504', async () => {
+    const run = runtime.run(workflow([{ id: 'h', type: 'call', function: 'hang', args: {}, target: 'total', timeout: { duration: '1s' } }]));
+    await expect(run).rejects.toMatchObject({ status: 504, message: 'Timed out after 1000ms' });
+  });
+
+  test('on_error runs an inline body or jumps to a step', async () => {
+    let result = await runtime.run(workflow([
+      { id: 'a', type: 'assert', condition: { value: false }, message: 'x', on_error: { body: [{ id: 'b', type: 'set', target: 'total', value: { value: 7 } }] } }
+    ]));
+    expect(result.outputs.total).toBe(7);
+    expect(result.trace.map(entry => `${entry.step}:${entry.status}`)).toEqual(['a:recovered', 'b:completed']);
+
+    result = await runtime.run(workflow([
+      { id: 'a', type: 'assert', condition: { value: false }, message: 'x', on_error: { step_id: 'h' } },
+      { id: 'r', type: 'return', value: { value: {} } },
+      { id: 'h', type: 'set', target: 'total', value: { value: 42 } }
+    ]));
+    expect(result.outputs.total).toBe(42);
+  });
+});
@@ -0,0 +1,98 @@
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const ScriptSandbox = require('../../runtime/scriptSandbox');
+const { workflow } = require('./helpers/workflow');
+
+// Each script starts a worker thread
+jest.setTimeout(20000);
+
+// A WASM module importing env.log and env.write, with one memory page holding "hi" and
+// `run(a, b)` that logs a, writes "hi" and returns a + b
+const section = (id, body) => [id, body.length, ...body];
+const name = text => [text.length, ...Buffer.from(text)];
+const wasm = (maxPages) => {
+  const body = [0, 0x20, 0, 0x10, 0, 0x41, 0, 0x41, 2, 0x10, 1, 0x20, 0, 0x20, 1, 0x6a, 0x0b];
+  return Buffer.from([
+    0, 0x61, 0x73, 0x6d, 1, 0, 0, 0,
+    ...section(1, [3, 0x60, 1, 0x7f, 0, 0x60, 2, 0x7f, 0x7f, 1, 0x7f, 0x60, 2, 0x7f, 0x7f, 0]),
+    ...section(2, [2, ...name('env'), ...name('log'), 0, 0, ...name('env'), ...name('write'), 0, 2]),
+    ...section(3, [1, 1]),
+    ...section(5, maxPages === undefined ? [1, 0, 1] : [1, 1, 1, maxPages]),
+    ...section(7, [2, ...name('memory'), 2, 0, ...name('run'), 0, 2]),
+    ...section(10, [1, body.length, ...body]),
+    ...section(11, [1, 0, 0x41, 0, 0x0b, ...name('hi')])
+  ]).toString('base64');
+};
+
+const js = (script, extra = {}) => ({
+  id: 's',
+  type: 'script',
+  language: 'javascript',
+  script,
+  target: 'out',
+  sandbox: { max_execution_time: 500, max_memory: 16384 },
+  inputs: { n: { get: 'n' } },
+  ...extra
+});
+
+describe('script steps', () => {
+  const runtime = new WorkflowRuntime();
+  const run = (steps, options) => runtime.run(workflow(steps), options);
+
+  test('return the script result with its console output', async () => {
+    const result = await run([
+      js("console.log('n is', inputs.n, { a: 1 }); console.error('careful'); return inputs.n * 2;"),
+      { id: 't', type: 'set', target: 'total', value: { get: 'out.result' } }
+    ], { inputs: { n: 5 } });
+    expect(result.outputs.total).toBe(10);
+    const outcome = await new ScriptSandbox().run({ language: 'javascript', script: "console.log('n is', inputs.n, { a: 1 }); console.error('careful'); return { n: inputs.n };", inputs: { n: 5 }, timeoutMs: 500, memoryKB: 8192 });
+    expect(outcome).toMatchObject({ result: { n: 5 }, stdout: 'n is 5 {"a":1}', stderr: 'careful' });
+  });
+
+  test('run WASM modules with only the log and write imports', async () => {
+    const sandbox = new ScriptSandbox();
+    const outcome = await sandbox.run({ language: 'wasm', script: wasm(2), inputs: { a: 3, b: 4 }, timeoutMs: 500, memoryKB: 1024 });
+    expect(outcome).toMatchObject({ result: 7, stdout: '3\nhi' });
+    await expect(sandbox.run({ language: 'wasm', script: wasm(), inputs: {}, timeoutMs: 500, memoryKB: 1024 }))
+      .rejects.toThrow('WASM memory must declare a maximum of at most 16 pages (1024 KB)');
+  });
+
+  test('scripts cannot reach the host', async () => {
+    await expect(run([js("return this.constructor.constructor('return process')().env")])).rejects.toMatchObject({
+      status: 422,
+      message: 'Script error: Code generation from strings disallowed for this context'
+    });
+    await expect(run([js("return eval('1')")])).rejects.toThrow('Code generation from strings disallowed');
+    const sandbox = new ScriptSandbox();
+    const { result } = await sandbox.run({ language: 'javascript', script: 'return [typeof require, typeof process, typeof fetch, typeof setTimeout].join()', timeoutMs: 500, memoryKB: 8192 });
+    expect(result).toBe('undefined,undefined,undefined,undefined');
+  });
+
+  test('enforce time and memory limits', async () => {
+    await expect(run([js('while (true) {}')])).rejects.toMatchObject({ status: 422, message: 'Script exceeded its execution time limit of 500ms' });
+    await expect(run([js('await null; while (true) {}')])).rejects.toThrow('Script exceeded its execution time limit of 500ms');
+    await expect(run([js('const a = []; while (true) a.push(new Array(1e5).fill(1));')])).rejects.toThrow('Script exceeded its memory limit of 16 MB');
+    await expect(run([{ ...js('while (true) {}', { sandbox: { max_execution_time: 5000, max_memory: 2048 } }), resource_estimates: { cpu: 0.2 } }]))
+      .rejects.toThrow('Script exceeded its execution time limit of 200ms');
+  });
+
+  test('report script errors with the output captured before them', async () => {
+    const sandbox = new ScriptSandbox();
+    await expect(sandbox.run({ language: 'javascript', script: "console.log('before'); throw new Error('bad')", timeoutMs: 500, memoryKB: 8192 }))
+      .rejects.toMatchObject({ status: 422, message: 'Script error: bad', stdout: 'before' });
+  });
+
+  test('reject unsupported languages and modules, and honour a disabled sandbox', async () => {
+    await expect(run([js('1', { language: 'python' })])).rejects.toThrow('Unsupported script language: python; the sandbox runs javascript and wasm');
+    await expect(run([js('1', { sandbox: { max_execution_time: 10, max_memory: 2048, allowed_modules: ['lodash'] } })]))
+      .rejects.toThrow('Modules not available in the javascript sandbox: lodash');
+    const disabled = new WorkflowRuntime({ sandbox: new ScriptSandbox({ sandbox: false }) });
+    await expect(disabled.run(workflow([js('1')]))).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('limits take the lowest of the step, the resource estimates and the executor cap', () => {
+    const sandbox = new ScriptSandbox({ maxMemoryMB: 4 });
+    const step = js('1', { sandbox: { max_execution_time: 1000, max_memory: 8192 } });
+    expect(sandbox.limits(step)).toEqual({ timeoutMs: 1000, memoryKB: 4096 });
+    expect(sandbox.limits(step, { resource_estimates: { cpu: 0.5, memory: 2 } })).toEqual({ timeoutMs: 500, memoryKB: 2048 });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecretStore, EnvSecretProvider, FileVaultSecretProvider, redact, MIN_SECRET_LENGTH } = require('../../runtime/secrets');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const logger = require('../../config/logger');
+const { workflow } = require('./helpers/workflow');
+
+const env = { API_TOKEN: 'sk-super-secret-123', SHORT: 'a' };
+const secretStore = () => new SecretStore({ providers: { env: new EnvSecretProvider({ env }) } });
+
+describe('SecretStore', () => {
+  test('resolves declared secrets through the provider of their source', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+    try {
+      const file = path.join(dir, 'vault.json');
+      fs.writeFileSync(file, JSON.stringify({ 'kv/signing': 'vault-value-1' }));
+      const store = new SecretStore({ providers: { env: new EnvSecretProvider({ env }), vault: new FileVaultSecretProvider({ file }) } });
+      const secrets = await store.resolve([{ name: 'api', source: 'env', key_id: 'API_TOKEN' }, { name: 'signing', source: 'vault', key_id: 'kv/signing' }]);
+      expect(secrets).toEqual({ api: 'sk-super-secret-123', signing: 'vault-value-1' });
+      expect(Object.isFrozen(secrets)).toBe(true);
+      store.release(secrets);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('fails for unknown sources and missing values', async () => {
+    await expect(secretStore().resolve([{ name: 'k', source: 'kms' }])).rejects.toMatchObject({ status: 500, message: 'No secret provider configured for source: kms' });
+    await expect(secretStore().resolve([{ name: 'k', source: 'env', key_id: 'UNSET' }])).rejects.toMatchObject({ status: 500, message: 'Secret not found: k (env:UNSET)' });
+  });
+
+  test('masks a run\'s secrets, but never values shorter than the minimum', async () => {
+    const store = secretStore();
+    const secrets = await store.resolve([{ name: 'api', source: 'env', key_id: 'API_TOKEN' }, { name: 'short', source: 'env', key_id: 'SHORT' }]);
+    expect(MIN_SECRET_LENGTH).toBe(4);
+    expect(redact({ note: ['a banana sk-super-secret-123'] }, secrets)).toEqual({ note: ['a banana [REDACTED]'] });
+    store.release(secrets);
+  });
+
+  test('logs are masked only while a run holding the secret is live', async () => {
+    const store = secretStore();
+    const first = await store.resolve([{ name: 'api', source: 'env', key_id: 'API_TOKEN' }]);
+    const second = await store.resolve([{ name: 'api', source: 'env', key_id: 'API_TOKEN' }]);
+    store.release(first);
+    expect(redact('token sk-super-secret-123')).toBe('token [REDACTED]');
+    expect(logger.format.transform({ level: 'info', message: 'token sk-super-secret-123' }).message).toBe('token [REDACTED]');
+    store.release(second);
+    expect(redact('token sk-super-secret-123')).toBe('token sk-super-secret-123');
+  });
+});
+
+describe('secrets in workflow runs', () => {
+  const declared = { secrets: [{ name: 'api', source: 'env', key_id: 'API_TOKEN' }] };
+
+  test('expressions read secrets, and results and events are redacted', async () => {
+    const runtime = new WorkflowRuntime({ secrets: secretStore() });
+    const events = [];
+    runtime.on('event', event => events.push(event));
+    const result = await runtime.run(workflow([
+      { id: 's', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'secrets.api' } } } },
+      { id: 'e', type: 'event', name: 'leak', params: { v: { concat: ['token=', { get: 'secrets.api' }] } } }
+    ], declared));
+    expect(result.outputs.log).toEqual(['[REDACTED]']);
+    expect(events[0].params).toEqual({ v: 'token=[REDACTED]' });
+    expect(JSON.stringify(result)).not.toContain('sk-super-secret-123');
+  });
+
+  test('failures are redacted too', async () => {
+    const runtime = new WorkflowRuntime({ secrets: secretStore() });
+    const run = runtime.run(workflow([
+      { id: 'a', type: 'assert', condition: { value: false }, message: 'sk-super-secret-123' }
+    ], declared));
+    await expect(run).rejects.toMatchObject({ message: 'Assertion failed: [REDACTED]' });
+  });
+});
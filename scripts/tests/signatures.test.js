@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { sign, verify } = require('../../runtime/signatures');
+const { SecretStore, EnvSecretProvider } = require('../../runtime/secrets');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { constructor: IdentityController } = require('../../controllers/identityController');
+const { workflow } = require('./helpers/workflow');
+
+// The personal_sign example from the web3.js documentation
+const ETH_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ETH_ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+const ETH_SIGNATURE = '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c';
+
+const randomKey = () => `0x${crypto.randomBytes(32).toString('hex')}`;
+
+describe('signatures', () => {
+  test('secp256k1 signs like Ethereum personal_sign and verifies against an address', () => {
+    const signed = sign('secp256k1', 'Some data', ETH_KEY);
+    expect(signed).toMatchObject({ signature: ETH_SIGNATURE, address: ETH_ADDRESS.toLowerCase() });
+    expect(verify('secp256k1', 'Some data', ETH_SIGNATURE, ETH_ADDRESS)).toEqual({ valid: true, address: ETH_ADDRESS.toLowerCase() });
+    expect(verify('secp256k1', 'Other data', ETH_SIGNATURE, ETH_ADDRESS).valid).toBe(false);
+    expect(verify('secp256k1', 'Some data', ETH_SIGNATURE.slice(0, 130), signed.publicKey).valid).toBe(true);
+    expect(() => verify('secp256k1', 'x', `0x${'11'.repeat(64)}`, ETH_ADDRESS)).toThrow('needs a 65-byte signature with its recovery byte');
+  });
+
+  test.each(['ed25519', 'ecdsa', 'schnorr'])('%s signs canonical JSON and rejects other data', (algorithm) => {
+    const { signature, publicKey } = sign(algorithm, { b: 1, a: [2] }, randomKey());
+    expect(verify(algorithm, { a: [2], b: 1 }, signature, publicKey).valid).toBe(true);
+    expect(verify(algorithm, { a: [3], b: 1 }, signature, publicKey).valid).toBe(false);
+    expect(verify(algorithm, 'x', 'zz', publicKey).valid).toBe(false);
+  });
+
+  test('accepts PEM keys and interoperates with node:crypto', () => {
+    const ed = crypto.generateKeyPairSync('ed25519');
+    const edSigned = sign('ed25519', 'hello', ed.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    expect(verify('ed25519', 'hello', edSigned.signature, ed.publicKey.export({ type: 'spki', format: 'pem' })).valid).toBe(true);
+    expect(crypto.verify(null, Buffer.from('hello'), ed.publicKey, Buffer.from(edSigned.signature.slice(2), 'hex'))).toBe(true);
+
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const der = crypto.sign('sha256', Buffer.from('hello'), ec.privateKey).toString('hex');
+    expect(verify('ecdsa', 'hello', der, ec.publicKey.export({ type: 'spki', format: 'pem' })).valid).toBe(true);
+
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const rsaSigned = sign('rsa', 'hello', rsa.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    expect(verify('rsa', 'hello', rsaSigned.signature, rsaSigned.publicKey).valid).toBe(true);
+    expect(verify('rsa', 'hellx', rsaSigned.signature, rsaSigned.publicKey).valid).toBe(false);
+  });
+
+  test('malformed keys and unknown algorithms are errors', () => {
+    expect(() => sign('rsa', 'x', '0x11')).toThrow(expect.objectContaining({ status: 422, message: 'rsa keys must be PEM' }));
+    expect(() => verify('ed25519', 'x', '0x00', 'nothex')).toThrow('key must be a hex string');
+    expect(() => verify('dsa', 'x', '0x00', 'x')).toThrow('Unsupported signature algorithm: dsa; use one of ed25519, secp256k1, ecdsa, schnorr, rsa');
+    expect(() => sign('ed25519', 'x', '0x1234')).toThrow(expect.objectContaining({ status: 422, message: expect.stringContaining('Cannot sign with ed25519') }));
+  });
+});
+
+describe('crypto steps', () => {
+  const secrets = new SecretStore({ providers: { env: new EnvSecretProvider({ env: { SIGNING_KEY: ETH_KEY } }) } });
+  const runtime = new WorkflowRuntime({ secrets });
+
+  test('sign with a declared secret and verify the result', async () => {
+    const steps = [
+      { id: 's', type: 'crypto_sign', algorithm: 'secp256k1', data: { value: 'Some data' }, key: { get: 'secrets.signer' }, target: 'signed' },
+      { id: 'v', type: 'crypto_verify', algorithm: 'secp256k1', data: { value: 'Some data' }, signature: { get: 'signed.signature' }, key: { get: 'signed.address' }, target: 'checked' },
+      { id: 'out', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'checked.valid' } } } }
+    ];
+    const result = await runtime.run(workflow(steps, { secrets: [{ name: 'signer', source: 'env', key_id: 'SIGNING_KEY' }] }), { context: {} });
+    expect(result.outputs.log).toEqual([true]);
+  });
+
+  test('refuse signing keys written into the document', async () => {
+    const inline = workflow([{ id: 's', type: 'crypto_sign', algorithm: 'ed25519', data: { value: 'x' }, key: { value: ETH_KEY }, target: 'signed' }]);
+    await expect(runtime.run(inline)).rejects.toMatchObject({ status: 422, message: expect.stringContaining('crypto_sign key must be a declared secret') });
+  });
+});
+
+describe('challenge-based identities', () => {
+  let identities;
+  beforeEach(() => {
+    identities = new IdentityController();
+  });
+
+  test('authenticate by signing a one-time challenge', async () => {
+    const key = randomKey();
+    await identities.register({ username: 'ann', publicKey: sign('ed25519', 'x', key).publicKey });
+    await expect(identities.register({ username: 'ann', publicKey: sign('ed25519', 'x', key).publicKey })).rejects.toMatchObject({ status: 409 });
+
+    const { challenge } = await identities.challenge({ username: 'ann' });
+    const { signature } = sign('ed25519', challenge, key);
+    await expect(identities.authenticate({ username: 'ann', signature })).resolves.toMatchObject({ username: 'ann', authenticated: true });
+    await expect(identities.authenticate({ username: 'ann', signature })).rejects.toMatchObject({ status: 401, message: 'No valid challenge; request one from /identity/challenge' });
+  });
+
+  test('secp256k1 identities may register an address', async () => {
+    await identities.register({ username: 'eth', publicKey: ETH_ADDRESS, algorithm: 'secp256k1' });
+    const { challenge } = await identities.challenge({ username: 'eth' });
+    await expect(identities.authenticate({ username: 'eth', signature: sign('secp256k1', challenge, ETH_KEY).signature }))
+      .resolves.toMatchObject({ authenticated: true, address: ETH_ADDRESS.toLowerCase() });
+
+    await identities.challenge({ username: 'eth' });
+    await expect(identities.authenticate({ username: 'eth', signature: sign('secp256k1', 'wrong', ETH_KEY).signature }))
+      .rejects.toMatchObject({ status: 401, message: 'Signature verification failed' });
+  });
+
+  test('challenges belong to the caller who requested them', async () => {
+    const key = randomKey();
+    await identities.register({ username: 'ann', publicKey: sign('ed25519', 'x', key).publicKey });
+    const ann = { sub: 'ann' };
+    const mallory = { sub: 'mallory' };
+
+    const { challenge } = await identities.challenge({ username: 'ann' }, ann);
+    await identities.challenge({ username: 'ann' }, mallory);
+    const { signature } = sign('ed25519', challenge, key);
+    await expect(identities.authenticate({ username: 'ann', signature }, mallory)).rejects.toMatchObject({ status: 401, message: 'Signature verification failed' });
+    await expect(identities.authenticate({ username: 'ann', signature }, ann)).resolves.toMatchObject({ authenticated: true });
+  });
+
+  test('rejects invalid keys and unknown users', async () => {
+    await expect(identities.register({ username: 'bad', publicKey: '0x1234', algorithm: 'ecdsa' })).rejects.toMatchObject({ status: 422 });
+    const { publicKey: ed25519Pem } = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' } });
+    await expect(identities.register({ username: 'bad', publicKey: ed25519Pem, algorithm: 'rsa' }))
+      .rejects.toMatchObject({ status: 422, message: 'Invalid rsa public key: key type is ed25519' });
+    await expect(identities.challenge({ username: 'nobody' })).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,152 @@
+const { useDataDir } = require('./helpers/dataDir');
+
+useDataDir('debugger');
+
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const WorkflowDebugger = require('../../runtime/workflowDebugger');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { SecretStore, EnvSecretProvider } = require('../../runtime/secrets');
+const { constructor: WorkflowController } = require('../../controllers/workflowController');
+const attachWorkflowDebugSocket = require('../../routes/workflowDebugSocket');
+const { workflow } = require('./helpers/workflow');
+const { token, listen, connect, nextMessage } = require('./helpers/socket');
+
+const RUN_ID = '22222222-2222-4222-8222-222222222222';
+
+// Resolves with the presented stop once the run waits in the debugger
+const nextStop = (workflowDebugger, runId) => new Promise((resolve) => {
+  const check = () => {
+    const session = workflowDebugger.describe(runId);
+    if (session.paused) resolve(session.paused);
+    else setTimeout(check, 5);
+  };
+  check();
+});
+
+const branching = workflow([
+  { id: 'a', type: 'set', target: 'total', value: { value: 1 } },
+  { id: 'b', type: 'if', condition: { value: true }, then: [{ id: 'c', type: 'set', target: 'total', value: { value: 2 } }] },
+  { id: 'd', type: 'set', target: 'total', value: { add: [{ get: 'total' }, 1] } }
+]);
+
+describe('WorkflowDebugger', () => {
+  let workflowDebugger;
+  let runtime;
+  beforeEach(() => {
+    workflowDebugger = new WorkflowDebugger();
+    runtime = new WorkflowRuntime({ workflowDebugger });
+  });
+
+  test('stops at breakpoints and steps over blocks', async () => {
+    workflowDebugger.attach(RUN_ID, { breakpoints: ['b'] });
+    const run = runtime.run(branching, { id: RUN_ID });
+
+    expect(await nextStop(workflowDebugger, RUN_ID)).toMatchObject({ reason: 'breakpoint', location: '/steps/1', step: { id: 'b', type: 'if' }, scope: { total: 1 } });
+    workflowDebugger.command(RUN_ID, 'stepOver');
+    expect(await nextStop(workflowDebugger, RUN_ID)).toMatchObject({ reason: 'step', location: '/steps/2', scope: { total: 2 } });
+    workflowDebugger.command(RUN_ID, 'continue');
+    await expect(run).resolves.toMatchObject({ outputs: { total: 3 } });
+    expect(() => workflowDebugger.describe(RUN_ID)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('steps into and out of blocks', async () => {
+    workflowDebugger.attach(RUN_ID, { stopOnEntry: true });
+    const run = runtime.run(branching, { id: RUN_ID });
+
+    expect((await nextStop(workflowDebugger, RUN_ID)).location).toBe('/steps/0');
+    workflowDebugger.command(RUN_ID, 'stepInto');
+    expect((await nextStop(workflowDebugger, RUN_ID)).location).toBe('/steps/1');
+    workflowDebugger.command(RUN_ID, 'stepInto');
+    expect((await nextStop(workflowDebugger, RUN_ID)).location).toBe('/steps/1/then/0');
+    workflowDebugger.command(RUN_ID, 'stepOut');
+    expect((await nextStop(workflowDebugger, RUN_ID)).location).toBe('/steps/2');
+    workflowDebugger.command(RUN_ID, 'continue');
+    await run;
+  });
+
+  test('evaluates watches and expressions without exposing secrets', async () => {
+    const secrets = new SecretStore({ providers: { env: new EnvSecretProvider({ env: { TOKEN: 'tok-secret-value' } }) } });
+    runtime = new WorkflowRuntime({ workflowDebugger, secrets });
+    const leaky = workflow([
+      { id: 'copy', type: 'set', target: 'log', value: { map: { collection: { value: [0] }, operation: { get: 'secrets.token' } } } },
+      { id: 'end', type: 'set', target: 'total', value: { value: 1 } }
+    ], { secrets: [{ name: 'token', source: 'env', key_id: 'TOKEN' }] });
+    workflowDebugger.attach(RUN_ID, { breakpoints: ['end'], watches: ['n', { add: [{ get: 'n' }, 1] }, { get: 'missing.path' }] });
+    const run = runtime.run(leaky, { id: RUN_ID, context: {} });
+
+    const stop = await nextStop(workflowDebugger, RUN_ID);
+    expect(stop.scope.log).toEqual(['[REDACTED]']);
+    expect(stop.watches.slice(0, 2)).toEqual([{ expr: 'n', value: 3 }, { expr: { add: [{ get: 'n' }, 1] }, value: 4 }]);
+    expect(workflowDebugger.evaluate(RUN_ID, 'log')).toEqual({ value: ['[REDACTED]'] });
+    expect(JSON.stringify(workflowDebugger.describe(RUN_ID))).not.toContain('tok-secret-value');
+    workflowDebugger.command(RUN_ID, 'continue');
+    await run;
+  });
+
+  test('rejects unknown commands and commands while running', () => {
+    workflowDebugger.attach(RUN_ID);
+    expect(() => workflowDebugger.command(RUN_ID, 'jump')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => workflowDebugger.command(RUN_ID, 'continue')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => workflowDebugger.evaluate(RUN_ID, 'n')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(workflowDebugger.command(RUN_ID, 'pause').mode).toBe('pause');
+  });
+});
+
+describe('debug sessions in the controller', () => {
+  test('only the caller who started a run may debug it', async () => {
+    const workflowDebugger = new WorkflowDebugger();
+    const runtime = new WorkflowRuntime({ workflowDebugger });
+    const controller = new WorkflowController({ runtime, workflowDebugger, store: new WorkflowStore({ dir: null }) });
+    const alice = { sub: 'alice' };
+    const mallory = { sub: 'mallory' };
+
+    const { job, debug } = await controller.startDebugRun({ workflow: branching, stopOnEntry: true, watches: ['n'] }, alice);
+    expect(debug.mode).toBe('stepInto');
+    expect(await nextStop(workflowDebugger, job.id)).toMatchObject({ step: { id: 'a' }, watches: [{ expr: 'n', value: 3 }] });
+
+    await expect(controller.getDebugSession(job.id, mallory)).rejects.toMatchObject({ status: 403 });
+    await expect(controller.debugCommand(job.id, { command: 'continue' }, mallory)).rejects.toMatchObject({ status: 403 });
+    await expect(controller.debugCommand(job.id, { command: 'evaluate', expr: { add: [{ get: 'n' }, 1] } }, alice)).resolves.toEqual({ value: 4 });
+    await controller.debugCommand(job.id, { command: 'continue' }, alice);
+    await controller.scheduler.jobs.get(job.id).promise;
+    expect((await controller.getJob(job.id)).status).toBe('completed');
+  });
+});
+
+describe('debug socket', () => {
+  let workflowDebugger;
+  let controller;
+  let server;
+  beforeEach(async () => {
+    workflowDebugger = new WorkflowDebugger();
+    const runtime = new WorkflowRuntime({ workflowDebugger });
+    controller = new WorkflowController({ runtime, workflowDebugger, store: new WorkflowStore({ dir: null }) });
+    server = await listen(httpServer => attachWorkflowDebugSocket(httpServer, controller));
+  });
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  test('refuses upgrades without a valid token or from another user', async () => {
+    const { job } = await controller.startDebugRun({ workflow: branching, stopOnEntry: true }, { sub: 'alice' });
+    await nextStop(workflowDebugger, job.id);
+
+    await expect(connect(server, `/api/workflow/debug?runId=${job.id}`)).rejects.toMatchObject({ status: 401 });
+    await expect(connect(server, `/api/workflow/debug?runId=${job.id}&token=forged`)).rejects.toMatchObject({ status: 401 });
+    await expect(connect(server, `/api/workflow/debug?runId=${job.id}&token=${token({ sub: 'mallory' })}`)).rejects.toMatchObject({ status: 403 });
+    await expect(connect(server, `/api/workflow/debug?runId=${RUN_ID}&token=${token({ sub: 'alice' })}`)).rejects.toMatchObject({ status: 404 });
+
+    await controller.debugCommand(job.id, { command: 'continue' }, { sub: 'alice' });
+    await controller.scheduler.jobs.get(job.id).promise;
+  });
+
+  test('streams the session to the run owner and accepts commands', async () => {
+    const { job } = await controller.startDebugRun({ workflow: branching, stopOnEntry: true }, { sub: 'alice' });
+    await nextStop(workflowDebugger, job.id);
+
+    const { ws, messages } = await connect(server, `/api/workflow/debug?runId=${job.id}&token=${token({ sub: 'alice' })}`);
+    expect((await nextMessage(messages, message => message.type === 'state')).data.paused).toMatchObject({ step: { id: 'a' } });
+    ws.send(JSON.stringify({ command: 'continue' }));
+    expect(await nextMessage(messages, message => message.type === 'finished')).toMatchObject({ data: { runId: job.id } });
+    ws.close();
+    await controller.scheduler.jobs.get(job.id).promise;
+  });
+});
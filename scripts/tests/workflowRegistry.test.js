@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const WorkflowRegistry = require('../../runtime/workflowRegistry');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { contentHash } = require('../../runtime/canonicalJson');
+const { workflow } = require('./helpers/workflow');
+
+describe('WorkflowRegistry', () => {
+  let dir;
+  let registry;
+  const child = { ...workflow([{ id: 'c', type: 'set', target: 'total', value: { multiply: [{ get: 'n' }, 10] } }]), function: 'child' };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-registry-'));
+    fs.mkdirSync(path.join(dir, 'nested'));
+    fs.writeFileSync(path.join(dir, 'nested/child.json'), JSON.stringify(child));
+    fs.writeFileSync(path.join(dir, 'notes.json'), 'root:x:0:0');
+    registry = new WorkflowRegistry({ baseDir: dir, allowedDirs: [] });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('resolves references relative to the base directory', async () => {
+    const { uri, workflow: resolved } = await registry.resolve('nested/child.json');
+    expect(uri).toBe(pathToFileURL(path.join(dir, 'nested/child.json')).href);
+    expect(resolved.function).toBe('child');
+  });
+
+  test('refuses files outside its directories, including through symlinks', async () => {
+    await expect(registry.resolve('../../../../etc/passwd')).rejects.toMatchObject({ status: 403 });
+    await expect(registry.resolve('file:///etc/passwd')).rejects.toMatchObject({ status: 403 });
+    fs.symlinkSync('/etc/passwd', path.join(dir, 'link.json'));
+    await expect(registry.resolve('link.json')).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('does not quote files that are not JSON, and reports missing ones', async () => {
+    const error = await registry.resolve('notes.json').catch(e => e);
+    expect(error).toMatchObject({ status: 400, message: `Sub-workflow is not a JSON document: ${pathToFileURL(path.join(dir, 'notes.json')).href}` });
+    expect(error.message).not.toContain('root:x');
+    await expect(registry.resolve('missing.json')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('uses resolvers registered per protocol and caps its cache', async () => {
+    const small = new WorkflowRegistry({ baseDir: dir, maxCached: 1 });
+    small.registerResolver('https:', async () => child);
+    await small.resolve('https://example.test/a.json');
+    await small.resolve('https://example.test/b.json');
+    expect([...small.cache.keys()]).toEqual(['https://example.test/b.json']);
+    await expect(small.resolve('ipfs://abc')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('verifies the caller\'s pinned dependency hash and version', async () => {
+    const caller = (hash, version = '1.0.0') => ({ metadata: { dependencies: { child: { version, type: 'library', hash } } } });
+    await expect(registry.resolve('nested/child.json', { caller: caller(contentHash(child)) })).resolves.toBeDefined();
+    await expect(registry.resolve('nested/child.json', { caller: caller('a'.repeat(64)) })).rejects.toMatchObject({ status: 409 });
+    await expect(registry.resolve('nested/child.json', { caller: caller(contentHash(child), '2.0.0') })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('call_workflow runs the sub-workflow and detects cycles', async () => {
+    const runtime = new WorkflowRuntime({ registry });
+    const source = pathToFileURL(path.join(dir, 'parent.json')).href;
+    const parent = workflow([
+      { id: 'cw', type: 'call_workflow', workflow: 'nested/child.json', args: { n: { get: 'n' } }, target: 'sub' },
+      { id: 's', type: 'set', target: 'total', value: { get: 'sub.total' } }
+    ], { subworkflows: ['nested/child.json'] });
+    const result = await runtime.run(parent, { inputs: { n: 2 }, source });
+    expect(result.outputs.total).toBe(20);
+
+    const looping = workflow([{ id: 'l', type: 'call_workflow', workflow: 'loop.json', args: {}, target: 'x' }]);
+    fs.writeFileSync(path.join(dir, 'loop.json'), JSON.stringify(looping));
+    await expect(runtime.run(looping, { source: pathToFileURL(path.join(dir, 'loop.json')).href }))
+      .rejects.toThrow('Sub-workflow cycle detected');
+  });
+});
@@ -0,0 +1,65 @@
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { setPath } = require('../../runtime/expressions');
+const { workflow } = require('./helpers/workflow');
+
+describe('WorkflowRuntime', () => {
+  const validateWorkflow = workflowDocument => new WorkflowRuntime().validateWorkflow(workflowDocument);
+
+  test('executes set, while, call, try/catch/finally and return', async () => {
+    const runtime = new WorkflowRuntime({ functions: { double: ({ x }) => x * 2 } });
+    const result = await runtime.run(workflow([
+      { id: 'total', type: 'set', target: 'total', value: { value: 0 } },
+      { id: 'i', type: 'set', target: 'i', value: { value: 0 } },
+      {
+        id: 'loop',
+        type: 'while',
+        condition: { compare: { left: { get: 'i' }, op: '<', right: { get: 'n' } } },
+        body: [
+          { id: 'inc', type: 'set', target: 'i', value: { add: [{ get: 'i' }, 1] } },
+          { id: 'sum', type: 'set', target: 'total', value: { add: [{ get: 'total' }, { get: 'i' }] } }
+        ]
+      },
+      { id: 'double', type: 'call', function: 'double', args: { x: { get: 'total' } }, target: 'total' },
+      {
+        id: 'guard',
+        type: 'try',
+        body: [{ id: 'fail', type: 'assert', condition: { value: false }, message: 'boom' }],
+        catch: { error_var: 'err', body: [{ id: 'caught', type: 'set', target: 'log', value: { value: ['caught'] } }] },
+        finally: [{ id: 'done', type: 'return', value: { value: { log: ['done'] } } }]
+      },
+      { id: 'skipped', type: 'set', target: 'total', value: { value: -1 } }
+    ]), { inputs: { n: 4 } });
+
+    expect(result.status).toBe('completed');
+    expect(result.outputs).toEqual({ total: 20, log: ['done'] });
+    expect(result.trace.map(entry => entry.step)).not.toContain('skipped');
+  });
+
+  test('stops a while loop at max_iterations with the step pointer', async () => {
+    const runtime = new WorkflowRuntime();
+    const run = runtime.run(workflow([
+      { id: 'spin', type: 'while', max_iterations: 2, condition: { value: true }, body: [{ id: 'x', type: 'set', target: 'x', value: { value: 1 } }] }
+    ]));
+    await expect(run).rejects.toMatchObject({ status: 422, pointer: '/steps/0', message: expect.stringContaining('max_iterations (2)') });
+  });
+
+  test('rejects missing inputs and unknown functions', async () => {
+    const runtime = new WorkflowRuntime();
+    const withRequiredInput = workflow([{ id: 's', type: 'set', target: 'x', value: { value: 1 } }], { schema: { inputs: { name: { type: 'string' } }, context: {}, outputs: {} } });
+    await expect(runtime.run(withRequiredInput)).rejects.toMatchObject({ status: 400, message: 'Missing required input: name' });
+    await expect(runtime.run(workflow([{ id: 'c', type: 'call', function: 'nope', args: {}, target: 'x' }])))
+      .rejects.toThrow('Unknown function: nope');
+  });
+
+  test('validation rejects misspelled step properties', () => {
+    expect(() => validateWorkflow(workflow([{ id: 's', type: 'set', target: 'total', value: { value: 1 } }]))).not.toThrow();
+    expect(() => validateWorkflow(workflow([{ id: 's', type: 'set', target: 'total', value: { value: 1 }, tagret: 'x' }])))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('refuses scope paths that reach Object.prototype', async () => {
+    expect(() => setPath({}, 'a.__proto__.polluted', 1)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => validateWorkflow(workflow([{ id: 's', type: 'set', target: '__proto__.polluted', value: { value: 'yes' } }]))).toThrow();
+    expect({}.polluted).toBeUndefined();
+  });
+});
@@ -0,0 +1,127 @@
+const WorkflowScheduler = require('../../runtime/workflowScheduler');
+const WorkflowRuntime = require('../../runtime/workflowRuntime');
+const { executionPolicy, POLICY_DEFAULTS } = require('../../runtime/workflowSchema');
+const { workflow } = require('./helpers/workflow');
+
+// Runs of `name` block in the `wait` function until release() is called
+const gatedRuntime = () => {
+  const started = [];
+  const gates = [];
+  const runtime = new WorkflowRuntime({
+    functions: {
+      wait: ({ name }) => {
+        started.push(name);
+        return new Promise(resolve => gates.push(resolve));
+      }
+    }
+  });
+  const release = () => gates.splice(0).forEach(resolve => resolve(1));
+  return { runtime, started, release };
+};
+
+const waiting = (name, policy) => ({
+  ...workflow([{ id: 'w', type: 'call', function: 'wait', args: { name: { value: name } }, target: 'total' }], policy && { execution_policy: policy }),
+  function: name
+});
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('execution policy defaults', () => {
+  test('come from the schema and are shared by scheduler and runtime', async () => {
+    expect(POLICY_DEFAULTS).toEqual({ max_runs_per_minute: 60, max_concurrent_runs: 10, priority: 'medium' });
+    expect(executionPolicy(workflow([]))).toEqual(POLICY_DEFAULTS);
+    expect(executionPolicy({ execution_policy: { max_runs_per_minute: 5, max_concurrent_runs: 1 } }))
+      .toEqual({ max_runs_per_minute: 5, max_concurrent_runs: 1, priority: 'medium' });
+
+    const runtime = new WorkflowRuntime();
+    await runtime.run(workflow([{ id: 'p', type: 'parallel', branches: [[{ id: 'x', type: 'set', target: 'total', value: { value: 1 } }]] }]));
+    expect(runtime.branchSlots.get('demo').limit).toBe(POLICY_DEFAULTS.max_concurrent_runs);
+  });
+});
+
+describe('WorkflowScheduler', () => {
+  test('admits queued runs by priority, then arrival', async () => {
+    const { runtime, started, release } = gatedRuntime();
+    const scheduler = new WorkflowScheduler({ runtime, maxConcurrent: 1 });
+    const policy = (priority) => ({ max_runs_per_minute: 60, max_concurrent_runs: 10, priority });
+    const jobs = [
+      scheduler.submit(waiting('first', policy('low'))),
+      scheduler.submit(waiting('low', policy('low'))),
+      scheduler.submit(waiting('medium', policy('medium'))),
+      scheduler.submit(waiting('high', policy('high')))
+    ];
+    expect(scheduler.position(jobs[3].id)).toBe(1);
+    for (let i = 0; i < 4; i++) {
+      await settle();
+      release();
+    }
+    await Promise.all(jobs.map(job => job.promise));
+    expect(started).toEqual(['first', 'high', 'medium', 'low']);
+  });
+
+  test('enforces max_concurrent_runs per workflow without holding back others', async () => {
+    const { runtime, started, release } = gatedRuntime();
+    const scheduler = new WorkflowScheduler({ runtime });
+    const capped = waiting('capped', { max_runs_per_minute: 60, max_concurrent_runs: 1 });
+    const jobs = [scheduler.submit(capped), scheduler.submit(capped), scheduler.submit(waiting('other'))];
+    await settle();
+    expect(started).toEqual(['capped', 'other']);
+    expect(scheduler.describe(jobs[1].id)).toMatchObject({ status: 'queued', position: 1 });
+    expect(scheduler.metrics().byWorkflow.capped).toEqual({ queued: 1, running: 1, startsLastMinute: 1 });
+    release();
+    await jobs[0].promise;
+    await settle();
+    expect(started).toEqual(['capped', 'other', 'capped']);
+    release();
+    await Promise.all(jobs.map(job => job.promise));
+  });
+
+  test('holds runs beyond max_runs_per_minute until the window frees up', async () => {
+    const { runtime, release } = gatedRuntime();
+    const scheduler = new WorkflowScheduler({ runtime });
+    const limited = waiting('limited', { max_runs_per_minute: 1, max_concurrent_runs: 10 });
+    const [first, second] = [scheduler.submit(limited), scheduler.submit(limited)];
+    await settle();
+    release();
+    await first.promise;
+    expect(scheduler.describe(second.id).status).toBe('queued');
+    expect(scheduler.timer).not.toBeNull();
+    clearTimeout(scheduler.timer);
+  });
+
+  test('counts workflow limits per owner and caps each owner whatever the documents allow', async () => {
+    const { runtime, started, release } = gatedRuntime();
+    const scheduler = new WorkflowScheduler({ runtime, maxConcurrentPerOwner: 2 });
+    const alice = { claims: { sub: 'alice' } };
+    const bob = { claims: { sub: 'bob' } };
+    const capped = waiting('capped', { max_runs_per_minute: 60, max_concurrent_runs: 1 });
+    const greedy = waiting('greedy', { max_runs_per_minute: 1000, max_concurrent_runs: 1000 });
+    const jobs = [
+      scheduler.submit(capped, alice),
+      scheduler.submit(capped, bob),
+      scheduler.submit(greedy, alice),
+      scheduler.submit(greedy, alice)
+    ];
+    await settle();
+    expect(started).toEqual(['capped', 'capped', 'greedy']);
+    expect(scheduler.describe(jobs[3].id)).toMatchObject({ status: 'queued', position: 1 });
+    expect(scheduler.metrics().byWorkflow.capped).toEqual({ queued: 0, running: 2, startsLastMinute: 2 });
+    release();
+    await Promise.all(jobs.slice(0, 3).map(job => job.promise));
+    await settle();
+    expect(started).toHaveLength(4);
+    release();
+    await jobs[3].promise;
+  });
+
+  test('caps all runs together by default', () => {
+    expect(new WorkflowScheduler({ runtime: new WorkflowRuntime() })).toMatchObject({ maxConcurrent: 50, maxConcurrentPerOwner: 10, maxRunsPerMinutePerOwner: 120 });
+  });
+
+  test('a failed run is reported on the job', async () => {
+    const scheduler = new WorkflowScheduler({ runtime: new WorkflowRuntime() });
+    const job = scheduler.submit(workflow([{ id: 'a', type: 'assert', condition: { value: false }, message: 'no' }]));
+    await expect(job.promise).rejects.toThrow('Assertion failed: no');
+    expect(scheduler.describe(job.id)).toMatchObject({ status: 'failed', error: { message: 'Assertion failed: no', status: 422 } });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowStore = require('../../runtime/workflowStore');
+const { signWorkflow, addressFromPrivateKey } = require('../../runtime/attestation');
+const { workflow } = require('./helpers/workflow');
+
+const KEY = `0x${'1'.padStart(64, '0')}`;
+const initial = workflow([{ id: 's', type: 'set', target: 'total', value: { value: 1 } }]);
+const withStep = (document, step) => ({ ...document, steps: [...document.steps, step] });
+
+describe('WorkflowStore', () => {
+  let store;
+  beforeEach(() => {
+    store = new WorkflowStore({ dir: null });
+  });
+
+  test('bumps versions per semver and records a diff in the history', () => {
+    expect(store.save(initial, { owner: 'alice' }).metadata.version).toBe('1.0.0');
+    expect(store.save(initial, { owner: 'alice' }).metadata.version).toBe('1.0.0');
+
+    const patched = store.save({ ...initial, steps: [{ ...initial.steps[0], value: { value: 2 } }] }, { owner: 'alice' });
+    expect(patched.metadata.version).toBe('1.0.1');
+    expect(JSON.parse(patched.history[1].diff)).toEqual([{ op: 'replace', path: '/steps/0/value/value', value: 2, oldValue: 1 }]);
+
+    const minor = store.save(withStep(patched, { id: 'x', type: 'set', target: 'log', value: { value: [] } }), { owner: 'alice' });
+    expect(minor.metadata.version).toBe('1.1.0');
+
+    const breaking = store.save({ ...minor, schema: { ...minor.schema, inputs: { n: { type: 'string', default: 'a' } } } }, { owner: 'alice' });
+    expect(breaking.metadata.version).toBe('2.0.0');
+    expect(breaking.history[breaking.history.length - 1].change_summary).toMatch(/^major: /);
+    expect(store.versions('demo').map(v => v.version)).toEqual(['1.0.0', '1.0.1', '1.1.0', '2.0.0']);
+  });
+
+  test('rolls back by saving the old version as a new one', () => {
+    store.save(initial, { owner: 'alice' });
+    store.save(withStep(initial, { id: 'x', type: 'set', target: 'log', value: { value: [] } }), { owner: 'alice' });
+    const rolledBack = store.rollback('demo', '1.0.0', { owner: 'alice' });
+    expect(rolledBack.steps).toEqual(initial.steps);
+    expect(rolledBack.metadata.version).toBe('1.1.1');
+    expect(rolledBack.history[rolledBack.history.length - 1].change_summary).toBe('Rollback to 1.0.0');
+    expect(() => store.get('demo', '9.9.9')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('only the owner saves, rolls back or attests later versions', () => {
+    store.save(initial, { owner: 'alice' });
+    const changed = withStep(initial, { id: 'x', type: 'set', target: 'log', value: { value: [] } });
+    expect(() => store.save(changed, { owner: 'mallory' })).toThrow(expect.objectContaining({ status: 403, message: 'Workflow demo belongs to another user' }));
+    expect(() => store.rollback('demo', '1.0.0', { owner: 'mallory' })).toThrow(expect.objectContaining({ status: 403 }));
+    const { attestation } = signWorkflow(store.get('demo'), KEY);
+    expect(() => store.attest('demo', '1.0.0', attestation, { owner: 'mallory' })).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  test('attests a stored version in place and refuses a bad attestation', () => {
+    const saved = store.save(initial, { owner: 'alice' });
+    const { attestation } = signWorkflow(saved, KEY);
+    const attested = store.attest('demo', undefined, attestation, { owner: 'alice', trustedSigners: [addressFromPrivateKey(KEY)] });
+    expect(attested.metadata.version).toBe('1.0.0');
+    expect(store.get('demo').attestation).toEqual(attestation);
+    expect(store.versions('demo')).toHaveLength(1);
+    expect(() => store.attest('demo', '1.0.0', { ...attestation, hash: `0x${'0'.repeat(64)}` }, { owner: 'alice' }))
+      .toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  test('persists versions and owners to its directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-store-'));
+    try {
+      const persisted = new WorkflowStore({ dir });
+      persisted.save(initial, { owner: 'alice' });
+      persisted.save(withStep(initial, { id: 'x', type: 'set', target: 'log', value: { value: [] } }), { owner: 'alice' });
+      expect(fs.readdirSync(dir)).toEqual(['demo.json']);
+
+      const reloaded = new WorkflowStore({ dir });
+      expect(reloaded.versions('demo').map(v => v.version)).toEqual(['1.0.0', '1.1.0']);
+      expect(reloaded.latest().map(w => w.function)).toEqual(['demo']);
+      expect(() => reloaded.save(initial, { owner: 'mallory' })).toThrow(expect.objectContaining({ status: 403 }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { WorkflowTestRunner, toJUnit } = require('../../runtime/workflowTests');
+const { workflow } = require('./helpers/workflow');
+
+const copyN = workflow([{ id: 's', type: 'set', target: 'total', value: { get: 'n' } }]);
+const totalIsN = { compare: { left: { get: 'total' }, op: '===', right: { get: 'inputs.n' } } };
+
+describe('WorkflowTestRunner', () => {
+  const runner = new WorkflowTestRunner({ fuzzRuns: 10 });
+
+  test('example tests compare the expected outputs', async () => {
+    const passed = await runner.runTest(copyN, { name: 'e', type: 'example', inputs: { n: 4 }, expected: { total: 4 } }, 0);
+    expect(passed.status).toBe('passed');
+    const failed = await runner.runTest(copyN, { name: 'e', type: 'example', inputs: { n: 4 }, expected: { total: 5 } }, 0);
+    expect(failed).toMatchObject({ status: 'failed', failures: ['Output /total: expected 5, got 4'] });
+  });
+
+  test('property tests run their own inputs, then generated ones', async () => {
+    const report = await runner.runTest(copyN, { name: 'p', type: 'property', inputs: { n: 3 }, expected: {}, properties: [totalIsN] }, 0);
+    expect(report).toMatchObject({ status: 'passed', runs: 11, discarded: 0 });
+  });
+
+  test('a property that fails on generated inputs reports the counterexample', async () => {
+    const guarded = workflow([
+      { id: 's', type: 'set', target: 'total', value: { get: 'n' } },
+      { id: 'a', type: 'assert', condition: { compare: { left: { get: 'n' }, op: '<', right: 50 } }, message: 'big' }
+    ]);
+    const report = await runner.runTest(guarded, { name: 'p', type: 'property', inputs: { n: 3 }, expected: {}, properties: [totalIsN] }, 0);
+    expect(report.status).toBe('failed');
+    expect(report.counterexample.n).toBeGreaterThanOrEqual(50);
+    expect(report.failures[0]).toMatch(/^Run failed: Assertion failed: big \(inputs: /);
+  });
+
+  test('fuzz tests keep their inputs fixed and check expected', async () => {
+    const twoInputs = workflow([{ id: 's', type: 'set', target: 'total', value: { get: 'n' } }], {
+      schema: { inputs: { n: { type: 'integer' }, label: { type: 'string' } }, context: {}, outputs: { total: { type: 'integer' } } }
+    });
+    const report = await runner.runTest(twoInputs, { name: 'f', type: 'fuzz', inputs: { n: 7 }, expected: { total: 7 } }, 0);
+    expect(report).toMatchObject({ status: 'passed', runs: 10 });
+  });
+
+  test('a fuzz test fails when every generated input was rejected', async () => {
+    const strict = structuredClone(copyN);
+    strict.schema.inputs.n.constraints = { minimum: 1e9 };
+    const report = await runner.runTest(strict, { name: 'f', type: 'fuzz', inputs: {}, expected: {}, properties: [{ value: true }] }, 0);
+    expect(report).toMatchObject({ status: 'failed', runs: 0, discarded: 10, failures: ['No fuzz run completed: all 10 generated inputs were rejected'] });
+  });
+
+  test('runAll discovers workflows and toJUnit renders the report', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-tests-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'demo.json'), JSON.stringify({
+        ...copyN,
+        tests: [
+          { name: 'ok', type: 'example', inputs: { n: 1 }, expected: { total: 1 } },
+          { name: 'bad', type: 'example', inputs: { n: 1 }, expected: { total: 2 } }
+        ]
+      }));
+      const report = await runner.runAll(dir);
+      expect(report.summary).toEqual({ workflows: 1, tests: 2, passed: 1, failed: 1 });
+      const xml = toJUnit(report);
+      expect(xml).toContain('<testsuites tests="2" failures="1">');
+      expect(xml).toContain('<failure message="Output /total: expected 2, got 1">');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('compiler/testWorkflows.js', () => {
+  test('the shipped example workflow passes its tests', () => {
+    const example = path.resolve(__dirname, '../../schema/example');
+    // LOG_LEVEL keeps the runs out of logs/
+    const cli = spawnSync(process.execPath, [path.resolve(__dirname, '../../compiler/testWorkflows.js'), example], { encoding: 'utf-8', env: { ...process.env, NODE_ENV: 'production', LOG_LEVEL: 'error' } });
+    expect(cli.status).toBe(0);
+    expect(cli.stdout).toContain('1 workflows, 4 tests: 4 passed, 0 failed');
+  });
+
+  test('exits 1 when it finds no tests', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-tests-'));
+    try {
+      const cli = spawnSync(process.execPath, [path.resolve(__dirname, '../../compiler/testWorkflows.js'), dir], { encoding: 'utf-8', env: { ...process.env, NODE_ENV: 'production' } });
+      expect(cli.status).toBe(1);
+      expect(cli.stderr).toContain(`No workflow tests found under ${dir}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -13,6 +13,8 @@ if (missingEnv.length) {
 
 const port = normalizePort(process.env.PORT || '3000');
 const server = http.createServer(app);
+require('./routes/workflowDebugSocket')(server);
+require('./routes/workflowEventSocket')(server);
 
 server.listen(port);
 server.on('error', onError);
@@ -44,6 +46,11 @@ function onListening() {
   const addr = server.address();
   const bind = typeof addr === 'string' ? `pipe ${addr}` : `port ${addr.port}`;
   logger.info(`Server running on ${bind} in ${process.env.NODE_ENV} mode`);
+
+  // Resume workflow runs interrupted by the previous shutdown
+  require('./controllers/workflowController').recover()
+    .then(runIds => runIds.length && logger.info(`Resumed ${runIds.length} interrupted workflow run(s)`))
+    .catch(error => logger.error(`Workflow recovery failed: ${error.message}`));
 }
 
 // Graceful shutdown